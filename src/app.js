@@ -5,6 +5,9 @@ const { errorHandler, notFoundHandler } = require('./middlewares/error.middlewar
 const authRoutes = require('./modules/auth/auth.routes');
 const plannerRoutes = require('./modules/planner/planner.routes');
 const cadRoutes = require('./modules/cad/cad.routes');
+const plansRoutes = require('./modules/plans/plans.routes');
+const complianceRoutes = require('./modules/compliance/compliance.routes');
+const promptsRoutes = require('./modules/prompts/prompts.routes');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -64,6 +67,9 @@ app.get('/api', (req, res) => {
       auth: '/api/auth',
       planner: '/api/planner',
       cad: '/api/cad',
+      plans: '/api/plans',
+      compliance: '/api/compliance',
+      prompts: '/api/prompts',
     },
   });
 });
@@ -71,6 +77,9 @@ app.get('/api', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/planner', plannerRoutes);
 app.use('/api/cad', cadRoutes);
+app.use('/api/plans', plansRoutes);
+app.use('/api/compliance', complianceRoutes);
+app.use('/api/prompts', promptsRoutes);
 
 app.use(notFoundHandler);
 app.use(errorHandler);
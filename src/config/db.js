@@ -33,6 +33,104 @@ const connectDB = async () => {
       )
     `);
 
+    // Create plans table (one row per saved project, owned by a user)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS plans (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(200) NOT NULL,
+        building_type VARCHAR(100),
+        current_version INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_plans_user_id ON plans (user_id, updated_at DESC)
+    `);
+
+    // Create plan_versions table (immutable snapshots of every plan revision)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS plan_versions (
+        id SERIAL PRIMARY KEY,
+        plan_id INTEGER NOT NULL REFERENCES plans(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        plan_data JSONB NOT NULL,
+        source VARCHAR(30) NOT NULL DEFAULT 'generate',
+        prompt TEXT,
+        meta JSONB,
+        usage JSONB,
+        restored_from INTEGER,
+        prompt_template_version INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (plan_id, version)
+      )
+    `);
+
+    // Columns added after the table was first created
+    await client.query(`
+      ALTER TABLE plan_versions ADD COLUMN IF NOT EXISTS prompt_template_version INTEGER
+    `);
+
+    // Create usage_ledger table (one row per generation or refinement, its model attempts and failed retries summed)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS usage_ledger (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        kind VARCHAR(30) NOT NULL,
+        provider VARCHAR(50),
+        model VARCHAR(100),
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        estimated_cost NUMERIC(12, 6),
+        attempts INTEGER NOT NULL DEFAULT 1,
+        failed_attempts INTEGER NOT NULL DEFAULT 0,
+        invalid_attempts INTEGER NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL,
+        prompt_template_version INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE usage_ledger
+        ADD COLUMN IF NOT EXISTS invalid_attempts INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS prompt_template_version INTEGER
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_usage_ledger_user_id ON usage_ledger (user_id, created_at DESC)
+    `);
+
+    // Create prompt_templates table (versioned planner prompts; one active, at most one candidate)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        version INTEGER PRIMARY KEY,
+        system_prompt TEXT NOT NULL,
+        building_type_prompts JSONB NOT NULL,
+        notes TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'draft',
+        traffic_share NUMERIC(4, 3) NOT NULL DEFAULT 0,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        builtin_hash VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Templates seeded from planner.prompt.js record a hash of the prompts they were seeded from
+    await client.query(`
+      ALTER TABLE prompt_templates ADD COLUMN IF NOT EXISTS builtin_hash VARCHAR(64)
+    `);
+
+    // Version 1 was seeded before the hash was recorded; mark it built-in so a code change can replace it
+    await client.query(`
+      UPDATE prompt_templates SET builtin_hash = 'unknown'
+      WHERE version = 1 AND created_by IS NULL AND notes = 'Built-in prompts' AND builtin_hash IS NULL
+    `);
+
     logger.info('Database tables initialized');
     client.release();
 
@@ -16,6 +16,36 @@ const env = {
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
   OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
 
+  // LLM provider used by the planner: openai | local | mock
+  LLM_PROVIDER: process.env.LLM_PROVIDER || 'openai',
+
+  // OpenAI-compatible local server (Ollama, LM Studio, vLLM, llama.cpp)
+  LOCAL_LLM_BASE_URL: process.env.LOCAL_LLM_BASE_URL,
+  LOCAL_LLM_API_KEY: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+  LOCAL_LLM_MODEL: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+  LOCAL_LLM_JSON_MODE: process.env.LOCAL_LLM_JSON_MODE !== 'false',
+  LOCAL_LLM_STRUCTURED_OUTPUT: process.env.LOCAL_LLM_STRUCTURED_OUTPUT === 'true',
+
+  // Offline mock provider (fixture name forces a single fixture)
+  MOCK_LLM_FIXTURE: process.env.MOCK_LLM_FIXTURE,
+  MOCK_LLM_DELAY_MS: parseInt(process.env.MOCK_LLM_DELAY_MS, 10) || 0,
+
+  // Per-user model usage quotas (0 = unlimited); cost is in USD
+  USAGE_DAILY_TOKEN_QUOTA: parseInt(process.env.USAGE_DAILY_TOKEN_QUOTA, 10) || 0,
+  USAGE_MONTHLY_TOKEN_QUOTA: parseInt(process.env.USAGE_MONTHLY_TOKEN_QUOTA, 10) || 0,
+  USAGE_MONTHLY_COST_QUOTA: parseFloat(process.env.USAGE_MONTHLY_COST_QUOTA) || 0,
+
+  // Planner and CAD result cache: memory (per process) | redis (shared between replicas)
+  CACHE_BACKEND: process.env.CACHE_BACKEND || 'memory',
+  REDIS_URL: process.env.REDIS_URL,
+  CACHE_KEY_PREFIX: process.env.CACHE_KEY_PREFIX || 'afp:',
+
+  // Users allowed to manage shared settings such as prompt templates (comma-separated emails)
+  ADMIN_EMAILS: (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean),
+
   CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3000',
 
   // CAD/DWG Conversion (optional - CloudConvert for DXF to DWG)
@@ -25,8 +55,26 @@ const env = {
   ODA_CONVERTER_PATH: process.env.ODA_CONVERTER_PATH,
 };
 
+const LLM_PROVIDERS = ['openai', 'local', 'mock'];
+
+const CACHE_BACKENDS = ['memory', 'redis'];
+
 const validateEnv = () => {
-  const required = ['DATABASE_URL', 'JWT_SECRET', 'OPENAI_API_KEY'];
+  if (!LLM_PROVIDERS.includes(env.LLM_PROVIDER)) {
+    throw new Error(`Invalid LLM_PROVIDER "${env.LLM_PROVIDER}". Use one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+
+  if (!CACHE_BACKENDS.includes(env.CACHE_BACKEND)) {
+    throw new Error(`Invalid CACHE_BACKEND "${env.CACHE_BACKEND}". Use one of: ${CACHE_BACKENDS.join(', ')}`);
+  }
+
+  const required = ['DATABASE_URL', 'JWT_SECRET'];
+
+  // Only the selected LLM provider needs its credentials
+  if (env.LLM_PROVIDER === 'openai') required.push('OPENAI_API_KEY');
+  if (env.LLM_PROVIDER === 'local') required.push('LOCAL_LLM_BASE_URL');
+  if (env.CACHE_BACKEND === 'redis') required.push('REDIS_URL');
+
   const missing = required.filter((key) => !env[key]);
 
   if (missing.length > 0) {
@@ -34,4 +82,4 @@ const validateEnv = () => {
   }
 };
 
-module.exports = { env, validateEnv };
+module.exports = { env, validateEnv, LLM_PROVIDERS, CACHE_BACKENDS };
@@ -1,8 +1,14 @@
 const OpenAI = require('openai');
 const { env } = require('./env');
 
-const openai = new OpenAI({
-  apiKey: env.OPENAI_API_KEY,
-});
+/**
+ * Create an OpenAI SDK client. baseURL points it at any OpenAI-compatible server.
+ */
+const createOpenAIClient = ({ apiKey = env.OPENAI_API_KEY, baseURL } = {}) => {
+  return new OpenAI({
+    apiKey,
+    baseURL,
+  });
+};
 
-module.exports = { openai };
+module.exports = { createOpenAIClient };
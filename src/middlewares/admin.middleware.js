@@ -0,0 +1,17 @@
+const { env } = require('../config/env');
+const ApiResponse = require('../utils/response');
+
+/**
+ * Allow only users listed in ADMIN_EMAILS; runs after authMiddleware
+ */
+const adminMiddleware = (req, res, next) => {
+  const email = req.user?.email?.toLowerCase();
+
+  if (!email || !env.ADMIN_EMAILS.includes(email)) {
+    return ApiResponse.forbidden(res, 'Admin access is required');
+  }
+
+  next();
+};
+
+module.exports = adminMiddleware;
@@ -1,5 +1,7 @@
 const authService = require('./auth.service');
+const usageService = require('../usage/usage.service');
 const { validateSignup, validateLogin } = require('./auth.validation');
+const { validateUsageQuery } = require('../usage/usage.validation');
 const { asyncHandler } = require('../../middlewares/error.middleware');
 const ApiResponse = require('../../utils/response');
 
@@ -23,8 +25,16 @@ const getProfile = asyncHandler(async (req, res) => {
   return ApiResponse.success(res, user, 'Profile retrieved successfully');
 });
 
+const getUsage = asyncHandler(async (req, res) => {
+  const query = validateUsageQuery(req.query);
+  const usage = await usageService.getUsageReport(req.user.id, query);
+
+  return ApiResponse.success(res, usage, 'Usage retrieved successfully');
+});
+
 module.exports = {
   signup,
   login,
   getProfile,
+  getUsage,
 };
@@ -4,7 +4,9 @@
  */
 
 const cadService = require('./cad.service');
-const { validateCadGenerate } = require('./cad.validation');
+const plansService = require('../plans/plans.service');
+const { validateCadDownload, validateCadDxf, validateCadGenerate, validateCadImport } = require('./cad.validation');
+const { AppError } = require('../../middlewares/error.middleware');
 const ApiResponse = require('../../utils/response');
 const logger = require('../../utils/logger');
 
@@ -17,7 +19,7 @@ async function generateCAD(req, res) {
     // Validate request body
     const validatedData = validateCadGenerate(req.body);
 
-    const { planData, outputFormats, floorIndex, scale } = validatedData;
+    const { planData, outputFormats, floorIndex, scale, units, mepSheet, wallStyle } = validatedData;
 
     // Validate plan data
     const validation = cadService.validatePlanData(planData);
@@ -29,6 +31,9 @@ async function generateCAD(req, res) {
       buildingType: planData.buildingType,
       floorIndex,
       formats: outputFormats,
+      units: units || planData.units,
+      mepSheet,
+      wallStyle,
     });
 
     // Generate CAD files
@@ -36,6 +41,9 @@ async function generateCAD(req, res) {
       outputFormats,
       floorIndex,
       scale,
+      units,
+      mepSheet,
+      wallStyle,
     });
 
     if (!result.success) {
@@ -60,6 +68,15 @@ async function generateCAD(req, res) {
       };
     }
 
+    if (result.files.mep) {
+      response.files.mep = {
+        filename: result.files.mep.filename,
+        mimeType: result.files.mep.mimeType,
+        size: result.files.mep.size,
+        content: Buffer.from(result.files.mep.content).toString('base64'),
+      };
+    }
+
     if (result.files.dwg) {
       response.files.dwg = {
         filename: result.files.dwg.filename,
@@ -91,24 +108,20 @@ async function generateCAD(req, res) {
  */
 async function downloadCAD(req, res) {
   try {
-    const { format } = req.params;
+    // The plan travels base64-encoded in the query string
+    const { format, plan: planData, floor, scale, units, wallStyle } = validateCadDownload({ ...req.query, format: req.params.format });
 
-    if (!['dxf', 'dwg'].includes(format)) {
-      return ApiResponse.error(res, 'Invalid format. Use dxf or dwg.', 400);
-    }
-
-    // Plan data should be passed in query (base64 encoded) or session
-    const planDataBase64 = req.query.plan;
-    if (!planDataBase64) {
-      return ApiResponse.error(res, 'Plan data required', 400);
+    const validation = cadService.validatePlanData(planData);
+    if (!validation.valid) {
+      return ApiResponse.error(res, 'Invalid plan data', 400, validation.errors);
     }
 
-    const planData = JSON.parse(Buffer.from(planDataBase64, 'base64').toString());
-
     const result = await cadService.generateCADFiles(planData, {
       outputFormats: { dxf: format === 'dxf', dwg: format === 'dwg' },
-      floorIndex: parseInt(req.query.floor) || 0,
-      scale: parseFloat(req.query.scale) || 1,
+      floorIndex: floor,
+      scale,
+      units,
+      wallStyle,
     });
 
     if (!result.success) {
@@ -134,6 +147,11 @@ async function downloadCAD(req, res) {
 
   } catch (error) {
     logger.error(`CAD download error: ${error.message}`);
+
+    if (error.name === 'ZodError') {
+      return ApiResponse.error(res, 'Validation error', 400, error.errors);
+    }
+
     return ApiResponse.error(res, error.message || 'Download failed', 500);
   }
 }
@@ -144,7 +162,7 @@ async function downloadCAD(req, res) {
  */
 async function getStats(req, res) {
   try {
-    const cacheStats = cadService.getCacheStats();
+    const cacheStats = await cadService.getCacheStats();
 
     return ApiResponse.success(res, {
       cache: cacheStats,
@@ -164,11 +182,7 @@ async function getStats(req, res) {
  */
 async function generateDXFOnly(req, res) {
   try {
-    const { planData, floorIndex = 0, scale = 1 } = req.body;
-
-    if (!planData) {
-      return ApiResponse.error(res, 'Plan data required', 400);
-    }
+    const { planData, floorIndex, scale, units, wallStyle } = validateCadDxf(req.body);
 
     const validation = cadService.validatePlanData(planData);
     if (!validation.valid) {
@@ -179,6 +193,8 @@ async function generateDXFOnly(req, res) {
       outputFormats: { dxf: true, dwg: false },
       floorIndex,
       scale,
+      units,
+      wallStyle,
     });
 
     if (!result.success || !result.files.dxf) {
@@ -193,13 +209,65 @@ async function generateDXFOnly(req, res) {
 
   } catch (error) {
     logger.error(`DXF generation error: ${error.message}`);
+
+    if (error.name === 'ZodError') {
+      return ApiResponse.error(res, 'Validation error', 400, error.errors);
+    }
+
     return ApiResponse.error(res, error.message, 500);
   }
 }
 
+/**
+ * Import a DXF drawing as a plan
+ * POST /api/cad/import
+ */
+async function importDXF(req, res) {
+  try {
+    // Raw uploads arrive as text with the options in the query string
+    const body = typeof req.body === 'string' ? { ...req.query, dxf: req.body } : { ...req.query, ...req.body };
+    const { dxf, name, save, ...options } = validateCadImport(body);
+
+    const result = cadService.importDXF(dxf, options);
+
+    logger.info(`DXF import requested by user ${req.user?.id}`, {
+      rooms: result.summary.rooms,
+      drawingUnits: result.summary.drawingUnits,
+      save,
+    });
+
+    if (save) {
+      const plan = await plansService.createPlan(req.user.id, {
+        name,
+        planData: result.plan,
+        source: 'import',
+        meta: { import: result.summary },
+      });
+
+      return ApiResponse.created(res, { ...result, planId: plan.id }, 'DXF imported and saved');
+    }
+
+    return ApiResponse.success(res, result, 'DXF imported successfully');
+
+  } catch (error) {
+    logger.error(`DXF import error: ${error.message}`);
+
+    if (error.name === 'ZodError') {
+      return ApiResponse.error(res, 'Validation error', 400, error.errors);
+    }
+
+    if (error instanceof AppError) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    return ApiResponse.error(res, error.message || 'DXF import failed', 500);
+  }
+}
+
 module.exports = {
   generateCAD,
   downloadCAD,
   getStats,
   generateDXFOnly,
+  importDXF,
 };
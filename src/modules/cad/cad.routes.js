@@ -8,11 +8,14 @@ const router = express.Router();
 const cadController = require('./cad.controller');
 const authMiddleware = require('../../middlewares/auth.middleware');
 
+// Content types accepted for raw DXF uploads (JSON bodies send { dxf } instead)
+const DXF_CONTENT_TYPES = ['application/dxf', 'application/x-dxf', 'image/vnd.dxf', 'image/x-dxf', 'text/plain', 'application/octet-stream'];
+
 /**
  * @route   POST /api/cad/generate
  * @desc    Generate CAD files (DXF/DWG) from floor plan
  * @access  Protected
- * @body    { planData, outputFormats, floorIndex, scale }
+ * @body    { planData, outputFormats, floorIndex, scale, units, mepSheet }
  */
 router.post('/generate', authMiddleware, cadController.generateCAD);
 
@@ -20,7 +23,7 @@ router.post('/generate', authMiddleware, cadController.generateCAD);
  * @route   POST /api/cad/dxf
  * @desc    Quick DXF generation (direct download)
  * @access  Protected
- * @body    { planData, floorIndex, scale }
+ * @body    { planData, floorIndex, scale, units, wallStyle }
  */
 router.post('/dxf', authMiddleware, cadController.generateDXFOnly);
 
@@ -29,10 +32,18 @@ router.post('/dxf', authMiddleware, cadController.generateDXFOnly);
  * @desc    Download CAD file
  * @access  Protected
  * @params  format: 'dxf' or 'dwg'
- * @query   plan (base64), floor, scale
+ * @query   plan (base64 JSON), floor, scale, units, wallStyle
  */
 router.get('/download/:format', authMiddleware, cadController.downloadCAD);
 
+/**
+ * @route   POST /api/cad/import
+ * @desc    Import a DXF drawing as a plan (optionally saved as a new project)
+ * @access  Protected
+ * @body    Raw ASCII DXF with options in the query, or { dxf, units, drawingUnits, scale, level, buildingType, name, save }
+ */
+router.post('/import', authMiddleware, express.text({ type: DXF_CONTENT_TYPES, limit: '10mb' }), cadController.importDXF);
+
 /**
  * @route   GET /api/cad/stats
  * @desc    Get CAD service statistics
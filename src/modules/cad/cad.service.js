@@ -5,26 +5,48 @@
 
 const { generateDXF } = require('./dxf.generator');
 const { convertDXFtoDWG } = require('./dwg.converter');
+const { parseDXF } = require('./dxf.parser');
+const { connectDoors, importDrawing } = require('./dxf.importer');
+const plannerService = require('../planner/planner.service');
+const { normalizeDoors } = require('../planner/planner.doors');
+const { checkColumnPlacement } = require('../planner/planner.structure');
+const { planSchema, formatPlanIssues } = require('../planner/planner.schema');
+const { UNIT_SYSTEMS, convertPlan, getRoomArea, toImperial, unitsOf } = require('../planner/planner.units');
+const { getCache, hashKey } = require('../../providers/cache');
+const { AppError } = require('../../middlewares/error.middleware');
 const logger = require('../../utils/logger');
 
-// In-memory cache for recent generations (5 minute TTL)
-const cache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-const MAX_CACHE_SIZE = 50;
+// Recent generations (DXF text and DWG buffers), shared between replicas with the redis backend
+const cache = getCache('cad', {
+  ttlMs: 5 * 60 * 1000, // 5 minutes
+  maxBytes: 64 * 1024 * 1024,
+  maxEntryBytes: 8 * 1024 * 1024,
+});
 
 /**
  * Generate CAD files from floor plan data
- * @param {Object} planData - Generated floor plan JSON
- * @param {Object} options - Generation options
+ * @param {Object} sourcePlan - Generated floor plan JSON
+ * @param {Object} options - Generation options (units: 'imperial' | 'metric', default the plan's;
+ *   mepSheet: electrical and plumbing points go on a separate MEP drawing instead of the plan;
+ *   wallStyle: 'double' draws the two faces of each wall, 'hatch' fills the wall material as well)
  * @returns {Object} - Generated files and metadata
  */
-async function generateCADFiles(planData, options = {}) {
+async function generateCADFiles(sourcePlan, options = {}) {
   const {
     outputFormats = { dxf: true, dwg: false },
     floorIndex = 0,
     scale = 1,
+    units = unitsOf(sourcePlan), // drawing units; the plan is converted when they differ
+    mepSheet = false,
+    wallStyle = 'double',
   } = options;
 
+  // Pair doors on shared walls so each opening is drawn once (door checks work in feet)
+  const working = toImperial(sourcePlan);
+  const doorReview = normalizeDoors(working, { units });
+  const columnIssues = checkColumnPlacement(working, { units });
+  const planData = convertPlan(working, units);
+
   const startTime = Date.now();
   const result = {
     success: true,
@@ -36,17 +58,20 @@ async function generateCADFiles(planData, options = {}) {
       roomCount: planData.floors[floorIndex]?.rooms?.length || 0,
       generatedAt: new Date().toISOString(),
       scale: scale,
+      units,
+      mepSheet,
+      wallStyle,
     },
     warnings: [],
   };
 
   try {
     // Check cache
-    const cacheKey = generateCacheKey(planData, floorIndex, scale);
-    const cached = cache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    const cacheKey = generateCacheKey(planData, floorIndex, scale, units, outputFormats, mepSheet, wallStyle);
+    const cached = await cache.get(cacheKey);
+    if (cached) {
       logger.info('Returning cached CAD files');
-      return cached.data;
+      return cached;
     }
 
     // Validate floor exists
@@ -54,9 +79,18 @@ async function generateCADFiles(planData, options = {}) {
       throw new Error(`Floor index ${floorIndex} not found in plan data`);
     }
 
+    doorReview.issues.forEach((issue) => result.warnings.push(issue.message));
+    columnIssues
+      .filter((issue) => issue.level === planData.floors[floorIndex].level)
+      .forEach((issue) => result.warnings.push(issue.message));
+
     // Generate DXF
     logger.info('Generating DXF file...');
-    const dxfContent = generateDXF(planData, floorIndex, { scale });
+    const dxfContent = generateDXF(planData, floorIndex, {
+      scale,
+      sheet: mepSheet ? 'architectural' : 'combined',
+      walls: wallStyle,
+    });
 
     if (outputFormats.dxf) {
       result.files.dxf = {
@@ -68,6 +102,18 @@ async function generateCADFiles(planData, options = {}) {
       logger.info(`DXF generated: ${result.files.dxf.size} bytes`);
     }
 
+    // MEP sheet for the same floor, always as DXF
+    if (mepSheet) {
+      const mepContent = generateDXF(planData, floorIndex, { scale, sheet: 'mep', walls: wallStyle });
+      result.files.mep = {
+        content: mepContent,
+        filename: generateFilename(planData, floorIndex, 'dxf', 'mep'),
+        mimeType: 'application/dxf',
+        size: Buffer.byteLength(mepContent, 'utf8'),
+      };
+      logger.info(`MEP sheet generated: ${result.files.mep.size} bytes`);
+    }
+
     // Generate DWG if requested
     if (outputFormats.dwg) {
       logger.info('Converting to DWG format...');
@@ -113,7 +159,7 @@ async function generateCADFiles(planData, options = {}) {
     result.metadata.generationTimeMs = Date.now() - startTime;
 
     // Cache the result
-    cacheResult(cacheKey, result);
+    await cache.set(cacheKey, result);
 
     logger.info(`CAD generation completed in ${result.metadata.generationTimeMs}ms`);
     return result;
@@ -128,10 +174,43 @@ async function generateCADFiles(planData, options = {}) {
   }
 }
 
+/**
+ * Read a DXF drawing back into a plan and run it through plan validation
+ * @param {string} content - ASCII DXF
+ * @param {Object} options - { units, drawingUnits, scale, level, buildingType }
+ * @returns {Object} - { plan, summary, warnings, validation }
+ */
+function importDXF(content, options = {}) {
+  const { plan: imported, summary, warnings } = importDrawing(parseDXF(content), options);
+  const { units } = summary;
+
+  imported.floors.forEach((floor) => {
+    floor.rooms.forEach((room) => {
+      room.type = plannerService.inferRoomType(room.name);
+    });
+  });
+
+  // Doors are paired across shared walls the same way generated plans are (door checks work in feet)
+  const working = toImperial(imported);
+  connectDoors(working);
+  normalizeDoors(working, { units });
+
+  const result = planSchema.safeParse(convertPlan(working, units));
+  if (!result.success) {
+    throw new AppError(`Imported drawing is not a valid plan: ${formatPlanIssues(result.error).join('; ')}`, 422);
+  }
+
+  const validation = plannerService.validatePlanGeometry(toImperial(result.data), { units });
+
+  logger.info('DXF imported', { ...summary, valid: validation.valid });
+
+  return { plan: result.data, summary, warnings, validation };
+}
+
 /**
  * Generate filename for CAD files
  */
-function generateFilename(planData, floorIndex, extension) {
+function generateFilename(planData, floorIndex, extension, suffix = null) {
   const buildingType = (planData.buildingType || 'floor-plan')
     .toLowerCase()
     .replace(/[^a-z0-9]/g, '-')
@@ -144,64 +223,34 @@ function generateFilename(planData, floorIndex, extension) {
 
   const timestamp = Date.now();
 
-  return `${buildingType}-${floorLevel}-${timestamp}.${extension}`;
-}
-
-/**
- * Generate cache key for plan data
- */
-function generateCacheKey(planData, floorIndex, scale) {
-  const planStr = JSON.stringify({
-    buildingType: planData.buildingType,
-    dimensions: planData.buildingDimensions,
-    floor: planData.floors[floorIndex],
-    scale,
-  });
-
-  // Simple hash function
-  let hash = 0;
-  for (let i = 0; i < planStr.length; i++) {
-    const char = planStr.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return `cad_${hash}_${floorIndex}_${scale}`;
+  return `${buildingType}-${floorLevel}${suffix ? `-${suffix}` : ''}-${timestamp}.${extension}`;
 }
 
 /**
- * Cache result with TTL and size limit
+ * Content hash of everything that ends up in the drawing, plus the requested formats
  */
-function cacheResult(key, data) {
-  // Enforce max cache size
-  if (cache.size >= MAX_CACHE_SIZE) {
-    // Remove oldest entry
-    const oldestKey = cache.keys().next().value;
-    cache.delete(oldestKey);
-  }
-
-  cache.set(key, {
-    data,
-    timestamp: Date.now(),
+function generateCacheKey(planData, floorIndex, scale, units, outputFormats, mepSheet = false, wallStyle = 'double') {
+  return hashKey(planData, floorIndex, scale, units, {
+    dxf: Boolean(outputFormats.dxf),
+    dwg: Boolean(outputFormats.dwg),
+    mep: Boolean(mepSheet),
+    walls: wallStyle,
   });
 }
 
 /**
  * Clear cache (for testing or manual cleanup)
  */
-function clearCache() {
-  cache.clear();
+async function clearCache() {
+  await cache.clear();
   logger.info('CAD cache cleared');
 }
 
 /**
  * Get cache stats
  */
-function getCacheStats() {
-  return {
-    size: cache.size,
-    maxSize: MAX_CACHE_SIZE,
-    ttlMs: CACHE_TTL,
-  };
+async function getCacheStats() {
+  return cache.stats();
 }
 
 /**
@@ -219,6 +268,9 @@ function validatePlanData(planData) {
     errors.push('Plan must have at least one floor');
   }
 
+  const units = unitsOf(planData);
+  const { areaField } = UNIT_SYSTEMS[units];
+
   planData.floors?.forEach((floor, index) => {
     if (!floor.rooms || !Array.isArray(floor.rooms) || floor.rooms.length === 0) {
       errors.push(`Floor ${index} must have at least one room`);
@@ -228,8 +280,9 @@ function validatePlanData(planData) {
       if (!room.name) {
         errors.push(`Floor ${index}, Room ${roomIndex}: name is required`);
       }
-      if (!room.areaSqft || room.areaSqft <= 0) {
-        errors.push(`Floor ${index}, Room ${roomIndex}: valid areaSqft is required`);
+      const area = getRoomArea(room, units);
+      if (!area || area <= 0) {
+        errors.push(`Floor ${index}, Room ${roomIndex}: valid ${areaField} is required`);
       }
     });
   });
@@ -242,6 +295,7 @@ function validatePlanData(planData) {
 
 module.exports = {
   generateCADFiles,
+  importDXF,
   validatePlanData,
   clearCache,
   getCacheStats,
@@ -1,52 +1,12 @@
 const { z } = require('zod');
+const { planSchema } = require('../planner/planner.schema');
+const { UNITS } = require('../planner/planner.units');
+const { DRAWING_UNITS } = require('./dxf.importer');
+const { WALL_STYLES } = require('./dxf.generator');
 
 // CAD generation request validation schema
 const cadGenerateSchema = z.object({
-  planData: z.object({
-    buildingType: z.string().min(1),
-    totalArea: z.number().optional(),
-    buildingDimensions: z.object({
-      width: z.number().positive().max(1000),
-      depth: z.number().positive().max(1000),
-    }).optional(),
-    floors: z.array(z.object({
-      level: z.string(),
-      totalArea: z.number().optional(),
-      floorHeight: z.number().optional(),
-      rooms: z.array(z.object({
-        id: z.string().optional(),
-        name: z.string(),
-        type: z.string(),
-        areaSqft: z.number().positive(),
-        dimensions: z.object({
-          length: z.number().positive().max(500),
-          width: z.number().positive().max(500),
-        }).optional(),
-        position: z.object({
-          x: z.number().min(0),
-          y: z.number().min(0),
-        }).optional(),
-        doors: z.array(z.object({
-          id: z.string().optional(),
-          wall: z.enum(['north', 'south', 'east', 'west']),
-          position: z.number(),
-          width: z.number().positive(),
-          type: z.string().optional(),
-          swingDirection: z.string().optional(),
-        })).optional(),
-        windows: z.array(z.object({
-          id: z.string().optional(),
-          wall: z.enum(['north', 'south', 'east', 'west']),
-          position: z.number(),
-          width: z.number().positive(),
-          height: z.number().optional(),
-          type: z.string().optional(),
-        })).optional(),
-        features: z.array(z.string()).optional(),
-      })),
-    })).min(1).max(20),
-    designNotes: z.array(z.string()).optional(),
-  }),
+  planData: planSchema,
   outputFormats: z.object({
     dxf: z.boolean().default(true),
     dwg: z.boolean().default(false),
@@ -54,7 +14,55 @@ const cadGenerateSchema = z.object({
     message: 'At least one output format must be selected',
   }),
   floorIndex: z.number().min(0).default(0),
-  scale: z.number().positive().max(100).default(1), // 1 foot = 1 unit
+  scale: z.number().positive().max(100).default(1), // 1 drawing unit (ft or m) = 1 unit
+  units: z.enum(UNITS).optional(), // defaults to the plan's own units
+  mepSheet: z.boolean().default(false), // electrical and plumbing points on a separate DXF sheet
+  wallStyle: z.enum(WALL_STYLES).default('double'), // wall faces only, or with the wall material hatched
+});
+
+// Quick DXF request validation schema
+const cadDxfSchema = z.object({
+  planData: planSchema,
+  floorIndex: z.number().min(0).default(0),
+  scale: z.number().positive().max(100).default(1),
+  units: z.enum(UNITS).optional(),
+  wallStyle: z.enum(WALL_STYLES).default('double'),
+});
+
+// The download link carries the plan as base64-encoded JSON in the query string
+const encodedPlan = z
+  .string({ required_error: 'Plan data required' })
+  .min(1, 'Plan data required')
+  .transform((value, ctx) => {
+    try {
+      return JSON.parse(Buffer.from(value, 'base64').toString());
+    } catch (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Plan must be base64-encoded JSON' });
+      return z.NEVER;
+    }
+  })
+  .pipe(planSchema);
+
+// CAD download request validation schema (query string)
+const cadDownloadSchema = z.object({
+  format: z.enum(['dxf', 'dwg'], { errorMap: () => ({ message: 'Invalid format. Use dxf or dwg.' }) }),
+  plan: encodedPlan,
+  floor: z.coerce.number().int().min(0).default(0),
+  scale: z.coerce.number().positive().max(100).default(1),
+  units: z.enum(UNITS).optional(),
+  wallStyle: z.enum(WALL_STYLES).default('double'),
+});
+
+// DXF import request validation schema; raw DXF uploads pass the options in the query string
+const cadImportSchema = z.object({
+  dxf: z.string({ required_error: 'DXF content is required' }).min(1, 'DXF content is required'),
+  units: z.enum(UNITS).optional(), // plan units; defaults to the drawing's (ft/in: imperial, m/cm/mm: metric)
+  drawingUnits: z.enum(Object.keys(DRAWING_UNITS)).optional(), // overrides the drawing's $INSUNITS
+  scale: z.coerce.number().positive().max(100).default(1), // drawing units per plan unit, as used on export
+  level: z.string().trim().min(1).max(50).optional(),
+  buildingType: z.string().trim().min(1).max(100).optional(),
+  name: z.string().trim().min(1).max(200).optional(),
+  save: z.preprocess((value) => value === true || value === 'true', z.boolean()),
 });
 
 // Validate CAD generation request
@@ -62,7 +70,28 @@ const validateCadGenerate = (data) => {
   return cadGenerateSchema.parse(data);
 };
 
+// Validate quick DXF request
+const validateCadDxf = (data) => {
+  return cadDxfSchema.parse(data);
+};
+
+// Validate CAD download request
+const validateCadDownload = (data) => {
+  return cadDownloadSchema.parse(data);
+};
+
+// Validate DXF import request
+const validateCadImport = (data) => {
+  return cadImportSchema.parse(data);
+};
+
 module.exports = {
+  cadDownloadSchema,
+  cadDxfSchema,
   cadGenerateSchema,
+  cadImportSchema,
+  validateCadDownload,
+  validateCadDxf,
   validateCadGenerate,
+  validateCadImport,
 };
@@ -1,20 +1,62 @@
 /**
  * DXF File Generator
  * Generates AutoCAD-compatible DXF files from floor plan data
+ * Drawing units follow the plan: feet for imperial plans, meters for metric
  */
 
+const { columnWidth, convertLength, getRoomArea, toImperial, unitsOf } = require('../planner/planner.units');
+const { buildWalls } = require('../planner/planner.walls');
+const {
+  buildingPolygon,
+  hasOutline,
+  labelPoint,
+  polygonArea,
+  polygonBounds,
+  polygonWalls,
+  roomPolygon,
+} = require('../planner/planner.geometry');
+
 // DXF Layer definitions following AIA standards
 const DXF_LAYERS = {
   WALLS: 'A-WALL',
   WALLS_INTERIOR: 'A-WALL-INTR',
+  WALL_HATCH: 'A-WALL-PATT',
   DOORS: 'A-DOOR',
   WINDOWS: 'A-GLAZ',
   ROOMS: 'A-AREA',
+  BUILDING: 'A-AREA-GROS',
   LABELS: 'A-ANNO-TEXT',
   DIMENSIONS: 'A-ANNO-DIMS',
   FURNITURE: 'A-FURN',
   GRID: 'A-GRID',
+  COLUMNS: 'S-COLS',
   TITLE: 'A-ANNO-TITL',
+  POWER: 'E-POWR',
+  LIGHTING: 'E-LITE',
+  HVAC: 'M-HVAC',
+  PLUMBING: 'P-FIXT',
+};
+
+// Drawing sets: everything on one drawing, or the architectural plan and MEP points on separate sheets
+const DXF_SHEETS = ['combined', 'architectural', 'mep'];
+
+// Walls as their two faces, or with the wall material filled in as well
+const WALL_STYLES = ['double', 'hatch'];
+
+// Header values per plan units: $INSUNITS 2 = feet, 6 = meters; $MEASUREMENT 0 = imperial, 1 = metric
+const DXF_UNITS = {
+  imperial: { insUnits: 2, measurement: 0 },
+  metric: { insUnits: 6, measurement: 1 },
+};
+
+// Dimension style for every DIMENSION entity
+const DIMENSION_STYLE = 'PLAN';
+
+// How far outside a wall or the building each dimension string runs, in feet
+const DIMENSION_OFFSETS = {
+  opening: 1.5,
+  chain: 3,
+  overall: 4.5,
 };
 
 // Color codes for DXF (AutoCAD color index)
@@ -33,26 +75,33 @@ const DXF_COLORS = {
  * Generate complete DXF file content
  */
 function generateDXF(planData, floorIndex = 0, options = {}) {
-  const { scale = 1 } = options;
+  const { scale = 1, sheet = 'combined', walls = 'double' } = options;
+  const units = unitsOf(planData);
   const floor = planData.floors[floorIndex];
 
   if (!floor) {
     throw new Error(`Floor index ${floorIndex} not found`);
   }
 
+  // Text sizes, offsets and fallback sizes below are in feet; `size` draws them in the plan's units
+  const size = scale * convertLength(1, 'imperial', units, { exact: true });
+
+  // Dimensions are worked out first: each one draws through a block of its own
+  const dimensions = sheet !== 'mep' ? planDimensions(planData, floor, scale, size) : [];
+
   let dxf = '';
 
   // 1. Header Section
-  dxf += generateHeader(planData, scale);
+  dxf += generateHeader(planData, scale, size);
 
-  // 2. Tables Section (Layers, Line Types, Styles)
-  dxf += generateTables();
+  // 2. Tables Section (Layers, Line Types, Styles, Dimension Styles)
+  dxf += generateTables(units, scale, size);
 
-  // 3. Blocks Section (for door/window symbols)
-  dxf += generateBlocks();
+  // 3. Blocks Section (furniture and MEP symbols, dimension geometry)
+  dxf += generateBlocks(dimensions, formatLabels(units), scale, size);
 
   // 4. Entities Section (actual geometry)
-  dxf += generateEntities(planData, floor, scale);
+  dxf += generateEntities(planData, floor, scale, size, sheet, walls, dimensions);
 
   // 5. End of File
   dxf += '0\nEOF\n';
@@ -63,9 +112,10 @@ function generateDXF(planData, floorIndex = 0, options = {}) {
 /**
  * Generate DXF Header Section
  */
-function generateHeader(planData, scale) {
-  const buildingWidth = (planData.buildingDimensions?.width || 50) * scale;
-  const buildingDepth = (planData.buildingDimensions?.depth || 40) * scale;
+function generateHeader(planData, scale, size) {
+  const { insUnits, measurement } = DXF_UNITS[unitsOf(planData)];
+  const buildingWidth = planData.buildingDimensions?.width * scale || 50 * size;
+  const buildingDepth = planData.buildingDimensions?.depth * scale || 40 * size;
 
   return `0
 SECTION
@@ -118,7 +168,7 @@ ${buildingDepth.toFixed(4)}
 9
 $INSUNITS
 70
-1
+${insUnits}
 9
 $LUNITS
 70
@@ -130,7 +180,7 @@ $LUPREC
 9
 $MEASUREMENT
 70
-0
+${measurement}
 0
 ENDSEC
 `;
@@ -139,7 +189,7 @@ ENDSEC
 /**
  * Generate DXF Tables Section with layer definitions
  */
-function generateTables() {
+function generateTables(units = 'imperial', scale = 1, size = scale) {
   let tables = `0
 SECTION
 2
@@ -178,14 +228,21 @@ ${Object.keys(DXF_LAYERS).length}
   const layerConfigs = [
     { name: DXF_LAYERS.WALLS, color: DXF_COLORS.WHITE, lineWeight: 50 },
     { name: DXF_LAYERS.WALLS_INTERIOR, color: DXF_COLORS.WHITE, lineWeight: 25 },
+    { name: DXF_LAYERS.WALL_HATCH, color: DXF_COLORS.GRAY, lineWeight: 9 },
     { name: DXF_LAYERS.DOORS, color: DXF_COLORS.GREEN, lineWeight: 18 },
     { name: DXF_LAYERS.WINDOWS, color: DXF_COLORS.CYAN, lineWeight: 18 },
     { name: DXF_LAYERS.ROOMS, color: DXF_COLORS.GRAY, lineWeight: 13 },
+    { name: DXF_LAYERS.BUILDING, color: DXF_COLORS.GRAY, lineWeight: 13 },
     { name: DXF_LAYERS.LABELS, color: DXF_COLORS.WHITE, lineWeight: 13 },
     { name: DXF_LAYERS.DIMENSIONS, color: DXF_COLORS.RED, lineWeight: 13 },
     { name: DXF_LAYERS.FURNITURE, color: DXF_COLORS.MAGENTA, lineWeight: 13 },
     { name: DXF_LAYERS.GRID, color: DXF_COLORS.GRAY, lineWeight: 9 },
+    { name: DXF_LAYERS.COLUMNS, color: DXF_COLORS.WHITE, lineWeight: 35 },
     { name: DXF_LAYERS.TITLE, color: DXF_COLORS.WHITE, lineWeight: 35 },
+    { name: DXF_LAYERS.POWER, color: DXF_COLORS.RED, lineWeight: 18 },
+    { name: DXF_LAYERS.LIGHTING, color: DXF_COLORS.YELLOW, lineWeight: 18 },
+    { name: DXF_LAYERS.HVAC, color: DXF_COLORS.GREEN, lineWeight: 18 },
+    { name: DXF_LAYERS.PLUMBING, color: DXF_COLORS.BLUE, lineWeight: 18 },
   ];
 
   layerConfigs.forEach(layer => {
@@ -234,7 +291,11 @@ txt
 
 0
 ENDTAB
-0
+`;
+
+  tables += generateDimensionStyles(units, scale, size);
+
+  tables += `0
 ENDSEC
 `;
 
@@ -242,113 +303,435 @@ ENDSEC
 }
 
 /**
- * Generate DXF Blocks Section
+ * Dimension style table. Sizes are in feet scaled to the drawing; DIMLFAC
+ * undoes the drawing scale so dimensions read real lengths: feet-and-inches
+ * for imperial plans (architectural units count inches, hence the 12) and
+ * meters for metric ones.
  */
-function generateBlocks() {
+function generateDimensionStyles(units, scale, size) {
+  const imperial = units !== 'metric';
+  const value = (feet) => (feet * size).toFixed(4);
+
   return `0
+TABLE
+2
+DIMSTYLE
+100
+AcDbSymbolTable
+70
+1
+100
+AcDbDimStyleTable
+71
+0
+0
+DIMSTYLE
+100
+AcDbSymbolTableRecord
+100
+AcDbDimStyleTableRecord
+2
+${DIMENSION_STYLE}
+70
+0
+3
+
+4
+
+40
+1.0
+41
+${value(0.15)}
+42
+${value(0.2)}
+43
+${value(0.5)}
+44
+${value(0.2)}
+140
+${value(0.4)}
+142
+${value(0.12)}
+144
+${((imperial ? 12 : 1) / scale).toFixed(6)}
+147
+${value(0.1)}
+73
+0
+74
+0
+75
+0
+76
+0
+77
+1
+78
+${imperial ? 1 : 0}
+172
+1
+176
+0
+177
+0
+178
+0
+271
+${imperial ? 0 : 2}
+277
+${imperial ? 4 : 2}
+278
+46
+0
+ENDTAB
+`;
+}
+
+/**
+ * Furniture symbols drawn in a unit square, back edge along y = 0 and front
+ * at y = 1. Inserts scale them to each piece's footprint, so one block serves
+ * every size and both units. Entities sit on layer 0 and take the insert's layer.
+ */
+const blockRect = (x1, y1, x2, y2) => createPolyline([[x1, y1], [x2, y1], [x2, y2], [x1, y2], [x1, y1]], '0', true);
+
+const FURNITURE_BLOCKS = {
+  bed: () => blockRect(0, 0, 1, 1) + blockRect(0.08, 0.04, 0.92, 0.18) + createLine(0, 0.3, 1, 0.3, '0'),
+  wardrobe: () => blockRect(0, 0, 1, 1) + createLine(0.05, 0.5, 0.95, 0.5, '0'),
+  wc: () => blockRect(0.17, 0, 0.83, 0.3) + createArc(0.5, 0.62, 0.3, 0, 360, '0'),
+  basin: () => blockRect(0, 0, 1, 1) + createArc(0.5, 0.55, 0.3, 0, 360, '0'),
+  shower: () => blockRect(0, 0, 1, 1) + createLine(0, 0, 1, 1, '0') + createLine(1, 0, 0, 1, '0') + createArc(0.5, 0.5, 0.05, 0, 360, '0'),
+  counter: () => blockRect(0, 0, 1, 1) + createLine(0, 0.9, 1, 0.9, '0'),
+  fridge: () => blockRect(0, 0, 1, 1) + createLine(0, 0.85, 1, 0.85, '0') + createLine(0, 0, 1, 0.85, '0'),
+  table: () =>
+    blockRect(0.05, 0.3, 0.95, 0.7) +
+    blockRect(0.15, 0.05, 0.4, 0.27) +
+    blockRect(0.6, 0.05, 0.85, 0.27) +
+    blockRect(0.15, 0.73, 0.4, 0.95) +
+    blockRect(0.6, 0.73, 0.85, 0.95),
+  desk: () => blockRect(0, 0, 1, 0.55) + blockRect(0.35, 0.65, 0.65, 0.95),
+  sofa: () => blockRect(0, 0, 1, 1) + createLine(0, 0.3, 1, 0.3, '0') + createLine(0.12, 0.3, 0.12, 1, '0') + createLine(0.88, 0.3, 0.88, 1, '0'),
+  // Pieces the symbol library doesn't know are drawn as a plain box
+  item: () => blockRect(0, 0, 1, 1),
+};
+
+const GENERIC_FURNITURE = 'item';
+
+const furnitureBlockName = (type) => `FURN-${(FURNITURE_BLOCKS[type] ? type : GENERIC_FURNITURE).toUpperCase()}`;
+
+const blockCircle = (x, y, radius) => createArc(x, y, radius, 0, 360, '0');
+
+/**
+ * MEP symbols at drawing size in feet, centred on the point they mark; inserts
+ * scale them into the plan's units. Wall-mounted symbols are drawn for a
+ * north or south wall and turned for east and west ones.
+ */
+const MEP_SYMBOLS = {
+  outlet: {
+    layer: DXF_LAYERS.POWER,
+    draw: () => blockCircle(0, 0, 0.35) + createLine(-0.12, -0.6, -0.12, 0.6, '0') + createLine(0.12, -0.6, 0.12, 0.6, '0'),
+  },
+  switch: { layer: DXF_LAYERS.LIGHTING, draw: () => createMText('S', 0, 0, '0', 0.7, 'center') },
+  light: {
+    layer: DXF_LAYERS.LIGHTING,
+    draw: () => blockCircle(0, 0, 0.5) + createLine(-0.35, -0.35, 0.35, 0.35, '0') + createLine(-0.35, 0.35, 0.35, -0.35, '0'),
+  },
+  fan: {
+    layer: DXF_LAYERS.LIGHTING,
+    draw: () =>
+      blockCircle(0, 0, 0.25) +
+      createLine(0.18, 0.18, 0.9, 0.9, '0') +
+      createLine(-0.18, 0.18, -0.9, 0.9, '0') +
+      createLine(-0.18, -0.18, -0.9, -0.9, '0') +
+      createLine(0.18, -0.18, 0.9, -0.9, '0'),
+  },
+  ac: { layer: DXF_LAYERS.HVAC, draw: () => blockRect(-1.5, -0.5, 1.5, 0.5) + createMText('AC', 0, 0, '0', 0.5, 'center') },
+  sink: { layer: DXF_LAYERS.PLUMBING, draw: () => blockRect(-1, -0.75, 1, 0.75) + blockCircle(0, 0, 0.45) },
+  toilet: { layer: DXF_LAYERS.PLUMBING, draw: () => blockRect(-0.85, -1.15, 0.85, -0.6) + blockCircle(0, 0.25, 0.7) },
+  shower: {
+    layer: DXF_LAYERS.PLUMBING,
+    draw: () => blockRect(-1.5, -1.5, 1.5, 1.5) + createLine(-1.5, -1.5, 1.5, 1.5, '0') + createLine(-1.5, 1.5, 1.5, -1.5, '0') + blockCircle(0, 0, 0.1),
+  },
+  tub: { layer: DXF_LAYERS.PLUMBING, draw: () => blockRect(-2.5, -1.25, 2.5, 1.25) + blockRect(-2.2, -0.95, 2.2, 0.95) },
+  washer: { layer: DXF_LAYERS.PLUMBING, draw: () => blockRect(-1.25, -1.25, 1.25, 1.25) + createMText('W', 0, 0, '0', 0.8, 'center') },
+  dishwasher: { layer: DXF_LAYERS.PLUMBING, draw: () => blockRect(-1, -1, 1, 1) + createMText('DW', 0, 0, '0', 0.6, 'center') },
+  // Types without a symbol of their own
+  electrical: { layer: DXF_LAYERS.POWER, draw: () => blockCircle(0, 0, 0.3) },
+  plumbing: { layer: DXF_LAYERS.PLUMBING, draw: () => blockRect(-0.5, -0.5, 0.5, 0.5) },
+};
+
+// Other names the model uses for the same fixtures
+const MEP_ALIASES = {
+  receptacle: 'outlet',
+  socket: 'outlet',
+  lamp: 'light',
+  wc: 'toilet',
+  basin: 'sink',
+  bathtub: 'tub',
+  bath: 'tub',
+  'washing machine': 'washer',
+};
+
+/**
+ * Symbol key for an electrical or plumbing point; unknown types get the generic symbol of their kind
+ */
+const mepSymbolType = (type, kind) => {
+  const key = String(type || '').trim().toLowerCase();
+  const resolved = MEP_ALIASES[key] || key;
+  return MEP_SYMBOLS[resolved] ? resolved : kind;
+};
+
+const mepBlockName = (type) => `MEP-${type.toUpperCase()}`;
+
+/**
+ * Generate DXF Blocks Section
+ */
+function generateBlocks(dimensions = [], labels = formatLabels(), scale = 1, size = scale) {
+  let blocks = `0
 SECTION
 2
 BLOCKS
+`;
+
+  const definitions = [
+    ...Object.entries(FURNITURE_BLOCKS).map(([type, draw]) => [furnitureBlockName(type), draw]),
+    ...Object.entries(MEP_SYMBOLS).map(([type, { draw }]) => [mepBlockName(type), draw]),
+  ];
+
+  definitions.forEach(([name, draw]) => {
+    blocks += `0
+BLOCK
+8
+0
+2
+${name}
+70
+0
+10
+0.0
+20
+0.0
+30
+0.0
+3
+${name}
+1
+
+${draw()}0
+ENDBLK
+8
+0
+`;
+  });
+
+  // Anonymous blocks (flag 1) holding what each DIMENSION entity shows
+  dimensions.forEach((dimension, index) => {
+    const name = dimensionBlockName(index);
+    blocks += `0
+BLOCK
+8
 0
+2
+${name}
+70
+1
+10
+0.0
+20
+0.0
+30
+0.0
+3
+${name}
+1
+
+${dimensionGeometry(dimension, labels, scale, size)}0
+ENDBLK
+8
+0
+`;
+  });
+
+  return blocks + `0
 ENDSEC
 `;
 }
 
+// Areas as stored on plans: whole sqft, or sqm to two decimals
+const roundArea = (area, units) => (units === 'metric' ? Math.round(area * 100) / 100 : Math.round(area));
+
+/**
+ * Room and floor label text in the plan's units
+ */
+function formatLabels(units) {
+  if (units === 'metric') {
+    return {
+      dimensions: (width, length) => `${width} x ${length} m`,
+      area: (area) => `${area} m\\U+00B2`,
+      length: (meters) => meters.toFixed(2),
+    };
+  }
+  return {
+    dimensions: (width, length) => `${width}' x ${length}'`,
+    area: (area) => `${area} SF`,
+    length: (feet) => {
+      const inches = Math.round(feet * 12);
+      return `${Math.floor(inches / 12)}'-${inches % 12}"`;
+    },
+  };
+}
+
 /**
  * Generate DXF Entities Section
  */
-function generateEntities(planData, floor, scale) {
+function generateEntities(planData, floor, scale, size, sheet = 'combined', walls = 'double', dimensions = []) {
+  const units = unitsOf(planData);
+  const labels = formatLabels(units);
+  // The MEP sheet keeps walls, openings and room names as a background for the points
+  const architectural = sheet !== 'mep';
+  const mep = sheet !== 'architectural';
+
   let entities = `0
 SECTION
 2
 ENTITIES
 `;
 
-  // Building outline
+  // Building footprint, with courtyards cut out of it
   if (planData.buildingDimensions) {
-    const bw = planData.buildingDimensions.width * scale;
-    const bd = planData.buildingDimensions.depth * scale;
-    entities += createPolyline([
-      [0, 0], [bw, 0], [bw, bd], [0, bd], [0, 0]
-    ], DXF_LAYERS.WALLS, true);
+    const building = planData.buildingDimensions;
+    const bw = building.width * scale;
+    const bd = building.depth * scale;
+    const outline = hasOutline(building)
+      ? scalePoints(building.outline, scale)
+      : [[0, 0], [bw, 0], [bw, bd], [0, bd], [0, 0]];
+    entities += createPolyline(outline, DXF_LAYERS.BUILDING, true);
+
+    (building.courtyards || []).forEach(courtyard => {
+      entities += createPolyline(scalePoints(courtyard, scale), DXF_LAYERS.BUILDING, true);
+    });
   }
 
+  // Thick walls, joined and cut at doors and windows
+  entities += createWalls(planData, floor, size, walls);
+
+  // Structural grid and the floor's columns
+  entities += createGrid(planData, floor, scale, size);
+  (floor.columns || []).forEach(column => {
+    entities += createColumn(column, units, scale);
+  });
+
   // Process each room
   floor.rooms.forEach(room => {
     const x = (room.position?.x || 0) * scale;
     const y = (room.position?.y || 0) * scale;
-    const w = (room.dimensions?.width || Math.sqrt(room.areaSqft)) * scale;
-    const h = (room.dimensions?.length || Math.sqrt(room.areaSqft)) * scale;
+    const shaped = hasOutline(room);
+    // Outlined rooms are labelled with the area they enclose
+    const area = shaped ? roundArea(polygonArea(room.outline), units) : getRoomArea(room, units);
+    const w = (room.dimensions?.width || Math.sqrt(area)) * scale;
+    const h = (room.dimensions?.length || Math.sqrt(area)) * scale;
 
-    // Room outline with wall thickness
-    entities += createPolyline([
+    // Room boundary on the wall centre lines (the walls themselves are drawn above)
+    entities += createPolyline(shaped ? scalePoints(room.outline, scale) : [
       [x, y], [x + w, y], [x + w, y + h], [x, y + h], [x, y]
-    ], DXF_LAYERS.WALLS_INTERIOR, true);
+    ], DXF_LAYERS.ROOMS, true);
+
+    // Labels sit at the middle of the rectangle, or inside the outline for shaped rooms
+    const anchor = shaped ? labelPoint(room.outline) : null;
+    const cx = anchor ? anchor.x * scale : x + w / 2;
+    const cy = anchor ? anchor.y * scale : y + h / 2;
 
     // Room name label (centered)
     entities += createMText(
       room.name.toUpperCase(),
-      x + w / 2,
-      y + h / 2 + 1,
+      cx,
+      cy + 1 * size,
       DXF_LAYERS.LABELS,
-      0.8 * scale,
+      0.8 * size,
       'center'
     );
 
-    // Room dimensions label
-    const dimW = room.dimensions?.width || Math.round(w / scale);
-    const dimH = room.dimensions?.length || Math.round(h / scale);
-    entities += createMText(
-      `${dimW}' x ${dimH}'`,
-      x + w / 2,
-      y + h / 2 - 0.5,
-      DXF_LAYERS.LABELS,
-      0.5 * scale,
-      'center'
-    );
+    // Room dimensions label; an outlined room has no single width and length
+    if (architectural && !shaped) {
+      const dimW = room.dimensions?.width || Math.round(w / scale);
+      const dimH = room.dimensions?.length || Math.round(h / scale);
+      entities += createMText(
+        labels.dimensions(dimW, dimH),
+        cx,
+        cy - 0.5 * size,
+        DXF_LAYERS.LABELS,
+        0.5 * size,
+        'center'
+      );
+    }
 
     // Room area label
-    entities += createMText(
-      `${room.areaSqft} SF`,
-      x + w / 2,
-      y + h / 2 - 1.5,
-      DXF_LAYERS.LABELS,
-      0.4 * scale,
-      'center'
-    );
+    if (architectural) {
+      entities += createMText(
+        labels.area(area),
+        cx,
+        cy - 1.5 * size,
+        DXF_LAYERS.LABELS,
+        0.4 * size,
+        'center'
+      );
+    }
 
     // Draw doors
     if (room.doors && room.doors.length > 0) {
       room.doors.forEach(door => {
-        entities += createDoor(x, y, w, h, door, scale);
+        // Mirrored doors share their owner's opening; draw the swing once
+        if (door.reciprocalOf) return;
+        entities += createDoor(x, y, w, h, door, scale, size);
       });
     }
 
     // Draw windows
     if (room.windows && room.windows.length > 0) {
       room.windows.forEach(window => {
-        entities += createWindow(x, y, w, h, window, scale);
+        entities += createWindow(x, y, w, h, window, scale, size);
+      });
+    }
+
+    // Draw furniture
+    if (architectural) {
+      (room.furniture || []).forEach(piece => {
+        entities += createFurniture(piece, scale);
+      });
+    }
+
+    // Draw electrical and plumbing points
+    if (mep) {
+      (room.electricalPoints || []).forEach(point => {
+        entities += createMepSymbol(point, 'electrical', scale, size);
+      });
+      (room.plumbingPoints || []).forEach(point => {
+        entities += createMepSymbol(point, 'plumbing', scale, size);
       });
     }
   });
 
-  // Title block
-  const bw = (planData.buildingDimensions?.width || 50) * scale;
+  // Dimension strings around the building and across openings
+  dimensions.forEach((dimension, index) => {
+    entities += createDimension(dimension, dimensionBlockName(index));
+  });
+
+  // Title block, clear of the dimension strings
+  const bw = planData.buildingDimensions?.width * scale || 50 * size;
   entities += createMText(
-    `${(planData.buildingType || 'FLOOR PLAN').toUpperCase()}`,
-    bw - 2,
-    -3,
+    `${(planData.buildingType || 'FLOOR PLAN').toUpperCase()}${sheet === 'mep' ? ' - MEP' : ''}`,
+    bw - 2 * size,
+    -8 * size,
     DXF_LAYERS.TITLE,
-    1.2 * scale,
+    1.2 * size,
     'right'
   );
 
   entities += createMText(
-    `${floor.level} - ${floor.totalArea || 0} SF`,
-    bw - 2,
-    -5,
+    `${floor.level} - ${labels.area(floor.totalArea || 0)}`,
+    bw - 2 * size,
+    -10 * size,
     DXF_LAYERS.LABELS,
-    0.6 * scale,
+    0.6 * size,
     'right'
   );
 
@@ -359,6 +742,243 @@ ENDSEC
   return entities;
 }
 
+// Grid letters skip I and O, which read as 1 and 0
+const GRID_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+const gridLetter = (index) =>
+  index < GRID_LETTERS.length
+    ? GRID_LETTERS[index]
+    : gridLetter(Math.floor(index / GRID_LETTERS.length) - 1) + GRID_LETTERS[index % GRID_LETTERS.length];
+
+/**
+ * Grid line positions along one axis: through the floor's columns when it
+ * has any, otherwise every `spacing` across the building
+ */
+function gridPositions(extent, spacing, columnCoords, tolerance) {
+  if (columnCoords.length > 0) {
+    return [...columnCoords]
+      .sort((a, b) => a - b)
+      .reduce((lines, value) => {
+        if (lines.length === 0 || value - lines[lines.length - 1] > tolerance) lines.push(value);
+        return lines;
+      }, []);
+  }
+
+  if (!spacing || !extent) return [];
+  return Array.from({ length: Math.floor(extent / spacing + 1e-6) + 1 }, (_, i) => i * spacing);
+}
+
+/**
+ * Create structural grid: numbered lines running north-south, lettered lines
+ * running east-west, each past the building with a bubble at its end
+ */
+function createGrid(planData, floor, scale, size) {
+  const width = planData.buildingDimensions?.width || 0;
+  const depth = planData.buildingDimensions?.depth || 0;
+  const spacing = planData.structuralGrid || {};
+  const columns = floor.columns || [];
+  // Columns this close (0.5 ft) share a grid line
+  const tolerance = (0.5 * size) / scale;
+
+  const xs = gridPositions(width, spacing.xSpacing, columns.map(column => column.position.x), tolerance);
+  const ys = gridPositions(depth, spacing.ySpacing, columns.map(column => column.position.y), tolerance);
+  if (xs.length === 0 && ys.length === 0) return '';
+
+  // Lines run past the dimension strings so the bubbles sit outside them
+  const overshoot = (DIMENSION_OFFSETS.overall + 1.5) * size;
+  const radius = 1 * size;
+  const left = Math.min(0, ...xs) * scale - overshoot;
+  const right = Math.max(width, ...xs) * scale + overshoot;
+  const top = Math.min(0, ...ys) * scale - overshoot;
+  const bottom = Math.max(depth, ...ys) * scale + overshoot;
+  let content = '';
+
+  xs.forEach((value, index) => {
+    const x = value * scale;
+    content += createLine(x, top, x, bottom, DXF_LAYERS.GRID);
+    content += createCircle(x, bottom + radius, radius, DXF_LAYERS.GRID);
+    content += createMText(String(index + 1), x, bottom + radius, DXF_LAYERS.GRID, radius, 'center');
+  });
+
+  ys.forEach((value, index) => {
+    const y = value * scale;
+    content += createLine(left, y, right, y, DXF_LAYERS.GRID);
+    content += createCircle(left - radius, y, radius, DXF_LAYERS.GRID);
+    content += createMText(gridLetter(index), left - radius, y, DXF_LAYERS.GRID, radius, 'center');
+  });
+
+  return content;
+}
+
+/**
+ * Points where rooms meet each side of the building, for the chained
+ * dimensions: { north: [{ at, line }], ... } with `at` along the side and
+ * `line` the wall the point sits on, sorted and merged within `tolerance`
+ */
+function exteriorChainPoints(planData, floor, tolerance) {
+  const outside = polygonWalls(buildingPolygon(planData.buildingDimensions));
+  const sides = { north: [], south: [], east: [], west: [] };
+
+  floor.rooms
+    .filter(room => room.position && room.dimensions)
+    .forEach(room => {
+      polygonWalls(roomPolygon(room)).forEach(wall => {
+        outside
+          .filter(edge => edge.wall === wall.wall && Math.abs(edge.line - wall.line) <= tolerance)
+          .forEach(edge => {
+            const start = Math.max(edge.start, wall.start);
+            const end = Math.min(edge.end, wall.end);
+            if (end - start <= tolerance) return;
+            sides[wall.wall].push({ at: start, line: wall.line }, { at: end, line: wall.line });
+          });
+      });
+    });
+
+  Object.keys(sides).forEach(side => {
+    sides[side] = sides[side]
+      .sort((a, b) => a.at - b.at)
+      .filter((point, index, points) => index === 0 || point.at - points[index - 1].at > tolerance);
+  });
+
+  return sides;
+}
+
+/**
+ * Dimension strings: overall building dimensions on all four sides, rooms
+ * chained along the exterior walls inside them, and the width of every door
+ * and window just outside its wall. Each is { x1, y1, x2, y2, at, horizontal }
+ * in drawing coordinates (see createDimension)
+ */
+function planDimensions(planData, floor, scale, size) {
+  if (!planData.buildingDimensions) return [];
+
+  const footprint = buildingPolygon(planData.buildingDimensions);
+  const box = polygonBounds(footprint);
+  // Rooms this close (0.5 ft) to the building edge are on it
+  const tolerance = (0.5 * size) / scale;
+  const offset = (kind) => DIMENSION_OFFSETS[kind] * size;
+  const s = (value) => value * scale;
+
+  // Dimension line position for each side, `distance` outside the building
+  const outside = {
+    north: (distance) => s(box.top) - distance,
+    south: (distance) => s(box.bottom) + distance,
+    west: (distance) => s(box.left) - distance,
+    east: (distance) => s(box.right) + distance,
+  };
+  const horizontal = (side) => side === 'north' || side === 'south';
+
+  const dimensions = [];
+  const add = (x1, y1, x2, y2, at, alongX) => dimensions.push({ x1, y1, x2, y2, at, horizontal: alongX });
+
+  // Overall: between the outermost corners on each side
+  const cornerAt = (side, along) => {
+    const key = horizontal(side) ? 'x' : 'y';
+    const across = footprint
+      .filter(point => Math.abs(point[key] - along) <= tolerance)
+      .map(point => (horizontal(side) ? point.y : point.x));
+    const edge = side === 'north' || side === 'west' ? Math.min(...across) : Math.max(...across);
+    return horizontal(side) ? { x: along, y: edge } : { x: edge, y: along };
+  };
+  Object.keys(outside).forEach(side => {
+    const [from, to] = horizontal(side) ? [box.left, box.right] : [box.top, box.bottom];
+    const a = cornerAt(side, from);
+    const b = cornerAt(side, to);
+
+    add(s(a.x), s(a.y), s(b.x), s(b.y), outside[side](offset('overall')), horizontal(side));
+  });
+
+  // Chained: every room edge along each side
+  const chains = exteriorChainPoints(planData, floor, tolerance);
+  Object.entries(chains).forEach(([side, points]) => {
+    if (points.length < 3) return;
+
+    for (let i = 0; i + 1 < points.length; i++) {
+      const [a, b] = [points[i], points[i + 1]];
+      if (horizontal(side)) add(s(a.at), s(a.line), s(b.at), s(b.line), outside[side](offset('chain')), true);
+      else add(s(a.line), s(a.at), s(b.line), s(b.at), outside[side](offset('chain')), false);
+    }
+  });
+
+  // Openings: each door and window's width, outside the wall of the room that owns it
+  floor.rooms
+    .filter(room => room.position && room.dimensions)
+    .forEach(room => {
+      const x = s(room.position.x);
+      const y = s(room.position.y);
+      const w = s(room.dimensions.width);
+      const h = s(room.dimensions.length);
+      const openings = [...(room.doors || []).filter(door => !door.reciprocalOf), ...(room.windows || [])];
+
+      openings.forEach(opening => {
+        if (!opening.width) return;
+        const start = s(opening.position || 0);
+        const end = start + s(opening.width);
+        const away = offset('opening');
+
+        switch (opening.wall) {
+          case 'north':
+            add(x + start, y, x + end, y, y - away, true);
+            break;
+          case 'south':
+            add(x + start, y + h, x + end, y + h, y + h + away, true);
+            break;
+          case 'west':
+            add(x, y + start, x, y + end, x - away, false);
+            break;
+          case 'east':
+            add(x + w, y + start, x + w, y + end, x + w + away, false);
+            break;
+        }
+      });
+    });
+
+  return dimensions;
+}
+
+/**
+ * Create walls from the wall model: each face as a polyline on the exterior
+ * or interior wall layer, diagonal walls as single lines, and for the hatch
+ * style a solid fill of the wall material. The model works in feet; `size`
+ * draws a foot.
+ */
+function createWalls(planData, floor, size, style) {
+  const feet = toImperial(planData);
+  const { faces, outlines, lines } = buildWalls(feet, feet.floors[planData.floors.indexOf(floor)]);
+  const layer = (kind) => (kind === 'exterior' ? DXF_LAYERS.WALLS : DXF_LAYERS.WALLS_INTERIOR);
+  const draw = (points) => points.map(point => [point.x * size, point.y * size]);
+  let content = '';
+
+  if (style === 'hatch' && outlines.length > 0) {
+    content += createHatch(outlines.map(draw), DXF_LAYERS.WALL_HATCH);
+  }
+
+  faces.forEach(face => {
+    content += createPolyline(draw(face.points), layer(face.kind), face.closed);
+  });
+
+  lines.forEach(({ kind, from, to }) => {
+    content += createLine(from.x * size, from.y * size, to.x * size, to.y * size, layer(kind));
+  });
+
+  return content;
+}
+
+/**
+ * Create column: a square of its size, crossed, centred on its position
+ */
+function createColumn(column, units, scale) {
+  const half = (columnWidth(column, units) * scale) / 2;
+  const x = column.position.x * scale;
+  const y = column.position.y * scale;
+
+  return (
+    createPolyline([[x - half, y - half], [x + half, y - half], [x + half, y + half], [x - half, y + half], [x - half, y - half]], DXF_LAYERS.COLUMNS, true) +
+    createLine(x - half, y - half, x + half, y + half, DXF_LAYERS.COLUMNS) +
+    createLine(x - half, y + half, x + half, y - half, DXF_LAYERS.COLUMNS)
+  );
+}
+
 /**
  * Create closed polyline (LWPOLYLINE)
  */
@@ -384,6 +1004,14 @@ ${y.toFixed(4)}
   return content;
 }
 
+/**
+ * Outline points as a closed polyline point list
+ */
+function scalePoints(points, scale) {
+  const scaled = points.map(point => [point.x * scale, point.y * scale]);
+  return [...scaled, scaled[0]];
+}
+
 /**
  * Create line entity
  */
@@ -424,6 +1052,195 @@ ${endAngle.toFixed(4)}
 `;
 }
 
+const dimensionBlockName = (index) => `*D${index + 1}`;
+
+/**
+ * Create linear DIMENSION entity between two extension line origins,
+ * measured along X (horizontal) or Y, with the dimension line at `at`: a y
+ * for horizontal dimensions, an x for vertical ones. `block` holds the lines
+ * and text it shows (see dimensionGeometry).
+ */
+function createDimension({ x1, y1, x2, y2, at, horizontal }, block) {
+  const [dx, dy] = horizontal ? [x2, at] : [at, y2];
+  const [tx, ty] = horizontal ? [(x1 + x2) / 2, at] : [at, (y1 + y2) / 2];
+  const measurement = horizontal ? Math.abs(x2 - x1) : Math.abs(y2 - y1);
+
+  return `0
+DIMENSION
+100
+AcDbEntity
+8
+${DXF_LAYERS.DIMENSIONS}
+100
+AcDbDimension
+2
+${block}
+10
+${dx.toFixed(4)}
+20
+${dy.toFixed(4)}
+30
+0.0
+11
+${tx.toFixed(4)}
+21
+${ty.toFixed(4)}
+31
+0.0
+70
+32
+42
+${measurement.toFixed(4)}
+3
+${DIMENSION_STYLE}
+100
+AcDbAlignedDimension
+13
+${x1.toFixed(4)}
+23
+${y1.toFixed(4)}
+33
+0.0
+14
+${x2.toFixed(4)}
+24
+${y2.toFixed(4)}
+34
+0.0
+50
+${horizontal ? '0.0' : '90.0'}
+100
+AcDbRotatedDimension
+`;
+}
+
+/**
+ * What a dimension shows, drawn in its block to the PLAN style: the dimension
+ * line with oblique ticks, extension lines from just off the measured points
+ * to just past the line, and the real length above the line
+ */
+function dimensionGeometry({ x1, y1, x2, y2, at, horizontal }, labels, scale, size) {
+  const gap = 0.2 * size; // DIMEXO
+  const past = 0.2 * size; // DIMEXE
+  const tick = 0.06 * size; // half of DIMTSZ
+  const textHeight = 0.4 * size; // DIMTXT
+  const textGap = 0.1 * size; // DIMGAP
+  // Lay out along x/y: `u` runs along the dimension, `v` across it
+  const point = (u, v) => (horizontal ? [u, v] : [v, u]);
+  const [u1, v1, u2, v2] = horizontal ? [x1, y1, x2, y2] : [y1, x1, y2, x2];
+  let content = '';
+
+  [[u1, v1], [u2, v2]].forEach(([u, v]) => {
+    const away = Math.sign(at - v) || 1;
+    content += createLine(...point(u, v + away * gap), ...point(u, at + away * past), '0');
+    content += createLine(...point(u - tick, at - tick), ...point(u + tick, at + tick), '0');
+  });
+  content += createLine(...point(u1, at), ...point(u2, at), '0');
+
+  // Bottom-centre attachment above the line; vertical text reads from the right
+  const [tx, ty] = horizontal ? [(u1 + u2) / 2, at + textGap] : [at - textGap, (u1 + u2) / 2];
+  content += `0
+MTEXT
+8
+0
+10
+${tx.toFixed(4)}
+20
+${ty.toFixed(4)}
+40
+${textHeight.toFixed(4)}
+71
+8
+50
+${horizontal ? '0.0' : (Math.PI / 2).toFixed(6)}
+1
+${labels.length(Math.abs(u2 - u1) / scale)}
+`;
+
+  return content;
+}
+
+/**
+ * Create solid HATCH entity filling closed polyline loops; loops inside
+ * other loops are left empty (odd parity)
+ */
+function createHatch(loops, layer) {
+  let content = `0
+HATCH
+8
+${layer}
+10
+0.0
+20
+0.0
+30
+0.0
+210
+0.0
+220
+0.0
+230
+1.0
+2
+SOLID
+70
+1
+71
+0
+91
+${loops.length}
+`;
+
+  loops.forEach(points => {
+    content += `92
+2
+72
+0
+73
+1
+93
+${points.length}
+`;
+    points.forEach(([x, y]) => {
+      content += `10
+${x.toFixed(4)}
+20
+${y.toFixed(4)}
+`;
+    });
+    content += `97
+0
+`;
+  });
+
+  content += `75
+0
+76
+1
+98
+0
+`;
+
+  return content;
+}
+
+/**
+ * Create circle entity
+ */
+function createCircle(cx, cy, radius, layer) {
+  return `0
+CIRCLE
+8
+${layer}
+10
+${cx.toFixed(4)}
+20
+${cy.toFixed(4)}
+40
+${radius.toFixed(4)}
+`;
+}
+
 /**
  * Create MTEXT entity (multiline text with alignment)
  */
@@ -451,10 +1268,11 @@ ${text}
 }
 
 /**
- * Create door representation with swing arc
+ * Create door representation: leaf and swing arc. The opening itself is
+ * cut out of the wall by the wall model, so no line is drawn across it.
  */
-function createDoor(roomX, roomY, roomW, roomH, door, scale) {
-  const doorWidth = (door.width || 3) * scale;
+function createDoor(roomX, roomY, roomW, roomH, door, scale, size = scale) {
+  const doorWidth = door.width * scale || 3 * size;
   const doorPos = (door.position || 0) * scale;
   let content = '';
 
@@ -462,8 +1280,6 @@ function createDoor(roomX, roomY, roomW, roomH, door, scale) {
     case 'north': {
       const dx = roomX + doorPos;
       const dy = roomY;
-      // Door opening (gap in wall)
-      content += createLine(dx, dy, dx + doorWidth, dy, DXF_LAYERS.DOORS);
       // Door swing arc (90 degrees inward)
       content += createArc(dx, dy, doorWidth, 0, 90, DXF_LAYERS.DOORS);
       // Door panel
@@ -473,7 +1289,6 @@ function createDoor(roomX, roomY, roomW, roomH, door, scale) {
     case 'south': {
       const dx = roomX + doorPos;
       const dy = roomY + roomH;
-      content += createLine(dx, dy, dx + doorWidth, dy, DXF_LAYERS.DOORS);
       content += createArc(dx, dy, doorWidth, 270, 360, DXF_LAYERS.DOORS);
       content += createLine(dx, dy, dx, dy - doorWidth, DXF_LAYERS.DOORS);
       break;
@@ -481,7 +1296,6 @@ function createDoor(roomX, roomY, roomW, roomH, door, scale) {
     case 'west': {
       const dx = roomX;
       const dy = roomY + doorPos;
-      content += createLine(dx, dy, dx, dy + doorWidth, DXF_LAYERS.DOORS);
       content += createArc(dx, dy, doorWidth, 0, 90, DXF_LAYERS.DOORS);
       content += createLine(dx, dy, dx + doorWidth, dy, DXF_LAYERS.DOORS);
       break;
@@ -489,7 +1303,6 @@ function createDoor(roomX, roomY, roomW, roomH, door, scale) {
     case 'east': {
       const dx = roomX + roomW;
       const dy = roomY + doorPos;
-      content += createLine(dx, dy, dx, dy + doorWidth, DXF_LAYERS.DOORS);
       content += createArc(dx, dy, doorWidth, 90, 180, DXF_LAYERS.DOORS);
       content += createLine(dx, dy, dx - doorWidth, dy, DXF_LAYERS.DOORS);
       break;
@@ -499,13 +1312,80 @@ function createDoor(roomX, roomY, roomW, roomH, door, scale) {
   return content;
 }
 
+/**
+ * Create furniture block insert: the unit symbol turned so its front faces
+ * `facing` and stretched over the piece's footprint
+ */
+function createFurniture(piece, scale) {
+  const x = piece.position.x * scale;
+  const y = piece.position.y * scale;
+  const w = piece.dimensions.width * scale;
+  const h = piece.dimensions.length * scale;
+
+  // Insertion point, rotation and the block's [along back, depth] scale for each facing
+  const placements = {
+    south: { px: x, py: y, rotation: 0, sx: w, sy: h },
+    north: { px: x + w, py: y + h, rotation: 180, sx: w, sy: h },
+    east: { px: x, py: y + h, rotation: 270, sx: h, sy: w },
+    west: { px: x + w, py: y, rotation: 90, sx: h, sy: w },
+  };
+  const { px, py, rotation, sx, sy } = placements[piece.facing] || placements.south;
+
+  return createInsert(furnitureBlockName(piece.type), px, py, DXF_LAYERS.FURNITURE, sx, sy, rotation);
+}
+
+/**
+ * Create MEP symbol insert at an electrical or plumbing point, turned along east and west walls
+ */
+function createMepSymbol(point, kind, scale, size) {
+  const type = mepSymbolType(point.type, kind);
+  const rotation = point.wall === 'east' || point.wall === 'west' ? 90 : 0;
+
+  return createInsert(
+    mepBlockName(type),
+    point.position.x * scale,
+    point.position.y * scale,
+    MEP_SYMBOLS[type].layer,
+    size,
+    size,
+    rotation
+  );
+}
+
+/**
+ * Create block insert (INSERT)
+ */
+function createInsert(block, x, y, layer, scaleX = 1, scaleY = 1, rotation = 0) {
+  return `0
+INSERT
+8
+${layer}
+2
+${block}
+10
+${x.toFixed(4)}
+20
+${y.toFixed(4)}
+30
+0.0
+41
+${scaleX.toFixed(4)}
+42
+${scaleY.toFixed(4)}
+43
+1.0
+50
+${rotation.toFixed(4)}
+`;
+}
+
 /**
  * Create window representation (double line)
  */
-function createWindow(roomX, roomY, roomW, roomH, window, scale) {
-  const winWidth = (window.width || 4) * scale;
+function createWindow(roomX, roomY, roomW, roomH, window, scale, size = scale) {
+  const winWidth = window.width * scale || 4 * size;
   const winPos = (window.position || 0) * scale;
-  const offset = 0.15 * scale; // Gap between double lines
+  const offset = 0.15 * size; // Gap between double lines
   let content = '';
 
   switch (window.wall) {
@@ -561,4 +1441,7 @@ module.exports = {
   generateDXF,
   DXF_LAYERS,
   DXF_COLORS,
+  DXF_SHEETS,
+  DXF_UNITS,
+  WALL_STYLES,
 };
@@ -0,0 +1,646 @@
+/**
+ * DXF Importer
+ * Rebuilds a single-floor plan from a parsed drawing: closed polylines become
+ * rooms, text inside them names the rooms, door swings (arcs) and door lines
+ * become doors, and glazing lines become windows. Layer names follow the
+ * generator (A-WALL, A-DOOR, A-GLAZ, A-ANNO-TEXT); drawings without them fall
+ * back to geometry alone. Detection works in feet. Coordinates keep the
+ * drawing's orientation, so an imported plan exports back over the original.
+ * Rooms and buildings that are not rectangles keep their outline.
+ */
+
+const { DXF_LAYERS } = require('./dxf.generator');
+const { UNIT_SYSTEMS, convertLength } = require('../planner/planner.units');
+const { WALL_TOLERANCE, resolveDoorTarget } = require('../planner/planner.graph');
+const { containsPoint: insideOutline, measureOutside, polygonArea, thickness } = require('../planner/planner.geometry');
+const { AppError } = require('../../middlewares/error.middleware');
+
+const FEET_PER_METER = convertLength(1, 'metric', 'imperial', { exact: true });
+
+// Drawing units by $INSUNITS code, with the plan units they map to
+const DRAWING_UNITS = {
+  in: { insUnits: 1, feet: 1 / 12, units: 'imperial' },
+  ft: { insUnits: 2, feet: 1, units: 'imperial' },
+  mm: { insUnits: 4, feet: FEET_PER_METER / 1000, units: 'metric' },
+  cm: { insUnits: 5, feet: FEET_PER_METER / 100, units: 'metric' },
+  m: { insUnits: 6, feet: FEET_PER_METER, units: 'metric' },
+};
+
+const ROOM_LAYERS = [DXF_LAYERS.WALLS, DXF_LAYERS.WALLS_INTERIOR, DXF_LAYERS.ROOMS, DXF_LAYERS.BUILDING];
+// Area boundaries; when a drawing has them, the wall layers only carry wall faces
+const AREA_LAYERS = [DXF_LAYERS.ROOMS, DXF_LAYERS.BUILDING];
+// Layers the building outline and courtyards are drawn on
+const OUTLINE_LAYERS = [DXF_LAYERS.WALLS, DXF_LAYERS.BUILDING];
+const NON_ROOM_LAYERS = [
+  DXF_LAYERS.WALL_HATCH,
+  DXF_LAYERS.DOORS,
+  DXF_LAYERS.WINDOWS,
+  DXF_LAYERS.LABELS,
+  DXF_LAYERS.DIMENSIONS,
+  DXF_LAYERS.FURNITURE,
+  DXF_LAYERS.GRID,
+  DXF_LAYERS.COLUMNS,
+  DXF_LAYERS.TITLE,
+];
+
+const MIN_ROOM_SIDE = 2; // ft - smaller closed shapes are symbols, columns or hatching
+const DOOR_WIDTH_RANGE = { min: 1.5, max: 8 }; // ft
+const MIN_WINDOW_WIDTH = 1; // ft
+const MAX_WALL_THICKNESS = 1.5; // ft - gap between the building outline and the rooms still read as an exterior wall
+const AXIS_TOLERANCE = 0.02; // sine of the largest angle still read as horizontal/vertical
+
+// Generated labels that sit inside rooms next to the name
+const DIMENSION_LABEL = /^\d[\d.,]*\s*('|"|ft|m)?\s*[x×]\s*\d[\d.,]*\s*('|"|ft|m)?$/i;
+const AREA_LABEL = /^\d[\d.,]*\s*(sf|sq\.?\s*ft|sqft|ft²|m²|m2|sqm|sq\.?\s*m)$/i;
+const NUMBER_LABEL = /^[\d.,\s]+$/;
+// Floor label written under the title: "Ground - 1,234 SF"
+const FLOOR_LABEL = /^(.+?)\s+-\s+\d[\d.,]*\s*(sf|sqft|m²|sqm)$/i;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const onLayers = (entity, layers) => layers.includes(entity.layer.toUpperCase());
+
+// Generated labels are upper case; "MASTER BEDROOM" reads back as "Master Bedroom"
+const titleCase = (text) => {
+  if (text !== text.toUpperCase() || !/[A-Z]/.test(text)) return text;
+  return text.toLowerCase().replace(/(^|[\s/-])([a-z])/g, (match, gap, letter) => gap + letter.toUpperCase());
+};
+
+/**
+ * Drawing units from the request, else $INSUNITS, else feet
+ */
+function resolveDrawingUnits(header, requested, warnings) {
+  if (requested) return requested;
+
+  const insUnits = header.$INSUNITS;
+  const match = Object.keys(DRAWING_UNITS).find((key) => DRAWING_UNITS[key].insUnits === insUnits);
+  if (match) return match;
+
+  if (insUnits) {
+    throw new AppError(`Unsupported drawing units ($INSUNITS ${insUnits}). Pass drawingUnits as one of: ${Object.keys(DRAWING_UNITS).join(', ')}`, 422);
+  }
+
+  warnings.push('Drawing has no $INSUNITS; assuming feet');
+  return 'ft';
+}
+
+// Geometry (feet, y grows toward the south as in plan coordinates)
+
+const boxOf = (points) => ({
+  left: Math.min(...points.map((point) => point.x)),
+  right: Math.max(...points.map((point) => point.x)),
+  top: Math.min(...points.map((point) => point.y)),
+  bottom: Math.max(...points.map((point) => point.y)),
+});
+
+const boxArea = (box) => (box.right - box.left) * (box.bottom - box.top);
+
+const sameBox = (a, b) =>
+  ['left', 'right', 'top', 'bottom'].every((side) => Math.abs(a[side] - b[side]) <= WALL_TOLERANCE);
+
+const encloses = (outer, inner) =>
+  outer !== inner &&
+  !sameBox(outer, inner) &&
+  outer.left <= inner.left + WALL_TOLERANCE &&
+  outer.right >= inner.right - WALL_TOLERANCE &&
+  outer.top <= inner.top + WALL_TOLERANCE &&
+  outer.bottom >= inner.bottom - WALL_TOLERANCE;
+
+const containsPoint = (box, point) =>
+  point.x > box.left && point.x < box.right && point.y > box.top && point.y < box.bottom;
+
+/**
+ * Shape `outer` holds `inner`: their boxes nest and, for outlines, no more
+ * than a wall's thickness of `inner` lies outside
+ */
+const enclosesShape = (outer, inner) =>
+  encloses(outer.box, inner.box) && (!outer.outline || thickness(measureOutside(inner.points, outer.points)) <= WALL_TOLERANCE);
+
+const insideRoom = (room, point) => containsPoint(room.box, point) && (!room.outline || insideOutline(room.outline, point));
+
+/**
+ * Nearest of `lines` to `value` when within the wall thickness, else `value`
+ */
+const snapToLines = (value, lines) => {
+  const nearest = lines.reduce((best, line) => (Math.abs(line - value) < Math.abs(best - value) ? line : best), Infinity);
+  return Math.abs(nearest - value) <= MAX_WALL_THICKNESS ? nearest : value;
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Unit vector for an angle, snapped to an axis; null for diagonals
+ */
+const axisDirection = (degrees) => {
+  const radians = (degrees * Math.PI) / 180;
+  const x = Math.cos(radians);
+  const y = Math.sin(radians);
+  if (Math.abs(y) <= AXIS_TOLERANCE) return { x: Math.sign(x), y: 0 };
+  if (Math.abs(x) <= AXIS_TOLERANCE) return { x: 0, y: Math.sign(y) };
+  return null;
+};
+
+/**
+ * Axis-aligned segment as { horizontal, line, start, end }; null for diagonals
+ */
+const axisSegment = (a, b) => {
+  const length = distance(a, b);
+  if (length === 0) return null;
+  if (Math.abs(a.y - b.y) / length <= AXIS_TOLERANCE) {
+    return { horizontal: true, line: (a.y + b.y) / 2, start: Math.min(a.x, b.x), end: Math.max(a.x, b.x) };
+  }
+  if (Math.abs(a.x - b.x) / length <= AXIS_TOLERANCE) {
+    return { horizontal: false, line: (a.x + b.x) / 2, start: Math.min(a.y, b.y), end: Math.max(a.y, b.y) };
+  }
+  return null;
+};
+
+/**
+ * The four walls of a room box as segments
+ */
+const roomWalls = (box) => [
+  { wall: 'north', horizontal: true, line: box.top, start: box.left, end: box.right },
+  { wall: 'south', horizontal: true, line: box.bottom, start: box.left, end: box.right },
+  { wall: 'west', horizontal: false, line: box.left, start: box.top, end: box.bottom },
+  { wall: 'east', horizontal: false, line: box.right, start: box.top, end: box.bottom },
+];
+
+/**
+ * Rooms with a wall under `segment`; `minOverlap` is the share of the segment that must lie on the wall
+ */
+const wallsUnder = (rooms, segment, minOverlap = 1) =>
+  rooms.flatMap((room) =>
+    roomWalls(room.box)
+      .filter((wall) => {
+        if (wall.horizontal !== segment.horizontal || Math.abs(wall.line - segment.line) > WALL_TOLERANCE) return false;
+        const overlap = Math.min(wall.end, segment.end) - Math.max(wall.start, segment.start);
+        return overlap >= (segment.end - segment.start) * minOverlap - WALL_TOLERANCE;
+      })
+      .map((wall) => ({ room, ...wall }))
+  );
+
+class DXFImporter {
+  /**
+   * @param {Object} drawing - parseDXF() output
+   * @param {Object} options - { units, drawingUnits, scale, level, buildingType }
+   */
+  constructor(drawing, options = {}) {
+    this.drawing = drawing;
+    this.options = options;
+    this.warnings = [];
+  }
+
+  run() {
+    const { header, entities, skipped } = this.drawing;
+    const { scale = 1, level, buildingType } = this.options;
+
+    this.drawingUnits = resolveDrawingUnits(header, this.options.drawingUnits, this.warnings);
+    this.units = this.options.units || DRAWING_UNITS[this.drawingUnits].units;
+
+    // Everything below works in feet
+    const factor = DRAWING_UNITS[this.drawingUnits].feet / scale;
+    const toFeet = (point) => ({ x: point.x * factor, y: point.y * factor });
+    this.entities = entities.map((entity) => {
+      switch (entity.type) {
+        case 'polyline':
+          return { ...entity, points: entity.points.map(toFeet) };
+        case 'line':
+          return { ...entity, start: toFeet(entity.start), end: toFeet(entity.end) };
+        case 'arc':
+          return { ...entity, center: toFeet(entity.center), radius: entity.radius * factor };
+        default:
+          return { ...entity, position: toFeet(entity.position), height: entity.height * factor };
+      }
+    });
+
+    const { rooms, building } = this.findRooms();
+    if (rooms.length === 0) {
+      throw new AppError('No rooms found: the drawing has no closed polylines that could be room outlines', 422);
+    }
+
+    const labels = this.nameRooms(rooms);
+    this.findDoors(rooms);
+    this.findWindows(rooms);
+
+    const ignored = Object.entries(skipped).map(([type, count]) => `${count} ${type}`);
+    if (ignored.length > 0) {
+      this.warnings.push(`Ignored entities the importer does not read: ${ignored.join(', ')}`);
+    }
+
+    const plan = this.buildPlan(rooms, building, {
+      level: level || labels.level || 'Ground',
+      buildingType: buildingType || labels.buildingType || 'Residential',
+    });
+
+    return {
+      plan,
+      warnings: this.warnings,
+      summary: {
+        drawingUnits: this.drawingUnits,
+        units: this.units,
+        rooms: rooms.length,
+        doors: rooms.reduce((sum, room) => sum + room.doors.length, 0),
+        windows: rooms.reduce((sum, room) => sum + room.windows.length, 0),
+        // Where the building's top-left corner sat in the drawing, in drawing units
+        origin: { x: round(building.left / factor, 4), y: round(building.top / factor, 4) },
+      },
+    };
+  }
+
+  /**
+   * Closed polylines on area layers, else on wall layers (any layer when
+   * those are absent).
+   * The one enclosing all others is the building outline; outlines that
+   * enclose other rooms (wall faces, unit boundaries) are dropped.
+   * Non-rectangular shapes keep their corners as an outline.
+   */
+  findRooms() {
+    const closed = this.entities.filter((entity) => {
+      if (entity.type !== 'polyline' || entity.points.length < 3) return false;
+      return entity.closed || distance(entity.points[0], entity.points[entity.points.length - 1]) <= WALL_TOLERANCE;
+    });
+
+    let candidates = closed.filter((entity) => onLayers(entity, ROOM_LAYERS));
+    if (candidates.some((entity) => onLayers(entity, AREA_LAYERS))) {
+      candidates = candidates.filter((entity) => onLayers(entity, AREA_LAYERS));
+    }
+    if (candidates.length === 0) {
+      candidates = closed.filter((entity) => !onLayers(entity, NON_ROOM_LAYERS));
+      if (candidates.length > 0) {
+        this.warnings.push(`No closed polylines on ${ROOM_LAYERS.join('/')}; rooms were read from closed polylines on every layer`);
+      }
+    }
+
+    let shapes = [];
+    candidates.forEach((entity) => {
+      const box = boxOf(entity.points);
+      if (box.right - box.left < MIN_ROOM_SIDE || box.bottom - box.top < MIN_ROOM_SIDE) return;
+      if (shapes.some((shape) => sameBox(shape.box, box))) return;
+
+      // A closing vertex that repeats the first one is not a corner
+      const last = entity.points[entity.points.length - 1];
+      const points = distance(entity.points[0], last) <= WALL_TOLERANCE ? entity.points.slice(0, -1) : entity.points;
+      const rectangular = Math.abs(polygonArea(points) - boxArea(box)) <= boxArea(box) * 0.01;
+      shapes.push({ box, points, outline: rectangular ? null : points, layer: entity.layer });
+    });
+
+    shapes.sort((a, b) => boxArea(b.box) - boxArea(a.box));
+
+    let building = null;
+    if (shapes.length > 1 && shapes.slice(1).every((shape) => enclosesShape(shapes[0], shape))) {
+      building = shapes.shift();
+    }
+
+    // With rooms on their own layers, other outlines on the building's layer are courtyards
+    let courtyards = [];
+    if (building && shapes.some((shape) => !onLayers(shape, OUTLINE_LAYERS))) {
+      courtyards = shapes.filter((shape) => onLayers(shape, OUTLINE_LAYERS) && !shapes.some((other) => enclosesShape(shape, other)));
+      shapes = shapes.filter((shape) => !courtyards.includes(shape));
+    }
+
+    const enclosing = shapes.filter((shape) => shapes.some((other) => enclosesShape(shape, other)));
+    if (enclosing.length > 0) {
+      this.warnings.push(`Skipped ${enclosing.length} outline(s) drawn around other rooms`);
+    }
+
+    const rooms = shapes
+      .filter((shape) => !enclosing.includes(shape))
+      .sort((a, b) => a.box.top - b.box.top || a.box.left - b.box.left)
+      .map((shape, index) => ({ index, box: shape.box, outline: shape.outline, name: null, doors: [], windows: [] }));
+
+    if (rooms.length === 0) return { rooms, building: building?.box };
+
+    // Plans have no wall thickness: an outline drawn on the outer wall face snaps to the rooms
+    const extent = boxOf(rooms.flatMap(({ box }) => [{ x: box.left, y: box.top }, { x: box.right, y: box.bottom }]));
+    if (!building) return { rooms, building: extent };
+
+    const xs = rooms.flatMap(({ box }) => [box.left, box.right]);
+    const ys = rooms.flatMap(({ box }) => [box.top, box.bottom]);
+    const snapPoints = (points) => points.map((point) => ({ x: snapToLines(point.x, xs), y: snapToLines(point.y, ys) }));
+    const holes = courtyards.length > 0 ? { courtyards: courtyards.map((courtyard) => snapPoints(courtyard.points)) } : {};
+
+    if (building.outline) {
+      const outline = snapPoints(building.outline);
+      return { rooms, building: { ...boxOf(outline), outline, ...holes } };
+    }
+
+    const box = building.box;
+    const snap = (side) => (Math.abs(box[side] - extent[side]) <= MAX_WALL_THICKNESS ? extent[side] : box[side]);
+    return { rooms, building: { left: snap('left'), right: snap('right'), top: snap('top'), bottom: snap('bottom'), ...holes } };
+  }
+
+  /**
+   * Names from text inside each room, skipping the dimension and area labels
+   * the generator writes under them. Returns the floor level and building
+   * type when the drawing carries the generator's title block.
+   */
+  nameRooms(rooms) {
+    const texts = this.entities.filter((entity) => entity.type === 'text' && entity.text);
+    const hasLabelLayer = texts.some((text) => onLayers(text, [DXF_LAYERS.LABELS]));
+    const found = {};
+
+    texts.forEach((text) => {
+      if (onLayers(text, [DXF_LAYERS.TITLE])) {
+        found.buildingType = found.buildingType || titleCase(text.text);
+        return;
+      }
+      if (hasLabelLayer && !onLayers(text, [DXF_LAYERS.LABELS])) return;
+
+      const room = rooms
+        .filter((candidate) => insideRoom(candidate, text.position))
+        .sort((a, b) => boxArea(a.box) - boxArea(b.box))[0];
+
+      if (!room) {
+        const floorLabel = text.text.match(FLOOR_LABEL);
+        if (floorLabel) found.level = found.level || floorLabel[1];
+        return;
+      }
+
+      if (DIMENSION_LABEL.test(text.text) || AREA_LABEL.test(text.text) || NUMBER_LABEL.test(text.text)) return;
+
+      if (!room.name || text.height > room.nameHeight) {
+        room.name = titleCase(text.text);
+        room.nameHeight = text.height;
+      }
+    });
+
+    const unnamed = rooms.filter((room) => !room.name);
+    if (unnamed.length > 0) {
+      this.warnings.push(`${unnamed.length} room(s) had no name text inside them and were named by number`);
+    }
+
+    return found;
+  }
+
+  /**
+   * Doors from swing arcs (hinge at the centre, radius = leaf width) and from
+   * door-layer lines lying on a wall with no swing. The swing side decides
+   * which room owns the door; two leaves meeting in one opening make a double door.
+   */
+  findDoors(rooms) {
+    const hasDoorLayer = this.entities.some((entity) => onLayers(entity, [DXF_LAYERS.DOORS]));
+    const onDoorLayer = (entity) => !hasDoorLayer || onLayers(entity, [DXF_LAYERS.DOORS]);
+
+    const arcs = this.entities.filter(
+      (entity) =>
+        entity.type === 'arc' &&
+        onDoorLayer(entity) &&
+        entity.radius >= DOOR_WIDTH_RANGE.min &&
+        entity.radius <= DOOR_WIDTH_RANGE.max
+    );
+
+    const leaves = [];
+    let unplaced = 0;
+
+    arcs.forEach((arc) => {
+      const directions = [axisDirection(arc.startAngle), axisDirection(arc.endAngle)];
+      const [a, b] = directions;
+      if (!a || !b || a.x * b.x + a.y * b.y !== 0) {
+        unplaced++;
+        return;
+      }
+
+      const hinge = arc.center;
+      const options = [
+        [a, b],
+        [b, a],
+      ].map(([along, swing]) => {
+        const end = { x: hinge.x + along.x * arc.radius, y: hinge.y + along.y * arc.radius };
+        const segment = axisSegment(hinge, end);
+        return { along, swing, segment, walls: wallsUnder(rooms, segment) };
+      });
+
+      // The leaf closes along the wall it lies closest to; hinged in a corner it lies
+      // on two, so prefer the one with a room behind it
+      const offset = (option) => Math.min(...option.walls.map((wall) => Math.abs(wall.line - option.segment.line)));
+      const choice = options
+        .filter((option) => option.walls.length > 0)
+        .sort((x, y) => offset(x) - offset(y) || y.walls.length - x.walls.length)[0];
+
+      if (!choice) {
+        unplaced++;
+        return;
+      }
+
+      const probe = {
+        x: hinge.x + (choice.along.x * arc.radius) / 2 + choice.swing.x * Math.min(arc.radius / 2, 1),
+        y: hinge.y + (choice.along.y * arc.radius) / 2 + choice.swing.y * Math.min(arc.radius / 2, 1),
+      };
+      const inward = choice.walls.find(({ room }) => insideRoom(room, probe));
+      const owner = inward || choice.walls[0];
+
+      leaves.push({
+        owner,
+        segment: choice.segment,
+        hingeAtStart: Math.abs((choice.segment.horizontal ? hinge.x : hinge.y) - choice.segment.start) <= WALL_TOLERANCE,
+        outward: !inward,
+        ends: [hinge, ...directions.map((direction) => ({ x: hinge.x + direction.x * arc.radius, y: hinge.y + direction.y * arc.radius }))],
+      });
+    });
+
+    // Double doors: two leaves on the same wall, hinged at the outer ends, meeting in the middle
+    const openings = [];
+    leaves
+      .sort((x, y) => x.segment.start - y.segment.start)
+      .forEach((leaf) => {
+        const pair = openings.find(
+          (opening) =>
+            opening.leaves.length === 1 &&
+            opening.owner.room === leaf.owner.room &&
+            opening.owner.wall === leaf.owner.wall &&
+            opening.leaves[0].hingeAtStart &&
+            !leaf.hingeAtStart &&
+            Math.abs(opening.segment.end - leaf.segment.start) <= WALL_TOLERANCE
+        );
+
+        if (pair) {
+          pair.leaves.push(leaf);
+          pair.segment = { ...pair.segment, end: leaf.segment.end };
+          pair.type = 'double';
+        } else {
+          openings.push({ owner: leaf.owner, segment: leaf.segment, leaves: [leaf], type: 'single', outward: leaf.outward });
+        }
+      });
+
+    // Door lines that aren't part of a swing: cased openings, sliding and pocket doors
+    const swingPoints = leaves.flatMap((leaf) => leaf.ends);
+    const touchesSwing = (point) => swingPoints.some((swingPoint) => distance(point, swingPoint) <= WALL_TOLERANCE);
+
+    if (hasDoorLayer) {
+      this.entities
+        .filter((entity) => entity.type === 'line' && onDoorLayer(entity))
+        .forEach((line) => {
+          if (touchesSwing(line.start) || touchesSwing(line.end)) return;
+
+          const segment = axisSegment(line.start, line.end);
+          const width = segment ? segment.end - segment.start : 0;
+          if (width < DOOR_WIDTH_RANGE.min || width > DOOR_WIDTH_RANGE.max) return;
+
+          const walls = wallsUnder(rooms, segment);
+          if (walls.length === 0) return;
+
+          const duplicate = openings.some(
+            (opening) =>
+              opening.segment.horizontal === segment.horizontal &&
+              Math.abs(opening.segment.line - segment.line) <= WALL_TOLERANCE &&
+              Math.min(opening.segment.end, segment.end) - Math.max(opening.segment.start, segment.start) > WALL_TOLERANCE
+          );
+          if (!duplicate) openings.push({ owner: walls[0], segment, leaves: [], outward: false });
+        });
+    }
+
+    openings.forEach((opening) => {
+      const { room, wall, start } = opening.owner;
+      room.doors.push({
+        wall,
+        position: opening.segment.start - start,
+        width: opening.segment.end - opening.segment.start,
+        ...(opening.type && { type: opening.type }),
+        ...(opening.outward && { swingDirection: 'outward' }),
+      });
+    });
+
+    if (unplaced > 0) {
+      this.warnings.push(`${unplaced} door swing(s) did not sit on a room wall and were skipped`);
+    }
+  }
+
+  /**
+   * Windows from glazing lines: parallel lines along a wall are merged into
+   * one opening, assigned to the room on the exterior side when there is one
+   */
+  findWindows(rooms) {
+    const segments = this.entities
+      .filter((entity) => entity.type === 'line' && onLayers(entity, [DXF_LAYERS.WINDOWS]))
+      .map((line) => axisSegment(line.start, line.end))
+      .filter((segment) => segment && segment.end - segment.start >= MIN_WINDOW_WIDTH);
+
+    const groups = [];
+    segments.forEach((segment) => {
+      const group = groups.find(
+        (candidate) =>
+          candidate.horizontal === segment.horizontal &&
+          Math.abs(candidate.line - segment.line) <= WALL_TOLERANCE &&
+          Math.min(candidate.end, segment.end) - Math.max(candidate.start, segment.start) > 0
+      );
+
+      if (group) {
+        group.start = Math.min(group.start, segment.start);
+        group.end = Math.max(group.end, segment.end);
+        group.lines.push(segment.line);
+        group.line = group.lines.reduce((sum, line) => sum + line, 0) / group.lines.length;
+      } else {
+        groups.push({ ...segment, lines: [segment.line] });
+      }
+    });
+
+    let unplaced = 0;
+    groups.forEach((group) => {
+      const walls = wallsUnder(rooms, group, 0.5);
+      if (walls.length === 0) {
+        unplaced++;
+        return;
+      }
+
+      // Exterior walls have a room on one side only
+      const exterior = walls.find(
+        (candidate) => !walls.some((other) => other.room !== candidate.room && Math.abs(other.line - candidate.line) <= WALL_TOLERANCE)
+      );
+      const { room, wall, start, end } = exterior || walls[0];
+      const from = Math.max(group.start, start);
+      const to = Math.min(group.end, end);
+
+      room.windows.push({ wall, position: from - start, width: to - from });
+    });
+
+    if (unplaced > 0) {
+      this.warnings.push(`${unplaced} glazing line group(s) did not sit on a room wall and were skipped`);
+    }
+  }
+
+  /**
+   * Plan JSON in the target units, positioned from the building's top-left corner
+   */
+  buildPlan(rooms, building, { level, buildingType }) {
+    const { units } = this;
+    const { areaField, precision } = UNIT_SYSTEMS[units];
+    const length = (feet) => round(convertLength(feet, 'imperial', units, { exact: true }), precision);
+    const roundArea = (value) => (units === 'metric' ? round(value, 2) : Math.round(value));
+
+    const toPlan = (point) => ({ x: length(point.x - building.left), y: length(point.y - building.top) });
+
+    const planRooms = rooms.map((room) => {
+      const width = length(room.box.right - room.box.left);
+      const depth = length(room.box.bottom - room.box.top);
+      const outline = room.outline?.map(toPlan);
+
+      return {
+        id: `room-0-${room.index}`,
+        name: room.name || `Room ${room.index + 1}`,
+        [areaField]: roundArea(outline ? polygonArea(outline) : width * depth),
+        dimensions: { width, length: depth },
+        position: toPlan({ x: room.box.left, y: room.box.top }),
+        ...(outline && { outline }),
+        doors: room.doors.map((door, index) => ({
+          id: `room-0-${room.index}-door-${index + 1}`,
+          ...door,
+          position: length(door.position),
+          width: length(door.width),
+        })),
+        windows: room.windows.map((window, index) => ({
+          id: `room-0-${room.index}-window-${index + 1}`,
+          ...window,
+          position: length(window.position),
+          width: length(window.width),
+        })),
+      };
+    });
+
+    const totalArea = roundArea(planRooms.reduce((sum, room) => sum + room[areaField], 0));
+
+    return {
+      units,
+      buildingType,
+      totalArea,
+      buildingDimensions: {
+        width: length(building.right - building.left),
+        depth: length(building.bottom - building.top),
+        ...(building.outline && { outline: building.outline.map(toPlan) }),
+        ...(building.courtyards && { courtyards: building.courtyards.map((courtyard) => courtyard.map(toPlan)) }),
+      },
+      floors: [{ level, totalArea, rooms: planRooms }],
+      designNotes: [],
+    };
+  }
+}
+
+/**
+ * Fill in connectsTo from geometry: the room behind each door, or exterior
+ * @param {Object} plan - plan in feet
+ */
+function connectDoors(plan) {
+  plan.floors.forEach((floor) => {
+    floor.rooms.forEach((room) => {
+      room.doors.forEach((door) => {
+        const target = resolveDoorTarget(room, door, floor.rooms, plan.buildingDimensions);
+        if (target) door.connectsTo = target;
+      });
+    });
+  });
+}
+
+/**
+ * Plan JSON from a parsed DXF
+ * @param {Object} drawing - parseDXF() output
+ * @param {Object} options - { units, drawingUnits, scale, level, buildingType }
+ * @returns {Object} - { plan, warnings, summary }
+ */
+function importDrawing(drawing, options = {}) {
+  return new DXFImporter(drawing, options).run();
+}
+
+module.exports = {
+  DRAWING_UNITS,
+  connectDoors,
+  importDrawing,
+};
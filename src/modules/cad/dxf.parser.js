@@ -0,0 +1,254 @@
+/**
+ * DXF Parser
+ * Reads ASCII DXF into header variables and a flat list of entities. Only
+ * what the importer needs is decoded: lines, arcs, polylines and text, in
+ * model space. Everything else is counted so callers can report what was
+ * skipped.
+ */
+
+const { AppError } = require('../../middlewares/error.middleware');
+
+const BINARY_SENTINEL = 'AutoCAD Binary DXF';
+
+// Group codes kept as numbers; every other code stays a string
+const isNumericCode = (code) =>
+  (code >= 10 && code <= 99) || (code >= 140 && code <= 289) || (code >= 370 && code <= 389) || (code >= 1010 && code <= 1071);
+
+/**
+ * Split the file into [code, value] pairs
+ */
+function tokenize(content) {
+  if (content.startsWith(BINARY_SENTINEL)) {
+    throw new AppError('Binary DXF is not supported. Save the drawing as ASCII DXF and try again.', 400);
+  }
+
+  const lines = content.split(/\r?\n/);
+  const pairs = [];
+
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i].trim(), 10);
+    if (Number.isNaN(code)) {
+      throw new AppError(`Invalid DXF: expected a group code on line ${i + 1}`, 400);
+    }
+
+    const raw = lines[i + 1];
+    const value = isNumericCode(code) ? parseFloat(raw) : raw.trim();
+    pairs.push([code, value]);
+  }
+
+  return pairs;
+}
+
+/**
+ * Split pairs into sections by name: { HEADER: [...], ENTITIES: [...] }
+ */
+function readSections(pairs) {
+  const sections = {};
+  let current = null;
+
+  for (let i = 0; i < pairs.length; i++) {
+    const [code, value] = pairs[i];
+
+    if (code === 0 && value === 'SECTION' && pairs[i + 1]?.[0] === 2) {
+      current = pairs[i + 1][1];
+      sections[current] = [];
+      i++;
+    } else if (code === 0 && value === 'ENDSEC') {
+      current = null;
+    } else if (code === 0 && value === 'EOF') {
+      break;
+    } else if (current) {
+      sections[current].push(pairs[i]);
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Header variables: { $INSUNITS: 2, ... } (first value of each variable)
+ */
+function readHeader(pairs = []) {
+  const header = {};
+  let name = null;
+
+  pairs.forEach(([code, value]) => {
+    if (code === 9) {
+      name = value;
+    } else if (name && !(name in header)) {
+      header[name] = value;
+    }
+  });
+
+  return header;
+}
+
+/**
+ * Group entity pairs into records: [{ type: 'LINE', pairs: [[8, 'A-DOOR'], ...] }]
+ */
+function groupEntities(pairs = []) {
+  const records = [];
+  let current = null;
+
+  pairs.forEach(([code, value]) => {
+    if (code === 0) {
+      current = { type: value, pairs: [] };
+      records.push(current);
+    } else if (current) {
+      current.pairs.push([code, value]);
+    }
+  });
+
+  return records;
+}
+
+const first = (pairs, code, fallback = undefined) => {
+  const pair = pairs.find(([c]) => c === code);
+  return pair ? pair[1] : fallback;
+};
+
+/**
+ * Strip MTEXT formatting codes and decode special characters
+ */
+function cleanText(text) {
+  return text
+    .replace(/\\U\+([0-9A-Fa-f]{4})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/\\P/g, ' ')
+    .replace(/\\~/g, ' ')
+    .replace(/\\[ACcFfHQTWp][^;]*;/g, '')
+    .replace(/\\S([^;]*);/g, (match, stacked) => stacked.replace(/[#^]/g, '/'))
+    .replace(/\\[LlOoKk]/g, '')
+    .replace(/\\\\/g, '\\')
+    .replace(/[{}]/g, '')
+    .replace(/%%[dD]/g, '°')
+    .replace(/%%[pP]/g, '±')
+    .replace(/%%[cC]/g, '⌀')
+    .replace(/%%[uUoOkK]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Closed LWPOLYLINE with its vertices (bulges are read as straight segments)
+ */
+function readLwPolyline(pairs) {
+  const points = [];
+  pairs.forEach(([code, value]) => {
+    if (code === 10) points.push({ x: value, y: 0 });
+    if (code === 20 && points.length > 0) points[points.length - 1].y = value;
+  });
+
+  return {
+    type: 'polyline',
+    closed: (first(pairs, 70, 0) & 1) === 1,
+    points,
+  };
+}
+
+function readLine(pairs) {
+  return {
+    type: 'line',
+    start: { x: first(pairs, 10, 0), y: first(pairs, 20, 0) },
+    end: { x: first(pairs, 11, 0), y: first(pairs, 21, 0) },
+  };
+}
+
+function readArc(pairs) {
+  return {
+    type: 'arc',
+    center: { x: first(pairs, 10, 0), y: first(pairs, 20, 0) },
+    radius: first(pairs, 40, 0),
+    startAngle: first(pairs, 50, 0),
+    endAngle: first(pairs, 51, 360),
+  };
+}
+
+function readText(pairs) {
+  // Long MTEXT is split into 250-character chunks: code 3 for every chunk but the last
+  const chunks = pairs.filter(([code]) => code === 3 || code === 1).map(([, value]) => value);
+
+  return {
+    type: 'text',
+    position: { x: first(pairs, 10, 0), y: first(pairs, 20, 0) },
+    height: first(pairs, 40, 0),
+    text: cleanText(chunks.join('')),
+  };
+}
+
+/**
+ * Old-style POLYLINE: vertices follow as VERTEX records until SEQEND
+ */
+function readPolyline(record, records, index) {
+  const points = [];
+  let next = index + 1;
+
+  for (; next < records.length && records[next].type === 'VERTEX'; next++) {
+    points.push({ x: first(records[next].pairs, 10, 0), y: first(records[next].pairs, 20, 0) });
+  }
+  if (records[next]?.type === 'SEQEND') next++;
+
+  return {
+    entity: { type: 'polyline', closed: (first(record.pairs, 70, 0) & 1) === 1, points },
+    next,
+  };
+}
+
+/**
+ * Parse DXF text into { header, entities, skipped }
+ * @param {string} content - ASCII DXF
+ * @returns {Object} - entities carry { type, layer, ... }; skipped counts other entity types
+ */
+function parseDXF(content) {
+  const sections = readSections(tokenize(content));
+
+  if (!sections.ENTITIES) {
+    throw new AppError('Invalid DXF: no ENTITIES section found', 400);
+  }
+
+  const header = readHeader(sections.HEADER);
+  const records = groupEntities(sections.ENTITIES);
+  const entities = [];
+  const skipped = {};
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    const layer = String(first(record.pairs, 8, '0'));
+
+    // Paper space entities (code 67 = 1) are title blocks and viewports, not the plan
+    if (first(record.pairs, 67, 0) === 1) continue;
+
+    let entity = null;
+    switch (record.type) {
+      case 'LWPOLYLINE':
+        entity = readLwPolyline(record.pairs);
+        break;
+      case 'POLYLINE': {
+        const result = readPolyline(record, records, i);
+        entity = result.entity;
+        i = result.next - 1;
+        break;
+      }
+      case 'LINE':
+        entity = readLine(record.pairs);
+        break;
+      case 'ARC':
+        entity = readArc(record.pairs);
+        break;
+      case 'MTEXT':
+      case 'TEXT':
+        entity = readText(record.pairs);
+        break;
+      default:
+        skipped[record.type] = (skipped[record.type] || 0) + 1;
+    }
+
+    if (entity) entities.push({ ...entity, layer });
+  }
+
+  return { header, entities, skipped };
+}
+
+module.exports = {
+  parseDXF,
+  cleanText,
+};
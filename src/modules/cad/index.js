@@ -8,7 +8,9 @@ const cadController = require('./cad.controller');
 const cadService = require('./cad.service');
 const dxfGenerator = require('./dxf.generator');
 const dwgConverter = require('./dwg.converter');
-const { cadGenerateSchema, validateCadGenerate } = require('./cad.validation');
+const dxfParser = require('./dxf.parser');
+const dxfImporter = require('./dxf.importer');
+const { cadGenerateSchema, cadImportSchema, validateCadGenerate, validateCadImport } = require('./cad.validation');
 
 module.exports = {
   // Routes
@@ -24,7 +26,13 @@ module.exports = {
   dxfGenerator,
   dwgConverter,
 
+  // Import
+  dxfParser,
+  dxfImporter,
+
   // Validation
   cadGenerateSchema,
+  cadImportSchema,
   validateCadGenerate,
+  validateCadImport,
 };
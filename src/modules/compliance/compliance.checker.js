@@ -0,0 +1,243 @@
+/**
+ * Compliance Checker
+ * Measures a plan against a rule pack. Every rule produces a check with the
+ * measured value and the limit, so a report explains itself; rules that need
+ * data the plan or request doesn't have are reported as not evaluated.
+ * Rules and plans are measured in feet; values are reported in `units`.
+ */
+
+const { EXTERIOR } = require('../planner/planner.graph');
+const { SERVICE_ROOM_TYPES } = require('../planner/planner.constants');
+const { DEFAULT_UNITS, UNIT_SYSTEMS, fromFeet, fromSqft } = require('../planner/planner.units');
+const { buildingArea } = require('../planner/planner.geometry');
+const { findEgressBand, findSetbackBand } = require('./compliance.rules');
+
+const BASEMENT_PATTERN = /basement|cellar/i;
+
+const STAIR_PATTERN = /stair/i;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const matchesType = (room, type) => (room.type?.toLowerCase() || '').includes(type);
+
+const roomArea = (room) => room.areaSqft || (room.dimensions ? room.dimensions.width * room.dimensions.length : 0);
+
+const floorArea = (floor) => floor.totalArea || floor.rooms.reduce((sum, room) => sum + roomArea(room), 0);
+
+class ComplianceCheck {
+  constructor(plan, pack, { plotArea, units = DEFAULT_UNITS } = {}) {
+    this.plan = plan;
+    this.pack = pack;
+    this.rules = pack.rules;
+    this.plotArea = plotArea;
+    this.units = units;
+    this.checks = [];
+  }
+
+  /**
+   * A value measured in feet or sqft, in the report's units
+   */
+  display(value, unit) {
+    if (value === null || value === undefined) return { value, unit };
+    if (unit === 'ft') return { value: round2(fromFeet(value, this.units)), unit: UNIT_SYSTEMS[this.units].length };
+    if (unit === 'sqft') return { value: round2(fromSqft(value, this.units)), unit: UNIT_SYSTEMS[this.units].area };
+    return { value: round2(value), unit };
+  }
+
+  /**
+   * Record a measurement; `comparison` is 'min' (measured must reach the limit) or 'max'
+   */
+  measure({ ruleId, subject, measured, limit, comparison, unit, level, roomId }) {
+    const passed = comparison === 'min' ? measured >= limit : measured <= limit;
+    const bound = comparison === 'min' ? 'minimum' : 'maximum';
+    const shown = this.display(measured, unit);
+    const shownLimit = this.display(limit, unit);
+
+    this.checks.push({
+      ruleId,
+      ...(level && { level }),
+      ...(roomId && { roomId }),
+      subject,
+      measured: shown.value,
+      limit: shownLimit.value,
+      comparison,
+      unit: shown.unit,
+      status: passed ? 'pass' : 'fail',
+      message: `${subject}: ${shown.value} ${shown.unit} (${bound} ${shownLimit.value} ${shown.unit})`,
+    });
+  }
+
+  skip({ ruleId, subject, limit, comparison, unit, reason }) {
+    const shownLimit = this.display(limit, unit);
+
+    this.checks.push({
+      ruleId,
+      subject,
+      measured: null,
+      limit: shownLimit.value,
+      comparison,
+      unit: shownLimit.unit,
+      status: 'not_evaluated',
+      message: `${subject}: not evaluated, ${reason}`,
+    });
+  }
+
+  run() {
+    this.checkRooms();
+    this.checkSetbacks();
+    this.checkCoverage();
+    this.checkFar();
+    this.checkEgress();
+    return this.checks;
+  }
+
+  checkRooms() {
+    const sizes = Object.entries(this.rules.minRoomSizes || {});
+    const heights = this.rules.minCeilingHeight;
+
+    this.plan.floors.forEach((floor) => {
+      const { level } = floor;
+
+      floor.rooms.forEach((room) => {
+        const subject = `"${room.name}" on ${level}`;
+
+        const size = sizes.find(([type]) => matchesType(room, type));
+        if (size) {
+          const [type, { area, minSide }] = size;
+          this.measure({ ruleId: `room-area.${type}`, level, roomId: room.id, subject: `${subject} area`, measured: roomArea(room), limit: area, comparison: 'min', unit: 'sqft' });
+
+          if (minSide && room.dimensions) {
+            const side = Math.min(room.dimensions.width, room.dimensions.length);
+            this.measure({ ruleId: `room-side.${type}`, level, roomId: room.id, subject: `${subject} shortest side`, measured: side, limit: minSide, comparison: 'min', unit: 'ft' });
+          }
+        }
+
+        if (this.rules.minStairWidth && room.dimensions && (STAIR_PATTERN.test(room.type || '') || STAIR_PATTERN.test(room.name))) {
+          const width = Math.min(room.dimensions.width, room.dimensions.length);
+          this.measure({ ruleId: 'stair-width', level, roomId: room.id, subject: `${subject} stair width`, measured: width, limit: this.rules.minStairWidth, comparison: 'min', unit: 'ft' });
+        }
+
+        // Rooms without their own ceiling height are covered by the floor height check below
+        if (heights && room.ceilingHeight) {
+          // Non-habitable rooms are held to the lower ceiling height
+          const category = SERVICE_ROOM_TYPES.some((type) => matchesType(room, type)) ? 'service' : 'habitable';
+          this.measure({ ruleId: `ceiling-height.${category}`, level, roomId: room.id, subject: `${subject} ceiling height`, measured: room.ceilingHeight, limit: heights[category], comparison: 'min', unit: 'ft' });
+        }
+      });
+
+      if (heights && floor.rooms.some((room) => !room.ceilingHeight)) {
+        const subject = `${level} floor height`;
+        if (floor.floorHeight) {
+          this.measure({ ruleId: 'ceiling-height.habitable', level, subject, measured: floor.floorHeight, limit: heights.habitable, comparison: 'min', unit: 'ft' });
+        } else {
+          this.skip({ ruleId: 'ceiling-height.habitable', subject, limit: heights.habitable, comparison: 'min', unit: 'ft', reason: 'the floor has no floorHeight' });
+        }
+      }
+    });
+  }
+
+  /**
+   * Setbacks depend on where the building sits on the plot, which only the plan's declared values describe
+   */
+  checkSetbacks() {
+    const band = findSetbackBand(this.pack, this.plotArea);
+    const declared = this.plan.compliance?.setbacks || {};
+
+    Object.entries({ front: 'Front setback', rear: 'Rear setback', sides: 'Side setback' }).forEach(([side, subject]) => {
+      const ruleId = `setback.${side}`;
+
+      if (!band) {
+        this.skip({ ruleId, subject, limit: null, comparison: 'min', unit: 'ft', reason: 'the plot area is needed to pick the setback band' });
+        return;
+      }
+
+      const values = side === 'sides' ? [declared.sides, declared.left, declared.right] : [declared[side]];
+      const known = values.filter((value) => value !== undefined);
+      if (known.length === 0) {
+        this.skip({ ruleId, subject, limit: band[side], comparison: 'min', unit: 'ft', reason: 'the plan does not declare it' });
+        return;
+      }
+
+      this.measure({ ruleId, subject, measured: Math.min(...known), limit: band[side], comparison: 'min', unit: 'ft' });
+    });
+  }
+
+  checkCoverage() {
+    const limit = this.rules.maxCoverage;
+    if (!limit) return;
+
+    const building = this.plan.buildingDimensions;
+    if (!this.plotArea || !building) {
+      this.skip({ ruleId: 'coverage', subject: 'Plot coverage', limit, comparison: 'max', unit: 'ratio', reason: 'the plot area is unknown' });
+      return;
+    }
+
+    this.measure({ ruleId: 'coverage', subject: 'Plot coverage', measured: buildingArea(building) / this.plotArea, limit, comparison: 'max', unit: 'ratio' });
+  }
+
+  checkFar() {
+    const limit = this.rules.maxFar;
+    if (!limit) return;
+
+    if (!this.plotArea) {
+      this.skip({ ruleId: 'far', subject: 'Floor area ratio', limit, comparison: 'max', unit: 'ratio', reason: 'the plot area is unknown' });
+      return;
+    }
+
+    const counted = this.plan.floors.filter((floor) => !(this.rules.farExcludesBasement && BASEMENT_PATTERN.test(floor.level)));
+    const gross = counted.reduce((sum, floor) => sum + floorArea(floor), 0);
+
+    this.measure({ ruleId: 'far', subject: 'Floor area ratio', measured: gross / this.plotArea, limit, comparison: 'max', unit: 'ratio' });
+  }
+
+  /**
+   * Exits are exterior doors; the requirement follows the largest floor
+   */
+  checkEgress() {
+    const largest = Math.max(...this.plan.floors.map(floorArea));
+    const band = findEgressBand(this.pack, largest);
+    if (!band) return;
+
+    const exits = this.plan.floors.reduce(
+      (count, floor) =>
+        count +
+        floor.rooms.reduce(
+          (roomCount, room) => roomCount + (room.doors || []).filter((door) => !door.reciprocalOf && door.connectsTo?.toLowerCase() === EXTERIOR).length,
+          0
+        ),
+      0
+    );
+
+    this.measure({ ruleId: 'egress.exits', subject: 'Exterior exits', measured: exits, limit: band.exits, comparison: 'min', unit: 'exits' });
+  }
+}
+
+/**
+ * Check a plan (in feet, with plotArea in sqft) against a rule pack
+ * Returns { rulePack, status: 'pass' | 'fail' | 'incomplete', summary, checks }
+ */
+const checkCompliance = (plan, pack, { plotArea, units = DEFAULT_UNITS } = {}) => {
+  const checks = new ComplianceCheck(plan, pack, { plotArea, units }).run();
+
+  const summary = {
+    passed: checks.filter((check) => check.status === 'pass').length,
+    failed: checks.filter((check) => check.status === 'fail').length,
+    notEvaluated: checks.filter((check) => check.status === 'not_evaluated').length,
+  };
+
+  let status = 'pass';
+  if (summary.failed > 0) status = 'fail';
+  else if (summary.notEvaluated > 0) status = 'incomplete';
+
+  return {
+    rulePack: { id: pack.id, name: pack.name, authority: pack.authority },
+    units,
+    status,
+    summary,
+    checks,
+  };
+};
+
+module.exports = {
+  checkCompliance,
+};
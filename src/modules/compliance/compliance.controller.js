@@ -0,0 +1,30 @@
+const complianceService = require('./compliance.service');
+const { validateRulePackParams, validateCheckPlan } = require('./compliance.validation');
+const { asyncHandler } = require('../../middlewares/error.middleware');
+const ApiResponse = require('../../utils/response');
+
+const listRulePacks = asyncHandler(async (req, res) => {
+  const rulePacks = complianceService.listRulePacks();
+
+  return ApiResponse.success(res, { rulePacks }, 'Rule packs retrieved successfully');
+});
+
+const getRulePack = asyncHandler(async (req, res) => {
+  const { id } = validateRulePackParams(req.params);
+  const rulePack = complianceService.getRulePack(id);
+
+  return ApiResponse.success(res, rulePack, 'Rule pack retrieved successfully');
+});
+
+const checkPlan = asyncHandler(async (req, res) => {
+  const { planData, ...jurisdiction } = validateCheckPlan(req.body);
+  const report = complianceService.checkPlan(planData, jurisdiction);
+
+  return ApiResponse.success(res, report, 'Compliance check completed');
+});
+
+module.exports = {
+  listRulePacks,
+  getRulePack,
+  checkPlan,
+};
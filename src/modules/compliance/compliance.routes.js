@@ -0,0 +1,13 @@
+const express = require('express');
+const complianceController = require('./compliance.controller');
+const authMiddleware = require('../../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/rule-packs', complianceController.listRulePacks);
+router.get('/rule-packs/:id', complianceController.getRulePack);
+router.post('/check', complianceController.checkPlan);
+
+module.exports = router;
@@ -0,0 +1,138 @@
+/**
+ * Building Code Rule Packs
+ * One JSON file per authority in ./rules, with lengths in feet and areas in
+ * sqft. A pack may `extends` another pack and only list the rules that differ;
+ * rule objects are merged key by key, arrays (setback and egress bands)
+ * replace the parent's.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_UNITS, formatArea, formatLength } = require('../planner/planner.units');
+
+const RULES_DIR = path.join(__dirname, 'rules');
+const DEFAULT_PACK = 'default';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const mergeRules = (base, override) => {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeRules(base[key], value) : value;
+  });
+  return merged;
+};
+
+const loadRawPacks = () =>
+  fs
+    .readdirSync(RULES_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => JSON.parse(fs.readFileSync(path.join(RULES_DIR, file), 'utf8')));
+
+const resolvePack = (raw, byId, seen = []) => {
+  if (!raw.extends) return raw;
+  if (seen.includes(raw.id)) {
+    throw new Error(`Rule pack "${raw.id}" extends itself through ${seen.join(' -> ')}`);
+  }
+
+  const parent = byId.get(raw.extends);
+  if (!parent) {
+    throw new Error(`Rule pack "${raw.id}" extends unknown pack "${raw.extends}"`);
+  }
+
+  const resolvedParent = resolvePack(parent, byId, [...seen, raw.id]);
+  return { ...raw, rules: mergeRules(resolvedParent.rules, raw.rules || {}) };
+};
+
+// Packs are small and read once at startup; a broken pack should fail the boot, not a request
+const PACKS = (() => {
+  const raw = loadRawPacks();
+  const byId = new Map(raw.map((pack) => [pack.id, pack]));
+  return new Map(raw.map((pack) => [pack.id, resolvePack(pack, byId)]));
+})();
+
+if (!PACKS.has(DEFAULT_PACK)) {
+  throw new Error(`Missing "${DEFAULT_PACK}" rule pack in ${RULES_DIR}`);
+}
+
+const normalize = (value) => value?.trim().toLowerCase() || '';
+
+const listRulePacks = () => [...PACKS.values()];
+
+const getRulePack = (id) => PACKS.get(id) || null;
+
+const getDefaultRulePack = () => PACKS.get(DEFAULT_PACK);
+
+/**
+ * Pack for a request's authority (and city, when several packs share an authority)
+ * Returns null when an authority was given but no pack matches it
+ */
+const findRulePack = ({ authority, city } = {}) => {
+  const wanted = normalize(authority);
+  if (!wanted) return getDefaultRulePack();
+
+  const candidates = listRulePacks().filter((pack) =>
+    [pack.id, pack.authority, pack.name, ...(pack.aliases || [])].some((name) => normalize(name) === wanted)
+  );
+  if (candidates.length <= 1) return candidates[0] || null;
+
+  const wantedCity = normalize(city);
+  return candidates.find((pack) => (pack.cities || []).some((name) => normalize(name) === wantedCity)) || candidates[0];
+};
+
+/**
+ * Setback band that applies to a plot; null when several bands exist and the plot area is unknown
+ */
+const findSetbackBand = (pack, plotArea) => {
+  const bands = pack.rules.setbacks || [];
+  if (bands.length <= 1) return bands[0] || null;
+  if (!plotArea) return null;
+  return bands.find((band) => band.maxPlotArea === undefined || plotArea <= band.maxPlotArea) || bands[bands.length - 1];
+};
+
+/**
+ * Exits required for a floor area: the last band whose threshold it reaches
+ */
+const findEgressBand = (pack, floorArea) =>
+  (pack.rules.egress || []).filter((band) => floorArea >= band.minFloorArea).pop() || null;
+
+/**
+ * Short summary of a pack for the generation prompt; plotArea is in sqft
+ */
+const describeRulePack = (pack, { plotArea, units = DEFAULT_UNITS } = {}) => {
+  const { rules } = pack;
+  const lines = [`BUILDING CODE (${pack.name}):`];
+
+  const rooms = Object.entries(rules.minRoomSizes || {}).map(
+    ([type, size]) => `${type} ${formatArea(size.area, units)}${size.minSide ? ` (min side ${formatLength(size.minSide, units)})` : ''}`
+  );
+  if (rooms.length > 0) lines.push(`- Minimum room sizes: ${rooms.join(', ')}`);
+
+  const setbacks = findSetbackBand(pack, plotArea);
+  if (setbacks) {
+    lines.push(
+      `- Setbacks: front ${formatLength(setbacks.front, units)}, rear ${formatLength(setbacks.rear, units)}, sides ${formatLength(setbacks.sides, units)}`
+    );
+  }
+  if (rules.maxCoverage) lines.push(`- Maximum plot coverage: ${Math.round(rules.maxCoverage * 100)}%`);
+  if (rules.maxFar) lines.push(`- Maximum FAR: ${rules.maxFar}`);
+  if (rules.minCeilingHeight) {
+    lines.push(
+      `- Minimum ceiling height: ${formatLength(rules.minCeilingHeight.habitable, units)} habitable, ${formatLength(rules.minCeilingHeight.service, units)} service rooms`
+    );
+  }
+  if (rules.minStairWidth) lines.push(`- Minimum stair width: ${formatLength(rules.minStairWidth, units)}`);
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  DEFAULT_PACK,
+  describeRulePack,
+  findEgressBand,
+  findRulePack,
+  findSetbackBand,
+  getDefaultRulePack,
+  getRulePack,
+  listRulePacks,
+};
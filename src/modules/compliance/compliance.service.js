@@ -0,0 +1,60 @@
+const { checkCompliance } = require('./compliance.checker');
+const { findRulePack, getDefaultRulePack, getRulePack, listRulePacks } = require('./compliance.rules');
+const { convertArea, toImperial, unitsOf } = require('../planner/planner.units');
+const { AppError } = require('../../middlewares/error.middleware');
+
+class ComplianceService {
+  listRulePacks() {
+    return listRulePacks().map((pack) => this.formatRulePack(pack));
+  }
+
+  getRulePack(id) {
+    const pack = getRulePack(id);
+    if (!pack) {
+      throw new AppError('Rule pack not found', 404);
+    }
+
+    return this.formatRulePack(pack, { includeRules: true });
+  }
+
+  /**
+   * Check a plan against the pack for the requested authority; plotArea is in the plan's units
+   * An authority without a pack is checked against the default pack and noted in the report
+   */
+  checkPlan(plan, { authority, city, plotArea } = {}) {
+    const units = unitsOf(plan);
+    const pack = findRulePack({ authority, city });
+    const report = checkCompliance(toImperial(plan), pack || getDefaultRulePack(), {
+      plotArea: convertArea(plotArea, units, 'imperial', { exact: true }),
+      units,
+    });
+
+    return {
+      ...report,
+      ...(authority && { requestedAuthority: authority }),
+      notes: [
+        ...(pack ? [] : [`No rule pack for authority "${authority}"; checked against the default pack`]),
+        ...(pack?.notes ? [pack.notes] : []),
+      ],
+    };
+  }
+
+  formatRulePack(pack, { includeRules = false } = {}) {
+    const formatted = {
+      id: pack.id,
+      name: pack.name,
+      authority: pack.authority,
+      cities: pack.cities || [],
+      aliases: pack.aliases || [],
+      notes: pack.notes,
+    };
+
+    if (includeRules) {
+      formatted.rules = pack.rules;
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = new ComplianceService();
@@ -0,0 +1,30 @@
+const { z } = require('zod');
+const { planSchema } = require('../planner/planner.schema');
+
+const rulePackParamsSchema = z.object({
+  id: z.string().trim().min(1, 'Rule pack ID is required').max(100),
+});
+
+// Where the plan is built; picks the rule pack and feeds plot-based rules
+const jurisdictionSchema = z.object({
+  authority: z.string().trim().min(1).max(100).optional(),
+  city: z.string().trim().min(1).max(100).optional(),
+  plotArea: z.coerce.number().positive('Plot area must be positive').optional(),
+});
+
+const checkPlanSchema = jurisdictionSchema.extend({
+  planData: planSchema,
+});
+
+const validateRulePackParams = (data) => rulePackParamsSchema.parse(data);
+const validateJurisdiction = (data) => jurisdictionSchema.parse(data || {});
+const validateCheckPlan = (data) => checkPlanSchema.parse(data);
+
+module.exports = {
+  rulePackParamsSchema,
+  jurisdictionSchema,
+  checkPlanSchema,
+  validateRulePackParams,
+  validateJurisdiction,
+  validateCheckPlan,
+};
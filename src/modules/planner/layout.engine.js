@@ -0,0 +1,620 @@
+/**
+ * Rule-Based Layout Engine
+ * Deterministic alternative to the LLM: lays a room program out as a
+ * double-loaded corridor plan and returns the same JSON shape as
+ * PlannerService.parseAndValidateResponse.
+ *
+ * Every floor is sliced into three horizontal strips:
+ *   north band  - public rooms, entrance on the north wall
+ *   corridor    - full building width, one door to every room
+ *   south band  - private rooms, staircase at the west end
+ * Rooms in a band are sliced left to right with widths proportional to
+ * their area, so neighbours always share exact edges and nothing overlaps.
+ */
+
+const { MIN_ROOM_SIZES } = require('./planner.constants');
+const { findEntranceLevel } = require('./layout.program');
+
+const LAYOUT_ENGINE_VERSION = 'slicing-v1';
+
+const LAYOUT_CONFIG = {
+  grid: 0.5, // ft - every coordinate snaps to this
+  minBandDepth: 10,
+  maxBandDepth: 20,
+  columnSpacing: 15, // ft - maximum structural grid spacing
+  windowRatio: 0.15, // glazing area as a share of floor area
+  windowHeight: 4,
+  exitAreaThreshold: 1000, // sqft - second exit above this floor area
+  bandDepthFactor: 1.15, // band depth relative to the side of the median room
+  northShare: 0.5, // north band's share of a fixed building depth
+};
+
+// Narrowest usable width per room type (ft)
+const MIN_WIDTHS = {
+  closet: 3,
+  storage: 4,
+  utility: 4,
+  staircase: 4,
+  bathroom: 5,
+  kitchen: 7,
+  office: 7,
+  bedroom: 8,
+  dining: 8,
+  living: 10,
+};
+const DEFAULT_MIN_WIDTH = 6;
+
+const DOOR_WIDTHS = {
+  bathroom: 2.5,
+  closet: 2.5,
+  storage: 2.5,
+  utility: 2.5,
+};
+const DEFAULT_DOOR_WIDTH = 3;
+
+// Rooms that may switch sides of the corridor to balance band lengths
+const FLEXIBLE_TYPES = ['bathroom', 'utility', 'storage', 'closet', 'office'];
+
+const NO_WINDOW_TYPES = ['corridor', 'staircase', 'storage', 'utility', 'vault', 'closet', 'garage'];
+
+const ENTRY_TYPES = ['foyer', 'lobby', 'reception', 'living', 'waiting'];
+
+// Pairs that get a direct connecting door when they end up side by side
+const CONNECTED_PAIRS = [
+  ['kitchen', 'dining'],
+  ['living', 'dining'],
+  ['bedroom', 'bathroom'],
+];
+
+const FLOOR_MATERIALS = {
+  bedroom: 'carpet',
+  living: 'hardwood',
+  dining: 'hardwood',
+  bathroom: 'tile',
+  kitchen: 'tile',
+  garage: 'concrete',
+  storage: 'concrete',
+};
+
+const snap = (value, grid = LAYOUT_CONFIG.grid) => Math.round(value / grid) * grid;
+const snapUp = (value, grid = LAYOUT_CONFIG.grid) => Math.ceil(value / grid - 1e-9) * grid;
+
+const typeMatches = (room, type) => (room.type || '').toLowerCase().includes(type);
+
+const lookupByType = (table, room, fallback) => {
+  const match = Object.keys(table).find((type) => typeMatches(room, type));
+  return match ? table[match] : fallback;
+};
+
+const isResidential = (buildingType = '') => /resid|house|home|villa|apartment|flat/i.test(buildingType);
+
+/**
+ * Area the room actually needs: the program target, raised to the code minimum
+ */
+const requiredArea = (room) => {
+  const minimum = lookupByType(MIN_ROOM_SIZES, room, 0);
+  return Math.max(room.area, minimum);
+};
+
+const naturalWidth = (room, bandDepth) => {
+  return Math.max(requiredArea(room) / bandDepth, lookupByType(MIN_WIDTHS, room, DEFAULT_MIN_WIDTH));
+};
+
+const bandWidth = (rooms, bandDepth) => rooms.reduce((sum, room) => sum + naturalWidth(room, bandDepth), 0);
+
+/**
+ * Band depth from the typical room size, so most rooms come out near square
+ * (or deeper/shallower with a larger/smaller factor)
+ */
+const chooseBandDepth = (rooms, factor = LAYOUT_CONFIG.bandDepthFactor) => {
+  const areas = rooms
+    .filter((room) => room.type !== 'staircase')
+    .map(requiredArea)
+    .sort((a, b) => a - b);
+  const median = areas[Math.floor(areas.length / 2)] || 120;
+
+  return Math.min(Math.max(snap(Math.sqrt(median) * factor), LAYOUT_CONFIG.minBandDepth), LAYOUT_CONFIG.maxBandDepth);
+};
+
+const pickEntryRoom = (rooms) => {
+  for (const type of ENTRY_TYPES) {
+    const room = rooms.find((candidate) => typeMatches(candidate, type));
+    if (room) return room;
+  }
+  return rooms.find((room) => room.zone === 'public') || rooms[0];
+};
+
+/**
+ * Split a floor's rooms into north (public) and south (private) bands, then
+ * move flexible rooms across the corridor until the band lengths are close
+ */
+const splitBands = (rooms, entryRoom, depthNorth, depthSouth) => {
+  const north = [];
+  const south = [];
+
+  rooms.forEach((room) => {
+    if (room === entryRoom || (room.zone === 'public' && room.type !== 'staircase')) {
+      north.push(room);
+    } else {
+      south.push(room);
+    }
+  });
+
+  // Rooms with an adjacency partner stay on their partner's side
+  const hasPartnerIn = (room, band) =>
+    band.some((other) => other !== room && (room.adjacentTo.includes(other.name) || other.adjacentTo.includes(room.name)));
+  const isMovable = (room) => room !== entryRoom && room.type !== 'staircase';
+  const isFlexible = (room, band) =>
+    isMovable(room) && !hasPartnerIn(room, band) && FLEXIBLE_TYPES.some((type) => typeMatches(room, type));
+
+  if (north.length === 0) {
+    const candidates = south.filter(isMovable);
+    if (candidates.length > 0) {
+      const largest = candidates.reduce((a, b) => (requiredArea(b) > requiredArea(a) ? b : a));
+      south.splice(south.indexOf(largest), 1);
+      north.push(largest);
+    }
+  }
+
+  if (south.length === 0) {
+    const candidates = north.filter(isMovable);
+    if (candidates.length > 0) {
+      const smallest = candidates.reduce((a, b) => (requiredArea(b) < requiredArea(a) ? b : a));
+      north.splice(north.indexOf(smallest), 1);
+      south.push(smallest);
+    }
+  }
+
+  for (let i = 0; i < rooms.length; i++) {
+    const diff = bandWidth(north, depthNorth) - bandWidth(south, depthSouth);
+    const [from, to, fromDepth] = diff > 0 ? [north, south, depthNorth] : [south, north, depthSouth];
+
+    let best = null;
+    let bestDiff = Math.abs(diff);
+    from
+      .filter((room) => isFlexible(room, from))
+      .forEach((room) => {
+        const newDiff = Math.abs(Math.abs(diff) - 2 * naturalWidth(room, fromDepth));
+        if (newDiff < bestDiff - 0.01 && from.length > 1) {
+          best = room;
+          bestDiff = newDiff;
+        }
+      });
+
+    if (!best) break;
+    from.splice(from.indexOf(best), 1);
+    to.push(best);
+  }
+
+  return { north, south };
+};
+
+/**
+ * Order a band so rooms with adjacency preferences end up side by side
+ */
+const orderBand = (rooms, first) => {
+  const remaining = [...rooms];
+  const ordered = [];
+
+  const takeRoom = (room) => {
+    remaining.splice(remaining.indexOf(room), 1);
+    ordered.push(room);
+  };
+
+  if (first && remaining.includes(first)) takeRoom(first);
+
+  while (remaining.length > 0) {
+    const last = ordered[ordered.length - 1];
+    const linked = last
+      ? remaining.find(
+          (room) => last.adjacentTo.includes(room.name) || room.adjacentTo.includes(last.name)
+        )
+      : null;
+    takeRoom(linked || remaining[0]);
+  }
+
+  return ordered;
+};
+
+/**
+ * Fit room widths to the building width. Rooms already at their minimum
+ * width do not shrink; edges are snapped cumulatively so they stay shared.
+ */
+const fitWidths = (rooms, bandDepth, totalWidth) => {
+  const minimums = rooms.map((room) => lookupByType(MIN_WIDTHS, room, DEFAULT_MIN_WIDTH));
+  let widths = rooms.map((room) => naturalWidth(room, bandDepth));
+
+  for (let iteration = 0; iteration < rooms.length; iteration++) {
+    const sum = widths.reduce((a, b) => a + b, 0);
+    if (Math.abs(sum - totalWidth) < 0.01) break;
+
+    const adjustable = widths.map((width, i) => (sum > totalWidth ? width > minimums[i] + 0.01 : true));
+    const adjustableSum = widths.reduce((total, width, i) => total + (adjustable[i] ? width : 0), 0);
+    if (adjustableSum === 0) break;
+
+    const factor = (adjustableSum + (totalWidth - sum)) / adjustableSum;
+    widths = widths.map((width, i) => (adjustable[i] ? Math.max(width * factor, minimums[i]) : width));
+  }
+
+  const edges = [0];
+  let cumulative = 0;
+  widths.forEach((width, i) => {
+    cumulative += width;
+    edges.push(i === widths.length - 1 ? totalWidth : snap(cumulative));
+  });
+
+  return edges.slice(1).map((edge, i) => edge - edges[i]);
+};
+
+const centeredPosition = (wallLength, openingWidth) => Math.max(snap((wallLength - openingWidth) / 2), 0);
+
+const buildRoom = (source, id, x, y, width, length, floorHeight) => ({
+  id,
+  name: source.name,
+  type: source.type,
+  areaSqft: Math.round(width * length),
+  dimensions: { length, width },
+  position: { x, y },
+  ceilingHeight: floorHeight,
+  floorMaterial: lookupByType(FLOOR_MATERIALS, source, 'tile'),
+  wallMaterial: 'drywall',
+  doors: [],
+  windows: [],
+  electricalPoints: [],
+  plumbingPoints: [],
+  features: [],
+});
+
+/**
+ * Windows on each exterior wall of a habitable room
+ */
+const addWindows = (room, exteriorWalls, nextWindowId) => {
+  if (NO_WINDOW_TYPES.some((type) => typeMatches(room, type))) return;
+
+  const isBathroom = typeMatches(room, 'bathroom');
+
+  exteriorWalls.forEach((wall, index) => {
+    const wallLength = wall === 'north' || wall === 'south' ? room.dimensions.width : room.dimensions.length;
+    const doorsOnWall = room.doors.filter((door) => door.wall === wall);
+
+    let width = isBathroom
+      ? 2
+      : snap((room.areaSqft * LAYOUT_CONFIG.windowRatio) / LAYOUT_CONFIG.windowHeight);
+    // Side walls only get a secondary window
+    if (index > 0) width = Math.min(width, snap(wallLength / 3));
+
+    let position;
+    if (doorsOnWall.length > 0) {
+      // Keep the window left of the door (doors on exterior walls are placed right of centre)
+      const doorStart = Math.min(...doorsOnWall.map((door) => door.position));
+      width = Math.min(width, doorStart - 2);
+      position = 1;
+    } else {
+      width = Math.min(width, wallLength - 2);
+      position = centeredPosition(wallLength, width);
+    }
+
+    if (width < 2) return;
+
+    room.windows.push({
+      id: nextWindowId(),
+      wall,
+      position,
+      width,
+      height: isBathroom ? 2 : LAYOUT_CONFIG.windowHeight,
+      sillHeight: isBathroom ? 5 : typeMatches(room, 'kitchen') ? 3.5 : 3,
+      type: isBathroom ? 'fixed' : 'casement',
+    });
+  });
+};
+
+const makeDoor = (id, wall, position, width, connectsTo, type = 'single') => ({
+  id,
+  wall,
+  position,
+  width,
+  height: 7,
+  type,
+  connectsTo,
+  swingDirection: 'inward',
+});
+
+/**
+ * Lay out one floor inside the shared envelope
+ */
+const layoutFloor = (floorRooms, context) => {
+  const { level, floorIndex, width, depthNorth, depthSouth, corridorWidth, isEntranceLevel, floorHeight } = context;
+
+  let doorCount = 0;
+  let windowCount = 0;
+  const nextDoorId = () => `d${floorIndex}-${++doorCount}`;
+  const nextWindowId = () => `w${floorIndex}-${++windowCount}`;
+  const nextRoomId = (() => {
+    let count = 0;
+    return () => `room-${floorIndex}-${++count}`;
+  })();
+
+  const depth = depthNorth + corridorWidth + depthSouth;
+  const rooms = [];
+  const notes = [];
+  let mainEntrance = null;
+  let secondaryEntrance = null;
+
+  // A single room simply fills the floor
+  if (floorRooms.length === 1) {
+    const room = buildRoom(floorRooms[0], nextRoomId(), 0, 0, width, depth, floorHeight);
+    if (isEntranceLevel) {
+      const doorWidth = DEFAULT_DOOR_WIDTH;
+      const position = snap(width - doorWidth - 1);
+      room.doors.push(makeDoor(nextDoorId(), 'north', position, doorWidth, 'exterior'));
+      mainEntrance = { wall: 'north', position, type: 'single' };
+    }
+    addWindows(room, ['north', 'south'], nextWindowId);
+    rooms.push(room);
+
+    return { floor: { level, rooms }, mainEntrance, secondaryEntrance, notes };
+  }
+
+  const entryRoom = isEntranceLevel ? pickEntryRoom(floorRooms) : null;
+  const { north, south } = splitBands(floorRooms, entryRoom, depthNorth, depthSouth);
+  const stair = south.find((room) => room.type === 'staircase') || north.find((room) => room.type === 'staircase');
+
+  const bands = [
+    { side: 'north', rooms: orderBand(north, entryRoom || stair), y: 0, depth: depthNorth },
+    { side: 'south', rooms: orderBand(south, stair), y: depthNorth + corridorWidth, depth: depthSouth },
+  ];
+
+  const corridor = buildRoom(
+    { name: 'Corridor', type: 'corridor' },
+    nextRoomId(),
+    0,
+    depthNorth,
+    width,
+    corridorWidth,
+    floorHeight
+  );
+
+  bands.forEach((band) => {
+    if (band.rooms.length === 0) return;
+
+    const widths = fitWidths(band.rooms, band.depth, width);
+    const corridorWall = band.side === 'north' ? 'south' : 'north';
+    const exteriorWall = band.side;
+    let x = 0;
+
+    const placed = band.rooms.map((source, i) => {
+      const room = buildRoom(source, nextRoomId(), x, band.y, widths[i], band.depth, floorHeight);
+      room.source = source;
+      x += widths[i];
+      return room;
+    });
+
+    // Direct doors between preferred neighbours (kitchen-dining, en-suite bathrooms)
+    const ensuite = new Set();
+    placed.forEach((room, i) => {
+      const next = placed[i + 1];
+      if (!next) return;
+
+      const wantsLink =
+        room.source.adjacentTo.includes(next.name) || next.source.adjacentTo.includes(room.name);
+      const pairAllowed = CONNECTED_PAIRS.some(
+        ([a, b]) => (typeMatches(room, a) && typeMatches(next, b)) || (typeMatches(room, b) && typeMatches(next, a))
+      );
+      if (!wantsLink || !pairAllowed) return;
+
+      const doorWidth = Math.min(lookupByType(DOOR_WIDTHS, room, DEFAULT_DOOR_WIDTH), lookupByType(DOOR_WIDTHS, next, DEFAULT_DOOR_WIDTH));
+      const position = centeredPosition(band.depth, doorWidth);
+
+      // Bathrooms open off the bedroom they serve; other pairs are owned by the west room
+      if (typeMatches(next, 'bathroom') && typeMatches(room, 'bedroom')) {
+        next.doors.push(makeDoor(nextDoorId(), 'west', position, doorWidth, room.id));
+        ensuite.add(next);
+      } else if (typeMatches(room, 'bathroom') && typeMatches(next, 'bedroom')) {
+        room.doors.push(makeDoor(nextDoorId(), 'east', position, doorWidth, next.id));
+        ensuite.add(room);
+      } else {
+        room.doors.push(makeDoor(nextDoorId(), 'east', position, doorWidth, next.id));
+      }
+    });
+
+    placed.forEach((room, i) => {
+      if (!ensuite.has(room)) {
+        const doorWidth = Math.min(lookupByType(DOOR_WIDTHS, room, DEFAULT_DOOR_WIDTH), room.dimensions.width - 1);
+        room.doors.push(makeDoor(nextDoorId(), corridorWall, centeredPosition(room.dimensions.width, doorWidth), doorWidth, corridor.id));
+      }
+
+      if (room.source === entryRoom) {
+        const doorWidth = isResidential(context.buildingType) ? DEFAULT_DOOR_WIDTH : 6;
+        const position = Math.max(snap(room.dimensions.width - doorWidth - 1), 0);
+        const type = doorWidth > DEFAULT_DOOR_WIDTH ? 'double' : 'single';
+        room.doors.push(makeDoor(nextDoorId(), exteriorWall, position, doorWidth, 'exterior', type));
+        mainEntrance = { wall: exteriorWall, position: room.position.x + position, type };
+      }
+
+      const exteriorWalls = [exteriorWall];
+      if (i === 0) exteriorWalls.push('west');
+      if (i === placed.length - 1) exteriorWalls.push('east');
+      addWindows(room, exteriorWalls, nextWindowId);
+
+      delete room.source;
+    });
+
+    rooms.push(...placed);
+  });
+
+  // Second exit at the east end of the corridor for larger floors
+  const floorArea = width * depth;
+  if (isEntranceLevel && (floorArea > LAYOUT_CONFIG.exitAreaThreshold || !isResidential(context.buildingType))) {
+    const doorWidth = Math.min(DEFAULT_DOOR_WIDTH, corridorWidth - 1);
+    const position = centeredPosition(corridorWidth, doorWidth);
+    corridor.doors.push(makeDoor(nextDoorId(), 'east', position, doorWidth, 'exterior'));
+    secondaryEntrance = { wall: 'east', position: depthNorth + position, purpose: 'emergency' };
+  }
+
+  rooms.splice(0, 0, corridor);
+
+  return {
+    floor: {
+      level,
+      rooms,
+      circulation: {
+        type: 'linear',
+        corridorWidth,
+        mainPath: 'Double-loaded corridor running east-west; every room opens onto it',
+      },
+    },
+    mainEntrance,
+    secondaryEntrance,
+    notes,
+  };
+};
+
+/**
+ * Columns at every structural grid intersection; grid lines follow the
+ * exterior and corridor walls so no column lands inside a room
+ */
+const buildColumns = (width, yLines, size) => {
+  const bays = Math.max(Math.ceil(width / LAYOUT_CONFIG.columnSpacing), 1);
+  const xLines = Array.from({ length: bays + 1 }, (_, i) => (i === bays ? width : snap((width / bays) * i)));
+
+  const columns = [];
+  yLines.forEach((y) => {
+    xLines.forEach((x) => {
+      columns.push({ id: `c${columns.length + 1}`, position: { x, y }, size });
+    });
+  });
+
+  return { columns, xSpacing: Math.round((width / bays) * 100) / 100 };
+};
+
+/**
+ * Generate a complete plan from a normalized room program (see layout.program.js)
+ * options.bandDepthFactor / options.northShare vary the band proportions for alternative layouts
+ */
+const generateLayout = (program, options = {}) => {
+  const { bandDepthFactor = LAYOUT_CONFIG.bandDepthFactor, northShare = LAYOUT_CONFIG.northShare } = options;
+  const { buildingType, levels } = program;
+  const residential = isResidential(buildingType);
+  const floorHeight = residential ? 10 : 12;
+  const designNotes = [
+    `Generated by the rule-based layout engine (${LAYOUT_ENGINE_VERSION}): double-loaded corridor, public rooms on the entrance side`,
+  ];
+
+  const floorsRooms = levels
+    .map((level) => ({ level, rooms: program.rooms.filter((room) => room.floor === level) }))
+    .filter((floor) => floor.rooms.length > 0);
+
+  // Envelope: depth from the program's typical room size, width from the longest band
+  let depthNorth;
+  let depthSouth;
+  let corridorWidth = program.corridorWidth || (residential ? 4 : 6);
+  const singleRoomFloors = floorsRooms.every((floor) => floor.rooms.length === 1);
+
+  if (singleRoomFloors && !program.buildingDimensions) {
+    // No circulation needed: size the envelope around the largest room
+    const largest = Math.max(...floorsRooms.map((floor) => requiredArea(floor.rooms[0])));
+    const side = snapUp(Math.sqrt(largest), 1);
+    depthNorth = snapUp(largest / side, 1);
+    depthSouth = 0;
+    corridorWidth = 0;
+  } else if (program.buildingDimensions) {
+    const bandTotal = program.buildingDimensions.depth - corridorWidth;
+    depthNorth = snap(bandTotal * northShare);
+    depthSouth = bandTotal - depthNorth;
+  } else {
+    depthNorth = chooseBandDepth(program.rooms, bandDepthFactor);
+    depthSouth = depthNorth;
+  }
+
+  const entranceLevel = findEntranceLevel(floorsRooms.map((floor) => floor.level));
+
+  const requiredWidth = Math.max(
+    ...floorsRooms.map(({ level, rooms }) => {
+      if (rooms.length === 1) {
+        return Math.max(requiredArea(rooms[0]) / (depthNorth + corridorWidth + depthSouth), lookupByType(MIN_WIDTHS, rooms[0], DEFAULT_MIN_WIDTH));
+      }
+      const entryRoom = level === entranceLevel ? pickEntryRoom(rooms) : null;
+      const { north, south } = splitBands(rooms, entryRoom, depthNorth, depthSouth);
+      return Math.max(bandWidth(north, depthNorth), bandWidth(south, depthSouth));
+    })
+  );
+
+  let width = snapUp(requiredWidth, 1);
+  if (program.buildingDimensions) {
+    if (program.buildingDimensions.width >= requiredWidth) {
+      width = program.buildingDimensions.width;
+    } else {
+      designNotes.push(
+        `Building widened from ${program.buildingDimensions.width}ft to ${width}ft to fit the room program at minimum widths`
+      );
+    }
+  }
+
+  const depth = depthNorth + corridorWidth + depthSouth;
+  const yLines = [...new Set([0, depthNorth, depthNorth + corridorWidth, depth])];
+  const { columns, xSpacing } = buildColumns(width, yLines, residential ? 12 : 16);
+
+  let mainEntrance = null;
+  let secondaryEntrance = null;
+
+  const floors = floorsRooms.map(({ level, rooms }, floorIndex) => {
+    const isEntranceLevel = level === entranceLevel;
+    const result = layoutFloor(rooms, {
+      level,
+      floorIndex,
+      width,
+      depthNorth,
+      depthSouth,
+      corridorWidth,
+      isEntranceLevel,
+      floorHeight,
+      buildingType,
+    });
+
+    if (isEntranceLevel) {
+      mainEntrance = result.mainEntrance;
+      secondaryEntrance = result.secondaryEntrance;
+    }
+    designNotes.push(...result.notes);
+
+    const floor = result.floor;
+    return {
+      level: floor.level,
+      totalArea: floor.rooms.reduce((sum, room) => sum + room.areaSqft, 0),
+      floorHeight,
+      rooms: floor.rooms,
+      columns: columns.map((column) => ({ ...column, position: { ...column.position } })),
+      ...(floor.circulation && { circulation: floor.circulation }),
+    };
+  });
+
+  const totalArea = floors.reduce((sum, floor) => sum + floor.totalArea, 0);
+  const exitCount = secondaryEntrance ? 2 : 1;
+
+  const plan = {
+    buildingType,
+    totalArea,
+    buildingDimensions: { width, depth },
+    structuralGrid: { xSpacing, ySpacing: depthNorth },
+    floors,
+    exterior: {
+      mainEntrance: mainEntrance || { wall: 'north', position: 0, type: 'single' },
+      ...(secondaryEntrance && { secondaryEntrance }),
+      style: program.style || 'modern',
+    },
+    fireSafety: {
+      exitCount,
+      exitLocations: secondaryEntrance ? ['Main entrance (north)', 'Corridor exit (east)'] : ['Main entrance (north)'],
+      sprinklerSystem: totalArea > 5000,
+      fireExtinguisherLocations: floors.map((floor) => `${floor.level} corridor`),
+    },
+    designNotes,
+  };
+
+  return plan;
+};
+
+module.exports = {
+  LAYOUT_ENGINE_VERSION,
+  generateLayout,
+};
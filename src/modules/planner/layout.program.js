@@ -0,0 +1,234 @@
+/**
+ * Room Program Builder
+ * Turns a request (explicit room program, or building type + plot area + prompt)
+ * into the normalized room list consumed by the layout engine
+ */
+
+// Share of the plot the building footprint should cover (matches the prompt guidance)
+const PLOT_COVERAGE = 0.65;
+
+// Rooms on the entrance side of the corridor; everything else goes on the far side
+const PUBLIC_TYPES = ['living', 'dining', 'kitchen', 'lobby', 'reception', 'foyer', 'waiting', 'office', 'retail'];
+
+const STAIRCASE_AREA = 80;
+
+const DEFAULT_PROGRAMS = {
+  residential: (counts) => {
+    const rooms = [
+      { name: 'Living Room', type: 'living', area: 220, zone: 'public' },
+      { name: 'Kitchen', type: 'kitchen', area: 120, zone: 'public', adjacentTo: ['Dining Room'] },
+      { name: 'Dining Room', type: 'dining', area: 130, zone: 'public', adjacentTo: ['Living Room', 'Kitchen'] },
+      { name: 'Master Bedroom', type: 'bedroom', area: 180, zone: 'private', adjacentTo: ['Master Bath'] },
+      { name: 'Master Bath', type: 'bathroom', area: 60, zone: 'private', adjacentTo: ['Master Bedroom'] },
+    ];
+
+    for (let i = 2; i <= counts.bedrooms; i++) {
+      rooms.push({ name: `Bedroom ${i}`, type: 'bedroom', area: 130, zone: 'private' });
+    }
+
+    for (let i = 2; i <= counts.bathrooms; i++) {
+      rooms.push({ name: i === 2 ? 'Bathroom' : `Bathroom ${i - 1}`, type: 'bathroom', area: 45, zone: 'private' });
+    }
+
+    rooms.push({ name: 'Utility', type: 'utility', area: 40, zone: 'private' });
+
+    return rooms;
+  },
+
+  commercial: () => [
+    { name: 'Reception', type: 'reception', area: 200, zone: 'public' },
+    { name: 'Open Office', type: 'office', area: 600, zone: 'public' },
+    { name: 'Manager Office', type: 'office', area: 150, zone: 'public' },
+    { name: 'Meeting Room', type: 'office', area: 220, zone: 'private' },
+    { name: 'Break Room', type: 'kitchen', area: 150, zone: 'private' },
+    { name: "Men's Restroom", type: 'bathroom', area: 80, zone: 'private' },
+    { name: "Women's Restroom", type: 'bathroom', area: 80, zone: 'private' },
+    { name: 'Server Room', type: 'utility', area: 60, zone: 'private' },
+  ],
+
+  bank: () => [
+    { name: 'ATM Vestibule', type: 'lobby', area: 60, zone: 'public' },
+    { name: 'Customer Waiting', type: 'waiting', area: 200, zone: 'public', adjacentTo: ['Teller Area'] },
+    { name: 'Teller Area', type: 'office', area: 300, zone: 'public' },
+    { name: 'Manager Office', type: 'office', area: 150, zone: 'public' },
+    { name: 'Vault', type: 'vault', area: 120, zone: 'private', adjacentTo: ['Safe Deposit'] },
+    { name: 'Safe Deposit', type: 'storage', area: 100, zone: 'private', adjacentTo: ['Vault'] },
+    { name: 'Security Room', type: 'office', area: 70, zone: 'private' },
+    { name: 'Staff Break Room', type: 'kitchen', area: 120, zone: 'private' },
+    { name: 'Staff Restroom', type: 'bathroom', area: 60, zone: 'private' },
+    { name: 'Server Room', type: 'utility', area: 60, zone: 'private' },
+  ],
+
+  hospital: () => [
+    { name: 'Reception', type: 'reception', area: 150, zone: 'public' },
+    { name: 'Waiting Area', type: 'waiting', area: 220, zone: 'public', adjacentTo: ['Reception'] },
+    { name: 'Examination Room 1', type: 'office', area: 120, zone: 'public' },
+    { name: 'Examination Room 2', type: 'office', area: 120, zone: 'public' },
+    { name: 'Nursing Station', type: 'office', area: 100, zone: 'private' },
+    { name: 'Procedure Room', type: 'office', area: 180, zone: 'private' },
+    { name: 'Clean Utility', type: 'utility', area: 60, zone: 'private' },
+    { name: 'Soiled Utility', type: 'utility', area: 60, zone: 'private' },
+    { name: 'Patient Restroom', type: 'bathroom', area: 60, zone: 'private' },
+    { name: 'Staff Restroom', type: 'bathroom', area: 50, zone: 'private' },
+  ],
+
+  school: () => [
+    { name: 'Admin Office', type: 'office', area: 180, zone: 'public' },
+    { name: 'Classroom 1', type: 'classroom', area: 600, zone: 'public' },
+    { name: 'Classroom 2', type: 'classroom', area: 600, zone: 'private' },
+    { name: 'Staff Room', type: 'office', area: 200, zone: 'private' },
+    { name: "Boys' Restroom", type: 'bathroom', area: 120, zone: 'private' },
+    { name: "Girls' Restroom", type: 'bathroom', area: 120, zone: 'private' },
+  ],
+
+  restaurant: () => [
+    { name: 'Host Area', type: 'lobby', area: 100, zone: 'public', adjacentTo: ['Dining Area'] },
+    { name: 'Dining Area', type: 'dining', area: 700, zone: 'public' },
+    { name: 'Bar', type: 'dining', area: 200, zone: 'public' },
+    { name: 'Kitchen', type: 'kitchen', area: 400, zone: 'private', adjacentTo: ['Pantry'] },
+    { name: 'Pantry', type: 'storage', area: 120, zone: 'private', adjacentTo: ['Kitchen'] },
+    { name: 'Customer Restroom', type: 'bathroom', area: 80, zone: 'private' },
+    { name: 'Staff Restroom', type: 'bathroom', area: 50, zone: 'private' },
+  ],
+
+  warehouse: () => [
+    { name: 'Office', type: 'office', area: 200, zone: 'public' },
+    { name: 'Storage Hall', type: 'storage', area: 2400, zone: 'private' },
+    { name: 'Loading Bay', type: 'garage', area: 600, zone: 'private' },
+    { name: 'Restroom', type: 'bathroom', area: 60, zone: 'public' },
+  ],
+};
+
+/**
+ * Map a free-text building type onto a default program key
+ */
+const resolveProgramKey = (buildingType = '') => {
+  const typeLower = buildingType.toLowerCase();
+
+  if (DEFAULT_PROGRAMS[typeLower]) return typeLower;
+  if (/house|home|villa|apartment|flat|residen/.test(typeLower)) return 'residential';
+  if (/clinic|hospital|medical/.test(typeLower)) return 'hospital';
+  if (/cafe|restaurant|diner/.test(typeLower)) return 'restaurant';
+
+  return 'commercial';
+};
+
+/**
+ * Read bedroom/bathroom counts from the prompt ("3 bedroom", "2-bath", "4 BHK")
+ */
+const parseRoomCounts = (prompt = '') => {
+  const bedroomMatch = prompt.match(/(\d+)\s*-?\s*(?:bed(?:room)?s?|bhk)\b/i);
+  const bathroomMatch = prompt.match(/(\d+)\s*-?\s*bath(?:room)?s?\b/i);
+
+  const bedrooms = Math.min(Math.max(parseInt(bedroomMatch?.[1], 10) || 2, 1), 8);
+  const bathrooms = Math.min(Math.max(parseInt(bathroomMatch?.[1], 10) || (bedrooms > 1 ? 2 : 1), 1), 8);
+
+  return { bedrooms, bathrooms };
+};
+
+const inferZone = (type = '') => {
+  const typeLower = type.toLowerCase();
+  return PUBLIC_TYPES.some((publicType) => typeLower.includes(publicType)) ? 'public' : 'private';
+};
+
+/**
+ * Scale program areas so the total footprint fits the plot coverage
+ */
+const scaleToPlot = (rooms, plotArea, floorCount) => {
+  if (!plotArea) return rooms;
+
+  const targetPerFloor = plotArea * PLOT_COVERAGE;
+  const programPerFloor = rooms.reduce((sum, room) => sum + room.area, 0) / floorCount;
+  // Leave ~12% for the corridor
+  const factor = Math.min(Math.max((targetPerFloor * 0.88) / programPerFloor, 0.6), 3);
+
+  return rooms.map((room) => ({ ...room, area: Math.round(room.area * factor) }));
+};
+
+/**
+ * The level with the main entrance: Ground when listed, otherwise the first level
+ */
+const findEntranceLevel = (levels) => levels.find((level) => /ground/i.test(level)) || levels[0];
+
+/**
+ * Assign rooms without an explicit floor: public rooms on the entrance level,
+ * private rooms shared across the remaining levels
+ */
+const assignFloors = (rooms, levels) => {
+  if (levels.length === 1) {
+    return rooms.map((room) => ({ ...room, floor: room.floor || levels[0] }));
+  }
+
+  const entranceLevel = findEntranceLevel(levels);
+  const upperLevels = levels.filter((level) => level !== entranceLevel);
+  const upperAreas = upperLevels.map(() => 0);
+
+  return rooms.map((room) => {
+    if (room.floor) return room;
+
+    if (room.zone === 'public') {
+      return { ...room, floor: entranceLevel };
+    }
+
+    // Fill the least-loaded upper level, in program order so results stay predictable
+    const index = upperAreas.indexOf(Math.min(...upperAreas));
+    upperAreas[index] += room.area;
+    return { ...room, floor: upperLevels[index] };
+  });
+};
+
+/**
+ * Build the normalized program for the layout engine
+ */
+const buildProgram = (prompt, meta = {}, program = {}) => {
+  const buildingType = meta.buildingType || 'Residential';
+  const levels = meta.floors && meta.floors.length > 0 ? [...meta.floors] : ['Ground'];
+
+  let rooms;
+  if (program.rooms && program.rooms.length > 0) {
+    rooms = program.rooms.map((room) => ({
+      ...room,
+      zone: room.zone || inferZone(room.type),
+      adjacentTo: room.adjacentTo || [],
+    }));
+  } else {
+    const programKey = resolveProgramKey(buildingType);
+    rooms = DEFAULT_PROGRAMS[programKey](parseRoomCounts(prompt)).map((room) => ({
+      adjacentTo: [],
+      ...room,
+    }));
+    rooms = scaleToPlot(rooms, meta.plotArea, levels.length);
+  }
+
+  // Explicit floors in the program extend the level list
+  rooms.forEach((room) => {
+    if (room.floor && !levels.includes(room.floor)) levels.push(room.floor);
+  });
+
+  rooms = assignFloors(rooms, levels);
+
+  // Multi-storey buildings get a staircase on every level
+  const hasStairs = rooms.some((room) => room.type === 'staircase');
+  if (levels.length > 1 && !hasStairs) {
+    levels.forEach((level) => {
+      rooms.push({ name: 'Staircase', type: 'staircase', area: STAIRCASE_AREA, zone: 'private', adjacentTo: [], floor: level });
+    });
+  }
+
+  return {
+    buildingType,
+    levels,
+    rooms,
+    buildingDimensions: program.buildingDimensions,
+    corridorWidth: program.corridorWidth,
+    style: meta.style,
+  };
+};
+
+module.exports = {
+  DEFAULT_PROGRAMS,
+  buildProgram,
+  findEntranceLevel,
+  parseRoomCounts,
+  resolveProgramKey,
+};
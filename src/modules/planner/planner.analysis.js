@@ -0,0 +1,205 @@
+/**
+ * Plan Quality Metrics
+ * Objective numbers for comparing designs: area efficiency, circulation,
+ * daylight, room proportions, exterior exposure and travel distance between
+ * doors. Works on plans in feet; areas and lengths are reported in `units`.
+ */
+
+const { SERVICE_ROOM_TYPES } = require('./planner.constants');
+const { doorSegment, isCorridor, isVerticalCirculation, onPerimeter, roomWalls } = require('./planner.graph');
+const { DEFAULT_UNITS, fromFeet, fromSqft } = require('./planner.units');
+const { buildingArea, roomArea } = require('./planner.geometry');
+
+const DEFAULT_WINDOW_HEIGHT = 4; // ft - when a window has no height
+const MIN_WINDOW_TO_FLOOR = 0.1; // glazing share a habitable room should reach
+const ELONGATED_ASPECT_RATIO = 2; // rooms longer than this are flagged
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const average = (values) => (values.length > 0 ? sum(values) / values.length : null);
+
+const isCirculation = (room) => isCorridor(room) || isVerticalCirculation(room);
+
+const isHabitable = (room) => {
+  const type = room.type?.toLowerCase() || '';
+  return !isCirculation(room) && !SERVICE_ROOM_TYPES.some((service) => type.includes(service));
+};
+
+/**
+ * Walls of `room` that lie on the building perimeter
+ */
+const exteriorWalls = (room, building) => [
+  ...new Set(
+    roomWalls(room)
+      .filter((wall) => onPerimeter(wall.wall, wall, building))
+      .map((wall) => wall.wall)
+  ),
+];
+
+/**
+ * Centre point of a door opening
+ */
+const doorPoint = (room, door) => {
+  const { horizontalWall, line, start, end } = doorSegment(room, door);
+  const middle = (start + end) / 2;
+  return horizontalWall ? { x: middle, y: line } : { x: line, y: middle };
+};
+
+/**
+ * Shortest walking distance between every pair of door openings on a floor.
+ * Any two doors of the same room are joined by a straight line (a shortcut
+ * across the corner of an L-shaped room); an interior opening belongs to both
+ * rooms it connects.
+ */
+const doorDistances = (rooms) => {
+  const openings = new Map();
+  const roomOpenings = rooms.map((room) =>
+    (room.doors || []).map((door) => {
+      const id = door.reciprocalOf || door.id;
+      if (!openings.has(id)) openings.set(id, doorPoint(room, door));
+      return id;
+    })
+  );
+
+  const ids = [...openings.keys()];
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const distance = ids.map((_, i) => ids.map((__, j) => (i === j ? 0 : Infinity)));
+
+  roomOpenings.forEach((doorIds) => {
+    doorIds.forEach((a) => {
+      doorIds.forEach((b) => {
+        if (a === b) return;
+        const pa = openings.get(a);
+        const pb = openings.get(b);
+        const i = index.get(a);
+        const j = index.get(b);
+        distance[i][j] = Math.min(distance[i][j], Math.hypot(pa.x - pb.x, pa.y - pb.y));
+      });
+    });
+  });
+
+  // Floyd-Warshall: floors have tens of doors, not thousands
+  ids.forEach((_, k) => {
+    ids.forEach((__, i) => {
+      ids.forEach((___, j) => {
+        if (distance[i][k] + distance[k][j] < distance[i][j]) distance[i][j] = distance[i][k] + distance[k][j];
+      });
+    });
+  });
+
+  const pairs = [];
+  ids.forEach((_, i) => {
+    ids.forEach((__, j) => {
+      if (j > i && Number.isFinite(distance[i][j])) pairs.push(distance[i][j]);
+    });
+  });
+
+  return { doors: ids.length, pairs };
+};
+
+/**
+ * Metrics for a plan in feet, with doors normalized (see planner.doors.js)
+ * Returns { summary, floors, rooms }; ratios are unitless, areas and lengths in `units`
+ */
+const computePlanMetrics = (plan, { units = DEFAULT_UNITS } = {}) => {
+  const building = plan.buildingDimensions;
+  const grossPerFloor = building ? buildingArea(building) : null;
+  const area = (value) => (value === null ? null : round2(fromSqft(value, units)));
+  const length = (value) => (value === null ? null : round2(fromFeet(value, units)));
+  const ratio = (value) => (value === null ? null : round2(value));
+
+  const rooms = [];
+  const allPairs = [];
+  const aspectRatios = []; // corridors and stairs are long by design, so they are left out
+  const totals = { gross: 0, net: 0, corridor: 0 };
+
+  const floors = plan.floors.map((floor) => {
+    const placed = floor.rooms.filter((room) => room.position && room.dimensions);
+    const roomsArea = sum(placed.map(roomArea));
+    const gross = grossPerFloor || roomsArea;
+    const circulationArea = sum(placed.filter(isCirculation).map(roomArea));
+    const corridorArea = sum(placed.filter(isCorridor).map(roomArea));
+    const netArea = roomsArea - circulationArea;
+    totals.gross += gross;
+    totals.net += netArea;
+    totals.corridor += corridorArea;
+
+    let withExterior = 0;
+    placed.forEach((room) => {
+      const floorArea = roomArea(room);
+      const walls = building ? exteriorWalls(room, building) : [];
+      if (walls.length > 0) withExterior++;
+
+      const habitable = isHabitable(room);
+      const windowArea = sum((room.windows || []).map((window) => window.width * (window.height || DEFAULT_WINDOW_HEIGHT)));
+      const { width, length: depth } = room.dimensions;
+      const aspectRatio = round2(Math.max(width, depth) / Math.min(width, depth));
+      if (!isCirculation(room)) aspectRatios.push(aspectRatio);
+
+      rooms.push({
+        level: floor.level,
+        roomId: room.id,
+        name: room.name,
+        type: room.type,
+        area: area(floorArea),
+        aspectRatio,
+        exteriorWalls: walls,
+        habitable,
+        ...(habitable && { windowArea: area(windowArea), windowToFloor: round2(windowArea / floorArea) }),
+      });
+    });
+
+    const { doors, pairs } = doorDistances(placed);
+    allPairs.push(...pairs);
+
+    return {
+      level: floor.level,
+      grossArea: area(gross),
+      netArea: area(netArea),
+      circulationArea: area(circulationArea),
+      corridorArea: area(corridorArea),
+      netToGross: ratio(netArea / gross),
+      corridorShare: ratio(corridorArea / gross),
+      exteriorWallShare: ratio(placed.length > 0 ? withExterior / placed.length : null),
+      doors,
+      averageDoorToDoor: length(average(pairs)),
+      maxDoorToDoor: length(pairs.length > 0 ? Math.max(...pairs) : null),
+    };
+  });
+
+  const habitable = rooms.filter((room) => room.habitable);
+
+  return {
+    units,
+    summary: {
+      grossArea: area(totals.gross),
+      netArea: area(totals.net),
+      netToGross: ratio(totals.gross > 0 ? totals.net / totals.gross : null),
+      corridorShare: ratio(totals.gross > 0 ? totals.corridor / totals.gross : null),
+      windowToFloor: {
+        average: ratio(average(habitable.map((room) => room.windowToFloor))),
+        minimum: ratio(habitable.length > 0 ? Math.min(...habitable.map((room) => room.windowToFloor)) : null),
+        target: MIN_WINDOW_TO_FLOOR,
+        roomsBelowTarget: habitable.filter((room) => room.windowToFloor < MIN_WINDOW_TO_FLOOR).length,
+      },
+      aspectRatio: {
+        average: ratio(average(aspectRatios)),
+        maximum: ratio(aspectRatios.length > 0 ? Math.max(...aspectRatios) : null),
+        elongatedRooms: aspectRatios.filter((value) => value > ELONGATED_ASPECT_RATIO).length,
+      },
+      exteriorWallShare: ratio(rooms.length > 0 ? rooms.filter((room) => room.exteriorWalls.length > 0).length / rooms.length : null),
+      habitableExteriorWallShare: ratio(
+        habitable.length > 0 ? habitable.filter((room) => room.exteriorWalls.length > 0).length / habitable.length : null
+      ),
+      averageDoorToDoor: length(average(allPairs)),
+    },
+    floors,
+    rooms,
+  };
+};
+
+module.exports = {
+  computePlanMetrics,
+};
@@ -0,0 +1,15 @@
+const { getDefaultRulePack } = require('../compliance/compliance.rules');
+
+// Minimum room areas in sqft, matched against room.type with includes()
+// Taken from the default building code rule pack so validation and compliance agree
+const MIN_ROOM_SIZES = Object.fromEntries(
+  Object.entries(getDefaultRulePack().rules.minRoomSizes).map(([type, { area }]) => [type, area])
+);
+
+// Non-habitable room types, matched with includes(): lower ceiling limits, no daylight targets
+const SERVICE_ROOM_TYPES = ['bathroom', 'toilet', 'storage', 'store', 'utility', 'laundry', 'corridor', 'hallway', 'passage', 'garage', 'stair'];
+
+module.exports = {
+  MIN_ROOM_SIZES,
+  SERVICE_ROOM_TYPES,
+};
@@ -1,17 +1,214 @@
 const plannerService = require('./planner.service');
-const { validateGeneratePlan } = require('./planner.validation');
+const plansService = require('../plans/plans.service');
+const plannerJobs = require('./planner.jobs');
+const usageService = require('../usage/usage.service');
+const promptsService = require('../prompts/prompts.service');
+const { listProviders } = require('../../providers/llm');
+const {
+  validateGeneratePlan,
+  validateGenerateQuery,
+  validateRefinePlanParams,
+  validateRefinePlan,
+  validateJobParams,
+  validateAnalyzePlan,
+  validateFurnishPlan,
+} = require('./planner.validation');
 const { asyncHandler } = require('../../middlewares/error.middleware');
 const ApiResponse = require('../../utils/response');
+const { openEventStream } = require('../../utils/sse');
+const logger = require('../../utils/logger');
+
+/**
+ * Generate a plan and persist it as a new project; model usage goes to the user's ledger
+ * and, per attempt, to options.onUsage. Once options.signal aborts nothing more is
+ * started or saved, and the ledger records the request as cancelled.
+ */
+const generateAndSave = async (userId, { prompt, meta, name, provider, model, mode, program, units, variants }, options = {}) => {
+  // Rule-based plans use no prompt
+  const template = mode === 'algorithmic' ? null : await promptsService.selectTemplate(userId);
+  plannerService.throwIfCancelled(options.signal);
+
+  const result = await usageService.track(
+    userId,
+    'generate',
+    async (onUsage) => {
+      const generated = await plannerService.generatePlan(prompt, meta, {
+        ...options,
+        onUsage: (attempt) => {
+          onUsage(attempt);
+          options.onUsage?.(attempt);
+        },
+        template,
+        provider,
+        model,
+        mode,
+        program,
+        units,
+        variants,
+      });
+      // A plan that arrives after cancellation is dropped, not saved
+      plannerService.throwIfCancelled(options.signal);
+      return generated;
+    },
+    { promptTemplateVersion: template?.version }
+  );
+
+  // Persist every generated plan as a new project so it survives the request; with variants, the best one
+  const saved = await plansService.createPlan(userId, {
+    name,
+    planData: result.plan,
+    source: 'generate',
+    prompt,
+    // Units travel with meta so plotArea can be read back in the right units
+    meta: { ...meta, units },
+    usage: { ...result.usage, provider: result.provider.name, model: result.provider.model },
+    promptTemplateVersion: template?.version,
+  });
+
+  return {
+    ...result,
+    ...(template && { promptTemplate: { version: template.version, arm: template.arm } }),
+    planId: saved.id,
+    version: saved.currentVersion,
+  };
+};
 
 const generatePlan = asyncHandler(async (req, res) => {
   const validatedData = validateGeneratePlan(req.body);
-  const { prompt, meta } = validatedData;
+  const { async: runAsync } = validateGenerateQuery(req.query);
 
-  const result = await plannerService.generatePlan(prompt, meta);
+  // Rule-based plans never call the model, so they aren't held to the quota
+  if (validatedData.mode !== 'algorithmic') await usageService.assertWithinQuota(req.user.id);
+
+  if (runAsync) {
+    // Run in the background and let the client poll, so slow generations don't hit proxy timeouts
+    const job = plannerJobs.enqueue(req.user.id, 'generate', ({ signal, onEvent, onUsage }) =>
+      generateAndSave(req.user.id, validatedData, { stream: true, signal, onEvent, onUsage })
+    );
+
+    return ApiResponse.success(res, job, 'Plan generation queued', 202);
+  }
+
+  const result = await generateAndSave(req.user.id, validatedData);
 
   return ApiResponse.success(res, result, 'Plan generated successfully');
 });
 
+/**
+ * Generate a plan and report progress as Server-Sent Events
+ * Events: attempt, progress, repaired, validation_failed, retry, complete, error
+ */
+const streamPlan = asyncHandler(async (req, res) => {
+  // Validate before opening the stream so bad input still gets a normal 422
+  const validatedData = validateGeneratePlan(req.body);
+  if (validatedData.mode !== 'algorithmic') await usageService.assertWithinQuota(req.user.id);
+  const stream = openEventStream(res);
+
+  // Cancel the model call if the client goes away mid-generation
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort();
+  });
+
+  try {
+    const result = await generateAndSave(req.user.id, validatedData, {
+      stream: true,
+      onEvent: stream.send,
+      signal: abortController.signal,
+    });
+
+    stream.send('complete', result);
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      logger.info('Plan stream closed by client', { userId: req.user.id });
+    } else {
+      logger.error('Plan stream failed', { message: error.message });
+      stream.send('error', {
+        message: error.isOperational ? error.message : 'Failed to generate architectural plan',
+        statusCode: error.statusCode || 500,
+      });
+    }
+  } finally {
+    stream.close();
+  }
+});
+
+const refinePlan = asyncHandler(async (req, res) => {
+  const { planId } = validateRefinePlanParams(req.params);
+  const { instruction, provider, model } = validateRefinePlan(req.body);
+
+  await usageService.assertWithinQuota(req.user.id);
+  const context = await plansService.getRefinementContext(req.user.id, planId);
+  const template = await promptsService.selectTemplate(req.user.id);
+
+  const result = await usageService.track(
+    req.user.id,
+    'refine',
+    (onUsage) => plannerService.refinePlan(context.planData, instruction, context, { provider, model, onUsage, template }),
+    { promptTemplateVersion: template.version }
+  );
+
+  const saved = await plansService.addVersion(req.user.id, planId, {
+    planData: result.plan,
+    source: 'refine',
+    prompt: instruction,
+    usage: { ...result.usage, provider: result.provider.name, model: result.provider.model },
+    promptTemplateVersion: template.version,
+  });
+
+  return ApiResponse.success(
+    res,
+    { ...result, promptTemplate: { version: template.version, arm: template.arm }, planId: saved.id, version: saved.currentVersion },
+    'Plan refined successfully'
+  );
+});
+
+const analyzePlan = asyncHandler(async (req, res) => {
+  const { planData } = validateAnalyzePlan(req.body);
+  const metrics = plannerService.analyzePlan(planData);
+
+  return ApiResponse.success(res, metrics, 'Plan analyzed successfully');
+});
+
+const furnishPlan = asyncHandler(async (req, res) => {
+  const { planData, replace } = validateFurnishPlan(req.body);
+  const result = plannerService.furnishPlan(planData, { replace });
+
+  return ApiResponse.success(res, result, 'Plan furnished successfully');
+});
+
+const getProviders = asyncHandler(async (req, res) => {
+  return ApiResponse.success(res, { providers: listProviders() }, 'LLM providers retrieved successfully');
+});
+
+const getStats = asyncHandler(async (req, res) => {
+  const cache = await plannerService.getCacheStats();
+
+  return ApiResponse.success(res, { cache }, 'Planner stats retrieved successfully');
+});
+
+const getJob = asyncHandler(async (req, res) => {
+  const { id } = validateJobParams(req.params);
+  const job = plannerJobs.getJob(req.user.id, id);
+
+  return ApiResponse.success(res, job, 'Job retrieved successfully');
+});
+
+const cancelJob = asyncHandler(async (req, res) => {
+  const { id } = validateJobParams(req.params);
+  const job = plannerJobs.cancel(req.user.id, id);
+
+  return ApiResponse.success(res, job, 'Job cancelled successfully');
+});
+
 module.exports = {
   generatePlan,
+  streamPlan,
+  refinePlan,
+  analyzePlan,
+  furnishPlan,
+  getProviders,
+  getStats,
+  getJob,
+  cancelJob,
 };
@@ -0,0 +1,325 @@
+/**
+ * Door Consistency
+ * Checks that every door leads somewhere real and fits the wall it sits on,
+ * and normalizes interior doors so each opening appears on both rooms:
+ * the authored door owns the opening and the other room gets a mirrored
+ * copy marked with `reciprocalOf`. Renderers draw only the owner.
+ * Plans are in feet; `units` only sets how messages report lengths.
+ */
+
+const { EXTERIOR, OPPOSITE_WALL, bounds, doorSegment, findSharedWall, onPerimeter, resolveDoorTarget } = require('./planner.graph');
+const { DEFAULT_UNITS, formatLength } = require('./planner.units');
+
+const MIN_DOOR_WIDTH = 2; // ft - narrower shared segments can't take a door
+
+const roundTo = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const isHorizontalWall = (wall) => wall === 'north' || wall === 'south';
+
+/**
+ * Span of wall shared by `room` and `other` along `room`'s `wall`, or null
+ */
+const sharedSegment = (room, other, wall) => {
+  const shared = findSharedWall(room, other);
+  if (!shared || shared.wall !== wall) return null;
+
+  return { start: shared.start, end: shared.end };
+};
+
+/**
+ * Room referenced by id or, as models sometimes write it, by name
+ */
+const findRoom = (rooms, reference, except) => {
+  const ref = reference?.toLowerCase();
+  if (!ref) return null;
+  return rooms.find((room) => room !== except && (room.id.toLowerCase() === ref || room.name.toLowerCase() === ref)) || null;
+};
+
+/**
+ * Door position measured from `room`'s wall origin for an absolute start coordinate
+ */
+const positionFrom = (room, wall, start) => {
+  const r = bounds(room);
+  return start - (isHorizontalWall(wall) ? r.left : r.top);
+};
+
+class DoorReviewer {
+  constructor(plan, { fix, units = DEFAULT_UNITS }) {
+    this.plan = plan;
+    this.fix = fix;
+    this.units = units;
+    // Metric plans arrive converted to feet; extra decimals keep them exact in meters
+    this.digits = units === 'metric' ? 4 : 2;
+    this.changes = [];
+    this.issues = [];
+  }
+
+  round(value) {
+    return roundTo(value, this.digits);
+  }
+
+  change(floor, room, message) {
+    this.changes.push({ level: floor.level, roomId: room.id, room: room.name, action: 'door', message });
+  }
+
+  issue(floor, room, door, code, message) {
+    this.issues.push({ level: floor.level, roomId: room.id, doorId: door.id, code, message });
+  }
+
+  /**
+   * Record a problem: fixed (and logged as a change) when fixing is enabled, reported otherwise
+   * fix: { note, apply } or null when it can't be fixed automatically
+   */
+  problem(floor, room, door, code, message, fix) {
+    if (this.fix && fix) {
+      fix.apply();
+      this.change(floor, room, `${message}; ${fix.note}`);
+    } else {
+      this.issue(floor, room, door, code, message);
+    }
+  }
+
+  run() {
+    this.plan.floors.forEach((floor) => {
+      const rooms = floor.rooms.filter((room) => room.position && room.dimensions);
+
+      rooms.forEach((room) => {
+        (room.doors || []).forEach((door, index) => {
+          if (!door.id) {
+            // Mirrored doors refer to their owner by id
+            if (this.fix) door.id = `d-${room.id}-${index + 1}`;
+          }
+          if (!door.reciprocalOf) this.checkDoor(floor, rooms, room, door);
+        });
+      });
+
+      this.checkReciprocals(floor, rooms);
+    });
+
+    return { plan: this.plan, changes: this.changes, issues: this.issues };
+  }
+
+  label(room, door) {
+    return `Door ${door.id || '(no id)'} in "${room.name}"`;
+  }
+
+  /**
+   * Target exists, shares the door's wall, and the door fits the shared segment
+   */
+  checkDoor(floor, rooms, room, door) {
+    const building = this.plan.buildingDimensions;
+    const connectsTo = door.connectsTo?.toLowerCase();
+    const label = this.label(room, door);
+
+    if (connectsTo === EXTERIOR) {
+      if (!building) return;
+
+      if (onPerimeter(door.wall, doorSegment(room, door), building)) return;
+
+      const inferred = resolveDoorTarget(room, { ...door, connectsTo: undefined }, rooms, building);
+      const target = rooms.find((other) => other.id === inferred);
+      this.problem(
+        floor,
+        room,
+        door,
+        'not_on_perimeter',
+        `${label} leads outside but its ${door.wall} wall is not on the building perimeter`,
+        target && { note: `connected to "${target.name}" instead`, apply: () => (door.connectsTo = target.id) }
+      );
+      if (target && this.fix) this.fitToSegment(floor, room, door, target);
+      return;
+    }
+
+    let target = findRoom(rooms, connectsTo, room);
+
+    if (!target) {
+      const inferred = resolveDoorTarget(room, { ...door, connectsTo: undefined }, rooms, building);
+      const inferredRoom = rooms.find((other) => other.id === inferred);
+      const reason = connectsTo ? `connects to "${door.connectsTo}", which is not on ${floor.level}` : 'has no connectsTo';
+
+      if (inferred === EXTERIOR) {
+        this.problem(floor, room, door, 'target_missing', `${label} ${reason}`, {
+          note: 'it is on the building perimeter, so it now leads outside',
+          apply: () => (door.connectsTo = EXTERIOR),
+        });
+        return;
+      }
+
+      this.problem(
+        floor,
+        room,
+        door,
+        'target_missing',
+        `${label} ${reason}`,
+        inferredRoom && { note: `connected to "${inferredRoom.name}", the room behind it`, apply: () => (door.connectsTo = inferredRoom.id) }
+      );
+      if (!inferredRoom || !this.fix) return;
+      target = inferredRoom;
+    } else if (door.connectsTo !== target.id) {
+      // Refer to rooms by id, not name
+      if (this.fix) door.connectsTo = target.id;
+    }
+
+    if (!sharedSegment(room, target, door.wall)) {
+      const shared = findSharedWall(room, target);
+      this.problem(
+        floor,
+        room,
+        door,
+        'no_shared_wall',
+        shared
+          ? `${label} is on the ${door.wall} wall, but the wall shared with "${target.name}" is ${shared.wall}`
+          : `${label} connects to "${target.name}", but the rooms don't share a wall`,
+        shared && { note: `moved to the ${shared.wall} wall`, apply: () => (door.wall = shared.wall) }
+      );
+      if (!shared || !this.fix) return;
+    }
+
+    this.fitToSegment(floor, room, door, target);
+  }
+
+  /**
+   * Keep the door inside the wall segment shared with `target`
+   */
+  fitToSegment(floor, room, door, target) {
+    const segment = sharedSegment(room, target, door.wall);
+    if (!segment) return;
+
+    const label = this.label(room, door);
+    const length = segment.end - segment.start;
+    const { start, end } = doorSegment(room, door);
+
+    if (length < MIN_DOOR_WIDTH) {
+      this.issue(floor, room, door, 'segment_too_short', `${label}: the wall shared with "${target.name}" is only ${formatLength(length, this.units)} long`);
+      return;
+    }
+
+    if (start >= segment.start - 0.01 && end <= segment.end + 0.01) return;
+
+    const width = Math.min(door.width, length);
+    // Keep the door where it was when possible, otherwise slide it to the nearest end
+    const newStart = Math.min(Math.max(start, segment.start), segment.end - width);
+
+    this.problem(
+      floor,
+      room,
+      door,
+      'outside_segment',
+      `${label} extends past the wall shared with "${target.name}"`,
+      {
+        note: 'refitted',
+        apply: () => {
+          door.width = this.round(width);
+          door.position = this.round(positionFrom(room, door.wall, newStart));
+        },
+      }
+    );
+  }
+
+  /**
+   * Each interior opening appears once per room: synthesize missing mirrors,
+   * merge doors authored on both sides, and drop mirrors whose owner is gone
+   */
+  checkReciprocals(floor, rooms) {
+    const owners = [];
+
+    rooms.forEach((room) => {
+      (room.doors || []).forEach((door) => {
+        if (!door.reciprocalOf) owners.push({ room, door });
+      });
+    });
+
+    const ownerIds = new Set(owners.map(({ door }) => door.id));
+    const merged = new Set();
+
+    // Orphaned mirrors
+    rooms.forEach((room) => {
+      const orphans = (room.doors || []).filter((door) => door.reciprocalOf && !ownerIds.has(door.reciprocalOf));
+      orphans.forEach((door) => {
+        this.problem(floor, room, door, 'orphan_reciprocal', `${this.label(room, door)} mirrors door ${door.reciprocalOf}, which no longer exists`, {
+          note: 'removed',
+          apply: () => (room.doors = room.doors.filter((other) => other !== door)),
+        });
+      });
+    });
+
+    owners.forEach(({ room, door }) => {
+      // Skip doors merged into another opening earlier in this pass
+      if (door.reciprocalOf || merged.has(door)) return;
+
+      const target = findRoom(rooms, door.connectsTo, room);
+      if (!target || !sharedSegment(room, target, door.wall)) return;
+
+      const wall = OPPOSITE_WALL[door.wall];
+      const { start, end } = doorSegment(room, door);
+      const mirror = {
+        id: `${door.id}-r`,
+        wall,
+        position: this.round(positionFrom(target, wall, start)),
+        width: door.width,
+        ...(door.height && { height: door.height }),
+        ...(door.type && { type: door.type }),
+        connectsTo: room.id,
+        ...(door.swingDirection && { swingDirection: door.swingDirection }),
+        reciprocalOf: door.id,
+      };
+
+      const counterpart = (target.doors || []).find((other) => {
+        if (other.reciprocalOf) return other.reciprocalOf === door.id;
+        if (other.wall !== wall) return false;
+        const segment = doorSegment(target, other);
+        return segment.start < end - 0.01 && start < segment.end - 0.01;
+      });
+
+      if (!counterpart) {
+        this.problem(floor, room, door, 'missing_reciprocal', `${this.label(room, door)} has no matching door in "${target.name}"`, {
+          note: 'added',
+          apply: () => (target.doors = [...(target.doors || []), mirror]),
+        });
+        return;
+      }
+
+      if (!counterpart.reciprocalOf) {
+        merged.add(counterpart);
+        this.problem(
+          floor,
+          target,
+          counterpart,
+          'duplicate_opening',
+          `${this.label(target, counterpart)} is the same opening as door ${door.id} in "${room.name}"`,
+          {
+            note: 'merged',
+            apply: () => Object.assign(counterpart, { position: mirror.position, width: mirror.width, connectsTo: room.id, reciprocalOf: door.id }),
+          }
+        );
+        return;
+      }
+
+      if (Math.abs(counterpart.position - mirror.position) > 0.01 || Math.abs(counterpart.width - mirror.width) > 0.01) {
+        this.problem(floor, target, counterpart, 'reciprocal_mismatch', `${this.label(target, counterpart)} no longer lines up with door ${door.id}`, {
+          note: 'realigned',
+          apply: () => Object.assign(counterpart, { position: mirror.position, width: mirror.width }),
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Report door problems without changing the plan
+ * options.units: units lengths are reported in
+ */
+const checkDoors = (plan, { units } = {}) => new DoorReviewer(plan, { fix: false, units }).run().issues;
+
+/**
+ * Fix what can be fixed in place; returns the changes made and the problems left
+ */
+const normalizeDoors = (plan, { units } = {}) => {
+  const { changes, issues } = new DoorReviewer(plan, { fix: true, units }).run();
+  return { plan, changes, issues };
+};
+
+module.exports = {
+  checkDoors,
+  normalizeDoors,
+};
@@ -0,0 +1,289 @@
+/**
+ * Furniture Layout
+ * Places furniture by room type so a plan shows whether its rooms are usable:
+ * beds and wardrobes in bedrooms, WC, basin and shower in bathrooms, counters
+ * in kitchens, tables in dining rooms and desks in offices. Pieces stand with
+ * their back to a wall (tables stand free), keep the swing of every door and
+ * their own working space clear, and tall pieces stay off windows. Each
+ * placement is { type, position, dimensions, facing }, with position and
+ * dimensions giving its footprint like a room's.
+ *
+ * Works in feet. Run normalizeDoors first so doors owned by the room on the
+ * other side are known.
+ */
+
+const { OPPOSITE_WALL, WALL_TOLERANCE, bounds, doorSegment, roomWalls } = require('./planner.graph');
+const { hasOutline, labelPoint, measureOutside, rectangle, roomArea } = require('./planner.geometry');
+
+/**
+ * sizes: [length along the back, depth] in ft, largest first; the first that fits is used
+ * clearance: free space kept in front (around, for free-standing pieces) in ft
+ * placement: 'corner' and 'centre' stand against a wall, 'free' in the middle of the room
+ * blocksWindows: tall or solid-backed pieces that may not stand in front of a window
+ */
+const FURNITURE_CATALOG = {
+  bed: { sizes: [[5, 6.67], [3.25, 6.5]], clearance: 2, placement: 'centre', blocksWindows: true },
+  wardrobe: { sizes: [[6, 2], [4, 2], [3, 2]], clearance: 3, placement: 'corner', blocksWindows: true },
+  wc: { sizes: [[2.5, 2.33]], clearance: 2, placement: 'corner' },
+  basin: { sizes: [[2, 1.67]], clearance: 2, placement: 'corner' },
+  shower: { sizes: [[3, 3], [2.67, 2.67]], clearance: 2, placement: 'corner', blocksWindows: true },
+  counter: { sizes: [[12, 2], [10, 2], [8, 2], [6, 2], [4, 2]], clearance: 3.5, placement: 'corner' },
+  fridge: { sizes: [[3, 2.5]], clearance: 3, placement: 'corner', blocksWindows: true },
+  table: { sizes: [[6, 7], [4, 7], [2.5, 6.5]], clearance: 1, placement: 'free' }, // chairs included
+  desk: { sizes: [[5, 4.5], [4, 4.5]], clearance: 0, placement: 'centre' }, // chair included
+  sofa: { sizes: [[7, 3], [6, 3]], clearance: 1.5, placement: 'centre' },
+};
+
+// Matched against the room type, then its name; the first item is the room's main piece
+const ROOM_FURNITURE = [
+  { pattern: /bath|toilet|\bwc\b|washroom|powder|shower|ensuite|restroom/i, items: [{ type: 'wc' }, { type: 'basin' }, { type: 'shower' }] },
+  { pattern: /kitchen/i, items: [{ type: 'counter' }, { type: 'fridge' }] },
+  { pattern: /dining/i, items: [{ type: 'table' }] },
+  { pattern: /office|study|workspace/i, items: [{ type: 'desk' }, { type: 'table', minArea: 150 }] },
+  { pattern: /bed|master|guest|nursery/i, items: [{ type: 'bed' }, { type: 'wardrobe' }] },
+  { pattern: /living|lounge|family|sitting/i, items: [{ type: 'sofa' }] },
+];
+
+// Space kept clear inside every door, at least this deep even for narrow doors
+const MIN_DOOR_CLEARANCE = 3; // ft
+
+const GRID = 0.5; // ft - placement step
+const MAX_STEPS = 40; // per direction, so large rooms stay cheap
+
+const EPSILON = 0.01;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const rectsOverlap = (a, b) =>
+  a.left < b.right - EPSILON && b.left < a.right - EPSILON && a.top < b.bottom - EPSILON && b.top < a.bottom - EPSILON;
+
+// Whether a door or window segment lies on `wall` within start..end
+const onWall = (opening, wall, start, end) =>
+  opening.wall === wall.wall &&
+  Math.abs(opening.line - wall.line) <= WALL_TOLERANCE &&
+  Math.min(opening.end, end) - Math.max(opening.start, start) > EPSILON;
+
+const recipeFor = (room) =>
+  ROOM_FURNITURE.find(({ pattern }) => pattern.test(room.type || '')) || ROOM_FURNITURE.find(({ pattern }) => pattern.test(room.name || ''));
+
+/**
+ * Positions from `from` to `to` at the placement step, both ends included
+ */
+const steps = (from, to) => {
+  if (to < from - EPSILON) return [];
+  const step = Math.max(GRID, (to - from) / MAX_STEPS);
+  const values = [];
+  for (let value = from; value < to - EPSILON; value += step) values.push(value);
+  values.push(Math.max(to, from));
+  return values;
+};
+
+/**
+ * Footprint and front clearance of a piece with its back on `wall`, `offset` along it
+ */
+const againstWall = (wall, offset, [length, depth], clearance) => {
+  const { line } = wall;
+  switch (wall.wall) {
+    case 'north':
+      return {
+        footprint: { left: offset, right: offset + length, top: line, bottom: line + depth },
+        front: { left: offset, right: offset + length, top: line + depth, bottom: line + depth + clearance },
+      };
+    case 'south':
+      return {
+        footprint: { left: offset, right: offset + length, top: line - depth, bottom: line },
+        front: { left: offset, right: offset + length, top: line - depth - clearance, bottom: line - depth },
+      };
+    case 'west':
+      return {
+        footprint: { left: line, right: line + depth, top: offset, bottom: offset + length },
+        front: { left: line + depth, right: line + depth + clearance, top: offset, bottom: offset + length },
+      };
+    default:
+      return {
+        footprint: { left: line - depth, right: line, top: offset, bottom: offset + length },
+        front: { left: line - depth - clearance, right: line - depth, top: offset, bottom: offset + length },
+      };
+  }
+};
+
+class FurnitureLayout {
+  constructor(room) {
+    this.room = room;
+    this.doors = (room.doors || []).map((door) => ({ wall: door.wall, ...doorSegment(room, door) }));
+    this.windows = (room.windows || []).map((window) => ({ wall: window.wall, ...doorSegment(room, window) }));
+    this.footprints = [];
+    this.clearZones = this.doorZones();
+
+    // Walls without a door first, then the longest
+    const doorCount = (wall) => this.doors.filter((door) => onWall(door, wall, wall.start, wall.end)).length;
+    this.walls = roomWalls(room).sort((a, b) => doorCount(a) - doorCount(b) || b.end - b.start - (a.end - a.start));
+  }
+
+  /**
+   * Swing space inside each door: as deep as the door is wide
+   */
+  doorZones() {
+    return this.doors.map(({ wall, line, start, end }) => {
+      const depth = Math.max(end - start, MIN_DOOR_CLEARANCE);
+      return againstWall({ wall, line }, start, [end - start, depth], 0).footprint;
+    });
+  }
+
+  inside(rect) {
+    if (rect.right - rect.left <= EPSILON || rect.bottom - rect.top <= EPSILON) return true;
+
+    if (!hasOutline(this.room)) {
+      const r = bounds(this.room);
+      return rect.left >= r.left - EPSILON && rect.right <= r.right + EPSILON && rect.top >= r.top - EPSILON && rect.bottom <= r.bottom + EPSILON;
+    }
+
+    const box = rectangle(rect.left, rect.top, rect.right - rect.left, rect.bottom - rect.top);
+    return measureOutside(box, this.room.outline).area <= EPSILON;
+  }
+
+  coversWindow(wall, footprint) {
+    const [start, end] = wall.horizontal ? [footprint.left, footprint.right] : [footprint.top, footprint.bottom];
+    return this.windows.some((window) => onWall(window, wall, start, end));
+  }
+
+  fits(footprint, front) {
+    return (
+      this.inside(footprint) &&
+      this.inside(front) &&
+      ![...this.footprints, ...this.clearZones].some((other) => rectsOverlap(footprint, other)) &&
+      !this.footprints.some((other) => rectsOverlap(front, other))
+    );
+  }
+
+  /**
+   * First free spot along the walls, door-free and longest walls first, nearest the corners or the middle
+   */
+  placeAgainstWall(spec, size) {
+    const [length] = size;
+
+    for (const wall of this.walls) {
+      const middle = (wall.start + wall.end - length) / 2;
+      const preference = (offset) =>
+        spec.placement === 'corner' ? Math.min(offset - wall.start, wall.end - length - offset) : Math.abs(offset - middle);
+      const offsets = steps(wall.start, wall.end - length).sort((a, b) => preference(a) - preference(b));
+
+      for (const offset of offsets) {
+        const { footprint, front } = againstWall(wall, offset, size, spec.clearance);
+        if (spec.blocksWindows && this.coversWindow(wall, footprint)) continue;
+        if (this.fits(footprint, front)) return { footprint, front, facing: OPPOSITE_WALL[wall.wall] };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Free-standing spot nearest the middle of the room, either way round
+   */
+  placeFree(spec, [length, depth]) {
+    const r = bounds(this.room);
+    const centre = hasOutline(this.room) ? labelPoint(this.room.outline) : { x: (r.left + r.right) / 2, y: (r.top + r.bottom) / 2 };
+    const gap = spec.clearance;
+    const candidates = [];
+
+    [
+      { width: length, length: depth, facing: 'south' },
+      { width: depth, length, facing: 'east' },
+    ].forEach(({ width, length: along, facing }) => {
+      steps(r.left + gap, r.right - gap - width).forEach((x) => {
+        steps(r.top + gap, r.bottom - gap - along).forEach((y) => {
+          const distance = Math.hypot(x + width / 2 - centre.x, y + along / 2 - centre.y);
+          candidates.push({ distance, facing, footprint: { left: x, right: x + width, top: y, bottom: y + along } });
+        });
+      });
+    });
+
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    for (const { footprint, facing } of candidates) {
+      const front = { left: footprint.left - gap, right: footprint.right + gap, top: footprint.top - gap, bottom: footprint.bottom + gap };
+      if (this.fits(footprint, front)) return { footprint, front, facing };
+    }
+
+    return null;
+  }
+
+  place(type) {
+    const spec = FURNITURE_CATALOG[type];
+
+    for (const size of spec.sizes) {
+      const spot = spec.placement === 'free' ? this.placeFree(spec, size) : this.placeAgainstWall(spec, size);
+      if (!spot) continue;
+
+      this.footprints.push(spot.footprint);
+      this.clearZones.push(spot.front);
+
+      const { footprint } = spot;
+      return {
+        type,
+        position: { x: round2(footprint.left), y: round2(footprint.top) },
+        dimensions: { width: round2(footprint.right - footprint.left), length: round2(footprint.bottom - footprint.top) },
+        facing: spot.facing,
+      };
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Lay out furniture in every room the catalog knows, replacing earlier layouts
+ * unless options.replace is false. Returns { placed, issues }, with an issue
+ * { level, roomId, type, essential, message } for each piece that did not fit;
+ * essential marks the room's main piece.
+ */
+const furnishPlan = (plan, { replace = true } = {}) => {
+  const issues = [];
+  let placed = 0;
+
+  (plan.floors || []).forEach((floor) => {
+    (floor.rooms || []).forEach((room) => {
+      if (!room.position || !room.dimensions) return;
+      if (!replace && Array.isArray(room.furniture)) return;
+
+      const recipe = recipeFor(room);
+      if (!recipe) {
+        delete room.furniture;
+        return;
+      }
+
+      const layout = new FurnitureLayout(room);
+      const furniture = [];
+
+      recipe.items
+        .filter((item) => !item.minArea || roomArea(room) >= item.minArea)
+        .forEach((item, index) => {
+          const piece = layout.place(item.type);
+          if (piece) {
+            furniture.push(piece);
+            return;
+          }
+
+          issues.push({
+            level: floor.level,
+            roomId: room.id,
+            type: item.type,
+            essential: index === 0,
+            message: `No room for a ${item.type} in "${room.name}" on ${floor.level}`,
+          });
+        });
+
+      room.furniture = furniture;
+      placed += furniture.length;
+    });
+  });
+
+  return { placed, issues };
+};
+
+module.exports = {
+  FURNITURE_CATALOG,
+  ROOM_FURNITURE,
+  furnishPlan,
+};
@@ -0,0 +1,308 @@
+/**
+ * Plan Geometry
+ * Room and building footprints as polygons. A room is the rectangle given by
+ * position and dimensions unless it has an `outline`: its corners in building
+ * coordinates, with position and dimensions kept as the outline's bounding
+ * box. The building works the same way through buildingDimensions.outline,
+ * and buildingDimensions.courtyards are open courts cut out of it. Overlap
+ * and containment are measured on the polygons, so L-shaped rooms, angled
+ * bays and courtyards are judged by their real footprint. Works in feet.
+ */
+
+const EPSILON = 1e-7;
+
+// How far inside an edge to look for the shape's interior
+const INTERIOR_PROBE = 0.01; // ft
+
+const rectangle = (x, y, width, length) => [
+  { x, y },
+  { x: x + width, y },
+  { x: x + width, y: y + length },
+  { x, y: y + length },
+];
+
+const hasOutline = (shape) => Array.isArray(shape?.outline) && shape.outline.length >= 3;
+
+/**
+ * Room footprint: its outline, or the rectangle from position and dimensions
+ */
+const roomPolygon = (room) =>
+  hasOutline(room) ? room.outline : rectangle(room.position.x, room.position.y, room.dimensions.width, room.dimensions.length);
+
+/**
+ * Building footprint: its outline, or the rectangle from the origin
+ */
+const buildingPolygon = (building) => (hasOutline(building) ? building.outline : rectangle(0, 0, building.width, building.depth));
+
+const signedArea = (points) =>
+  points.reduce((sum, point, index) => {
+    const next = points[(index + 1) % points.length];
+    return sum + point.x * next.y - next.x * point.y;
+  }, 0) / 2;
+
+const polygonArea = (points) => Math.abs(signedArea(points));
+
+const polygonPerimeter = (points) =>
+  points.reduce((sum, point, index) => {
+    const next = points[(index + 1) % points.length];
+    return sum + Math.hypot(next.x - point.x, next.y - point.y);
+  }, 0);
+
+const polygonBounds = (points) => ({
+  left: Math.min(...points.map((point) => point.x)),
+  right: Math.max(...points.map((point) => point.x)),
+  top: Math.min(...points.map((point) => point.y)),
+  bottom: Math.max(...points.map((point) => point.y)),
+});
+
+const roomArea = (room) => polygonArea(roomPolygon(room));
+
+/**
+ * Floor area of the building: the footprint less its courtyards
+ */
+const buildingArea = (building) =>
+  polygonArea(buildingPolygon(building)) - (building.courtyards || []).reduce((sum, courtyard) => sum + polygonArea(courtyard), 0);
+
+const edgesOf = (points) => points.map((point, index) => [point, points[(index + 1) % points.length]]);
+
+// Same winding for every polygon, so boundary pieces can be compared by direction
+const oriented = (points) => (signedArea(points) < 0 ? [...points].reverse() : points);
+
+const cross = (a, b) => a.x * b.y - a.y * b.x;
+
+const distanceToSegment = (point, [a, b]) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+};
+
+/**
+ * Distance from a point to the nearest edge of the polygon
+ */
+const distanceToBoundary = (points, point) => Math.min(...edgesOf(points).map((edge) => distanceToSegment(point, edge)));
+
+/**
+ * Strictly inside (ray casting); points on the boundary can go either way
+ */
+const containsPoint = (points, point) => {
+  let inside = false;
+  edgesOf(points).forEach(([a, b]) => {
+    if (a.y > point.y !== b.y > point.y && point.x < a.x + ((point.y - a.y) * (b.x - a.x)) / (b.y - a.y)) {
+      inside = !inside;
+    }
+  });
+  return inside;
+};
+
+/**
+ * Where segment a-b meets the edges of `polygon`, as fractions along a-b
+ */
+const crossings = (a, b, polygon) => {
+  const r = { x: b.x - a.x, y: b.y - a.y };
+  const rr = r.x * r.x + r.y * r.y;
+  const stops = [];
+
+  edgesOf(polygon).forEach(([c, d]) => {
+    const s = { x: d.x - c.x, y: d.y - c.y };
+    const ac = { x: c.x - a.x, y: c.y - a.y };
+    const denominator = cross(r, s);
+
+    if (Math.abs(denominator) <= EPSILON * Math.sqrt(rr * (s.x * s.x + s.y * s.y))) {
+      // Parallel: collinear edges split a-b at their end points
+      if (Math.abs(cross(ac, r)) <= EPSILON * rr) {
+        [c, d].forEach((point) => stops.push(((point.x - a.x) * r.x + (point.y - a.y) * r.y) / rr));
+      }
+      return;
+    }
+
+    const t = cross(ac, s) / denominator;
+    const u = cross(ac, r) / denominator;
+    if (u >= -EPSILON && u <= 1 + EPSILON) stops.push(t);
+  });
+
+  return stops.filter((t) => t > EPSILON && t < 1 - EPSILON);
+};
+
+/**
+ * Boundary of `subject` cut where it meets `clip`, each piece marked as
+ * inside or outside `clip`, or running along its boundary in the same or
+ * opposite direction
+ */
+const boundaryPieces = (subject, clip) => {
+  const pieces = [];
+
+  edgesOf(subject).forEach(([a, b]) => {
+    const stops = [0, ...crossings(a, b, clip).sort((p, q) => p - q), 1];
+
+    for (let i = 0; i < stops.length - 1; i++) {
+      if (stops[i + 1] - stops[i] <= EPSILON) continue;
+
+      const from = { x: a.x + (b.x - a.x) * stops[i], y: a.y + (b.y - a.y) * stops[i] };
+      const to = { x: a.x + (b.x - a.x) * stops[i + 1], y: a.y + (b.y - a.y) * stops[i + 1] };
+      const middle = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+
+      const along = edgesOf(clip).find((edge) => distanceToSegment(middle, edge) <= EPSILON * 100);
+      let side;
+      if (along) {
+        const [c, d] = along;
+        side = (to.x - from.x) * (d.x - c.x) + (to.y - from.y) * (d.y - c.y) > 0 ? 'same' : 'opposite';
+      } else {
+        side = containsPoint(clip, middle) ? 'inside' : 'outside';
+      }
+
+      pieces.push({ side, length: Math.hypot(to.x - from.x, to.y - from.y), area: cross(from, to) / 2 });
+    }
+  });
+
+  return pieces;
+};
+
+const sumOf = (pieces, key) => pieces.reduce((sum, piece) => sum + piece[key], 0);
+
+const boundsMeet = (a, b) => {
+  const ra = polygonBounds(a);
+  const rb = polygonBounds(b);
+  return ra.left < rb.right && rb.left < ra.right && ra.top < rb.bottom && rb.top < ra.bottom;
+};
+
+/**
+ * Area and perimeter of the region inside both polygons
+ */
+const measureOverlap = (a, b) => {
+  if (!boundsMeet(a, b)) return { area: 0, perimeter: 0 };
+
+  const ownPieces = boundaryPieces(oriented(a), oriented(b)).filter((piece) => piece.side === 'inside' || piece.side === 'same');
+  const otherPieces = boundaryPieces(oriented(b), oriented(a)).filter((piece) => piece.side === 'inside');
+  const pieces = [...ownPieces, ...otherPieces];
+
+  return { area: Math.max(sumOf(pieces, 'area'), 0), perimeter: sumOf(pieces, 'length') };
+};
+
+/**
+ * Area and perimeter of the part of `a` outside `b`
+ */
+const measureOutside = (a, b) => {
+  if (!boundsMeet(a, b)) return { area: polygonArea(a), perimeter: polygonPerimeter(a) };
+
+  const overlap = measureOverlap(a, b);
+  const ownPieces = boundaryPieces(oriented(a), oriented(b)).filter((piece) => piece.side === 'outside' || piece.side === 'opposite');
+  const otherPieces = boundaryPieces(oriented(b), oriented(a)).filter((piece) => piece.side === 'inside');
+
+  return {
+    area: Math.max(polygonArea(a) - overlap.area, 0),
+    perimeter: sumOf(ownPieces, 'length') + sumOf(otherPieces, 'length'),
+  };
+};
+
+/**
+ * Short side of the rectangle with the same area and perimeter as a region:
+ * the overlap depth for rectangles, and how thick a sliver is in general
+ */
+const thickness = ({ area, perimeter }) => {
+  if (area <= 0 || perimeter <= 0) return 0;
+  const halfPerimeter = perimeter / 2;
+  return (halfPerimeter - Math.sqrt(Math.max(halfPerimeter * halfPerimeter - 4 * area, 0))) / 2;
+};
+
+/**
+ * Two footprints overlap when the shared region is thicker than `tolerance`;
+ * thinner slivers are the two faces of one wall
+ */
+const polygonsOverlap = (a, b, tolerance) => thickness(measureOverlap(a, b)) > tolerance;
+
+/**
+ * Axis-aligned edges as walls: { wall, horizontal, line, start, end }, named
+ * by the side of the shape they bound (an edge with the interior south of it
+ * is a north wall). Diagonal edges carry no wall.
+ */
+const polygonWalls = (points) =>
+  edgesOf(points).flatMap(([a, b]) => {
+    const horizontal = Math.abs(a.y - b.y) <= EPSILON;
+    if (!horizontal && Math.abs(a.x - b.x) > EPSILON) return [];
+
+    const middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    if (horizontal) {
+      const interiorSouth = containsPoint(points, { x: middle.x, y: middle.y + INTERIOR_PROBE });
+      return [{ wall: interiorSouth ? 'north' : 'south', horizontal, line: middle.y, start: Math.min(a.x, b.x), end: Math.max(a.x, b.x) }];
+    }
+
+    const interiorEast = containsPoint(points, { x: middle.x + INTERIOR_PROBE, y: middle.y });
+    return [{ wall: interiorEast ? 'west' : 'east', horizontal, line: middle.x, start: Math.min(a.y, b.y), end: Math.max(a.y, b.y) }];
+  });
+
+/**
+ * Edges that cross each other (not counting neighbours meeting at a corner)
+ */
+const isSelfIntersecting = (points) => {
+  const edges = edgesOf(points);
+
+  return edges.some(([a, b], i) =>
+    edges.some(([c, d], j) => {
+      if (j <= i + 1 || (i === 0 && j === edges.length - 1)) return false;
+      const r = { x: b.x - a.x, y: b.y - a.y };
+      const s = { x: d.x - c.x, y: d.y - c.y };
+      const denominator = cross(r, s);
+      if (denominator === 0) return false;
+      const ac = { x: c.x - a.x, y: c.y - a.y };
+      const t = cross(ac, s) / denominator;
+      const u = cross(ac, r) / denominator;
+      return t > EPSILON && t < 1 - EPSILON && u > EPSILON && u < 1 - EPSILON;
+    })
+  );
+};
+
+/**
+ * Point inside the polygon to anchor its label: the centroid when it falls
+ * inside, else the middle of the widest span across the centroid's row
+ */
+const labelPoint = (points) => {
+  const area = signedArea(points);
+  const bounds = polygonBounds(points);
+  if (area === 0) return { x: (bounds.left + bounds.right) / 2, y: (bounds.top + bounds.bottom) / 2 };
+
+  const centroid = edgesOf(points).reduce(
+    (sum, [a, b]) => {
+      const factor = a.x * b.y - b.x * a.y;
+      return { x: sum.x + (a.x + b.x) * factor, y: sum.y + (a.y + b.y) * factor };
+    },
+    { x: 0, y: 0 }
+  );
+  centroid.x /= 6 * area;
+  centroid.y /= 6 * area;
+  if (containsPoint(points, centroid)) return centroid;
+
+  const xs = edgesOf(points)
+    .filter(([a, b]) => a.y > centroid.y !== b.y > centroid.y)
+    .map(([a, b]) => a.x + ((centroid.y - a.y) * (b.x - a.x)) / (b.y - a.y))
+    .sort((p, q) => p - q);
+
+  let widest = null;
+  for (let i = 0; i + 1 < xs.length; i += 2) {
+    if (!widest || xs[i + 1] - xs[i] > widest[1] - widest[0]) widest = [xs[i], xs[i + 1]];
+  }
+
+  return widest ? { x: (widest[0] + widest[1]) / 2, y: centroid.y } : centroid;
+};
+
+module.exports = {
+  buildingArea,
+  buildingPolygon,
+  containsPoint,
+  distanceToBoundary,
+  hasOutline,
+  isSelfIntersecting,
+  labelPoint,
+  measureOutside,
+  measureOverlap,
+  polygonArea,
+  polygonBounds,
+  polygonPerimeter,
+  polygonWalls,
+  polygonsOverlap,
+  rectangle,
+  roomArea,
+  roomPolygon,
+  thickness,
+};
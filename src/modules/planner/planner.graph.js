@@ -0,0 +1,356 @@
+/**
+ * Room Adjacency Graph
+ * Rooms are nodes; doors and shared walls are edges. Used to check that every
+ * room can be reached from the main entrance and that circulation makes sense.
+ * Walls follow room and building outlines where they have them (see
+ * planner.geometry.js). Works on plans in feet (metric plans are converted first).
+ */
+
+const { findEntranceLevel } = require('./layout.program');
+const { DEFAULT_UNITS, fromFeet } = require('./planner.units');
+const { buildingPolygon, polygonWalls, roomPolygon } = require('./planner.geometry');
+
+const EXTERIOR = 'exterior';
+
+const OPPOSITE_WALL = { north: 'south', south: 'north', east: 'west', west: 'east' };
+
+// Walls closer than this are treated as the same wall (matches the overlap tolerance)
+const WALL_TOLERANCE = 0.5; // ft
+
+// A shared wall between two open-plan spaces counts as a walkable opening when at least this long
+const MIN_OPENING = 3; // ft
+
+// Spaces that are usually open to each other without a door
+const OPEN_PLAN_TYPES = ['living', 'dining', 'kitchen', 'corridor', 'hallway', 'hall', 'passage', 'foyer', 'lobby', 'reception', 'waiting'];
+
+const CORRIDOR_TYPES = ['corridor', 'hallway', 'passage'];
+
+const VERTICAL_PATTERN = /stair|lift|elevator/i;
+
+const matchesType = (room, types) => {
+  const roomType = room.type?.toLowerCase() || '';
+  return types.some((type) => roomType.includes(type));
+};
+
+const isBedroom = (room) => matchesType(room, ['bedroom']);
+
+const isCorridor = (room) => matchesType(room, CORRIDOR_TYPES);
+
+const isVerticalCirculation = (room) => VERTICAL_PATTERN.test(room.type || '') || VERTICAL_PATTERN.test(room.name || '');
+
+const bounds = (room) => ({
+  left: room.position.x,
+  right: room.position.x + room.dimensions.width,
+  top: room.position.y,
+  bottom: room.position.y + room.dimensions.length,
+});
+
+const overlapLength = (startA, endA, startB, endB) => Math.min(endA, endB) - Math.max(startA, startB);
+
+/**
+ * Straight walls of a room: the four sides of a rectangle, or the axis-aligned edges of its outline
+ */
+const roomWalls = (room) => polygonWalls(roomPolygon(room));
+
+const covers = (wall, line, point) =>
+  Math.abs(wall.line - line) <= WALL_TOLERANCE && point >= wall.start - WALL_TOLERANCE && point <= wall.end + WALL_TOLERANCE;
+
+/**
+ * Longest wall segment shared by two rooms, or null if they don't touch
+ * Returns the wall as seen from room A: { wall, length, line, start, end }
+ */
+const findSharedWall = (a, b) => {
+  const wallsB = roomWalls(b);
+  let best = null;
+
+  roomWalls(a).forEach((wallA) => {
+    wallsB.forEach((wallB) => {
+      if (wallB.wall !== OPPOSITE_WALL[wallA.wall] || Math.abs(wallA.line - wallB.line) > WALL_TOLERANCE) return;
+
+      const length = overlapLength(wallA.start, wallA.end, wallB.start, wallB.end);
+      if (length > WALL_TOLERANCE && (!best || length > best.length)) {
+        best = {
+          wall: wallA.wall,
+          length,
+          line: wallA.line,
+          start: Math.max(wallA.start, wallB.start),
+          end: Math.min(wallA.end, wallB.end),
+        };
+      }
+    });
+  });
+
+  return best;
+};
+
+/**
+ * Absolute segment of a door: the fixed coordinate of its wall and the span along it.
+ * Positions run from the room's bounding box; on an outline with several walls
+ * facing the door's way, the outermost one under the door is used.
+ */
+const doorSegment = (room, door) => {
+  const r = bounds(room);
+  const horizontalWall = door.wall === 'north' || door.wall === 'south';
+  const start = (horizontalWall ? r.left : r.top) + door.position;
+  const end = start + door.width;
+  const middle = (start + end) / 2;
+
+  const outward = door.wall === 'north' || door.wall === 'west' ? -1 : 1;
+  const walls = roomWalls(room)
+    .filter((wall) => wall.wall === door.wall && middle >= wall.start - WALL_TOLERANCE && middle <= wall.end + WALL_TOLERANCE)
+    .sort((a, b) => (b.line - a.line) * outward);
+  const line = walls.length > 0 ? walls[0].line : { north: r.top, south: r.bottom, west: r.left, east: r.right }[door.wall];
+
+  return { horizontalWall, line, start, end };
+};
+
+/**
+ * Whether a room's `wall` segment lies on the outside of the building: along
+ * the outline, or along the edge of a courtyard
+ */
+const onPerimeter = (wall, segment, building) => {
+  const middle = (segment.start + segment.end) / 2;
+  const along = (walls, side) => walls.some((other) => other.wall === side && covers(other, segment.line, middle));
+
+  return (
+    along(polygonWalls(buildingPolygon(building)), wall) ||
+    (building.courtyards || []).some((courtyard) => along(polygonWalls(courtyard), OPPOSITE_WALL[wall]))
+  );
+};
+
+/**
+ * Room on the other side of a door: from connectsTo when it names a room on
+ * this floor, otherwise from geometry
+ */
+const resolveDoorTarget = (room, door, rooms, building) => {
+  const target = door.connectsTo?.toLowerCase();
+
+  if (target === EXTERIOR) return EXTERIOR;
+
+  if (target) {
+    const named = rooms.find((other) => other !== room && (other.id.toLowerCase() === target || other.name.toLowerCase() === target));
+    if (named) return named.id;
+  }
+
+  const segment = doorSegment(room, door);
+  const middle = (segment.start + segment.end) / 2;
+
+  const neighbour = rooms.find(
+    (other) => other !== room && roomWalls(other).some((wall) => wall.wall === OPPOSITE_WALL[door.wall] && covers(wall, segment.line, middle))
+  );
+
+  if (neighbour) return neighbour.id;
+
+  // A door on the building perimeter leads outside
+  if (building && onPerimeter(door.wall, segment, building)) return EXTERIOR;
+
+  return null;
+};
+
+/**
+ * Rooms the main entrance opens into, falling back to rooms with exterior doors
+ */
+const findEntranceRooms = (rooms, edges, plan) => {
+  const entrance = plan.exterior?.mainEntrance;
+  const building = plan.buildingDimensions;
+
+  if (entrance && building) {
+    const perimeter = { north: 0, west: 0, south: building.depth, east: building.width }[entrance.wall];
+    const horizontalWall = entrance.wall === 'north' || entrance.wall === 'south';
+
+    const matches = rooms.filter((room) => {
+      const r = bounds(room);
+      const line = { north: r.top, south: r.bottom, west: r.left, east: r.right }[entrance.wall];
+      if (Math.abs(line - perimeter) > WALL_TOLERANCE) return false;
+
+      const [start, end] = horizontalWall ? [r.left, r.right] : [r.top, r.bottom];
+      return entrance.position >= start - WALL_TOLERANCE && entrance.position < end;
+    });
+
+    if (matches.length > 0) return matches.map((room) => room.id);
+  }
+
+  return edges.filter((edge) => edge.to === EXTERIOR).map((edge) => edge.from);
+};
+
+/**
+ * Breadth-first search over passable edges; rooms in `blocked` are never entered
+ */
+const findReachable = (startIds, adjacency, blocked = new Set()) => {
+  const reached = new Set();
+  const queue = startIds.filter((id) => !blocked.has(id));
+  queue.forEach((id) => reached.add(id));
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    (adjacency.get(current) || []).forEach((next) => {
+      if (!reached.has(next) && !blocked.has(next)) {
+        reached.add(next);
+        queue.push(next);
+      }
+    });
+  }
+
+  return reached;
+};
+
+/**
+ * Build the graph for one floor
+ */
+const buildFloorGraph = (floor, plan, isEntranceLevel) => {
+  const rooms = floor.rooms.filter((room) => room.position && room.dimensions);
+  const edges = new Map();
+
+  const edgeFor = (from, to) => {
+    const key = [from, to].sort().join('|');
+    if (!edges.has(key)) {
+      // Keep 'exterior' on the `to` side so entrance lookups stay simple
+      const [a, b] = to === EXTERIOR || from === EXTERIOR ? [from === EXTERIOR ? to : from, EXTERIOR] : [from, to];
+      edges.set(key, { from: a, to: b, doors: [], sharedWall: null, open: false, passable: false });
+    }
+    return edges.get(key);
+  };
+
+  // Shared walls
+  rooms.forEach((room, index) => {
+    rooms.slice(index + 1).forEach((other) => {
+      const shared = findSharedWall(room, other);
+      if (!shared) return;
+
+      const edge = edgeFor(room.id, other.id);
+      edge.sharedWall = Math.round(shared.length * 100) / 100;
+      if (matchesType(room, OPEN_PLAN_TYPES) && matchesType(other, OPEN_PLAN_TYPES) && shared.length >= MIN_OPENING) {
+        edge.open = true;
+        edge.passable = true;
+      }
+    });
+  });
+
+  // Doors
+  rooms.forEach((room) => {
+    (room.doors || []).forEach((door) => {
+      // The mirrored side of a door is the same opening
+      if (door.reciprocalOf) return;
+
+      const target = resolveDoorTarget(room, door, rooms, plan.buildingDimensions);
+      if (!target) return;
+
+      const edge = edgeFor(room.id, target);
+      if (door.id && !edge.doors.includes(door.id)) edge.doors.push(door.id);
+      edge.passable = true;
+    });
+  });
+
+  const edgeList = [...edges.values()];
+
+  const adjacency = new Map();
+  edgeList
+    .filter((edge) => edge.passable)
+    .forEach((edge) => {
+      [
+        [edge.from, edge.to],
+        [edge.to, edge.from],
+      ].forEach(([from, to]) => {
+        if (!adjacency.has(from)) adjacency.set(from, []);
+        adjacency.get(from).push(to);
+      });
+    });
+
+  // Upper and lower floors are entered from the stairs or lift
+  const entrances = isEntranceLevel
+    ? findEntranceRooms(rooms, edgeList, plan)
+    : rooms.filter(isVerticalCirculation).map((room) => room.id);
+
+  const reachable = findReachable(entrances, adjacency);
+
+  return {
+    level: floor.level,
+    nodes: rooms.map((room) => ({ id: room.id, name: room.name, type: room.type })),
+    edges: edgeList,
+    entrances,
+    unreachable: rooms.filter((room) => !reachable.has(room.id)).map((room) => room.id),
+    adjacency,
+    rooms,
+  };
+};
+
+/**
+ * Circulation problems on one floor graph
+ */
+const checkFloorGraph = (graph, isEntranceLevel) => {
+  const errors = [];
+  const { level, rooms, adjacency, entrances } = graph;
+  const nameOf = (id) => rooms.find((room) => room.id === id)?.name || id;
+
+  if (entrances.length === 0) {
+    errors.push(
+      isEntranceLevel
+        ? `No room on ${level} connects to the main entrance`
+        : `${level} has no staircase or lift connecting it to the entrance`
+    );
+    return errors;
+  }
+
+  graph.unreachable.forEach((id) => {
+    errors.push(`Room "${nameOf(id)}" on ${level} is not reachable from the ${isEntranceLevel ? 'main entrance' : 'stairs'}`);
+  });
+
+  rooms.filter(isCorridor).forEach((corridor) => {
+    const connected = new Set((adjacency.get(corridor.id) || []).filter((id) => id !== EXTERIOR));
+    if (connected.size < 2) {
+      errors.push(`Corridor "${corridor.name}" on ${level} connects ${connected.size} room(s); corridors must connect at least 2`);
+    }
+  });
+
+  // A bedroom that disappears from the graph when the other bedrooms are closed off is only reachable through them
+  const bedrooms = rooms.filter(isBedroom);
+  const unreachable = new Set(graph.unreachable);
+  bedrooms.forEach((bedroom) => {
+    if (unreachable.has(bedroom.id)) return;
+
+    const others = new Set(bedrooms.filter((other) => other !== bedroom).map((other) => other.id));
+    if (!findReachable(entrances, adjacency, others).has(bedroom.id)) {
+      errors.push(`Bedroom "${bedroom.name}" on ${level} is only reachable through another bedroom`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Build adjacency graphs for every floor and collect circulation errors
+ * options.units: units shared wall lengths are reported in
+ */
+const analyzePlanGraph = (plan, { units = DEFAULT_UNITS } = {}) => {
+  const levels = (plan.floors || []).map((floor) => floor.level);
+  const entranceLevel = findEntranceLevel(levels);
+  const errors = [];
+
+  const floors = (plan.floors || []).map((floor) => {
+    const isEntranceLevel = floor.level === entranceLevel;
+    const graph = buildFloorGraph(floor, plan, isEntranceLevel);
+    errors.push(...checkFloorGraph(graph, isEntranceLevel));
+
+    const { adjacency, rooms, ...result } = graph;
+    result.edges = result.edges.map((edge) => ({ ...edge, sharedWall: edge.sharedWall === null ? null : fromFeet(edge.sharedWall, units) }));
+    return result;
+  });
+
+  return { floors, errors };
+};
+
+module.exports = {
+  EXTERIOR,
+  OPPOSITE_WALL,
+  WALL_TOLERANCE,
+  analyzePlanGraph,
+  bounds,
+  buildFloorGraph,
+  doorSegment,
+  findSharedWall,
+  isCorridor,
+  isVerticalCirculation,
+  onPerimeter,
+  resolveDoorTarget,
+  roomWalls,
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { AppError } = require('../../middlewares/error.middleware');
+const logger = require('../../utils/logger');
+
+const JOB_CONFIG = {
+  maxConcurrent: 2, // generations running at once in this process
+  maxActivePerUser: 3, // queued + running jobs per user
+  retentionMs: 60 * 60 * 1000, // keep finished jobs for 1 hour
+  cleanupInterval: 5 * 60 * 1000, // ms
+};
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const FINISHED_STATES = [JOB_STATES.SUCCEEDED, JOB_STATES.FAILED, JOB_STATES.CANCELLED];
+
+class PlannerJobQueue {
+  constructor() {
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), JOB_CONFIG.cleanupInterval);
+    // Don't keep the process alive just for cleanup
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Queue a background task. The task receives { signal, onEvent, onUsage }
+   * and resolves with the job result; onUsage takes each model attempt as the
+   * planner reports it, so the job shows what it used even if it fails.
+   */
+  enqueue(userId, type, task) {
+    const activeJobs = [...this.jobs.values()].filter(
+      (job) => job.userId === userId && !FINISHED_STATES.includes(job.state)
+    );
+    if (activeJobs.length >= JOB_CONFIG.maxActivePerUser) {
+      throw new AppError(
+        `You already have ${activeJobs.length} generation jobs in progress. Wait for one to finish.`,
+        429
+      );
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      userId,
+      type,
+      state: JOB_STATES.QUEUED,
+      attempts: 0,
+      maxAttempts: null,
+      progress: null,
+      events: [],
+      usage: null,
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      task,
+      abortController: new AbortController(),
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+
+    logger.info('Planner job queued', { jobId: job.id, userId, type });
+
+    this.drain();
+
+    return this.formatJob(job);
+  }
+
+  getJob(userId, jobId) {
+    return this.formatJob(this.findOwnedJob(userId, jobId));
+  }
+
+  cancel(userId, jobId) {
+    const job = this.findOwnedJob(userId, jobId);
+
+    if (FINISHED_STATES.includes(job.state)) {
+      throw new AppError(`Job has already ${job.state}`, 409);
+    }
+
+    if (job.state === JOB_STATES.QUEUED) {
+      this.pending = this.pending.filter((id) => id !== job.id);
+    }
+
+    job.abortController.abort();
+    this.finish(job, JOB_STATES.CANCELLED);
+
+    logger.info('Planner job cancelled', { jobId: job.id, userId });
+
+    return this.formatJob(job);
+  }
+
+  findOwnedJob(userId, jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.userId !== userId) {
+      throw new AppError('Job not found', 404);
+    }
+    return job;
+  }
+
+  /**
+   * Start queued jobs while there is capacity
+   */
+  drain() {
+    while (this.running < JOB_CONFIG.maxConcurrent && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job && job.state === JOB_STATES.QUEUED) {
+        this.run(job);
+      }
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    job.state = JOB_STATES.RUNNING;
+    job.startedAt = new Date();
+
+    try {
+      const result = await job.task({
+        signal: job.abortController.signal,
+        onEvent: (event, data) => this.recordEvent(job, event, data),
+        onUsage: (attempt) => this.recordUsage(job, attempt),
+      });
+
+      if (job.state === JOB_STATES.RUNNING) {
+        job.result = result;
+        this.finish(job, JOB_STATES.SUCCEEDED);
+        logger.info('Planner job succeeded', { jobId: job.id, attempts: job.attempts });
+      }
+    } catch (error) {
+      if (job.state === JOB_STATES.RUNNING) {
+        job.error = {
+          message: error.isOperational ? error.message : 'Job failed unexpectedly',
+          statusCode: error.statusCode || 500,
+        };
+        this.finish(job, JOB_STATES.FAILED);
+        logger.warn('Planner job failed', { jobId: job.id, message: error.message });
+      }
+    } finally {
+      this.running--;
+      this.drain();
+    }
+  }
+
+  recordEvent(job, event, data) {
+    if (event === 'attempt') {
+      job.attempts = data.attempt;
+      job.maxAttempts = data.maxAttempts;
+    }
+
+    if (event === 'progress') {
+      job.progress = data;
+    }
+
+    // Progress events are frequent; only the latest one is kept above
+    if (event !== 'progress') {
+      job.events.push({ event, data, at: new Date() });
+    }
+  }
+
+  /**
+   * Add one model attempt's tokens to the job, including attempts that land after it was cancelled
+   */
+  recordUsage(job, { usage }) {
+    job.usage = job.usage || { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    Object.keys(job.usage).forEach((key) => (job.usage[key] += usage?.[key] || 0));
+  }
+
+  finish(job, state) {
+    job.state = state;
+    job.finishedAt = new Date();
+    // Release the closure (and anything it captured) once the job is done
+    job.task = null;
+  }
+
+  /**
+   * Drop finished jobs past the retention window
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs.entries()) {
+      if (job.finishedAt && now - job.finishedAt.getTime() > JOB_CONFIG.retentionMs) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  formatJob(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      state: job.state,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      progress: job.progress,
+      events: job.events,
+      usage: job.usage,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+}
+
+module.exports = new PlannerJobQueue();
+module.exports.JOB_STATES = JOB_STATES;
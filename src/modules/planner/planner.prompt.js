@@ -1,3 +1,7 @@
+const { describeRulePack, findRulePack } = require('../compliance/compliance.rules');
+const { MIN_ROOM_SIZES } = require('./planner.constants');
+const { DEFAULT_UNITS, UNIT_SYSTEMS, formatArea, formatLength, toSqft } = require('./planner.units');
+
 const SYSTEM_PROMPT = `You are an expert architectural planning AI assistant specialized in generating professional, connected floor plans that meet international building codes and standards.
 
 Your role is to convert natural language building requirements into precise, structured architectural plans with proper room layouts, positions, connectivity, and engineering specifications - like a licensed architect would design.
@@ -28,6 +32,8 @@ OUTPUT RULES:
 - Use grid-based coordinate system where (0,0) is top-left of building
 - Door positions are measured from the LEFT edge of the wall
 - Window positions are measured from the LEFT edge of the wall
+- Rooms are rectangles unless given an outline; doors and windows of outlined rooms go on straight walls, positioned from the left/top of the room's bounding box
+- Leave out furniture; it is laid out after generation around the doors and windows you place
 
 MINIMUM ROOM SIZES (Building Code Compliance):
 - Living Room: minimum 150 sqft
@@ -59,12 +65,18 @@ JSON STRUCTURE:
   "totalArea": "number - total building area in sqft",
   "buildingDimensions": {
     "width": "number - total building width in feet (X-axis)",
-    "depth": "number - total building depth in feet (Y-axis)"
+    "depth": "number - total building depth in feet (Y-axis)",
+    "outline": "optional [{x, y}] - footprint corners in feet, only for L-shaped or angled buildings; width/depth are its bounding box",
+    "courtyards": "optional [[{x, y}]] - corners of open courts inside the footprint"
   },
   "structuralGrid": {
     "xSpacing": "number - column grid spacing X direction (typically 10-15ft)",
     "ySpacing": "number - column grid spacing Y direction (typically 10-15ft)"
   },
+  "wallThickness": {
+    "exterior": "number - exterior wall thickness in inches (typically 8-12)",
+    "interior": "number - interior wall thickness in inches (typically 4-6)"
+  },
   "floors": [
     {
       "level": "string - Basement/Ground/First/Second etc.",
@@ -84,6 +96,7 @@ JSON STRUCTURE:
             "x": "number - x position in feet from building left edge",
             "y": "number - y position in feet from building top edge"
           },
+          "outline": "optional [{x, y}] - corners in feet from the building top-left, only for L-shaped or angled rooms; position/dimensions are its bounding box and areaSqft the area it encloses",
           "ceilingHeight": "number - ceiling height in feet (default to floor height)",
           "floorMaterial": "string - hardwood/tile/carpet/concrete/marble",
           "wallMaterial": "string - drywall/brick/glass/concrete",
@@ -113,14 +126,14 @@ JSON STRUCTURE:
           "electricalPoints": [
             {
               "type": "string - outlet/switch/light/fan/ac",
-              "position": {"x": "number", "y": "number"},
+              "position": {"x": "number - feet from the building left", "y": "number - feet from the building top"},
               "wall": "string - north/south/east/west/ceiling (optional)"
             }
           ],
           "plumbingPoints": [
             {
               "type": "string - sink/toilet/shower/tub/washer/dishwasher",
-              "position": {"x": "number", "y": "number"}
+              "position": {"x": "number - feet from the building left", "y": "number - feet from the building top"}
             }
           ],
           "features": ["array of features like 'walk-in closet', 'balcony access', 'bay window', etc."]
@@ -307,7 +320,38 @@ const BUILDING_TYPE_PROMPTS = {
   warehouse: `Focus on logistics flow, loading docks, and storage efficiency. Clear heights for racking. Fire lanes. Office area separate from warehouse. Truck turning radius at docks.`
 };
 
-const buildUserPrompt = (prompt, meta = {}) => {
+/**
+ * The system prompt is written in feet; metric requests get the overrides spelled out
+ */
+const buildUnitsPrompt = (units) => {
+  if (units !== 'metric') return '';
+
+  const minimums = Object.entries(MIN_ROOM_SIZES).map(([type, area]) => `${type} ${formatArea(area, units)}`);
+
+  let section = '\n\nUNITS: METRIC';
+  section += '\n- Set "units": "metric"; every length is in meters and every area in square meters';
+  section += '\n- Give room areas as "areaSqm" instead of "areaSqft"';
+  section += '\n- Convert the feet-based guidance above (1 ft = 0.3048 m, 1 sqft = 0.0929 sqm)';
+  section += `\n- Minimum room areas: ${minimums.join(', ')}`;
+  section += `\n- Corridors at least ${formatLength(3.5, units)} wide; main entry door ${formatLength(3, units)}`;
+  section += '\n- Column sizes and wall thicknesses in millimetres';
+
+  return section;
+};
+
+/**
+ * Circulation strategy for one of several variants of the same brief
+ */
+const buildStrategyPrompt = (strategy) => {
+  if (!strategy?.guidance) return '';
+  return `\n\nLAYOUT STRATEGY (one of several alternatives for this brief):\n- ${strategy.guidance}`;
+};
+
+/**
+ * buildingTypePrompts: design focus per building type, from the prompt template in use
+ */
+const buildUserPrompt = (prompt, meta = {}, units = DEFAULT_UNITS, strategy = null, buildingTypePrompts = BUILDING_TYPE_PROMPTS) => {
+  const { area } = UNIT_SYSTEMS[units];
   let userMessage = `DESIGN REQUEST:\n${prompt}`;
 
   if (Object.keys(meta).length > 0) {
@@ -318,8 +362,8 @@ const buildUserPrompt = (prompt, meta = {}) => {
 
       // Add building-type specific guidance
       const typeKey = meta.buildingType.toLowerCase();
-      if (BUILDING_TYPE_PROMPTS[typeKey]) {
-        userMessage += `\n- IMPORTANT DESIGN FOCUS: ${BUILDING_TYPE_PROMPTS[typeKey]}`;
+      if (buildingTypePrompts[typeKey]) {
+        userMessage += `\n- IMPORTANT DESIGN FOCUS: ${buildingTypePrompts[typeKey]}`;
       }
     }
     if (meta.city) {
@@ -329,13 +373,16 @@ const buildUserPrompt = (prompt, meta = {}) => {
       userMessage += `\n- Authority/Zoning: ${meta.authority}`;
     }
     if (meta.plotArea) {
-      userMessage += `\n- Plot Area: ${meta.plotArea} sqft`;
+      userMessage += `\n- Plot Area: ${meta.plotArea} ${area}`;
       // Add guidance for plot utilization
-      userMessage += `\n- Note: Building footprint should be approximately ${Math.round(meta.plotArea * 0.6)}-${Math.round(meta.plotArea * 0.7)} sqft (60-70% coverage) to allow for setbacks`;
+      userMessage += `\n- Note: Building footprint should be approximately ${Math.round(meta.plotArea * 0.6)}-${Math.round(meta.plotArea * 0.7)} ${area} (60-70% coverage) to allow for setbacks`;
     }
     if (meta.floors && Array.isArray(meta.floors) && meta.floors.length > 0) {
       userMessage += `\n- Required Floors: ${meta.floors.join(', ')}`;
       userMessage += `\n- Total Floors: ${meta.floors.length}`;
+      if (meta.floors.length > 1) {
+        userMessage += `\n- Note: Stack staircases, lifts, columns and wet areas directly above the ones below; upper floors must sit within the floor below unless a room is a balcony or cantilever`;
+      }
     }
     if (meta.budget) {
       userMessage += `\n- Budget Range: ${meta.budget}`;
@@ -346,8 +393,17 @@ const buildUserPrompt = (prompt, meta = {}) => {
     if (meta.specialRequirements && Array.isArray(meta.specialRequirements)) {
       userMessage += `\n- Special Requirements: ${meta.specialRequirements.join(', ')}`;
     }
+
+    // Spell out the local code so the plan is designed to it rather than checked against it afterwards
+    const rulePack = meta.authority && findRulePack(meta);
+    if (rulePack) {
+      userMessage += `\n\n${describeRulePack(rulePack, { plotArea: toSqft(meta.plotArea, units), units })}`;
+    }
   }
 
+  userMessage += buildUnitsPrompt(units);
+  userMessage += buildStrategyPrompt(strategy);
+
   userMessage += '\n\nCRITICAL REQUIREMENTS:';
   userMessage += '\n1. Every room MUST have valid x, y position coordinates';
   userMessage += '\n2. All rooms must fit within buildingDimensions (no overflow)';
@@ -361,8 +417,80 @@ const buildUserPrompt = (prompt, meta = {}) => {
   return userMessage;
 };
 
+// Keep the replayed conversation bounded so long refinement sessions stay within context
+const MAX_REFINE_TURNS = 10;
+
+const buildRefinePrompt = (instruction, currentPlan) => {
+  // Warnings from earlier validation runs are not part of the design
+  const { validationWarnings, ...plan } = currentPlan;
+  const units = plan.units || DEFAULT_UNITS;
+
+  let userMessage = 'CURRENT PLAN (JSON):';
+  userMessage += `\n${JSON.stringify(plan)}`;
+
+  userMessage += `\n\nREFINEMENT REQUEST:\n${instruction}`;
+
+  userMessage += '\n\nREFINEMENT RULES:';
+  userMessage += '\n1. Start from the CURRENT PLAN and change only what the request asks for';
+  userMessage += '\n2. Keep room ids stable for rooms that still exist so doors keep their connectsTo references';
+  userMessage += '\n3. When a room is resized or moved, shift its neighbours so walls stay shared and nothing overlaps';
+  userMessage += `\n4. Update ${UNIT_SYSTEMS[units].areaField}, floor totalArea, totalArea and buildingDimensions to match the new geometry`;
+  userMessage += '\n5. Every room must still fit within buildingDimensions';
+  userMessage += `\n6. Keep the plan in ${units} units (${UNIT_SYSTEMS[units].length}, ${UNIT_SYSTEMS[units].area})`;
+  userMessage += '\n\nReturn the COMPLETE updated architectural plan as valid JSON only.';
+
+  return userMessage;
+};
+
+/**
+ * Short text form of a plan for replayed assistant turns: building size and
+ * each room's size and position, in the plan's units. The full JSON is only
+ * sent for the current plan.
+ */
+const summarizePlan = (plan) => {
+  const { length } = UNIT_SYSTEMS[plan.units || DEFAULT_UNITS];
+  const size = (dimensions) => `${dimensions?.width} x ${dimensions?.length} ${length}`;
+  const building = plan.buildingDimensions && { width: plan.buildingDimensions.width, length: plan.buildingDimensions.depth };
+
+  const lines = [`${plan.buildingType || 'Building'}${building ? `, ${size(building)}` : ''}`];
+  (plan.floors || []).forEach((floor) => {
+    const rooms = (floor.rooms || []).map((room) => `${room.name} ${size(room.dimensions)} at (${room.position?.x}, ${room.position?.y})`);
+    lines.push(`${floor.level}: ${rooms.join('; ')}`);
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Build the chat messages for a refinement: the original brief, earlier
+ * refinement instructions with a summary of the plan each produced, then the
+ * current plan with the new instruction
+ */
+const buildRefineMessages = ({ systemPrompt, buildingTypePrompts, originalPrompt, originalPlan, meta = {}, turns = [], currentPlan, instruction }) => {
+  const messages = [{ role: 'system', content: systemPrompt }];
+  const answer = (label, plan) => (plan ? `${label}:\n${summarizePlan(plan)}` : `${label}.`);
+
+  if (originalPrompt) {
+    messages.push({ role: 'user', content: buildUserPrompt(originalPrompt, meta, currentPlan.units, null, buildingTypePrompts) });
+    messages.push({ role: 'assistant', content: answer('Generated the initial architectural plan', originalPlan) });
+  }
+
+  turns.slice(-MAX_REFINE_TURNS).forEach((turn) => {
+    messages.push({ role: 'user', content: `REFINEMENT REQUEST:\n${turn.instruction}` });
+    messages.push({ role: 'assistant', content: answer(`Applied the refinement (version ${turn.version})`, turn.planData) });
+  });
+
+  messages.push({ role: 'user', content: buildRefinePrompt(instruction, currentPlan) });
+
+  return messages;
+};
+
 module.exports = {
   SYSTEM_PROMPT,
   BUILDING_TYPE_PROMPTS,
   buildUserPrompt,
+  buildRefinePrompt,
+  buildRefineMessages,
+  MAX_REFINE_TURNS,
+  summarizePlan,
 };
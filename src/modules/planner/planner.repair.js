@@ -0,0 +1,406 @@
+/**
+ * Plan Geometry Repair
+ * Deterministic fixer for the problems validatePlanGeometry reports, so most
+ * AI plans become usable without another model call. Every change is logged.
+ *
+ * Passes, per floor:
+ *   1. snap positions and dimensions to the grid
+ *   2. move rooms with negative positions back inside
+ *   3. clamp rooms to buildingDimensions (move first, shrink if needed)
+ *   4. resolve overlaps by trimming whichever room loses the least area
+ *   5. close small gaps so neighbours share exact edges
+ *   6. grow undersized rooms into free space
+ *   7. recompute areas and keep doors/windows on their (possibly shorter) walls
+ *
+ * Rooms with an outline (non-rectangular) are kept as drawn: other rooms
+ * grow up to their bounding box and overlaps with them are left to validation.
+ *
+ * Works in feet. Metric plans are converted before repair; `units` sets the
+ * grid and the units used in change messages.
+ */
+
+const { MIN_ROOM_SIZES } = require('./planner.constants');
+const { DEFAULT_UNITS, METERS_PER_FOOT, convertArea, formatArea, formatLength, fromFeet } = require('./planner.units');
+const { hasOutline, roomArea } = require('./planner.geometry');
+
+const REPAIR_CONFIG = {
+  grid: 0.5, // ft
+  metricGrid: 0.05, // m - grid for metric plans so snapped sizes stay round in meters
+  gapTolerance: 1.5, // ft - gaps up to this wide are closed
+  minSide: 3, // ft - trimming never leaves a room narrower than this
+  maxOverlapPasses: 50,
+};
+
+const EPSILON = 0.01;
+
+const roundTo = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const round2 = (value) => roundTo(value, 2);
+
+const toRect = (room) => ({
+  x: room.position.x,
+  y: room.position.y,
+  w: room.dimensions.width,
+  l: room.dimensions.length,
+});
+
+const applyRect = (room, rect, digits) => {
+  room.position = { ...room.position, x: roundTo(rect.x, digits), y: roundTo(rect.y, digits) };
+  room.dimensions = { ...room.dimensions, width: roundTo(rect.w, digits), length: roundTo(rect.l, digits) };
+};
+
+const sameRect = (a, b) =>
+  Math.abs(a.x - b.x) < EPSILON && Math.abs(a.y - b.y) < EPSILON && Math.abs(a.w - b.w) < EPSILON && Math.abs(a.l - b.l) < EPSILON;
+
+// Rectangles in change entries are reported in the plan's own units
+const formatRect = (rect, units) => ({
+  x: round2(fromFeet(rect.x, units)),
+  y: round2(fromFeet(rect.y, units)),
+  width: round2(fromFeet(rect.w, units)),
+  length: round2(fromFeet(rect.l, units)),
+});
+
+const rectsOverlap = (a, b) =>
+  a.x < b.x + b.w - EPSILON && b.x < a.x + a.w - EPSILON && a.y < b.y + b.l - EPSILON && b.y < a.y + a.l - EPSILON;
+
+const minAreaFor = (room) => {
+  const roomType = room.type?.toLowerCase() || '';
+  const match = Object.keys(MIN_ROOM_SIZES).find((type) => roomType.includes(type));
+  return match ? MIN_ROOM_SIZES[match] : 0;
+};
+
+/**
+ * The two ways to trim `rect` clear of `other` along one axis, keeping the larger remainder
+ */
+const trimAlong = (rect, other, axis) => {
+  const [pos, size] = axis === 'x' ? ['x', 'w'] : ['y', 'l'];
+  const start = rect[pos];
+  const end = rect[pos] + rect[size];
+  const otherStart = other[pos];
+  const otherEnd = other[pos] + other[size];
+
+  const before = { ...rect, [size]: otherStart - start };
+  const after = { ...rect, [pos]: otherEnd, [size]: end - otherEnd };
+
+  return [before, after].filter((candidate) => candidate[size] >= REPAIR_CONFIG.minSide);
+};
+
+class PlanRepairer {
+  constructor(plan, { units = DEFAULT_UNITS } = {}) {
+    this.plan = plan;
+    this.units = units;
+    this.changes = [];
+    this.width = plan.buildingDimensions?.width;
+    this.depth = plan.buildingDimensions?.depth;
+
+    const metric = units === 'metric';
+    this.grid = metric ? REPAIR_CONFIG.metricGrid / METERS_PER_FOOT : REPAIR_CONFIG.grid;
+    // Extra decimals keep converted metric values exact once they go back to meters
+    this.digits = metric ? 4 : 2;
+  }
+
+  snap(value) {
+    return Math.round(value / this.grid) * this.grid;
+  }
+
+  /**
+   * Area as stored on the plan: whole sqft, or sqm to two decimals (kept in sqft here)
+   */
+  roundArea(sqft) {
+    if (this.units !== 'metric') return Math.round(sqft);
+    return convertArea(round2(convertArea(sqft, 'imperial', 'metric', { exact: true })), 'metric', 'imperial', { exact: true });
+  }
+
+  log(floor, room, action, message, before, after) {
+    const change = {
+      level: floor.level,
+      roomId: room?.id,
+      room: room?.name,
+      action,
+      message,
+    };
+
+    if (before && after) {
+      change.before = formatRect(before, this.units);
+      change.after = formatRect(after, this.units);
+    }
+
+    this.changes.push(change);
+  }
+
+  /**
+   * Replace a room's rectangle and record it
+   */
+  update(floor, room, rect, action, message) {
+    if (hasOutline(room)) return;
+
+    const before = toRect(room);
+    if (sameRect(before, rect)) return;
+
+    applyRect(room, rect, this.digits);
+    this.log(floor, room, action, message, before, rect);
+  }
+
+  run() {
+    if (!this.width || !this.depth) {
+      return { plan: this.plan, changes: this.changes };
+    }
+
+    let areaDelta = 0;
+
+    this.plan.floors.forEach((floor) => {
+      const rooms = floor.rooms.filter((room) => room.position && room.dimensions);
+
+      this.snapToGrid(floor, rooms);
+      this.fixNegativePositions(floor, rooms);
+      this.clampToEnvelope(floor, rooms);
+      this.resolveOverlaps(floor, rooms);
+      this.closeGaps(floor, rooms);
+      this.growUndersized(floor, rooms);
+      areaDelta += this.recomputeAreas(floor, rooms);
+      this.fitOpenings(floor, rooms);
+    });
+
+    if (areaDelta !== 0 && this.plan.totalArea) {
+      const totalArea = this.plan.totalArea + areaDelta;
+      this.log(
+        { level: 'Building' },
+        null,
+        'area',
+        `Total area updated from ${formatArea(this.plan.totalArea, this.units)} to ${formatArea(totalArea, this.units)}`
+      );
+      this.plan.totalArea = totalArea;
+    }
+
+    return { plan: this.plan, changes: this.changes };
+  }
+
+  snapToGrid(floor, rooms) {
+    rooms.forEach((room) => {
+      const rect = toRect(room);
+      const snapped = {
+        x: this.snap(rect.x),
+        y: this.snap(rect.y),
+        w: Math.max(this.snap(rect.w), this.grid),
+        l: Math.max(this.snap(rect.l), this.grid),
+      };
+      this.update(floor, room, snapped, 'snap', `Snapped to ${formatLength(this.grid, this.units)} grid`);
+    });
+  }
+
+  fixNegativePositions(floor, rooms) {
+    rooms.forEach((room) => {
+      const rect = toRect(room);
+      if (rect.x >= 0 && rect.y >= 0) return;
+
+      this.update(
+        floor,
+        room,
+        { ...rect, x: Math.max(rect.x, 0), y: Math.max(rect.y, 0) },
+        'move',
+        'Moved inside the building (negative position)'
+      );
+    });
+  }
+
+  clampToEnvelope(floor, rooms) {
+    rooms.forEach((room) => {
+      const rect = { ...toRect(room) };
+
+      // Prefer sliding back inside; shrink only when the room is larger than the building
+      rect.w = Math.min(rect.w, this.width);
+      rect.l = Math.min(rect.l, this.depth);
+      if (rect.x + rect.w > this.width) rect.x = this.width - rect.w;
+      if (rect.y + rect.l > this.depth) rect.y = this.depth - rect.l;
+
+      this.update(floor, room, rect, 'clamp', 'Clamped to building dimensions');
+    });
+  }
+
+  resolveOverlaps(floor, rooms) {
+    for (let pass = 0; pass < REPAIR_CONFIG.maxOverlapPasses; pass++) {
+      let resolved = false;
+
+      for (let i = 0; i < rooms.length && !resolved; i++) {
+        for (let j = i + 1; j < rooms.length && !resolved; j++) {
+          if (hasOutline(rooms[i]) || hasOutline(rooms[j])) continue;
+
+          const a = toRect(rooms[i]);
+          const b = toRect(rooms[j]);
+          if (!rectsOverlap(a, b)) continue;
+
+          // Every way of trimming either room clear of the other; keep the cheapest
+          const options = [];
+          [
+            [rooms[i], a, b, rooms[j]],
+            [rooms[j], b, a, rooms[i]],
+          ].forEach(([room, rect, other, otherRoom]) => {
+            ['x', 'y'].forEach((axis) => {
+              trimAlong(rect, other, axis).forEach((candidate) => {
+                const area = candidate.w * candidate.l;
+                options.push({
+                  room,
+                  otherRoom,
+                  candidate,
+                  lost: rect.w * rect.l - area,
+                  // Trims that push a room under its code minimum are a last resort
+                  belowMinimum: area < minAreaFor(room),
+                });
+              });
+            });
+          });
+
+          if (options.length === 0) continue;
+
+          options.sort((p, q) => p.belowMinimum - q.belowMinimum || p.lost - q.lost);
+          const best = options[0];
+          this.update(floor, best.room, best.candidate, 'trim', `Trimmed to remove overlap with "${best.otherRoom.name}"`);
+          resolved = true;
+        }
+      }
+
+      if (!resolved) return;
+    }
+  }
+
+  /**
+   * Largest distance `rect` can grow on one side before hitting another room or the envelope
+   */
+  freeSpace(rect, rooms, self, side) {
+    const limits = {
+      east: this.width - (rect.x + rect.w),
+      west: rect.x,
+      south: this.depth - (rect.y + rect.l),
+      north: rect.y,
+    };
+    let limit = limits[side];
+
+    rooms.forEach((room) => {
+      if (room === self) return;
+      const other = toRect(room);
+
+      if (side === 'east' || side === 'west') {
+        const spans = other.y < rect.y + rect.l - EPSILON && rect.y < other.y + other.l - EPSILON;
+        if (!spans) return;
+        const distance = side === 'east' ? other.x - (rect.x + rect.w) : rect.x - (other.x + other.w);
+        if (distance > -EPSILON) limit = Math.min(limit, Math.max(distance, 0));
+      } else {
+        const spans = other.x < rect.x + rect.w - EPSILON && rect.x < other.x + other.w - EPSILON;
+        if (!spans) return;
+        const distance = side === 'south' ? other.y - (rect.y + rect.l) : rect.y - (other.y + other.l);
+        if (distance > -EPSILON) limit = Math.min(limit, Math.max(distance, 0));
+      }
+    });
+
+    return limit;
+  }
+
+  grow(rect, side, amount) {
+    const grown = { ...rect };
+    if (side === 'east') grown.w += amount;
+    if (side === 'west') {
+      grown.x -= amount;
+      grown.w += amount;
+    }
+    if (side === 'south') grown.l += amount;
+    if (side === 'north') {
+      grown.y -= amount;
+      grown.l += amount;
+    }
+    return grown;
+  }
+
+  closeGaps(floor, rooms) {
+    rooms.forEach((room) => {
+      let rect = toRect(room);
+
+      ['east', 'south', 'west', 'north'].forEach((side) => {
+        const gap = this.freeSpace(rect, rooms, room, side);
+        if (gap > EPSILON && gap <= REPAIR_CONFIG.gapTolerance + EPSILON) {
+          rect = this.grow(rect, side, gap);
+        }
+      });
+
+      this.update(floor, room, rect, 'extend', 'Extended to close gaps so walls are shared');
+    });
+  }
+
+  growUndersized(floor, rooms) {
+    rooms.forEach((room) => {
+      const minimum = minAreaFor(room);
+      let rect = toRect(room);
+      if (hasOutline(room) || rect.w * rect.l >= minimum) return;
+
+      for (const side of ['east', 'south', 'west', 'north']) {
+        const needed = side === 'east' || side === 'west' ? (minimum - rect.w * rect.l) / rect.l : (minimum - rect.w * rect.l) / rect.w;
+        const available = this.freeSpace(rect, rooms, room, side);
+        const amount = Math.min(Math.ceil(needed / this.grid) * this.grid, available);
+        if (amount > EPSILON) rect = this.grow(rect, side, amount);
+        if (rect.w * rect.l >= minimum) break;
+      }
+
+      this.update(floor, room, rect, 'grow', `Grown into free space toward the ${formatArea(minimum, this.units)} minimum`);
+    });
+  }
+
+  /**
+   * Recompute room areas from the repaired geometry. Floor totals move by the
+   * same amount so any wall allowance in the original figure is kept.
+   * Returns the change in floor area.
+   */
+  recomputeAreas(floor, rooms) {
+    let delta = 0;
+
+    rooms.forEach((room) => {
+      const area = this.roundArea(roomArea(room));
+      if (room.areaSqft !== area) {
+        this.log(floor, room, 'area', `Area updated from ${formatArea(room.areaSqft || 0, this.units)} to ${formatArea(area, this.units)}`);
+        delta += area - (room.areaSqft || 0);
+        room.areaSqft = area;
+      }
+    });
+
+    delta = this.roundArea(delta);
+    if (delta !== 0 && floor.totalArea) {
+      const floorArea = floor.totalArea + delta;
+      this.log(floor, null, 'area', `Floor area updated from ${formatArea(floor.totalArea, this.units)} to ${formatArea(floorArea, this.units)}`);
+      floor.totalArea = floorArea;
+    }
+
+    return delta;
+  }
+
+  /**
+   * Keep doors and windows within the wall they sit on after resizing
+   */
+  fitOpenings(floor, rooms) {
+    rooms.forEach((room) => {
+      ['doors', 'windows'].forEach((kind) => {
+        (room[kind] || []).forEach((opening) => {
+          const wallLength =
+            opening.wall === 'north' || opening.wall === 'south' ? room.dimensions.width : room.dimensions.length;
+          const width = Math.min(opening.width || 0, wallLength);
+          const position = Math.min(Math.max(opening.position || 0, 0), wallLength - width);
+
+          if (width !== opening.width || position !== opening.position) {
+            const label = kind === 'doors' ? 'Door' : 'Window';
+            this.log(floor, room, 'opening', `${label}${opening.id ? ` ${opening.id}` : ''} refitted to the ${opening.wall} wall`);
+            opening.width = roundTo(width, this.digits);
+            opening.position = roundTo(position, this.digits);
+          }
+        });
+      });
+    });
+  }
+}
+
+/**
+ * Repair a plan (in feet) in place and return it with the list of changes
+ * options.units: units the changes are reported in
+ */
+const repairPlan = (plan, options) => new PlanRepairer(plan, options).run();
+
+module.exports = {
+  REPAIR_CONFIG,
+  repairPlan,
+};
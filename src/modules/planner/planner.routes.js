@@ -5,5 +5,13 @@ const authMiddleware = require('../../middlewares/auth.middleware');
 const router = express.Router();
 
 router.post('/generate', authMiddleware, plannerController.generatePlan);
+router.post('/generate/stream', authMiddleware, plannerController.streamPlan);
+router.post('/analyze', authMiddleware, plannerController.analyzePlan);
+router.post('/furnish', authMiddleware, plannerController.furnishPlan);
+router.get('/providers', authMiddleware, plannerController.getProviders);
+router.get('/stats', authMiddleware, plannerController.getStats);
+router.get('/jobs/:id', authMiddleware, plannerController.getJob);
+router.delete('/jobs/:id', authMiddleware, plannerController.cancelJob);
+router.post('/:planId/refine', authMiddleware, plannerController.refinePlan);
 
 module.exports = router;
@@ -0,0 +1,246 @@
+const { z } = require('zod');
+const { toJsonSchema } = require('../../utils/jsonSchema');
+const { UNITS, DEFAULT_UNITS, UNIT_SYSTEMS } = require('./planner.units');
+
+/**
+ * Canonical floor plan schema
+ * Single source of truth for the plan JSON: requested from the model as
+ * structured output, used to validate model responses, and reused by the CAD
+ * and plans modules for plans sent by clients. Lengths are in feet or meters
+ * depending on `units` (see planner.units.js).
+ */
+
+const wallSchema = z.enum(['north', 'south', 'east', 'west']);
+
+const pointSchema = z.object({
+  x: z.number(),
+  y: z.number(),
+});
+
+const outlineSchema = z.array(pointSchema).min(3);
+
+const doorSchema = z.object({
+  id: z.string().optional(),
+  wall: wallSchema,
+  position: z.number().describe('Distance from the wall LEFT edge'),
+  width: z.number().positive().max(20),
+  height: z.number().positive().optional(),
+  type: z.string().optional().describe('single/double/sliding/pocket/french'),
+  connectsTo: z.string().optional().describe("Room id or 'exterior'"),
+  swingDirection: z.string().optional().describe('inward/outward/left/right'),
+  reciprocalOf: z.string().optional().describe('Set on the mirrored copy of a door owned by the room on the other side'),
+});
+
+const windowSchema = z.object({
+  id: z.string().optional(),
+  wall: wallSchema,
+  position: z.number().describe('Distance from the wall LEFT edge'),
+  width: z.number().positive().max(50),
+  height: z.number().positive().optional(),
+  sillHeight: z.number().min(0).optional(),
+  type: z.string().optional().describe('fixed/casement/sliding/double-hung'),
+});
+
+const electricalPointSchema = z.object({
+  type: z.string().describe('outlet/switch/light/fan/ac'),
+  position: pointSchema.describe('Building coordinates'),
+  wall: z.enum(['north', 'south', 'east', 'west', 'ceiling']).optional(),
+});
+
+const plumbingPointSchema = z.object({
+  type: z.string().describe('sink/toilet/shower/tub/washer/dishwasher'),
+  position: pointSchema.describe('Building coordinates'),
+});
+
+const furnitureSchema = z.object({
+  type: z.string().min(1).describe('bed/wardrobe/wc/basin/shower/counter/fridge/table/desk/sofa'),
+  position: pointSchema.describe('Top-left corner of its footprint, in building coordinates'),
+  dimensions: z.object({
+    length: z.number().positive().describe('Y direction'),
+    width: z.number().positive().describe('X direction'),
+  }),
+  facing: wallSchema.describe('Side its front faces; its back is to the opposite side'),
+});
+
+const roomSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().min(1),
+  type: z.string().min(1).describe('living/bedroom/bathroom/kitchen/dining/office/storage/corridor/staircase/utility'),
+  areaSqft: z.number().positive().optional().describe('Room area in imperial plans'),
+  areaSqm: z.number().positive().optional().describe('Room area in metric plans'),
+  dimensions: z.object({
+    length: z.number().positive().max(500).describe('Y direction'),
+    width: z.number().positive().max(500).describe('X direction'),
+  }),
+  position: pointSchema.describe('Top-left corner, from the building top-left (0,0)'),
+  outline: outlineSchema
+    .optional()
+    .describe('Corners in building coordinates, only for rooms that are not rectangles; position and dimensions are its bounding box'),
+  ceilingHeight: z.number().positive().optional(),
+  floorMaterial: z.string().optional(),
+  wallMaterial: z.string().optional(),
+  doors: z.array(doorSchema).default([]),
+  windows: z.array(windowSchema).default([]),
+  electricalPoints: z.array(electricalPointSchema).optional(),
+  plumbingPoints: z.array(plumbingPointSchema).optional(),
+  features: z.array(z.string()).optional(),
+  furniture: z.array(furnitureSchema).optional().describe('Laid out after generation'),
+});
+
+const columnSchema = z.object({
+  id: z.string().optional(),
+  position: pointSchema,
+  size: z.number().positive().optional().describe('Column size in inches (imperial) or millimetres (metric)'),
+});
+
+const floorSchema = z.object({
+  level: z.string().min(1).describe('Basement/Ground/First/Second etc.'),
+  totalArea: z.number().positive().optional(),
+  floorHeight: z.number().positive().max(50).optional(),
+  rooms: z.array(roomSchema).min(1, 'Floor must have at least one room'),
+  columns: z.array(columnSchema).optional(),
+  circulation: z
+    .object({
+      type: z.string().optional().describe('central/linear/clustered/radial'),
+      corridorWidth: z.number().positive().optional(),
+      mainPath: z.string().optional(),
+    })
+    .optional(),
+});
+
+const entranceSchema = z.object({
+  wall: wallSchema,
+  position: z.number().min(0),
+  type: z.string().optional(),
+  canopyDepth: z.number().min(0).optional(),
+  purpose: z.string().optional(),
+});
+
+const planObjectSchema = z.object({
+  units: z.enum(UNITS).default(DEFAULT_UNITS).describe('imperial: feet and sqft; metric: meters and sqm'),
+  buildingType: z.string().min(1),
+  totalArea: z.number().positive(),
+  buildingDimensions: z.object({
+    width: z.number().positive().max(1000).describe('X direction'),
+    depth: z.number().positive().max(1000).describe('Y direction'),
+    outline: outlineSchema.optional().describe('Footprint corners, only for buildings that are not rectangles; width and depth are its bounding box'),
+    courtyards: z.array(outlineSchema).optional().describe('Open courts inside the footprint, as corner points'),
+  }),
+  structuralGrid: z
+    .object({
+      xSpacing: z.number().positive(),
+      ySpacing: z.number().positive(),
+    })
+    .optional(),
+  wallThickness: z
+    .object({
+      exterior: z.number().positive().optional(),
+      interior: z.number().positive().optional(),
+    })
+    .optional()
+    .describe('Wall thicknesses in inches (imperial) or millimetres (metric)'),
+  floors: z.array(floorSchema).min(1, 'Plan must have at least one floor').max(20),
+  exterior: z
+    .object({
+      mainEntrance: entranceSchema.optional(),
+      secondaryEntrance: entranceSchema.optional(),
+      style: z.string().optional(),
+    })
+    .optional(),
+  fireSafety: z
+    .object({
+      exitCount: z.number().int().min(0).optional(),
+      exitLocations: z.array(z.string()).optional(),
+      sprinklerSystem: z.boolean().optional(),
+      fireExtinguisherLocations: z.array(z.string()).optional(),
+    })
+    .optional(),
+  accessibility: z
+    .object({
+      adaCompliant: z.boolean().optional(),
+      rampLocations: z.array(z.string()).optional(),
+      accessibleBathroom: z.boolean().optional(),
+      wideDoorways: z.boolean().optional(),
+    })
+    .optional(),
+  utilities: z
+    .object({
+      electricalPanel: z.object({ location: z.string(), capacity: z.string().optional() }).optional(),
+      waterHeater: z.object({ location: z.string(), type: z.string().optional() }).optional(),
+      hvac: z.object({ type: z.string(), unitLocations: z.array(z.string()).optional() }).optional(),
+    })
+    .optional(),
+  compliance: z
+    .object({
+      authority: z.string().optional(),
+      setbacks: z
+        .object({
+          front: z.number().min(0).optional(),
+          rear: z.number().min(0).optional(),
+          left: z.number().min(0).optional(),
+          right: z.number().min(0).optional(),
+          sides: z.number().min(0).optional(),
+        })
+        .optional(),
+      coverageRatio: z.number().min(0).optional(),
+      farRatio: z.number().min(0).optional(),
+      notes: z.array(z.string()).optional(),
+    })
+    .optional(),
+  designNotes: z.array(z.string()).default([]),
+  validationWarnings: z.array(z.string()).optional(),
+});
+
+// Rooms carry the area field that matches the plan's units
+const planSchema = planObjectSchema.superRefine((plan, ctx) => {
+  const { areaField } = UNIT_SYSTEMS[plan.units];
+
+  plan.floors.forEach((floor, floorIndex) => {
+    floor.rooms.forEach((room, roomIndex) => {
+      if (room[areaField] === undefined) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['floors', floorIndex, 'rooms', roomIndex, areaField],
+          message: `Required for ${plan.units} plans`,
+        });
+      }
+    });
+  });
+});
+
+// JSON schema sent to providers that support structured output; optional fields come back as null
+const PLAN_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'floor_plan',
+    strict: true,
+    schema: toJsonSchema(planObjectSchema.omit({ validationWarnings: true }), { strict: true }),
+  },
+};
+
+/**
+ * Flatten Zod issues into "floors.0.rooms.2.position: Required" strings
+ */
+const formatPlanIssues = (error, limit = 10) => {
+  const issues = error.errors.map((issue) => `${issue.path.join('.') || 'plan'}: ${issue.message}`);
+  if (issues.length > limit) {
+    return [...issues.slice(0, limit), `...and ${issues.length - limit} more`];
+  }
+  return issues;
+};
+
+const validatePlan = (data) => planSchema.parse(data);
+
+module.exports = {
+  wallSchema,
+  outlineSchema,
+  doorSchema,
+  windowSchema,
+  furnitureSchema,
+  roomSchema,
+  floorSchema,
+  planSchema,
+  PLAN_RESPONSE_FORMAT,
+  formatPlanIssues,
+  validatePlan,
+};
@@ -1,8 +1,49 @@
-const { openai } = require('../../config/openai');
-const { env } = require('../../config/env');
-const { SYSTEM_PROMPT, buildUserPrompt } = require('./planner.prompt');
+const { getProvider } = require('../../providers/llm');
+const { getCache, hashKey } = require('../../providers/cache');
+const { SYSTEM_PROMPT, buildUserPrompt, buildRefineMessages } = require('./planner.prompt');
+const { MIN_ROOM_SIZES } = require('./planner.constants');
+const { planSchema, PLAN_RESPONSE_FORMAT, formatPlanIssues } = require('./planner.schema');
+const { buildProgram } = require('./layout.program');
+const { generateLayout, LAYOUT_ENGINE_VERSION } = require('./layout.engine');
+const { repairPlan } = require('./planner.repair');
+const { WALL_TOLERANCE, analyzePlanGraph } = require('./planner.graph');
+const { computePlanMetrics } = require('./planner.analysis');
+const { checkDoors, normalizeDoors } = require('./planner.doors');
+const { checkVerticalConsistency } = require('./planner.vertical');
+const { checkColumnPlacement } = require('./planner.structure');
+const { furnishPlan } = require('./planner.furniture');
+const {
+  buildingPolygon,
+  hasOutline,
+  isSelfIntersecting,
+  measureOutside,
+  measureOverlap,
+  polygonArea,
+  polygonBounds,
+  polygonsOverlap,
+  roomPolygon,
+  thickness,
+} = require('./planner.geometry');
+const { VARIANT_STRATEGIES, planFingerprint, rankVariants, scorePlan } = require('./planner.variants');
+const {
+  DEFAULT_UNITS,
+  UNIT_SYSTEMS,
+  convertPlan,
+  formatArea,
+  fromFeet,
+  metaInUnits,
+  toFeet,
+  toImperial,
+  toSqft,
+  unitsOf,
+} = require('./planner.units');
+const complianceService = require('../compliance/compliance.service');
+const { findRulePack, getDefaultRulePack } = require('../compliance/compliance.rules');
 const { AppError } = require('../../middlewares/error.middleware');
 const logger = require('../../utils/logger');
+const { withoutNulls } = require('../../utils/jsonSchema');
+
+const cancelledError = () => new AppError('Plan generation was cancelled', 499);
 
 // Configuration for more accurate and reliable generation
 const AI_CONFIG = {
@@ -10,24 +51,70 @@ const AI_CONFIG = {
   maxTokens: 8192, // Increased for detailed plans
   maxRetries: 3,
   retryDelay: 1000, // ms
+  progressInterval: 400, // characters between streamed progress events
+  algorithmicFallback: true, // use the rule-based layout engine when all retries fail
+  autoRepair: true, // fix overlaps, envelope and gap problems in place before retrying
+};
+
+// Rooms may run this far past the building envelope before it counts as an error
+const ENVELOPE_TOLERANCE = 1; // ft
+
+// Identical recent requests are answered from the cache instead of the model
+const CACHE_CONFIG = {
+  ttlMs: 5 * 60 * 1000, // 5 minutes
+  maxBytes: 32 * 1024 * 1024,
+  maxEntryBytes: 2 * 1024 * 1024,
 };
 
 class PlannerService {
   constructor() {
-    // Simple in-memory cache for identical prompts (optional optimization)
-    this.responseCache = new Map();
-    this.cacheMaxAge = 5 * 60 * 1000; // 5 minutes
+    this.cache = getCache('planner', CACHE_CONFIG);
   }
 
   /**
    * Generate architectural plan with retry logic and validation
+   *
+   * Options:
+   * - onEvent(event, data): progress callback (attempt, progress, repaired, validation_failed, retry)
+   * - onUsage(attempt): called after every model attempt, failed or not, with { attempt, failed, invalid, provider, model, usage };
+   *   invalid marks a response that could not be parsed or failed validation
+   * - template: prompt template from the prompts module ({ version, systemPrompt, buildingTypePrompts }); built-in prompts otherwise
+   * - stream: stream tokens from the model so partial progress can be reported
+   * - signal: AbortSignal that cancels the in-flight request and any further retries
+   * - provider / model: override the configured LLM provider and its default model
+   * - mode: 'ai' (default) or 'algorithmic' to skip the model entirely
+   * - program: room program for the layout engine
+   * - units: 'imperial' (default) or 'metric'; meta.plotArea and the program are in these units
+   * - variants: number of ranked alternatives to generate (see generateVariants)
+   * - strategy: one of VARIANT_STRATEGIES, set by generateVariants for each alternative
    */
-  async generatePlan(prompt, meta = {}) {
-    const userPrompt = buildUserPrompt(prompt, meta);
-    const cacheKey = this.getCacheKey(prompt, meta);
+  async generatePlan(prompt, meta = {}, options = {}) {
+    const units = options.units || DEFAULT_UNITS;
+    const { strategy } = options;
+
+    if (options.variants > 1) {
+      return this.generateVariants(prompt, meta, options);
+    }
+
+    if (options.mode === 'algorithmic') {
+      return this.generateAlgorithmicPlan(prompt, meta, options.program, units, strategy?.layout);
+    }
+
+    const { template } = options;
+    const userPrompt = buildUserPrompt(prompt, meta, units, strategy, template?.buildingTypePrompts);
+    const provider = getProvider(options.provider);
+    const model = options.model || provider.defaultModel;
+    // Each strategy and template version gets its own entry so alternatives never come back as the same cached plan
+    const cacheKey = this.getCacheKey(prompt, meta, {
+      provider: provider.name,
+      model,
+      units,
+      strategy: strategy?.id,
+      template: template?.version,
+    });
 
     // Check cache for identical recent requests
-    const cachedResponse = this.getFromCache(cacheKey);
+    const cachedResponse = await this.cache.get(cacheKey);
     if (cachedResponse) {
       logger.debug('Returning cached plan');
       return cachedResponse;
@@ -39,77 +126,321 @@ class PlannerService {
       buildingType: meta.buildingType,
     });
 
+    let result;
+    try {
+      result = await this.requestPlan(
+        [
+          {
+            role: 'system',
+            content: template?.systemPrompt || SYSTEM_PROMPT,
+          },
+          {
+            role: 'user',
+            content: userPrompt,
+          },
+        ],
+        meta,
+        { ...options, units, temperature: strategy?.temperature }
+      );
+    } catch (error) {
+      // Fall back to the layout engine when the model keeps failing, not for bad input or cancellation
+      if (!AI_CONFIG.algorithmicFallback || ![429, 500].includes(error.statusCode)) {
+        throw error;
+      }
+
+      logger.warn('AI generation failed, falling back to rule-based layout', { message: error.message });
+      options.onEvent?.('fallback', { reason: error.message });
+
+      const fallback = this.generateAlgorithmicPlan(prompt, meta, options.program, units, strategy?.layout);
+      fallback.plan.designNotes.push(`AI generation failed (${error.message}); this plan was produced by the rule-based layout engine instead.`);
+      return { ...fallback, fallback: true };
+    }
+
+    // Cache successful response
+    await this.cache.set(cacheKey, result);
+
+    return result;
+  }
+
+  /**
+   * Generate several alternatives for one brief, side by side, and rank them
+   * Each variant follows its own strategy; layouts identical to a better-ranked
+   * one are dropped. Returns the best variant's result with usage summed over
+   * every variant and `variants` ranked best first.
+   */
+  async generateVariants(prompt, meta = {}, options = {}) {
+    const { onEvent = () => {}, signal } = options;
+    const strategies = VARIANT_STRATEGIES.slice(0, options.variants);
+
+    const outcomes = await Promise.allSettled(
+      strategies.map((strategy, index) =>
+        this.generatePlan(prompt, meta, {
+          ...options,
+          variants: 1,
+          strategy,
+          // Events from parallel variants interleave; tag them so clients can tell them apart
+          onEvent: (event, data) => onEvent(event, { variant: index + 1, strategy: strategy.id, ...data }),
+        })
+      )
+    );
+
+    this.throwIfCancelled(signal);
+
+    const failures = outcomes
+      .map((outcome, index) => ({ outcome, strategy: strategies[index].id }))
+      .filter(({ outcome }) => outcome.status === 'rejected');
+    if (failures.length === outcomes.length) {
+      throw failures[0].outcome.reason;
+    }
+    failures.forEach(({ outcome, strategy }) => logger.warn('Plan variant failed', { strategy, message: outcome.reason.message }));
+
+    const { maxCoverage } = (findRulePack(meta) || getDefaultRulePack()).rules;
+    const seen = new Set();
+    const variants = [];
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status !== 'fulfilled') return;
+      const result = outcome.value;
+
+      Object.keys(usage).forEach((key) => (usage[key] += result.usage?.[key] || 0));
+
+      const fingerprint = planFingerprint(result.plan);
+      if (seen.has(fingerprint)) return;
+      seen.add(fingerprint);
+
+      const errors = result.plan.validationWarnings?.length || 0;
+      variants.push({
+        strategy: strategies[index].id,
+        ...scorePlan(result.plan, { errors, plotArea: meta.plotArea, maxCoverage }),
+        ...result,
+      });
+    });
+
+    const ranked = rankVariants(variants);
+    const { rank, strategy, score, breakdown, metrics, ...best } = ranked[0];
+
+    logger.info('Plan variants generated', {
+      requested: strategies.length,
+      distinct: ranked.length,
+      failed: failures.length,
+      scores: ranked.map((variant) => variant.score),
+    });
+
+    return {
+      ...best,
+      usage,
+      variantsRequested: strategies.length,
+      variants: ranked,
+      ...(failures.length > 0 && {
+        variantErrors: failures.map(({ outcome, strategy: failed }) => ({ strategy: failed, message: outcome.reason.message })),
+      }),
+    };
+  }
+
+  /**
+   * Generate a plan with the deterministic layout engine (no model call)
+   * The engine works in feet; metric requests are converted in and out
+   * layout: band proportions for alternative layouts (see generateLayout)
+   */
+  generateAlgorithmicPlan(prompt, meta = {}, program = {}, units = DEFAULT_UNITS, layout = {}) {
+    const imperialMeta = { ...meta, plotArea: toSqft(meta.plotArea, units) };
+    const plan = generateLayout(buildProgram(prompt, imperialMeta, this.programToFeet(program, units)), layout);
+    normalizeDoors(plan, { units });
+
+    const validationResult = this.validatePlanGeometry(plan, { units });
+    if (!validationResult.valid) {
+      // The engine is designed to always pass; surface it loudly if it ever doesn't
+      logger.error('Rule-based layout failed geometry validation', { errors: validationResult.errors });
+    }
+    this.attachValidationWarnings(plan, validationResult);
+    this.furnish(plan);
+
+    logger.info('Rule-based plan generated', {
+      buildingType: plan.buildingType,
+      floorsCount: plan.floors.length,
+      totalArea: plan.totalArea,
+    });
+
+    const output = convertPlan(plan, units);
+
+    return {
+      plan: output,
+      complianceReport: complianceService.checkPlan(output, meta),
+      usage: {
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+      },
+      provider: {
+        name: 'algorithmic',
+        model: LAYOUT_ENGINE_VERSION,
+      },
+    };
+  }
+
+  /**
+   * Room program in feet for the layout engine
+   */
+  programToFeet(program = {}, units = DEFAULT_UNITS) {
+    if (units === 'imperial') return program;
+
+    return {
+      ...program,
+      ...(program.rooms && { rooms: program.rooms.map((room) => ({ ...room, area: toSqft(room.area, units) })) }),
+      ...(program.buildingDimensions && {
+        buildingDimensions: {
+          width: toFeet(program.buildingDimensions.width, units),
+          depth: toFeet(program.buildingDimensions.depth, units),
+        },
+      }),
+      ...(program.corridorWidth && { corridorWidth: toFeet(program.corridorWidth, units) }),
+    };
+  }
+
+  /**
+   * Refine an existing plan from a follow-up instruction, replaying the
+   * earlier conversation so the model keeps the intent of previous turns.
+   * The refined plan stays in the current plan's units.
+   */
+  async refinePlan(currentPlan, instruction, history = {}, options = {}) {
+    const { originalPrompt, originalPlan, turns = [] } = history;
+    const units = unitsOf(currentPlan);
+    const meta = metaInUnits(history.meta, units);
+
+    logger.debug('Refining architectural plan', {
+      instructionLength: instruction.length,
+      previousTurns: turns.length,
+    });
+
+    const messages = buildRefineMessages({
+      systemPrompt: options.template?.systemPrompt || SYSTEM_PROMPT,
+      buildingTypePrompts: options.template?.buildingTypePrompts,
+      originalPrompt,
+      originalPlan,
+      meta,
+      turns,
+      currentPlan,
+      instruction,
+    });
+
+    return this.requestPlan(messages, meta, { ...options, units });
+  }
+
+  /**
+   * Call the model with retry logic and validate the returned plan
+   * The returned usage covers every attempt, including the ones that were retried
+   */
+  async requestPlan(messages, meta = {}, options = {}) {
+    const { onEvent = () => {}, onUsage = () => {}, stream = false, signal, units = DEFAULT_UNITS } = options;
+    const provider = getProvider(options.provider);
+    const request = {
+      messages,
+      model: options.model || provider.defaultModel,
+      temperature: options.temperature ?? AI_CONFIG.temperature,
+      maxTokens: AI_CONFIG.maxTokens,
+      responseFormat: PLAN_RESPONSE_FORMAT,
+    };
     let lastError = null;
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
 
     // Retry loop for reliability
     for (let attempt = 1; attempt <= AI_CONFIG.maxRetries; attempt++) {
+      this.throwIfCancelled(signal);
+
+      onEvent('attempt', { attempt, maxAttempts: AI_CONFIG.maxRetries });
+
+      let response = null;
+      let reported = false;
+      // Tokens are spent whether or not the attempt's plan is usable; each attempt is reported once
+      const reportAttempt = (failed, invalid) => {
+        if (reported) return;
+        reported = true;
+        Object.keys(usage).forEach((key) => (usage[key] += response?.usage?.[key] || 0));
+        onUsage({ attempt, failed, invalid, provider: provider.name, model: response?.model || request.model, usage: response?.usage || null });
+      };
+
       try {
-        const response = await openai.chat.completions.create({
-          model: env.OPENAI_MODEL,
-          messages: [
-            {
-              role: 'system',
-              content: SYSTEM_PROMPT,
-            },
-            {
-              role: 'user',
-              content: userPrompt,
-            },
-          ],
-          response_format: { type: 'json_object' },
-          temperature: AI_CONFIG.temperature,
-          max_tokens: AI_CONFIG.maxTokens,
-        });
+        response = stream
+          ? await this.streamCompletion(provider, request, { attempt, onEvent, signal })
+          : await provider.complete(request, { signal });
 
-        const content = response.choices[0]?.message?.content;
+        const content = response.content;
 
         if (!content) {
           throw new AppError('Failed to generate plan: Empty response from AI', 500);
         }
 
         // Parse and validate the response
-        const plan = this.parseAndValidateResponse(content, meta);
+        const parsed = this.parseAndValidateResponse(content, meta, units);
+
+        // Geometry checks work in feet; messages stay in the requested units
+        const plan = toImperial(parsed);
+
+        // Fix what can be fixed deterministically instead of paying for another attempt
+        let repairs = [];
+        if (AI_CONFIG.autoRepair) {
+          repairs = [...repairPlan(plan, { units }).changes, ...normalizeDoors(plan, { units }).changes];
+          if (repairs.length > 0) {
+            logger.debug('Plan geometry repaired', { attempt, changes: repairs.length });
+            onEvent('repaired', { attempt, changes: repairs });
+          }
+        }
 
         // Additional geometric validation
-        const validationResult = this.validatePlanGeometry(plan);
+        const validationResult = this.validatePlanGeometry(plan, { units });
         if (!validationResult.valid) {
           logger.warn('Plan geometry validation failed', {
             attempt,
             errors: validationResult.errors,
           });
 
+          onEvent('validation_failed', { attempt, errors: validationResult.errors });
+
           // If validation fails but we have retries left, try again
           if (attempt < AI_CONFIG.maxRetries) {
-            await this.delay(AI_CONFIG.retryDelay * attempt);
+            const delayMs = AI_CONFIG.retryDelay * attempt;
+            reportAttempt(true, true);
+            onEvent('retry', { attempt, nextAttempt: attempt + 1, delayMs, reason: 'validation_failed' });
+            await this.delay(delayMs, signal);
             continue;
           }
-
-          // On last attempt, return with warnings but don't fail
-          plan.validationWarnings = validationResult.errors;
         }
 
+        // On the last attempt errors are returned as warnings instead of failing
+        this.attachValidationWarnings(plan, validationResult);
+        this.furnish(plan);
+
         logger.info('Architectural plan generated successfully', {
           buildingType: plan.buildingType,
           floorsCount: plan.floors?.length || 0,
           totalArea: plan.totalArea,
+          provider: provider.name,
           attempt,
+          repairs: repairs.length,
         });
 
-        const result = {
-          plan,
-          usage: {
-            promptTokens: response.usage?.prompt_tokens,
-            completionTokens: response.usage?.completion_tokens,
-            totalTokens: response.usage?.total_tokens,
-          },
-        };
+        const output = convertPlan(plan, units);
+        const complianceReport = complianceService.checkPlan(output, meta);
 
-        // Cache successful response
-        this.setCache(cacheKey, result);
+        reportAttempt(false, !validationResult.valid);
 
-        return result;
+        return {
+          plan: output,
+          repairs,
+          complianceReport,
+          usage: { ...usage, attempts: attempt },
+          provider: {
+            name: provider.name,
+            model: response.model || request.model,
+          },
+        };
       } catch (error) {
         lastError = error;
+        // A response that arrived but couldn't be used is the model's fault, not the provider's
+        reportAttempt(true, Boolean(response));
+
+        this.throwIfCancelled(signal);
 
         if (error instanceof AppError) {
           // Don't retry for known errors
@@ -134,7 +465,9 @@ class PlannerService {
 
         // Wait before retry (exponential backoff)
         if (attempt < AI_CONFIG.maxRetries) {
-          await this.delay(AI_CONFIG.retryDelay * attempt);
+          const delayMs = AI_CONFIG.retryDelay * attempt;
+          onEvent('retry', { attempt, nextAttempt: attempt + 1, delayMs, reason: error.message });
+          await this.delay(delayMs, signal);
         }
       }
     }
@@ -153,131 +486,193 @@ class PlannerService {
   }
 
   /**
-   * Parse JSON response and validate required fields
+   * Quality metrics for any plan JSON, reported in the plan's units
    */
-  parseAndValidateResponse(content, meta = {}) {
-    try {
-      const plan = JSON.parse(content);
+  analyzePlan(planData) {
+    const units = unitsOf(planData);
+    const plan = toImperial(planData);
 
-      // Required field validation
-      if (!plan.buildingType) {
-        plan.buildingType = meta.buildingType || 'Residential';
-      }
+    // Mirrored doors let travel distances pass through both rooms of an opening
+    normalizeDoors(plan, { units });
+
+    return computePlanMetrics(plan, { units });
+  }
+
+  /**
+   * Lay out furniture in a plan's rooms, returned in the plan's units with the pieces that did not fit
+   * options.replace: false keeps rooms that already have furniture as they are
+   */
+  furnishPlan(planData, { replace = true } = {}) {
+    const units = unitsOf(planData);
+    const plan = toImperial(planData);
+
+    // Mirrored doors mark where doors owned by the neighbouring room swing in
+    normalizeDoors(plan, { units });
+    const { issues } = furnishPlan(plan, { replace });
+
+    return { plan: convertPlan(plan, units), issues };
+  }
+
+  /**
+   * Furnish a generated plan; rooms without space for their main piece are flagged
+   */
+  furnish(plan) {
+    const warnings = furnishPlan(plan)
+      .issues.filter((issue) => issue.essential)
+      .map((issue) => issue.message);
+
+    if (warnings.length > 0) {
+      plan.validationWarnings = [...(plan.validationWarnings || []), ...warnings];
+    }
+  }
 
-      if (!plan.floors || !Array.isArray(plan.floors)) {
-        throw new Error('Missing or invalid floors array in response');
+  /**
+   * Streaming completion that reports partial JSON progress while tokens arrive
+   */
+  async streamCompletion(provider, request, { attempt, onEvent, signal }) {
+    let content = '';
+    let usage = null;
+    let reportedLength = 0;
+
+    for await (const chunk of provider.stream(request, { signal })) {
+      if (chunk.delta) {
+        content += chunk.delta;
+
+        if (content.length - reportedLength >= AI_CONFIG.progressInterval) {
+          reportedLength = content.length;
+          onEvent('progress', { attempt, ...this.describePartialPlan(content) });
+        }
       }
 
-      if (plan.floors.length === 0) {
-        throw new Error('Plan must have at least one floor');
+      if (chunk.usage) {
+        usage = chunk.usage;
       }
+    }
+
+    return { content, usage, model: request.model };
+  }
+
+  /**
+   * Summarize partial plan JSON without parsing it (it is incomplete until the stream ends)
+   */
+  describePartialPlan(content) {
+    return {
+      characters: content.length,
+      floorsDetected: (content.match(/"level"\s*:/g) || []).length,
+      roomsDetected: (content.match(/"areaSqft"\s*:/g) || []).length,
+    };
+  }
+
+  /**
+   * Stop work once the caller has cancelled the generation
+   */
+  throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw cancelledError();
+    }
+  }
+
+  /**
+   * Parse the JSON response, fill in values derivable from the rest of the
+   * plan, and validate it against the canonical plan schema
+   */
+  parseAndValidateResponse(content, meta = {}, units = DEFAULT_UNITS) {
+    let plan;
+    try {
+      plan = withoutNulls(JSON.parse(content));
+    } catch (error) {
+      logger.error('Failed to parse AI response', {
+        error: error.message,
+        contentPreview: content.substring(0, 500),
+      });
 
-      // Ensure each floor has required fields
+      throw new AppError(`Failed to parse AI response: ${error.message}`, 500);
+    }
+
+    if (!plan.buildingType) {
+      plan.buildingType = meta.buildingType || 'Residential';
+    }
+
+    if (!plan.units) {
+      plan.units = units;
+    }
+    const { areaField } = UNIT_SYSTEMS[unitsOf(plan)];
+    const roundArea = (value) => (plan.units === 'metric' ? Math.round(value * 100) / 100 : Math.round(value));
+
+    // Only derive what follows from other fields; missing geometry is left for the schema to reject
+    if (Array.isArray(plan.floors)) {
       plan.floors.forEach((floor, floorIndex) => {
         if (!floor.level) {
           floor.level = floorIndex === 0 ? 'Ground' : `Floor ${floorIndex}`;
         }
 
-        if (!floor.rooms || !Array.isArray(floor.rooms)) {
-          throw new Error(`Floor ${floor.level} is missing rooms array`);
-        }
-
-        if (floor.rooms.length === 0) {
-          throw new Error(`Floor ${floor.level} must have at least one room`);
-        }
+        if (!Array.isArray(floor.rooms)) return;
 
-        // Validate and normalize each room
         floor.rooms.forEach((room, roomIndex) => {
-          // Ensure room has an ID
           if (!room.id) {
             room.id = `room-${floorIndex}-${roomIndex}`;
           }
 
-          // Ensure room has a name
           if (!room.name) {
             room.name = room.type || `Room ${roomIndex + 1}`;
           }
 
-          // Ensure room has a type
           if (!room.type) {
             room.type = this.inferRoomType(room.name);
           }
 
-          // Calculate area if missing
-          if (!room.areaSqft && room.dimensions) {
-            room.areaSqft = Math.round(room.dimensions.length * room.dimensions.width);
+          // An outline fixes the bounding box
+          if (hasOutline(room) && (!room.position || !room.dimensions)) {
+            const box = polygonBounds(room.outline);
+            room.position = { x: box.left, y: box.top };
+            room.dimensions = { width: box.right - box.left, length: box.bottom - box.top };
           }
 
-          // Ensure dimensions exist
-          if (!room.dimensions && room.areaSqft) {
-            const side = Math.sqrt(room.areaSqft);
-            room.dimensions = {
-              length: Math.round(side),
-              width: Math.round(side),
-            };
-          }
-
-          // Ensure position exists (default to 0,0 if missing)
-          if (!room.position) {
-            room.position = { x: 0, y: 0 };
-          }
-
-          // Ensure doors array exists
-          if (!room.doors) {
-            room.doors = [];
-          }
-
-          // Ensure windows array exists
-          if (!room.windows) {
-            room.windows = [];
+          if (!room[areaField] && room.dimensions?.length && room.dimensions?.width) {
+            room[areaField] = roundArea(hasOutline(room) ? polygonArea(room.outline) : room.dimensions.length * room.dimensions.width);
           }
         });
 
-        // Calculate floor total area if missing
         if (!floor.totalArea) {
-          floor.totalArea = floor.rooms.reduce((sum, room) => sum + (room.areaSqft || 0), 0);
+          floor.totalArea = roundArea(floor.rooms.reduce((sum, room) => sum + (room[areaField] || 0), 0));
         }
       });
 
-      // Calculate building dimensions if missing
-      if (!plan.buildingDimensions) {
-        plan.buildingDimensions = this.calculateBuildingDimensions(plan.floors[0].rooms);
-      }
-
-      // Calculate total area if missing
-      if (!plan.totalArea) {
-        plan.totalArea = plan.floors.reduce((sum, floor) => sum + (floor.totalArea || 0), 0);
+      const building = plan.buildingDimensions;
+      if (hasOutline(building) && (!building.width || !building.depth)) {
+        const box = polygonBounds(building.outline);
+        building.width = box.right;
+        building.depth = box.bottom;
       }
 
-      // Ensure exterior object exists
-      if (!plan.exterior) {
-        plan.exterior = {
-          mainEntrance: { wall: 'south', position: 0 },
-          style: 'modern',
-        };
+      const firstFloorRooms = plan.floors[0]?.rooms;
+      if (!plan.buildingDimensions && firstFloorRooms?.every((room) => room.position && room.dimensions)) {
+        plan.buildingDimensions = this.calculateBuildingDimensions(firstFloorRooms, unitsOf(plan));
       }
 
-      // Ensure designNotes exists
-      if (!plan.designNotes) {
-        plan.designNotes = [];
+      if (!plan.totalArea) {
+        plan.totalArea = plan.floors.reduce((sum, floor) => sum + (floor.totalArea || 0), 0);
       }
+    }
 
-      return plan;
-    } catch (error) {
-      logger.error('Failed to parse AI response', {
-        error: error.message,
-        contentPreview: content.substring(0, 500),
-      });
-
-      throw new AppError(`Failed to parse AI response: ${error.message}`, 500);
+    const result = planSchema.safeParse(plan);
+    if (!result.success) {
+      const issues = formatPlanIssues(result.error);
+      logger.warn('AI response does not match the plan schema', { issues });
+      throw new AppError(`AI response does not match the plan schema: ${issues.join('; ')}`, 500);
     }
+
+    return result.data;
   }
 
   /**
-   * Validate plan geometry - rooms don't overlap, fit within building, etc.
+   * Validate plan geometry - rooms don't overlap, fit within building, every room is reachable,
+   * floors line up, etc. Returns errors plus advisory warnings that don't make the plan invalid.
+   * The plan is in feet; options.units sets the units errors are reported in
    */
-  validatePlanGeometry(plan) {
+  validatePlanGeometry(plan, { units = DEFAULT_UNITS } = {}) {
     const errors = [];
+    const length = (value) => fromFeet(value, units);
 
     if (!plan.buildingDimensions) {
       errors.push('Missing building dimensions');
@@ -285,6 +680,13 @@ class PlannerService {
     }
 
     const { width: buildingWidth, depth: buildingDepth } = plan.buildingDimensions;
+    const footprint = buildingPolygon(plan.buildingDimensions);
+    const courtyards = plan.buildingDimensions.courtyards || [];
+    const shapedBuilding = hasOutline(plan.buildingDimensions) || courtyards.length > 0;
+
+    if (hasOutline(plan.buildingDimensions) && isSelfIntersecting(plan.buildingDimensions.outline)) {
+      errors.push('Building outline crosses itself');
+    }
 
     plan.floors.forEach((floor, floorIndex) => {
       const floorRooms = floor.rooms;
@@ -297,13 +699,47 @@ class PlannerService {
           return;
         }
 
-        // Check room fits within building
-        if (position.x + dimensions.width > buildingWidth + 1) {
-          errors.push(`Room "${room.name}" exceeds building width (${position.x} + ${dimensions.width} > ${buildingWidth})`);
+        if (hasOutline(room)) {
+          if (isSelfIntersecting(room.outline)) {
+            errors.push(`Room "${room.name}" on ${floor.level} has an outline that crosses itself`);
+          }
+
+          const box = polygonBounds(room.outline);
+          const matches =
+            Math.abs(box.left - position.x) <= WALL_TOLERANCE &&
+            Math.abs(box.top - position.y) <= WALL_TOLERANCE &&
+            Math.abs(box.right - box.left - dimensions.width) <= WALL_TOLERANCE &&
+            Math.abs(box.bottom - box.top - dimensions.length) <= WALL_TOLERANCE;
+          if (!matches) {
+            errors.push(`Room "${room.name}" on ${floor.level} has position and dimensions that don't match its outline`);
+          }
         }
 
-        if (position.y + dimensions.length > buildingDepth + 1) {
-          errors.push(`Room "${room.name}" exceeds building depth (${position.y} + ${dimensions.length} > ${buildingDepth})`);
+        // Check room fits within building
+        if (shapedBuilding || hasOutline(room)) {
+          const outside = measureOutside(roomPolygon(room), footprint);
+          if (thickness(outside) > ENVELOPE_TOLERANCE) {
+            errors.push(`Room "${room.name}" on ${floor.level} extends ${formatArea(outside.area, units)} outside the building outline`);
+          }
+
+          courtyards.forEach((courtyard, index) => {
+            const covered = measureOverlap(roomPolygon(room), courtyard);
+            if (thickness(covered) > ENVELOPE_TOLERANCE) {
+              errors.push(`Room "${room.name}" on ${floor.level} covers ${formatArea(covered.area, units)} of courtyard ${index + 1}`);
+            }
+          });
+        } else {
+          if (position.x + dimensions.width > buildingWidth + ENVELOPE_TOLERANCE) {
+            errors.push(
+              `Room "${room.name}" exceeds building width (${length(position.x)} + ${length(dimensions.width)} > ${length(buildingWidth)})`
+            );
+          }
+
+          if (position.y + dimensions.length > buildingDepth + ENVELOPE_TOLERANCE) {
+            errors.push(
+              `Room "${room.name}" exceeds building depth (${length(position.y)} + ${length(dimensions.length)} > ${length(buildingDepth)})`
+            );
+          }
         }
 
         // Check for negative positions
@@ -321,66 +757,62 @@ class PlannerService {
         });
 
         // Validate minimum room sizes
-        const minSizes = {
-          bedroom: 70,
-          bathroom: 35,
-          kitchen: 50,
-          living: 120,
-          dining: 80,
-          office: 64,
-        };
-
         const roomType = room.type?.toLowerCase() || '';
-        for (const [type, minSize] of Object.entries(minSizes)) {
+        for (const [type, minSize] of Object.entries(MIN_ROOM_SIZES)) {
           if (roomType.includes(type) && room.areaSqft < minSize) {
-            errors.push(`Room "${room.name}" (${room.areaSqft} sqft) is below minimum size for ${type} (${minSize} sqft)`);
+            errors.push(`Room "${room.name}" (${formatArea(room.areaSqft, units)}) is below minimum size for ${type} (${formatArea(minSize, units)})`);
             break;
           }
         }
       });
     });
 
+    // Doors lead to real rooms on shared walls
+    errors.push(...checkDoors(plan, { units }).map((issue) => issue.message));
+
+    // Circulation: every room reachable from the entrance, corridors that lead somewhere
+    errors.push(...analyzePlanGraph(plan, { units }).errors);
+
+    // Floors stack: stairs and lifts line up, upper floors are supported; advisories don't fail the plan
+    const warnings = [];
+    checkVerticalConsistency(plan, { units }).forEach((issue) => {
+      (issue.severity === 'error' ? errors : warnings).push(issue.message);
+    });
+
+    // Columns that stand inside rooms instead of in walls
+    warnings.push(...checkColumnPlacement(plan, { units }).map((issue) => issue.message));
+
     return {
       valid: errors.length === 0,
       errors,
+      warnings,
     };
   }
 
   /**
-   * Check if two rooms overlap
+   * Record remaining validation errors and advisories on the plan
    */
-  roomsOverlap(room1, room2) {
-    const r1 = {
-      left: room1.position.x,
-      right: room1.position.x + room1.dimensions.width,
-      top: room1.position.y,
-      bottom: room1.position.y + room1.dimensions.length,
-    };
-
-    const r2 = {
-      left: room2.position.x,
-      right: room2.position.x + room2.dimensions.width,
-      top: room2.position.y,
-      bottom: room2.position.y + room2.dimensions.length,
-    };
-
-    // Allow 0.5ft tolerance for shared walls
-    const tolerance = 0.5;
+  attachValidationWarnings(plan, validationResult) {
+    const warnings = [...validationResult.errors, ...validationResult.warnings];
+    if (warnings.length > 0) {
+      plan.validationWarnings = warnings;
+    }
+  }
 
-    return !(
-      r1.right <= r2.left + tolerance ||
-      r1.left >= r2.right - tolerance ||
-      r1.bottom <= r2.top + tolerance ||
-      r1.top >= r2.bottom - tolerance
-    );
+  /**
+   * Check if two rooms overlap, comparing outlines where rooms have them.
+   * Slivers up to the wall tolerance are a shared wall, not an overlap
+   */
+  roomsOverlap(room1, room2) {
+    return polygonsOverlap(roomPolygon(room1), roomPolygon(room2), WALL_TOLERANCE);
   }
 
   /**
-   * Calculate building dimensions from rooms
+   * Calculate building dimensions from rooms, in the rooms' units
    */
-  calculateBuildingDimensions(rooms) {
+  calculateBuildingDimensions(rooms, units = DEFAULT_UNITS) {
     if (!rooms || rooms.length === 0) {
-      return { width: 40, depth: 30 };
+      return { width: fromFeet(40, units), depth: fromFeet(30, units) };
     }
 
     let maxX = 0;
@@ -397,8 +829,8 @@ class PlannerService {
     });
 
     return {
-      width: Math.max(maxX, 20),
-      depth: Math.max(maxY, 20),
+      width: Math.max(maxX, fromFeet(20, units)),
+      depth: Math.max(maxY, fromFeet(20, units)),
     };
   }
 
@@ -408,8 +840,8 @@ class PlannerService {
   inferRoomType(name) {
     const nameLower = name.toLowerCase();
 
-    if (nameLower.includes('bedroom') || nameLower.includes('master')) return 'bedroom';
     if (nameLower.includes('bath') || nameLower.includes('toilet') || nameLower.includes('wc')) return 'bathroom';
+    if (nameLower.includes('bedroom') || nameLower.includes('master')) return 'bedroom';
     if (nameLower.includes('kitchen')) return 'kitchen';
     if (nameLower.includes('living') || nameLower.includes('lounge') || nameLower.includes('drawing')) return 'living';
     if (nameLower.includes('dining')) return 'dining';
@@ -424,48 +856,36 @@ class PlannerService {
   }
 
   /**
-   * Generate cache key from prompt and meta
+   * Content hash of the prompt, meta and everything else that shapes the plan
    */
-  getCacheKey(prompt, meta) {
-    return `${prompt}-${JSON.stringify(meta)}`;
+  getCacheKey(prompt, meta, context = {}) {
+    return hashKey(prompt, meta, context);
   }
 
-  /**
-   * Get from cache if not expired
-   */
-  getFromCache(key) {
-    const cached = this.responseCache.get(key);
-    if (cached && Date.now() - cached.timestamp < this.cacheMaxAge) {
-      return cached.data;
-    }
-    return null;
+  async getCacheStats() {
+    return this.cache.stats();
   }
 
   /**
-   * Set cache with timestamp
+   * Delay helper for retry logic; rejects as soon as the request is cancelled
    */
-  setCache(key, data) {
-    this.responseCache.set(key, {
-      data,
-      timestamp: Date.now(),
-    });
-
-    // Clean old entries if cache gets too large
-    if (this.responseCache.size > 100) {
-      const now = Date.now();
-      for (const [k, v] of this.responseCache.entries()) {
-        if (now - v.timestamp > this.cacheMaxAge) {
-          this.responseCache.delete(k);
-        }
+  delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(cancelledError());
+        return;
       }
-    }
-  }
 
-  /**
-   * Delay helper for retry logic
-   */
-  delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(cancelledError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 }
 
@@ -0,0 +1,55 @@
+/**
+ * Structural Checks
+ * Columns belong in walls, where they don't get in the way. A column whose
+ * centre is inside a room and further from every wall of it than half the
+ * column (plus the wall tolerance) stands in the room and is flagged.
+ * Columns outside every room, such as on a porch, are left alone.
+ * Works on plans in feet; `units` only sets how messages report lengths.
+ */
+
+const { WALL_TOLERANCE } = require('./planner.graph');
+const { DEFAULT_UNITS, columnWidth, formatLength } = require('./planner.units');
+const { containsPoint, distanceToBoundary, roomPolygon } = require('./planner.geometry');
+
+/**
+ * Columns standing inside rooms, each { level, code, severity: 'warning', message, columnId, roomId }
+ * options.units: units lengths are reported in
+ */
+const checkColumnPlacement = (plan, { units = DEFAULT_UNITS } = {}) => {
+  const issues = [];
+
+  (plan.floors || []).forEach((floor) => {
+    const rooms = (floor.rooms || []).filter((room) => room.position && room.dimensions);
+
+    (floor.columns || []).forEach((column, index) => {
+      const { position } = column;
+      const reach = columnWidth(column, 'imperial') / 2 + WALL_TOLERANCE;
+
+      rooms.forEach((room) => {
+        const outline = roomPolygon(room);
+        if (!containsPoint(outline, position)) return;
+
+        const distance = distanceToBoundary(outline, position);
+        if (distance <= reach) return;
+
+        const label = column.id || `#${index + 1}`;
+        issues.push({
+          level: floor.level,
+          code: 'column_inside_room',
+          severity: 'warning',
+          message:
+            `Column ${label} on ${floor.level} at (${formatLength(position.x, units)}, ${formatLength(position.y, units)}) ` +
+            `stands inside "${room.name}", ${formatLength(distance, units)} from the nearest wall`,
+          columnId: column.id,
+          roomId: room.id,
+        });
+      });
+    });
+  });
+
+  return issues;
+};
+
+module.exports = {
+  checkColumnPlacement,
+};
@@ -0,0 +1,210 @@
+/**
+ * Plan Units
+ * A plan is either imperial (ft, sqft) or metric (m, sqm), recorded in
+ * `plan.units`. Repair, validation, the adjacency graph and the layout engine
+ * work in feet, so metric plans are converted on the way in and back on the
+ * way out. Rooms carry `areaSqft` in imperial plans and `areaSqm` in metric
+ * ones; column sizes and wall thicknesses are inches and millimetres
+ * respectively.
+ */
+
+const METERS_PER_FOOT = 0.3048;
+const MM_PER_INCH = 25.4;
+
+// columnSizesPerUnit: column size and wall thickness units (in or mm) per length unit;
+// defaultColumnSize for columns without one, defaultWallThickness for plans without wallThickness
+const UNIT_SYSTEMS = {
+  imperial: {
+    length: 'ft',
+    area: 'sqft',
+    areaField: 'areaSqft',
+    metersPerUnit: METERS_PER_FOOT,
+    precision: 2,
+    columnSize: 'in',
+    columnSizesPerUnit: 12,
+    defaultColumnSize: 12,
+    defaultWallThickness: { exterior: 9, interior: 4.5 },
+  },
+  metric: {
+    length: 'm',
+    area: 'sqm',
+    areaField: 'areaSqm',
+    metersPerUnit: 1,
+    precision: 3,
+    columnSize: 'mm',
+    columnSizesPerUnit: 1000,
+    defaultColumnSize: 300,
+    defaultWallThickness: { exterior: 230, interior: 115 },
+  },
+};
+
+const UNITS = Object.keys(UNIT_SYSTEMS);
+const DEFAULT_UNITS = 'imperial';
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const unitsOf = (plan) => (plan?.units && UNIT_SYSTEMS[plan.units] ? plan.units : DEFAULT_UNITS);
+
+/**
+ * Rounded to the target system's precision unless `exact` is set
+ */
+const convertLength = (value, from, to, { exact = false } = {}) => {
+  if (typeof value !== 'number' || from === to) return value;
+  const converted = (value * UNIT_SYSTEMS[from].metersPerUnit) / UNIT_SYSTEMS[to].metersPerUnit;
+  return exact ? converted : round(converted, UNIT_SYSTEMS[to].precision);
+};
+
+const convertArea = (value, from, to, { exact = false } = {}) => {
+  if (typeof value !== 'number' || from === to) return value;
+  const factor = UNIT_SYSTEMS[from].metersPerUnit / UNIT_SYSTEMS[to].metersPerUnit;
+  return exact ? value * factor * factor : round(value * factor * factor, 2);
+};
+
+const convertColumnSize = (value, from, to, { exact = false } = {}) => {
+  if (typeof value !== 'number' || from === to) return value;
+  const converted = to === 'metric' ? value * MM_PER_INCH : value / MM_PER_INCH;
+  return exact ? converted : round(converted, to === 'metric' ? 0 : 1);
+};
+
+/**
+ * Side of a column as a length in the plan's units (ft or m)
+ */
+const columnWidth = (column, units = DEFAULT_UNITS) => {
+  const { columnSizesPerUnit, defaultColumnSize } = UNIT_SYSTEMS[units];
+  return (column.size || defaultColumnSize) / columnSizesPerUnit;
+};
+
+/**
+ * Exterior and interior wall thickness as lengths in the plan's units (ft or m)
+ */
+const wallThickness = (plan, units = DEFAULT_UNITS) => {
+  const { columnSizesPerUnit, defaultWallThickness } = UNIT_SYSTEMS[units];
+  const thickness = { ...defaultWallThickness, ...plan?.wallThickness };
+  return {
+    exterior: thickness.exterior / columnSizesPerUnit,
+    interior: thickness.interior / columnSizesPerUnit,
+  };
+};
+
+const fromFeet = (value, units) => convertLength(value, 'imperial', units);
+const toFeet = (value, units) => convertLength(value, units, 'imperial');
+const fromSqft = (value, units) => convertArea(value, 'imperial', units);
+const toSqft = (value, units) => convertArea(value, units, 'imperial');
+
+/**
+ * "12.5 ft" / "3.81 m" for a length measured in feet
+ */
+const formatLength = (feet, units = DEFAULT_UNITS) => `${round(fromFeet(feet, units), 2)} ${UNIT_SYSTEMS[units].length}`;
+
+/**
+ * "120 sqft" / "11.15 sqm" for an area measured in square feet
+ */
+const formatArea = (sqft, units = DEFAULT_UNITS) => `${round(fromSqft(sqft, units), 2)} ${UNIT_SYSTEMS[units].area}`;
+
+/**
+ * Room area in the plan's own units, whichever field it is stored in
+ */
+const getRoomArea = (room, units = DEFAULT_UNITS) => room[UNIT_SYSTEMS[units].areaField];
+
+const convertFields = (target, keys, convert) => {
+  if (!target) return;
+  keys.forEach((key) => {
+    if (typeof target[key] === 'number') target[key] = convert(target[key]);
+  });
+};
+
+/**
+ * Copy of `plan` in `to` units; the input is never modified
+ * options.exact skips rounding, for working copies that get converted back
+ */
+const convertPlan = (plan, to, options = {}) => {
+  const from = unitsOf(plan);
+  const converted = structuredClone(plan);
+  converted.units = to;
+  if (from === to) return converted;
+
+  const length = (value) => convertLength(value, from, to, options);
+  const area = (value) => convertArea(value, from, to, options);
+
+  converted.totalArea = area(converted.totalArea);
+  convertFields(converted.buildingDimensions, ['width', 'depth'], length);
+  [converted.buildingDimensions?.outline, ...(converted.buildingDimensions?.courtyards || [])].forEach((outline) =>
+    (outline || []).forEach((point) => convertFields(point, ['x', 'y'], length))
+  );
+  convertFields(converted.structuralGrid, ['xSpacing', 'ySpacing'], length);
+  convertFields(converted.wallThickness, ['exterior', 'interior'], (value) => convertColumnSize(value, from, to, options));
+  convertFields(converted.compliance?.setbacks, ['front', 'rear', 'left', 'right', 'sides'], length);
+  [converted.exterior?.mainEntrance, converted.exterior?.secondaryEntrance].forEach((entrance) =>
+    convertFields(entrance, ['position', 'canopyDepth'], length)
+  );
+
+  (converted.floors || []).forEach((floor) => {
+    convertFields(floor, ['totalArea'], area);
+    convertFields(floor, ['floorHeight'], length);
+    convertFields(floor.circulation, ['corridorWidth'], length);
+
+    (floor.columns || []).forEach((column) => {
+      convertFields(column.position, ['x', 'y'], length);
+      convertFields(column, ['size'], (value) => convertColumnSize(value, from, to, options));
+    });
+
+    (floor.rooms || []).forEach((room) => {
+      const fromField = UNIT_SYSTEMS[from].areaField;
+      if (typeof room[fromField] === 'number') {
+        room[UNIT_SYSTEMS[to].areaField] = area(room[fromField]);
+      }
+      delete room[fromField];
+
+      convertFields(room.dimensions, ['length', 'width'], length);
+      convertFields(room.position, ['x', 'y'], length);
+      (room.outline || []).forEach((point) => convertFields(point, ['x', 'y'], length));
+      convertFields(room, ['ceilingHeight'], length);
+      (room.doors || []).forEach((door) => convertFields(door, ['position', 'width', 'height'], length));
+      (room.windows || []).forEach((window) => convertFields(window, ['position', 'width', 'height', 'sillHeight'], length));
+      [...(room.electricalPoints || []), ...(room.plumbingPoints || [])].forEach((point) =>
+        convertFields(point.position, ['x', 'y'], length)
+      );
+      (room.furniture || []).forEach((piece) => {
+        convertFields(piece.position, ['x', 'y'], length);
+        convertFields(piece.dimensions, ['length', 'width'], length);
+      });
+    });
+  });
+
+  return converted;
+};
+
+/**
+ * Working copy in feet for repair and validation; exact so it converts back cleanly
+ */
+const toImperial = (plan) => convertPlan(plan, 'imperial', { exact: true });
+
+/**
+ * Request meta with plotArea in `units`; saved meta records the units it was given in
+ */
+const metaInUnits = (meta = {}, units = DEFAULT_UNITS) => {
+  const { units: metaUnits = DEFAULT_UNITS, ...rest } = meta;
+  return { ...rest, ...(rest.plotArea && { plotArea: convertArea(rest.plotArea, metaUnits, units) }) };
+};
+
+module.exports = {
+  DEFAULT_UNITS,
+  METERS_PER_FOOT,
+  UNITS,
+  UNIT_SYSTEMS,
+  columnWidth,
+  convertArea,
+  convertLength,
+  convertPlan,
+  formatArea,
+  formatLength,
+  fromFeet,
+  fromSqft,
+  getRoomArea,
+  metaInUnits,
+  toFeet,
+  toImperial,
+  toSqft,
+  unitsOf,
+  wallThickness,
+};
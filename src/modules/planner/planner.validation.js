@@ -1,4 +1,9 @@
 const { z } = require('zod');
+const { LLM_PROVIDERS } = require('../../config/env');
+const { DEFAULT_UNITS, UNITS, formatLength, fromFeet } = require('./planner.units');
+const { MAX_VARIANTS } = require('./planner.variants');
+const { planSchema } = require('./planner.schema');
+const { MAX_INTEGER } = require('../plans/plans.validation');
 
 const metaSchema = z
   .object({
@@ -13,6 +18,42 @@ const metaSchema = z
   })
   .optional();
 
+// Per-request LLM selection (falls back to LLM_PROVIDER and the provider's default model)
+const providerSchema = z.enum(LLM_PROVIDERS, {
+  errorMap: () => ({ message: `Provider must be one of: ${LLM_PROVIDERS.join(', ')}` }),
+});
+
+const modelSchema = z.string().trim().min(1).max(100, 'Model name cannot exceed 100 characters');
+
+// Room program for the rule-based layout engine
+const programSchema = z.object({
+  rooms: z
+    .array(
+      z.object({
+        name: z.string().trim().min(1, 'Room name is required').max(100),
+        type: z.string().trim().min(1, 'Room type is required').max(50),
+        area: z.number().positive('Room area must be positive').max(20000),
+        floor: z.string().trim().min(1).optional(),
+        zone: z.enum(['public', 'private']).optional(),
+        adjacentTo: z.array(z.string()).max(20).optional(),
+      })
+    )
+    .min(1, 'Program must have at least one room')
+    .max(80, 'Program cannot exceed 80 rooms'),
+
+  buildingDimensions: z
+    .object({
+      width: z.number().positive().max(1000),
+      depth: z.number().positive().max(1000),
+    })
+    .optional(),
+
+  corridorWidth: z.number().positive().max(20).optional(),
+});
+
+// Narrowest corridor the engine accepts, in feet
+const MIN_CORRIDOR_WIDTH = 3.5;
+
 const generatePlanSchema = z.object({
   prompt: z
     .string({
@@ -23,11 +64,105 @@ const generatePlanSchema = z.object({
     .trim(),
 
   meta: metaSchema,
+
+  name: z.string().trim().min(1).max(200, 'Name cannot exceed 200 characters').optional(),
+
+  provider: providerSchema.optional(),
+  model: modelSchema.optional(),
+
+  mode: z.enum(['ai', 'algorithmic']).default('ai'),
+  program: programSchema.optional(),
+
+  // Units for the generated plan; meta.plotArea and the program are given in the same units
+  units: z.enum(UNITS).default(DEFAULT_UNITS),
+
+  // Ranked alternatives to generate; the best one is saved
+  variants: z
+    .number()
+    .int('Variants must be a whole number')
+    .min(1, 'Variants must be at least 1')
+    .max(MAX_VARIANTS, `Variants cannot exceed ${MAX_VARIANTS}`)
+    .default(1),
+}).superRefine((data, ctx) => {
+  const corridorWidth = data.program?.corridorWidth;
+  const minimum = fromFeet(MIN_CORRIDOR_WIDTH, data.units);
+
+  if (corridorWidth !== undefined && corridorWidth < minimum) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['program', 'corridorWidth'],
+      message: `Corridor must be at least ${formatLength(MIN_CORRIDOR_WIDTH, data.units)} wide`,
+    });
+  }
+});
+
+const generateQuerySchema = z.object({
+  async: z
+    .enum(['true', 'false'], {
+      errorMap: () => ({ message: 'async must be true or false' }),
+    })
+    .optional()
+    .transform((value) => value === 'true'),
+});
+
+const jobParamsSchema = z.object({
+  id: z.string().uuid('Invalid job ID'),
+});
+
+const refinePlanParamsSchema = z.object({
+  planId: z.coerce
+    .number({
+      invalid_type_error: 'Plan ID must be a number',
+    })
+    .int('Plan ID must be an integer')
+    .positive('Plan ID must be positive')
+    .max(MAX_INTEGER, 'Plan ID is too large'),
+});
+
+const refinePlanSchema = z.object({
+  instruction: z
+    .string({
+      required_error: 'Instruction is required',
+    })
+    .trim()
+    .min(3, 'Instruction must be at least 3 characters')
+    .max(2000, 'Instruction cannot exceed 2000 characters'),
+
+  provider: providerSchema.optional(),
+  model: modelSchema.optional(),
+});
+
+const analyzePlanSchema = z.object({
+  planData: planSchema,
+});
+
+const furnishPlanSchema = z.object({
+  planData: planSchema,
+  replace: z.boolean().default(true), // false keeps furniture already in the plan
 });
 
 const validateGeneratePlan = (data) => generatePlanSchema.parse(data);
+const validateGenerateQuery = (data) => generateQuerySchema.parse(data);
+const validateJobParams = (data) => jobParamsSchema.parse(data);
+const validateRefinePlanParams = (data) => refinePlanParamsSchema.parse(data);
+const validateRefinePlan = (data) => refinePlanSchema.parse(data);
+const validateAnalyzePlan = (data) => analyzePlanSchema.parse(data);
+const validateFurnishPlan = (data) => furnishPlanSchema.parse(data);
 
 module.exports = {
+  programSchema,
   generatePlanSchema,
+  generateQuerySchema,
+  jobParamsSchema,
+  refinePlanParamsSchema,
+  refinePlanSchema,
+  analyzePlanSchema,
+  furnishPlanSchema,
   validateGeneratePlan,
+  validateGenerateQuery,
+  validateJobParams,
+  validateRefinePlanParams,
+  validateRefinePlan,
+  validateAnalyzePlan,
+  validateFurnishPlan,
 };
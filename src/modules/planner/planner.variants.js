@@ -0,0 +1,150 @@
+/**
+ * Plan Variants
+ * Alternatives for one brief. Each variant steers the model toward a different
+ * circulation strategy at a different temperature (or the layout engine toward
+ * different band proportions), and every result is scored so the response can
+ * rank them. Scores use ratios only, so plans are measured in their own units.
+ */
+
+const { isCorridor, isVerticalCirculation } = require('./planner.graph');
+const { buildingArea, buildingPolygon, polygonArea, polygonPerimeter, roomArea: footprintArea } = require('./planner.geometry');
+
+// The first strategy is the plain brief, identical to a single generation
+const VARIANT_STRATEGIES = [
+  {
+    id: 'balanced',
+    guidance: null,
+    layout: { bandDepthFactor: 1.15, northShare: 0.5 },
+  },
+  {
+    id: 'central-hall',
+    temperature: 0.5,
+    guidance: 'Organize the rooms around a central hall or lobby that most rooms open onto directly; keep corridors short.',
+    layout: { bandDepthFactor: 1.4, northShare: 0.45 },
+  },
+  {
+    id: 'linear',
+    temperature: 0.6,
+    guidance: 'Use one straight corridor along the length of the building with rooms on both sides.',
+    layout: { bandDepthFactor: 0.9, northShare: 0.55 },
+  },
+  {
+    id: 'zoned',
+    temperature: 0.7,
+    guidance: 'Put the public rooms in a zone by the entrance and the private rooms in a separate zone behind it, joined by a short hallway; group the wet areas together.',
+    layout: { bandDepthFactor: 1.25, northShare: 0.6 },
+  },
+];
+
+const MAX_VARIANTS = VARIANT_STRATEGIES.length;
+
+const SCORE_WEIGHTS = {
+  validation: 0.4,
+  circulation: 0.2,
+  compactness: 0.2,
+  plotFit: 0.2,
+};
+
+const ERROR_PENALTY = 0.2; // validation score lost per remaining error
+const CIRCULATION_TARGET = 0.15; // share of floor area that still scores full marks
+const CIRCULATION_LIMIT = 0.4; // share that scores zero
+const COVERAGE_BAND = 0.15; // coverage this far below the maximum still scores full marks
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+
+const roomArea = (room) => (room.position && room.dimensions ? footprintArea(room) : 0);
+
+/**
+ * Share of the floor area taken by corridors, stairs and lifts
+ */
+const circulationRatio = (plan) => {
+  const rooms = plan.floors.flatMap((floor) => floor.rooms);
+  const total = rooms.reduce((sum, room) => sum + roomArea(room), 0);
+  if (total === 0) return 0;
+
+  const circulation = rooms.filter((room) => isCorridor(room) || isVerticalCirculation(room)).reduce((sum, room) => sum + roomArea(room), 0);
+  return circulation / total;
+};
+
+/**
+ * Footprint compactness: 16A / P², 1 for a square and lower as the footprint stretches
+ */
+const compactness = (plan) => {
+  const building = plan.buildingDimensions;
+  if (!building?.width || !building?.depth) return 0;
+  const outline = buildingPolygon(building);
+  return (16 * polygonArea(outline)) / polygonPerimeter(outline) ** 2;
+};
+
+/**
+ * Full marks just under the maximum coverage; less for overshooting it or leaving the plot underused
+ */
+const plotFitScore = (coverage, maxCoverage) => {
+  const lower = maxCoverage - COVERAGE_BAND;
+  if (coverage > maxCoverage) return clamp01(1 - (coverage - maxCoverage) / COVERAGE_BAND);
+  if (coverage < lower) return clamp01(coverage / lower);
+  return 1;
+};
+
+/**
+ * Score a plan from 0 to 100
+ * options.plotArea is in the plan's units; options.maxCoverage comes from the rule pack
+ * Criteria that can't be measured (no plot area) are left out of the weighting
+ */
+const scorePlan = (plan, { errors = 0, plotArea, maxCoverage } = {}) => {
+  const ratio = circulationRatio(plan);
+  const shape = compactness(plan);
+  const building = plan.buildingDimensions;
+  const coverage = plotArea && building?.width && building?.depth ? buildingArea(building) / plotArea : null;
+
+  const breakdown = {
+    validation: clamp01(1 - errors * ERROR_PENALTY),
+    circulation: clamp01(1 - Math.max(ratio - CIRCULATION_TARGET, 0) / (CIRCULATION_LIMIT - CIRCULATION_TARGET)),
+    compactness: clamp01(shape),
+    plotFit: coverage === null || !maxCoverage ? null : plotFitScore(coverage, maxCoverage),
+  };
+
+  const scored = Object.entries(breakdown).filter(([, value]) => value !== null);
+  const weight = scored.reduce((sum, [criterion]) => sum + SCORE_WEIGHTS[criterion], 0);
+  const total = scored.reduce((sum, [criterion, value]) => sum + SCORE_WEIGHTS[criterion] * value, 0);
+
+  return {
+    score: Math.round((total / weight) * 100),
+    breakdown: Object.fromEntries(Object.entries(breakdown).map(([criterion, value]) => [criterion, value === null ? null : round2(value)])),
+    metrics: {
+      validationErrors: errors,
+      circulationRatio: round2(ratio),
+      compactness: round2(shape),
+      plotCoverage: coverage === null ? null : round2(coverage),
+    },
+  };
+};
+
+/**
+ * Room layout signature; variants with the same signature are the same plan
+ */
+const planFingerprint = (plan) =>
+  JSON.stringify(
+    plan.floors.map((floor) =>
+      floor.rooms
+        .map((room) => [room.type, room.position?.x, room.position?.y, room.dimensions?.width, room.dimensions?.length].join(':'))
+        .sort()
+    )
+  );
+
+/**
+ * Highest score first; ties keep generation order
+ */
+const rankVariants = (variants) =>
+  [...variants].sort((a, b) => b.score - a.score).map((variant, index) => ({ rank: index + 1, ...variant }));
+
+module.exports = {
+  MAX_VARIANTS,
+  SCORE_WEIGHTS,
+  VARIANT_STRATEGIES,
+  planFingerprint,
+  rankVariants,
+  scorePlan,
+};
@@ -0,0 +1,275 @@
+/**
+ * Vertical Consistency
+ * Cross-floor checks for multi-storey plans. Floors are listed bottom to top
+ * and each one is compared with the floor directly below it:
+ *   - staircases and lifts line up with the ones they continue from
+ *   - rooms sit over the floor below, unless marked as a balcony or cantilever
+ *   - columns stand on a column below
+ *   - wet areas stack over wet areas so drains run straight down (warning)
+ *   - floorHeight is set on every floor, the same throughout, and no room's
+ *     ceiling is higher (warning)
+ * Works on plans in feet; `units` only sets how messages report lengths.
+ */
+
+const { WALL_TOLERANCE, bounds } = require('./planner.graph');
+const { DEFAULT_UNITS, formatArea, formatLength } = require('./planner.units');
+const { hasOutline, measureOverlap, roomArea, roomPolygon } = require('./planner.geometry');
+
+// minOverlap: share of the smaller footprint two cores must have in common to count as lined up
+const CORES = [
+  { kind: 'staircase', pattern: /stair/i, minOverlap: 0.5 },
+  { kind: 'lift', pattern: /lift|elevator/i, minOverlap: 0.9 },
+];
+
+const OVERHANG_PATTERN = /balcony|cantilever/i;
+const WET_PATTERN = /bath|toilet|\bwc\b|washroom|powder|shower|laundry|kitchen|utility/i;
+
+const MIN_OVERHANG = 2; // sqft - slivers left by rounding are not overhangs
+const MIN_STACK_OVERLAP = 4; // sqft - shared footprint a wet area needs with the one below
+const HEIGHT_TOLERANCE = 0.1; // ft
+
+const describes = (room, pattern) => pattern.test(room.type || '') || pattern.test(room.name || '');
+
+const isOverhang = (room) => describes(room, OVERHANG_PATTERN) || (room.features || []).some((feature) => OVERHANG_PATTERN.test(feature));
+
+const footprint = roomArea;
+
+const overlapArea = (a, b) => measureOverlap(roomPolygon(a), roomPolygon(b)).area;
+
+/**
+ * Area of `room` not covered by any of `supports` (each widened by the wall
+ * tolerance when both are rectangles; outlines are compared as drawn)
+ */
+const uncoveredArea = (room, supports) => {
+  if (hasOutline(room) || supports.some(hasOutline)) {
+    return Math.max(footprint(room) - supports.reduce((sum, support) => sum + overlapArea(room, support), 0), 0);
+  }
+
+  const r = bounds(room);
+  const covers = supports
+    .map((support) => {
+      const s = bounds(support);
+      return {
+        left: Math.max(s.left - WALL_TOLERANCE, r.left),
+        right: Math.min(s.right + WALL_TOLERANCE, r.right),
+        top: Math.max(s.top - WALL_TOLERANCE, r.top),
+        bottom: Math.min(s.bottom + WALL_TOLERANCE, r.bottom),
+      };
+    })
+    .filter((cover) => cover.left < cover.right && cover.top < cover.bottom);
+
+  // Split the room into cells along every cover edge; a cell is either fully covered or not at all
+  const xs = [...new Set([r.left, r.right, ...covers.flatMap((cover) => [cover.left, cover.right])])].sort((a, b) => a - b);
+  const ys = [...new Set([r.top, r.bottom, ...covers.flatMap((cover) => [cover.top, cover.bottom])])].sort((a, b) => a - b);
+
+  let area = 0;
+  for (let i = 0; i < xs.length - 1; i++) {
+    for (let j = 0; j < ys.length - 1; j++) {
+      const x = (xs[i] + xs[i + 1]) / 2;
+      const y = (ys[j] + ys[j + 1]) / 2;
+      const covered = covers.some((cover) => x > cover.left && x < cover.right && y > cover.top && y < cover.bottom);
+      if (!covered) area += (xs[i + 1] - xs[i]) * (ys[j + 1] - ys[j]);
+    }
+  }
+
+  return area;
+};
+
+/**
+ * Rooms in `rooms` at the centre of `room`'s footprint, e.g. what a stair lands in on the floor above
+ */
+const roomsAtCentre = (room, rooms) => {
+  const r = bounds(room);
+  const x = (r.left + r.right) / 2;
+  const y = (r.top + r.bottom) / 2;
+
+  return rooms.filter((other) => {
+    const o = bounds(other);
+    return x >= o.left && x <= o.right && y >= o.top && y <= o.bottom;
+  });
+};
+
+const quoteNames = (rooms) => rooms.map((room) => `"${room.name}"`).join(', ');
+
+class VerticalChecker {
+  constructor(plan, { units = DEFAULT_UNITS }) {
+    this.plan = plan;
+    this.units = units;
+    this.issues = [];
+  }
+
+  add(severity, floor, code, message, extra = {}) {
+    this.issues.push({ level: floor.level, code, severity, message, ...extra });
+  }
+
+  length(value) {
+    return formatLength(value, this.units);
+  }
+
+  run() {
+    const floors = (this.plan.floors || []).map((floor) => ({
+      ...floor,
+      rooms: (floor.rooms || []).filter((room) => room.position && room.dimensions),
+    }));
+
+    floors.forEach((upper, index) => {
+      if (index === 0) return;
+      const lower = floors[index - 1];
+
+      this.checkCores(lower, upper);
+      this.checkFootprint(lower, upper);
+      this.checkColumns(lower, upper);
+      this.checkWetStacking(lower, upper);
+    });
+
+    this.checkHeights(floors);
+
+    return this.issues;
+  }
+
+  /**
+   * A staircase continues to the floor above; a lift continues wherever the floor above has one
+   */
+  checkCores(lower, upper) {
+    const anyBelow = lower.rooms.some((room) => CORES.some(({ pattern }) => describes(room, pattern)));
+
+    CORES.forEach(({ kind, pattern, minOverlap }) => {
+      const below = lower.rooms.filter((room) => describes(room, pattern));
+      const above = upper.rooms.filter((room) => describes(room, pattern));
+      const linedUp = (a, b) => overlapArea(a, b) >= Math.min(footprint(a), footprint(b)) * minOverlap;
+
+      below.forEach((core) => {
+        if (above.some((other) => linedUp(core, other))) return;
+        if (above.length === 0 && kind === 'lift') return; // top of the shaft
+
+        const landing = roomsAtCentre(core, upper.rooms);
+        const target = above.length > 0 ? `the ${kind} on ${upper.level}` : `a ${kind} on ${upper.level}`;
+        this.add(
+          'error',
+          lower,
+          `${kind}_misaligned`,
+          `${kind === 'lift' ? 'Lift' : 'Staircase'} "${core.name}" on ${lower.level} does not line up with ${target}` +
+            (landing.length > 0 ? `; it lands in ${quoteNames(landing)}` : '; there is no room above it'),
+          { roomId: core.id }
+        );
+      });
+
+      // Cores that start on the upper floor need some way up from the floor below
+      if (below.length > 0 || anyBelow) return;
+      above.forEach((core) => {
+        this.add(
+          'error',
+          upper,
+          `${kind}_unsupported`,
+          `${kind === 'lift' ? 'Lift' : 'Staircase'} "${core.name}" on ${upper.level} has no staircase or lift below it on ${lower.level}`,
+          { roomId: core.id }
+        );
+      });
+    });
+  }
+
+  checkFootprint(lower, upper) {
+    if (lower.rooms.length === 0) return;
+
+    upper.rooms.forEach((room) => {
+      if (isOverhang(room)) return;
+
+      const overhang = uncoveredArea(room, lower.rooms);
+      if (overhang <= MIN_OVERHANG) return;
+
+      this.add(
+        'error',
+        upper,
+        'overhang',
+        `Room "${room.name}" on ${upper.level} extends ${formatArea(overhang, this.units)} beyond ${lower.level}; mark it as a balcony or cantilever if intended`,
+        { roomId: room.id }
+      );
+    });
+  }
+
+  checkColumns(lower, upper) {
+    if (!Array.isArray(lower.columns) || !Array.isArray(upper.columns)) return;
+
+    upper.columns.forEach((column, index) => {
+      const supported = lower.columns.some(
+        (other) => Math.hypot(other.position.x - column.position.x, other.position.y - column.position.y) <= WALL_TOLERANCE
+      );
+      if (supported) return;
+
+      const label = column.id || `#${index + 1}`;
+      this.add(
+        'error',
+        upper,
+        'column_discontinuous',
+        `Column ${label} on ${upper.level} at (${this.length(column.position.x)}, ${this.length(column.position.y)}) has no column below it on ${lower.level}`,
+        { columnId: column.id }
+      );
+    });
+  }
+
+  checkWetStacking(lower, upper) {
+    const wetBelow = lower.rooms.filter((room) => describes(room, WET_PATTERN));
+
+    upper.rooms
+      .filter((room) => describes(room, WET_PATTERN))
+      .forEach((room) => {
+        if (wetBelow.some((other) => overlapArea(room, other) >= Math.min(MIN_STACK_OVERLAP, footprint(room)))) return;
+
+        const under = roomsAtCentre(room, lower.rooms);
+        this.add(
+          'warning',
+          upper,
+          'wet_area_not_stacked',
+          `Wet area "${room.name}" on ${upper.level} is not above a wet area on ${lower.level}` +
+            (under.length > 0 ? `; its drains would run through ${quoteNames(under)}` : ''),
+          { roomId: room.id }
+        );
+      });
+  }
+
+  checkHeights(floors) {
+    floors.forEach((floor) => {
+      if (!floor.floorHeight) return;
+
+      floor.rooms.forEach((room) => {
+        if (!room.ceilingHeight || room.ceilingHeight <= floor.floorHeight + HEIGHT_TOLERANCE) return;
+        this.add(
+          'warning',
+          floor,
+          'ceiling_above_floor_height',
+          `Room "${room.name}" on ${floor.level} has a ceiling of ${this.length(room.ceilingHeight)}, higher than its floor height of ${this.length(floor.floorHeight)}`,
+          { roomId: room.id }
+        );
+      });
+    });
+
+    if (floors.length < 2) return;
+
+    const missing = floors.filter((floor) => !floor.floorHeight);
+    if (missing.length > 0 && missing.length < floors.length) {
+      missing.forEach((floor) => this.add('warning', floor, 'floor_height_missing', `${floor.level} has no floorHeight while other floors do`));
+    }
+
+    const heights = floors.filter((floor) => floor.floorHeight);
+    const lowest = Math.min(...heights.map((floor) => floor.floorHeight));
+    const highest = Math.max(...heights.map((floor) => floor.floorHeight));
+    if (heights.length > 1 && highest - lowest > HEIGHT_TOLERANCE) {
+      this.add(
+        'warning',
+        heights[0],
+        'floor_height_inconsistent',
+        `Floor heights differ between floors: ${heights.map((floor) => `${floor.level} ${this.length(floor.floorHeight)}`).join(', ')}`
+      );
+    }
+  }
+}
+
+/**
+ * Cross-floor problems, each { level, code, severity: 'error' | 'warning', message }
+ * options.units: units lengths and areas are reported in
+ */
+const checkVerticalConsistency = (plan, { units } = {}) => new VerticalChecker(plan, { units }).run();
+
+module.exports = {
+  checkVerticalConsistency,
+};
@@ -0,0 +1,290 @@
+/**
+ * Wall Model
+ * Walls with real thickness, built from the room and building outlines.
+ * Exterior walls stand inside the building outline, so their outer face is
+ * the footprint the plan gives, and around courtyards; interior walls are
+ * centred on room edges, with edges of neighbouring rooms that lie within the
+ * wall tolerance moved onto one line. The floor is cut into cells along every
+ * wall face and opening, and each cell is wall or not: shared walls become one
+ * piece, L and T junctions join without lines crossing them, and doors and
+ * windows leave their opening out of the wall.
+ *
+ * Returns the wall faces as polylines marked exterior or interior (for
+ * double-line drawings) and the closed outlines of the wall material (for
+ * hatching). Diagonal edges have no thickness and come back as single lines.
+ * Works on plans in feet.
+ */
+
+const { WALL_TOLERANCE, doorSegment } = require('./planner.graph');
+const { wallThickness } = require('./planner.units');
+const { buildingPolygon, containsPoint, distanceToBoundary, polygonWalls, roomPolygon } = require('./planner.geometry');
+
+const EPSILON = 1e-6;
+
+const edgesOf = (points) => points.map((point, index) => [point, points[(index + 1) % points.length]]);
+
+const isDiagonal = ([a, b]) => Math.abs(a.x - b.x) > EPSILON && Math.abs(a.y - b.y) > EPSILON;
+
+/**
+ * Distance from a point to a straight wall { horizontal, line, start, end }
+ */
+const distanceToWall = (point, wall) => {
+  const [along, across] = wall.horizontal ? [point.x, point.y] : [point.y, point.x];
+  return Math.hypot(Math.max(wall.start - along, 0, along - wall.end), across - wall.line);
+};
+
+/**
+ * Sorted values with near-duplicates dropped
+ */
+const breakpoints = (values) =>
+  values.sort((a, b) => a - b).filter((value, index, sorted) => index === 0 || value - sorted[index - 1] > EPSILON);
+
+/**
+ * Straight room edges as interior walls; parallel edges closer than the wall
+ * tolerance share their average line. `from` and `to` are where the wall
+ * ends: half a wall past its edge where another wall meets it, so corners close
+ */
+const interiorWalls = (rooms, thickness) => {
+  const walls = rooms.flatMap((room) => polygonWalls(roomPolygon(room)));
+
+  [true, false].forEach((horizontal) => {
+    const groups = [];
+    walls
+      .filter((wall) => wall.horizontal === horizontal)
+      .sort((a, b) => a.line - b.line)
+      .forEach((wall) => {
+        const group = groups[groups.length - 1];
+        if (group && wall.line - group[0].line <= WALL_TOLERANCE) group.push(wall);
+        else groups.push([wall]);
+      });
+
+    groups.forEach((group) => {
+      const line = group.reduce((sum, wall) => sum + wall.line, 0) / group.length;
+      group.forEach((wall) => {
+        wall.line = line;
+      });
+    });
+  });
+
+  const meets = (wall, at) =>
+    walls.some(
+      (other) =>
+        other.horizontal !== wall.horizontal &&
+        Math.abs(other.line - at) <= WALL_TOLERANCE &&
+        wall.line >= other.start - WALL_TOLERANCE &&
+        wall.line <= other.end + WALL_TOLERANCE
+    );
+
+  return walls.map((wall) => ({
+    ...wall,
+    from: wall.start - (meets(wall, wall.start) ? thickness / 2 : 0),
+    to: wall.end + (meets(wall, wall.end) ? thickness / 2 : 0),
+  }));
+};
+
+/**
+ * Drop the middle one of three points on a straight line
+ */
+const simplify = (points, closed) =>
+  points.filter((point, index) => {
+    if (!closed && (index === 0 || index === points.length - 1)) return true;
+    const before = points[(index - 1 + points.length) % points.length];
+    const after = points[(index + 1) % points.length];
+    return !((before.x === point.x && point.x === after.x) || (before.y === point.y && point.y === after.y));
+  });
+
+class WallModel {
+  constructor(plan, floor) {
+    const { exterior, interior } = wallThickness(plan, 'imperial');
+    const building = plan.buildingDimensions;
+    const rooms = (floor.rooms || []).filter((room) => room.position && room.dimensions);
+
+    this.exterior = exterior;
+    this.interior = interior;
+    this.footprint = building ? buildingPolygon(building) : null;
+    this.courtyards = building?.courtyards || [];
+    this.outerWalls = this.footprint ? [this.footprint, ...this.courtyards].flatMap(polygonWalls) : [];
+    this.innerWalls = interiorWalls(rooms, interior);
+    this.openings = rooms.flatMap((room) => this.openingsOf(room));
+
+    // Diagonal room edges along a diagonal building edge are drawn once, as exterior
+    const outside = (this.footprint ? [this.footprint, ...this.courtyards] : []).flatMap(edgesOf).filter(isDiagonal);
+    const alongOutside = ([from, to]) =>
+      this.footprint && [from, to].every((point) => distanceToBoundary(this.footprint, point) <= WALL_TOLERANCE);
+    this.lines = [
+      ...outside.map(([from, to]) => ({ kind: 'exterior', from, to })),
+      ...rooms
+        .flatMap((room) => edgesOf(roomPolygon(room)))
+        .filter((edge) => isDiagonal(edge) && !alongOutside(edge))
+        .map(([from, to]) => ({ kind: 'interior', from, to })),
+    ];
+
+    this.grid();
+  }
+
+  /**
+   * Gaps doors and windows leave in the wall: their span along it, through the thickest wall
+   */
+  openingsOf(room) {
+    const depth = Math.max(this.exterior, this.interior);
+
+    return [...(room.doors || []).filter((door) => !door.reciprocalOf), ...(room.windows || [])]
+      .filter((opening) => opening.width > 0)
+      .map((opening) => {
+        const { horizontalWall, line, start, end } = doorSegment(room, { ...opening, position: opening.position || 0 });
+        return horizontalWall
+          ? { left: start, right: end, top: line - depth, bottom: line + depth }
+          : { left: line - depth, right: line + depth, top: start, bottom: end };
+      });
+  }
+
+  /**
+   * 'exterior', 'interior' or null for the cell around `point`
+   */
+  kindAt(point) {
+    const inCourtyard = this.courtyards.some((courtyard) => containsPoint(courtyard, point));
+    const inBuilding = !this.footprint || (containsPoint(this.footprint, point) && !inCourtyard);
+    if (inCourtyard) return null;
+    if (this.openings.some((rect) => point.x > rect.left && point.x < rect.right && point.y > rect.top && point.y < rect.bottom)) {
+      return null;
+    }
+
+    if (inBuilding && this.outerWalls.some((wall) => distanceToWall(point, wall) < this.exterior)) return 'exterior';
+
+    // Interior walls stop at the building's outer face, except around rooms that stand outside it
+    if (!inBuilding && distanceToBoundary(this.footprint, point) < this.interior / 2) return null;
+
+    const half = this.interior / 2;
+    const inWall = this.innerWalls.some((wall) => {
+      const [along, across] = wall.horizontal ? [point.x, point.y] : [point.y, point.x];
+      return Math.abs(across - wall.line) < half && along > wall.from && along < wall.to;
+    });
+    return inWall ? 'interior' : null;
+  }
+
+  /**
+   * Cell edges: every wall face and opening side, across and along
+   */
+  grid() {
+    const half = this.interior / 2;
+    const xs = [];
+    const ys = [];
+
+    this.outerWalls.forEach(({ horizontal, line, start, end }) => {
+      const [along, across] = horizontal ? [xs, ys] : [ys, xs];
+      along.push(start, end);
+      across.push(line - this.exterior, line, line + this.exterior);
+    });
+    this.innerWalls.forEach(({ horizontal, line, from, to }) => {
+      const [along, across] = horizontal ? [xs, ys] : [ys, xs];
+      along.push(from, to);
+      across.push(line - half, line + half);
+    });
+    this.openings.forEach((rect) => {
+      xs.push(rect.left, rect.right);
+      ys.push(rect.top, rect.bottom);
+    });
+
+    this.xs = breakpoints(xs);
+    this.ys = breakpoints(ys);
+  }
+
+  /**
+   * Boundary edges of the wall cells, each with the wall on its right (y runs south)
+   */
+  edges() {
+    const kinds = this.xs.slice(0, -1).map((x, i) =>
+      this.ys.slice(0, -1).map((y, j) => this.kindAt({ x: (x + this.xs[i + 1]) / 2, y: (y + this.ys[j + 1]) / 2 }))
+    );
+    const kindOf = (i, j) => kinds[i]?.[j] || null;
+
+    const edges = [];
+    kinds.forEach((column, i) => {
+      column.forEach((kind, j) => {
+        if (!kind) return;
+        if (!kindOf(i, j - 1)) edges.push({ kind, from: [i, j], to: [i + 1, j] });
+        if (!kindOf(i + 1, j)) edges.push({ kind, from: [i + 1, j], to: [i + 1, j + 1] });
+        if (!kindOf(i, j + 1)) edges.push({ kind, from: [i + 1, j + 1], to: [i, j + 1] });
+        if (!kindOf(i - 1, j)) edges.push({ kind, from: [i, j + 1], to: [i, j] });
+      });
+    });
+
+    return edges;
+  }
+
+  /**
+   * Boundary edges chained into closed loops
+   */
+  loops() {
+    const key = ([i, j]) => `${i},${j}`;
+    const starting = new Map();
+    const edges = this.edges();
+    edges.forEach((edge) => {
+      const list = starting.get(key(edge.from)) || [];
+      list.push(edge);
+      starting.set(key(edge.from), list);
+    });
+
+    const used = new Set();
+    const loops = [];
+    edges.forEach((first) => {
+      if (used.has(first)) return;
+
+      const loop = [];
+      let edge = first;
+      while (edge && !used.has(edge)) {
+        used.add(edge);
+        loop.push(edge);
+        edge = (starting.get(key(edge.to)) || []).find((next) => !used.has(next));
+      }
+      loops.push(loop);
+    });
+
+    return loops;
+  }
+
+  point([i, j]) {
+    return { x: this.xs[i], y: this.ys[j] };
+  }
+
+  build() {
+    const loops = this.loops();
+
+    const outlines = loops.map((loop) => simplify(loop.map((edge) => this.point(edge.from)), true));
+
+    // Faces change layer where an exterior wall meets an interior one
+    const faces = loops.flatMap((loop) => {
+      const start = loop.findIndex((edge, index) => edge.kind !== loop[(index - 1 + loop.length) % loop.length].kind);
+      if (start === -1) {
+        return [{ kind: loop[0].kind, closed: true, points: simplify(loop.map((edge) => this.point(edge.from)), true) }];
+      }
+
+      const runs = [];
+      [...loop.slice(start), ...loop.slice(0, start)].forEach((edge) => {
+        const run = runs[runs.length - 1];
+        if (run && run.kind === edge.kind) run.edges.push(edge);
+        else runs.push({ kind: edge.kind, edges: [edge] });
+      });
+
+      return runs.map(({ kind, edges }) => ({
+        kind,
+        closed: false,
+        points: simplify([...edges.map((edge) => this.point(edge.from)), this.point(edges[edges.length - 1].to)], false),
+      }));
+    });
+
+    return { faces, outlines, lines: this.lines };
+  }
+}
+
+/**
+ * Wall model of one floor: { faces, outlines, lines }
+ *   faces: [{ kind: 'exterior' | 'interior', closed, points }] - wall faces for double-line walls
+ *   outlines: [points] - closed outlines of the wall material, for hatching
+ *   lines: [{ kind, from, to }] - diagonal walls, drawn as single lines
+ */
+const buildWalls = (plan, floor) => new WallModel(plan, floor).build();
+
+module.exports = {
+  buildWalls,
+};
@@ -0,0 +1,116 @@
+const plansService = require('./plans.service');
+const {
+  validatePlanIdParams,
+  validateVersionParams,
+  validateListPlans,
+  validateCreatePlan,
+  validateRenamePlan,
+  validateDuplicatePlan,
+  validateConvertPlan,
+} = require('./plans.validation');
+const { validateJurisdiction } = require('../compliance/compliance.validation');
+const { asyncHandler } = require('../../middlewares/error.middleware');
+const ApiResponse = require('../../utils/response');
+
+const listPlans = asyncHandler(async (req, res) => {
+  const pagination = validateListPlans(req.query);
+  const result = await plansService.listPlans(req.user.id, pagination);
+
+  return ApiResponse.success(res, result, 'Plans retrieved successfully');
+});
+
+const createPlan = asyncHandler(async (req, res) => {
+  const { name, planData } = validateCreatePlan(req.body);
+  const plan = await plansService.createPlan(req.user.id, { name, planData, source: 'manual' });
+
+  return ApiResponse.created(res, plan, 'Plan saved successfully');
+});
+
+const getPlan = asyncHandler(async (req, res) => {
+  const { id } = validatePlanIdParams(req.params);
+  const plan = await plansService.getPlan(req.user.id, id);
+
+  return ApiResponse.success(res, plan, 'Plan retrieved successfully');
+});
+
+const getPlanGraph = asyncHandler(async (req, res) => {
+  const { id } = validatePlanIdParams(req.params);
+  const graph = await plansService.getPlanGraph(req.user.id, id);
+
+  return ApiResponse.success(res, graph, 'Plan graph retrieved successfully');
+});
+
+const getPlanCompliance = asyncHandler(async (req, res) => {
+  const { id } = validatePlanIdParams(req.params);
+  const jurisdiction = validateJurisdiction(req.query);
+  const report = await plansService.getPlanCompliance(req.user.id, id, jurisdiction);
+
+  return ApiResponse.success(res, report, 'Compliance report generated successfully');
+});
+
+const renamePlan = asyncHandler(async (req, res) => {
+  const { id } = validatePlanIdParams(req.params);
+  const { name } = validateRenamePlan(req.body);
+  const plan = await plansService.renamePlan(req.user.id, id, name);
+
+  return ApiResponse.success(res, plan, 'Plan renamed successfully');
+});
+
+const duplicatePlan = asyncHandler(async (req, res) => {
+  const { id } = validatePlanIdParams(req.params);
+  const { name } = validateDuplicatePlan(req.body);
+  const plan = await plansService.duplicatePlan(req.user.id, id, name);
+
+  return ApiResponse.created(res, plan, 'Plan duplicated successfully');
+});
+
+const convertPlan = asyncHandler(async (req, res) => {
+  const { id } = validatePlanIdParams(req.params);
+  const { units } = validateConvertPlan(req.body);
+  const plan = await plansService.convertPlanUnits(req.user.id, id, units);
+
+  return ApiResponse.success(res, plan, `Plan converted to ${units} units`);
+});
+
+const deletePlan = asyncHandler(async (req, res) => {
+  const { id } = validatePlanIdParams(req.params);
+  await plansService.deletePlan(req.user.id, id);
+
+  return ApiResponse.success(res, null, 'Plan deleted successfully');
+});
+
+const listVersions = asyncHandler(async (req, res) => {
+  const { id } = validatePlanIdParams(req.params);
+  const result = await plansService.listVersions(req.user.id, id);
+
+  return ApiResponse.success(res, result, 'Plan versions retrieved successfully');
+});
+
+const getVersion = asyncHandler(async (req, res) => {
+  const { id, version } = validateVersionParams(req.params);
+  const result = await plansService.getVersion(req.user.id, id, version);
+
+  return ApiResponse.success(res, result, 'Plan version retrieved successfully');
+});
+
+const restoreVersion = asyncHandler(async (req, res) => {
+  const { id, version } = validateVersionParams(req.params);
+  const plan = await plansService.restoreVersion(req.user.id, id, version);
+
+  return ApiResponse.success(res, plan, `Version ${version} restored successfully`);
+});
+
+module.exports = {
+  listPlans,
+  createPlan,
+  getPlan,
+  getPlanGraph,
+  getPlanCompliance,
+  renamePlan,
+  duplicatePlan,
+  convertPlan,
+  deletePlan,
+  listVersions,
+  getVersion,
+  restoreVersion,
+};
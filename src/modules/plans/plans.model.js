@@ -0,0 +1,173 @@
+const { getPool } = require('../../config/db');
+
+const PLAN_COLUMNS = `id, user_id, name, building_type, current_version, created_at, updated_at`;
+
+const VERSION_COLUMNS = `id, plan_id, version, source, prompt, meta, usage, restored_from, prompt_template_version, created_at`;
+
+// Run a callback inside a single transaction
+const withTransaction = async (callback) => {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Plan + PlanVersion model for PostgreSQL
+const Plan = {
+  // Create a plan together with its first version
+  async create({ userId, name, buildingType, planData, source = 'generate', prompt, meta, usage, promptTemplateVersion }) {
+    return withTransaction(async (client) => {
+      const planResult = await client.query(
+        `INSERT INTO plans (user_id, name, building_type, current_version)
+         VALUES ($1, $2, $3, 1)
+         RETURNING ${PLAN_COLUMNS}`,
+        [userId, name, buildingType || null]
+      );
+      const plan = planResult.rows[0];
+
+      const versionResult = await client.query(
+        `INSERT INTO plan_versions (plan_id, version, plan_data, source, prompt, meta, usage, prompt_template_version)
+         VALUES ($1, 1, $2, $3, $4, $5, $6, $7)
+         RETURNING ${VERSION_COLUMNS}, plan_data`,
+        [plan.id, planData, source, prompt || null, meta || null, usage || null, promptTemplateVersion || null]
+      );
+
+      return { plan, version: versionResult.rows[0] };
+    });
+  },
+
+  // Find plans owned by a user, most recently updated first
+  async findByUser(userId, { limit = 20, offset = 0 } = {}) {
+    const pool = getPool();
+    const result = await pool.query(
+      `SELECT ${PLAN_COLUMNS}, COUNT(*) OVER() AS total_count
+       FROM plans WHERE user_id = $1
+       ORDER BY updated_at DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    return {
+      plans: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0,
+    };
+  },
+
+  // Find a plan by ID, scoped to its owner
+  async findById(id, userId) {
+    const pool = getPool();
+    const result = await pool.query(
+      `SELECT ${PLAN_COLUMNS}
+       FROM plans WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Rename a plan
+  async rename(id, userId, name) {
+    const pool = getPool();
+    const result = await pool.query(
+      `UPDATE plans SET name = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${PLAN_COLUMNS}`,
+      [id, userId, name]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Delete a plan (versions are removed by ON DELETE CASCADE)
+  async delete(id, userId) {
+    const pool = getPool();
+    const result = await pool.query(
+      `DELETE FROM plans WHERE id = $1 AND user_id = $2 RETURNING id`,
+      [id, userId]
+    );
+    return result.rows.length > 0;
+  },
+
+  // Append a new version and make it the current one
+  async addVersion(id, userId, { planData, source, prompt, meta, usage, restoredFrom, promptTemplateVersion }) {
+    return withTransaction(async (client) => {
+      // Lock the plan row so concurrent writers get sequential version numbers
+      const planResult = await client.query(
+        `SELECT ${PLAN_COLUMNS} FROM plans
+         WHERE id = $1 AND user_id = $2
+         FOR UPDATE`,
+        [id, userId]
+      );
+      const plan = planResult.rows[0];
+      if (!plan) return null;
+
+      const nextVersionResult = await client.query(
+        `SELECT COALESCE(MAX(version), 0) + 1 AS next FROM plan_versions WHERE plan_id = $1`,
+        [id]
+      );
+      const nextVersion = nextVersionResult.rows[0].next;
+
+      const versionResult = await client.query(
+        `INSERT INTO plan_versions (plan_id, version, plan_data, source, prompt, meta, usage, restored_from, prompt_template_version)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING ${VERSION_COLUMNS}, plan_data`,
+        [id, nextVersion, planData, source, prompt || null, meta || null, usage || null, restoredFrom || null, promptTemplateVersion || null]
+      );
+
+      const updatedResult = await client.query(
+        `UPDATE plans
+         SET current_version = $2,
+             building_type = COALESCE($3, building_type),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${PLAN_COLUMNS}`,
+        [id, nextVersion, planData?.buildingType || null]
+      );
+
+      return { plan: updatedResult.rows[0], version: versionResult.rows[0] };
+    });
+  },
+
+  // List version summaries for a plan (without the plan JSON)
+  async findVersions(planId) {
+    const pool = getPool();
+    const result = await pool.query(
+      `SELECT ${VERSION_COLUMNS}
+       FROM plan_versions WHERE plan_id = $1
+       ORDER BY version DESC`,
+      [planId]
+    );
+    return result.rows;
+  },
+
+  // Find a single version including its plan JSON
+  async findVersion(planId, version) {
+    const pool = getPool();
+    const result = await pool.query(
+      `SELECT ${VERSION_COLUMNS}, plan_data
+       FROM plan_versions WHERE plan_id = $1 AND version = $2`,
+      [planId, version]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Plan JSON of several versions at once
+  async findVersionPlans(planId, versions) {
+    const pool = getPool();
+    const result = await pool.query(
+      `SELECT version, plan_data
+       FROM plan_versions WHERE plan_id = $1 AND version = ANY($2::int[])`,
+      [planId, versions]
+    );
+    return result.rows;
+  },
+};
+
+module.exports = Plan;
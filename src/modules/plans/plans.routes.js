@@ -0,0 +1,22 @@
+const express = require('express');
+const plansController = require('./plans.controller');
+const authMiddleware = require('../../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', plansController.listPlans);
+router.post('/', plansController.createPlan);
+router.get('/:id', plansController.getPlan);
+router.patch('/:id', plansController.renamePlan);
+router.delete('/:id', plansController.deletePlan);
+router.post('/:id/duplicate', plansController.duplicatePlan);
+router.post('/:id/convert', plansController.convertPlan);
+router.get('/:id/graph', plansController.getPlanGraph);
+router.get('/:id/compliance', plansController.getPlanCompliance);
+router.get('/:id/versions', plansController.listVersions);
+router.get('/:id/versions/:version', plansController.getVersion);
+router.post('/:id/versions/:version/restore', plansController.restoreVersion);
+
+module.exports = router;
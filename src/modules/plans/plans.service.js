@@ -0,0 +1,302 @@
+const Plan = require('./plans.model');
+const { analyzePlanGraph } = require('../planner/planner.graph');
+const complianceService = require('../compliance/compliance.service');
+const { convertPlan, metaInUnits, toImperial, unitsOf } = require('../planner/planner.units');
+const { MAX_REFINE_TURNS } = require('../planner/planner.prompt');
+const { AppError } = require('../../middlewares/error.middleware');
+const logger = require('../../utils/logger');
+
+const DEFAULT_NAME_LENGTH = 60;
+
+class PlansService {
+  /**
+   * Save a plan as a new project with version 1
+   */
+  async createPlan(userId, { name, planData, source = 'manual', prompt, meta, usage, promptTemplateVersion }) {
+    const { plan, version } = await Plan.create({
+      userId,
+      name: name || this.buildDefaultName(prompt, planData),
+      buildingType: planData.buildingType,
+      planData,
+      source,
+      prompt,
+      meta,
+      usage,
+      promptTemplateVersion,
+    });
+
+    logger.info('Plan saved', { userId, planId: plan.id, source });
+
+    return this.formatPlan(plan, version);
+  }
+
+  async listPlans(userId, pagination) {
+    const { plans, total } = await Plan.findByUser(userId, pagination);
+
+    return {
+      plans: plans.map((plan) => this.formatPlan(plan)),
+      total,
+      limit: pagination.limit,
+      offset: pagination.offset,
+    };
+  }
+
+  /**
+   * Get a plan with the JSON of its current version
+   */
+  async getPlan(userId, planId) {
+    const plan = await this.findOwnedPlan(userId, planId);
+    const version = await Plan.findVersion(plan.id, plan.current_version);
+
+    return this.formatPlan(plan, version);
+  }
+
+  /**
+   * Room adjacency graph of the current version, with circulation problems
+   */
+  async getPlanGraph(userId, planId) {
+    const plan = await this.getPlan(userId, planId);
+    const units = unitsOf(plan.planData);
+    const { floors, errors } = analyzePlanGraph(toImperial(plan.planData), { units });
+
+    return {
+      planId: plan.id,
+      version: plan.currentVersion,
+      floors,
+      errors,
+    };
+  }
+
+  /**
+   * Building code report for the current version
+   * Jurisdiction comes from the request that generated the plan unless overridden
+   */
+  async getPlanCompliance(userId, planId, jurisdiction = {}) {
+    const context = await this.getRefinementContext(userId, planId);
+    const plan = await this.findOwnedPlan(userId, planId);
+    const meta = metaInUnits(context.meta, unitsOf(context.planData));
+    const { authority, city, plotArea } = { ...meta, ...jurisdiction };
+
+    return {
+      planId: plan.id,
+      version: plan.current_version,
+      ...complianceService.checkPlan(context.planData, { authority, city, plotArea }),
+    };
+  }
+
+  async renamePlan(userId, planId, name) {
+    const plan = await Plan.rename(planId, userId, name);
+    if (!plan) {
+      throw new AppError('Plan not found', 404);
+    }
+
+    return this.formatPlan(plan);
+  }
+
+  /**
+   * Copy the current version of a plan into a new project, with the brief it was generated from
+   */
+  async duplicatePlan(userId, planId, name) {
+    const source = await this.getPlan(userId, planId);
+    const { originalPrompt, meta } = await this.getRefinementContext(userId, planId);
+
+    return this.createPlan(userId, {
+      name: name || `${source.name} (copy)`.slice(0, 200),
+      planData: source.planData,
+      source: 'duplicate',
+      prompt: originalPrompt,
+      meta: { ...meta, duplicatedFrom: { planId: source.id, version: source.currentVersion } },
+    });
+  }
+
+  /**
+   * Save the current version converted to `units` as a new version
+   */
+  async convertPlanUnits(userId, planId, units) {
+    const plan = await this.getPlan(userId, planId);
+    const from = unitsOf(plan.planData);
+    if (from === units) {
+      throw new AppError(`Plan is already in ${units} units`, 400);
+    }
+
+    return this.addVersion(userId, plan.id, {
+      planData: convertPlan(plan.planData, units),
+      source: 'convert',
+      meta: { convertedFrom: { units: from, version: plan.currentVersion } },
+    });
+  }
+
+  async deletePlan(userId, planId) {
+    const deleted = await Plan.delete(planId, userId);
+    if (!deleted) {
+      throw new AppError('Plan not found', 404);
+    }
+
+    logger.info('Plan deleted', { userId, planId });
+  }
+
+  /**
+   * Append a new version to an existing plan
+   */
+  async addVersion(userId, planId, { planData, source, prompt, meta, usage, restoredFrom, promptTemplateVersion }) {
+    const result = await Plan.addVersion(planId, userId, {
+      planData,
+      source,
+      prompt,
+      meta,
+      usage,
+      restoredFrom,
+      promptTemplateVersion,
+    });
+
+    if (!result) {
+      throw new AppError('Plan not found', 404);
+    }
+
+    logger.info('Plan version added', { userId, planId, version: result.version.version, source });
+
+    return this.formatPlan(result.plan, result.version);
+  }
+
+  async listVersions(userId, planId) {
+    const plan = await this.findOwnedPlan(userId, planId);
+    const versions = await Plan.findVersions(plan.id);
+
+    return {
+      planId: plan.id,
+      currentVersion: plan.current_version,
+      versions: versions.map((version) => this.formatVersion(version)),
+    };
+  }
+
+  async getVersion(userId, planId, versionNumber) {
+    const plan = await this.findOwnedPlan(userId, planId);
+    const version = await this.findVersion(plan.id, versionNumber);
+
+    return this.formatVersion(version);
+  }
+
+  /**
+   * Restore an earlier version by copying it forward as the newest version,
+   * so history is never rewritten
+   */
+  async restoreVersion(userId, planId, versionNumber) {
+    const plan = await this.findOwnedPlan(userId, planId);
+    const version = await this.findVersion(plan.id, versionNumber);
+
+    return this.addVersion(userId, plan.id, {
+      planData: version.plan_data,
+      source: 'restore',
+      restoredFrom: version.version,
+    });
+  }
+
+  /**
+   * Collect the conversation that led to the current version. Restored
+   * versions jump back to their source, so abandoned branches are skipped.
+   * The brief is the prompt of the nearest version that carries one other
+   * than a refinement (generated, duplicated or saved with a prompt); the
+   * refinements after it come with the plan each one produced.
+   */
+  async getRefinementContext(userId, planId) {
+    const plan = await this.findOwnedPlan(userId, planId);
+    const versions = await Plan.findVersions(plan.id);
+    const byNumber = new Map(versions.map((version) => [version.version, version]));
+
+    const lineage = [];
+    let cursor = byNumber.get(plan.current_version);
+    while (cursor) {
+      lineage.unshift(cursor);
+      const previous = cursor.source === 'restore' ? cursor.restored_from : cursor.version - 1;
+      cursor = previous < cursor.version ? byNumber.get(previous) : null;
+    }
+
+    const origin = lineage.filter((version) => version.source !== 'refine' && version.prompt).pop();
+    const refinements = lineage
+      .slice(lineage.indexOf(origin) + 1)
+      .filter((version) => version.source === 'refine' && version.prompt)
+      .slice(-MAX_REFINE_TURNS);
+
+    const wanted = [plan.current_version, ...(origin ? [origin.version] : []), ...refinements.map((version) => version.version)];
+    const plans = new Map(
+      (await Plan.findVersionPlans(plan.id, [...new Set(wanted)])).map((version) => [version.version, version.plan_data])
+    );
+
+    return {
+      planData: plans.get(plan.current_version),
+      originalPrompt: origin?.prompt || null,
+      originalPlan: origin ? plans.get(origin.version) : null,
+      meta: origin?.meta || {},
+      turns: refinements.map((version) => ({ version: version.version, instruction: version.prompt, planData: plans.get(version.version) })),
+    };
+  }
+
+  async findOwnedPlan(userId, planId) {
+    const plan = await Plan.findById(planId, userId);
+    if (!plan) {
+      throw new AppError('Plan not found', 404);
+    }
+    return plan;
+  }
+
+  async findVersion(planId, versionNumber) {
+    const version = await Plan.findVersion(planId, versionNumber);
+    if (!version) {
+      throw new AppError(`Version ${versionNumber} not found`, 404);
+    }
+    return version;
+  }
+
+  /**
+   * Derive a readable project name from the prompt or building type
+   */
+  buildDefaultName(prompt, planData = {}) {
+    if (prompt) {
+      const firstLine = prompt.trim().split('\n')[0];
+      return firstLine.length > DEFAULT_NAME_LENGTH
+        ? `${firstLine.slice(0, DEFAULT_NAME_LENGTH - 3).trim()}...`
+        : firstLine;
+    }
+
+    return `${planData.buildingType || 'Untitled'} plan`;
+  }
+
+  formatPlan(plan, version = null) {
+    const formatted = {
+      id: plan.id,
+      name: plan.name,
+      buildingType: plan.building_type,
+      currentVersion: plan.current_version,
+      createdAt: plan.created_at,
+      updatedAt: plan.updated_at,
+    };
+
+    if (version) {
+      formatted.planData = version.plan_data;
+      formatted.version = this.formatVersion({ ...version, plan_data: undefined });
+    }
+
+    return formatted;
+  }
+
+  formatVersion(version) {
+    const formatted = {
+      version: version.version,
+      source: version.source,
+      prompt: version.prompt,
+      meta: version.meta,
+      usage: version.usage,
+      restoredFrom: version.restored_from,
+      promptTemplateVersion: version.prompt_template_version,
+      createdAt: version.created_at,
+    };
+
+    if (version.plan_data) {
+      formatted.planData = version.plan_data;
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = new PlansService();
@@ -0,0 +1,85 @@
+const { z } = require('zod');
+const { planSchema } = require('../planner/planner.schema');
+const { UNITS } = require('../planner/planner.units');
+
+// Ids, versions and offsets are PostgreSQL INTEGERs; larger values would fail in the query instead of here
+const MAX_INTEGER = 2147483647;
+
+const planIdParamsSchema = z.object({
+  id: z.coerce
+    .number({
+      invalid_type_error: 'Plan ID must be a number',
+    })
+    .int('Plan ID must be an integer')
+    .positive('Plan ID must be positive')
+    .max(MAX_INTEGER, 'Plan ID is too large'),
+});
+
+const versionParamsSchema = planIdParamsSchema.extend({
+  version: z.coerce
+    .number({
+      invalid_type_error: 'Version must be a number',
+    })
+    .int('Version must be an integer')
+    .positive('Version must be positive')
+    .max(MAX_INTEGER, 'Version is too large'),
+});
+
+const listPlansSchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  offset: z.coerce.number().int().min(0).max(MAX_INTEGER).default(0),
+});
+
+const planNameSchema = z
+  .string({
+    required_error: 'Name is required',
+  })
+  .trim()
+  .min(1, 'Name cannot be empty')
+  .max(200, 'Name cannot exceed 200 characters');
+
+const createPlanSchema = z.object({
+  name: planNameSchema,
+
+  planData: planSchema,
+});
+
+const renamePlanSchema = z.object({
+  name: planNameSchema,
+});
+
+const duplicatePlanSchema = z.object({
+  name: planNameSchema.optional(),
+});
+
+const convertPlanSchema = z.object({
+  units: z.enum(UNITS, {
+    required_error: 'Units are required',
+  }),
+});
+
+const validatePlanIdParams = (data) => planIdParamsSchema.parse(data);
+const validateVersionParams = (data) => versionParamsSchema.parse(data);
+const validateListPlans = (data) => listPlansSchema.parse(data);
+const validateCreatePlan = (data) => createPlanSchema.parse(data);
+const validateRenamePlan = (data) => renamePlanSchema.parse(data);
+const validateDuplicatePlan = (data) => duplicatePlanSchema.parse(data || {});
+const validateConvertPlan = (data) => convertPlanSchema.parse(data || {});
+
+module.exports = {
+  MAX_INTEGER,
+  planIdParamsSchema,
+  versionParamsSchema,
+  listPlansSchema,
+  createPlanSchema,
+  renamePlanSchema,
+  duplicatePlanSchema,
+  convertPlanSchema,
+  validatePlanIdParams,
+  validateVersionParams,
+  validateListPlans,
+  validateCreatePlan,
+  validateRenamePlan,
+  validateDuplicatePlan,
+  validateConvertPlan,
+};
@@ -0,0 +1,60 @@
+const promptsService = require('./prompts.service');
+const {
+  validateVersionParams,
+  validateCreateTemplate,
+  validateExperiment,
+  validateStatsQuery,
+} = require('./prompts.validation');
+const { asyncHandler } = require('../../middlewares/error.middleware');
+const ApiResponse = require('../../utils/response');
+
+const listTemplates = asyncHandler(async (req, res) => {
+  const templates = await promptsService.listTemplates();
+
+  return ApiResponse.success(res, { templates }, 'Prompt templates retrieved successfully');
+});
+
+const createTemplate = asyncHandler(async (req, res) => {
+  const validatedData = validateCreateTemplate(req.body);
+  const template = await promptsService.createTemplate(req.user.id, validatedData);
+
+  return ApiResponse.created(res, template, 'Prompt template created successfully');
+});
+
+const getStats = asyncHandler(async (req, res) => {
+  const query = validateStatsQuery(req.query);
+  const stats = await promptsService.getStats(query);
+
+  return ApiResponse.success(res, stats, 'Prompt template stats retrieved successfully');
+});
+
+const getTemplate = asyncHandler(async (req, res) => {
+  const { version } = validateVersionParams(req.params);
+  const template = await promptsService.getTemplate(version);
+
+  return ApiResponse.success(res, template, 'Prompt template retrieved successfully');
+});
+
+const activateTemplate = asyncHandler(async (req, res) => {
+  const { version } = validateVersionParams(req.params);
+  const template = await promptsService.activateTemplate(req.user.id, version);
+
+  return ApiResponse.success(res, template, `Prompt template version ${version} is now active`);
+});
+
+const setExperiment = asyncHandler(async (req, res) => {
+  const { version } = validateVersionParams(req.params);
+  const { trafficShare } = validateExperiment(req.body);
+  const template = await promptsService.setExperiment(req.user.id, version, trafficShare);
+
+  return ApiResponse.success(res, template, trafficShare === 0 ? 'Experiment stopped' : 'Experiment started');
+});
+
+module.exports = {
+  listTemplates,
+  createTemplate,
+  getStats,
+  getTemplate,
+  activateTemplate,
+  setExperiment,
+};
@@ -0,0 +1,198 @@
+const { getPool } = require('../../config/db');
+
+const TEMPLATE_COLUMNS = `version, notes, status, traffic_share::FLOAT AS traffic_share, builtin_hash IS NOT NULL AS built_in,
+  created_by, created_at, updated_at`;
+
+// Run a callback inside a single transaction
+const withTransaction = async (callback) => {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// PromptTemplate model for PostgreSQL
+const PromptTemplate = {
+  // Store the built-in prompts under `builtinHash` unless that version already exists. The
+  // built-in version is served when no template is active or the active one is an older
+  // built-in version; a version an admin activated keeps serving and the new one is a draft.
+  // Returns the seeded or re-activated version, or null when nothing changed.
+  async seed({ systemPrompt, buildingTypePrompts, builtinHash }) {
+    return withTransaction(async (client) => {
+      await client.query('LOCK TABLE prompt_templates IN SHARE ROW EXCLUSIVE MODE');
+
+      const current = await client.query(`SELECT version, status FROM prompt_templates WHERE builtin_hash = $1`, [builtinHash]);
+      const existing = current.rows[0];
+      if (existing?.status === 'active') return null;
+
+      const active = await client.query(`SELECT builtin_hash FROM prompt_templates WHERE status = 'active'`);
+      const replace = active.rows.length === 0 || active.rows[0].builtin_hash !== null;
+      if (existing && !replace) return null;
+
+      if (replace) {
+        await client.query(
+          `UPDATE prompt_templates
+           SET status = 'retired', traffic_share = 0, updated_at = CURRENT_TIMESTAMP
+           WHERE status = 'active'`
+        );
+      }
+
+      // Built-in prompts reverted to an earlier version bring that version back
+      if (existing) {
+        const result = await client.query(
+          `UPDATE prompt_templates
+           SET status = 'active', traffic_share = 0, updated_at = CURRENT_TIMESTAMP
+           WHERE version = $1
+           RETURNING ${TEMPLATE_COLUMNS}`,
+          [existing.version]
+        );
+        return result.rows[0];
+      }
+
+      const result = await client.query(
+        `INSERT INTO prompt_templates (version, system_prompt, building_type_prompts, notes, status, builtin_hash)
+         SELECT COALESCE(MAX(version), 0) + 1, $1, $2, 'Built-in prompts', $3, $4 FROM prompt_templates
+         RETURNING ${TEMPLATE_COLUMNS}`,
+        [systemPrompt, buildingTypePrompts, replace ? 'active' : 'draft', builtinHash]
+      );
+      return result.rows[0];
+    });
+  },
+
+  // Create a draft with the next version number
+  async create({ systemPrompt, buildingTypePrompts, notes, createdBy }) {
+    return withTransaction(async (client) => {
+      // Serialize writers so concurrent drafts get sequential version numbers
+      await client.query('LOCK TABLE prompt_templates IN SHARE ROW EXCLUSIVE MODE');
+
+      const result = await client.query(
+        `INSERT INTO prompt_templates (version, system_prompt, building_type_prompts, notes, created_by)
+         SELECT COALESCE(MAX(version), 0) + 1, $1, $2, $3, $4 FROM prompt_templates
+         RETURNING ${TEMPLATE_COLUMNS}, system_prompt, building_type_prompts`,
+        [systemPrompt, buildingTypePrompts, notes || null, createdBy || null]
+      );
+      return result.rows[0];
+    });
+  },
+
+  // List template summaries (without the prompt text), newest first
+  async findAll() {
+    const pool = getPool();
+    const result = await pool.query(`SELECT ${TEMPLATE_COLUMNS} FROM prompt_templates ORDER BY version DESC`);
+    return result.rows;
+  },
+
+  // Find a single template including its prompt text
+  async findByVersion(version) {
+    const pool = getPool();
+    const result = await pool.query(
+      `SELECT ${TEMPLATE_COLUMNS}, system_prompt, building_type_prompts
+       FROM prompt_templates WHERE version = $1`,
+      [version]
+    );
+    return result.rows[0] || null;
+  },
+
+  // The active template and the candidate under test, if any
+  async findLive() {
+    const pool = getPool();
+    const result = await pool.query(
+      `SELECT ${TEMPLATE_COLUMNS}, system_prompt, building_type_prompts
+       FROM prompt_templates WHERE status IN ('active', 'candidate')`
+    );
+    return {
+      active: result.rows.find((row) => row.status === 'active') || null,
+      candidate: result.rows.find((row) => row.status === 'candidate') || null,
+    };
+  },
+
+  // Serve `version` to everyone; the previous active template is retired and any experiment ends
+  async activate(version) {
+    return withTransaction(async (client) => {
+      await client.query(
+        `UPDATE prompt_templates
+         SET status = CASE WHEN status = 'active' THEN 'retired' ELSE 'draft' END,
+             traffic_share = 0, updated_at = CURRENT_TIMESTAMP
+         WHERE status IN ('active', 'candidate') AND version <> $1`,
+        [version]
+      );
+
+      const result = await client.query(
+        `UPDATE prompt_templates
+         SET status = 'active', traffic_share = 0, updated_at = CURRENT_TIMESTAMP
+         WHERE version = $1
+         RETURNING ${TEMPLATE_COLUMNS}`,
+        [version]
+      );
+      return result.rows[0] || null;
+    });
+  },
+
+  // Serve `version` to a share of users; a previous candidate goes back to draft
+  async startExperiment(version, trafficShare) {
+    return withTransaction(async (client) => {
+      await client.query(
+        `UPDATE prompt_templates
+         SET status = 'draft', traffic_share = 0, updated_at = CURRENT_TIMESTAMP
+         WHERE status = 'candidate' AND version <> $1`,
+        [version]
+      );
+
+      const result = await client.query(
+        `UPDATE prompt_templates
+         SET status = 'candidate', traffic_share = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE version = $1
+         RETURNING ${TEMPLATE_COLUMNS}`,
+        [version, trafficShare]
+      );
+      return result.rows[0] || null;
+    });
+  },
+
+  // End the running experiment, if any
+  async stopExperiment() {
+    const pool = getPool();
+    const result = await pool.query(
+      `UPDATE prompt_templates
+       SET status = 'draft', traffic_share = 0, updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'candidate'
+       RETURNING ${TEMPLATE_COLUMNS}`
+    );
+    return result.rows[0] || null;
+  },
+
+  // Outcomes per template version over the last `days` days, from the usage ledger
+  async getStats(days) {
+    const pool = getPool();
+    const result = await pool.query(
+      `SELECT prompt_template_version AS version,
+         COUNT(*)::INTEGER AS requests,
+         COUNT(*) FILTER (WHERE status = 'succeeded')::INTEGER AS succeeded,
+         COUNT(*) FILTER (WHERE status = 'fallback')::INTEGER AS fallbacks,
+         COUNT(*) FILTER (WHERE status = 'failed')::INTEGER AS failed,
+         COUNT(*) FILTER (WHERE status = 'cancelled')::INTEGER AS cancelled,
+         COUNT(*) FILTER (WHERE attempts = 1 AND status = 'succeeded')::INTEGER AS first_attempt_successes,
+         COALESCE(SUM(attempts), 0)::INTEGER AS attempts,
+         COALESCE(SUM(failed_attempts), 0)::INTEGER AS failed_attempts,
+         COALESCE(SUM(invalid_attempts), 0)::INTEGER AS invalid_attempts,
+         COALESCE(SUM(total_tokens), 0)::INTEGER AS total_tokens
+       FROM usage_ledger
+       WHERE prompt_template_version IS NOT NULL AND created_at >= CURRENT_DATE - ($1 - 1) * INTERVAL '1 day'
+       GROUP BY prompt_template_version
+       ORDER BY prompt_template_version DESC`,
+      [days]
+    );
+    return result.rows;
+  },
+};
+
+module.exports = PromptTemplate;
@@ -0,0 +1,18 @@
+const express = require('express');
+const promptsController = require('./prompts.controller');
+const authMiddleware = require('../../middlewares/auth.middleware');
+const adminMiddleware = require('../../middlewares/admin.middleware');
+
+const router = express.Router();
+
+// Templates apply to every user's generations
+router.use(authMiddleware, adminMiddleware);
+
+router.get('/', promptsController.listTemplates);
+router.post('/', promptsController.createTemplate);
+router.get('/stats', promptsController.getStats);
+router.get('/:version', promptsController.getTemplate);
+router.post('/:version/activate', promptsController.activateTemplate);
+router.post('/:version/experiment', promptsController.setExperiment);
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const PromptTemplate = require('./prompts.model');
+const { SYSTEM_PROMPT, BUILDING_TYPE_PROMPTS } = require('../planner/planner.prompt');
+const { AppError } = require('../../middlewares/error.middleware');
+const logger = require('../../utils/logger');
+
+// Live templates are re-read at most this often; changes made through this service apply at once
+const LIVE_CACHE_MS = 30 * 1000;
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+const rate = (count, total) => (total > 0 ? round4(count / total) : null);
+
+// The prompts in planner.prompt.js; each process seeds them the first time templates are read,
+// so a change to them becomes a new version
+const BUILTIN_TEMPLATE = {
+  systemPrompt: SYSTEM_PROMPT,
+  buildingTypePrompts: BUILDING_TYPE_PROMPTS,
+  builtinHash: crypto.createHash('sha256').update(JSON.stringify([SYSTEM_PROMPT, BUILDING_TYPE_PROMPTS])).digest('hex'),
+};
+
+/**
+ * Stable position of a user in [0, 1) for one experiment, so a user keeps
+ * seeing the same arm and a new candidate reshuffles everyone
+ */
+const bucketOf = (userId, version) =>
+  crypto.createHash('sha256').update(`${userId}:${version}`).digest().readUInt32BE(0) / 0x100000000;
+
+class PromptsService {
+  constructor() {
+    this.live = null;
+    this.liveLoadedAt = 0;
+    this.seeded = false;
+  }
+
+  async getLive() {
+    if (this.live && Date.now() - this.liveLoadedAt < LIVE_CACHE_MS) {
+      return this.live;
+    }
+
+    if (!this.seeded) {
+      const seeded = await PromptTemplate.seed(BUILTIN_TEMPLATE);
+      if (seeded) {
+        logger.info('Built-in prompt template seeded', { version: seeded.version, status: seeded.status });
+      }
+      this.seeded = true;
+    }
+
+    this.live = await PromptTemplate.findLive();
+    this.liveLoadedAt = Date.now();
+    return this.live;
+  }
+
+  clearLive() {
+    this.live = null;
+  }
+
+  /**
+   * Template to generate with for this user: the candidate for its share of
+   * users while an experiment runs, the active template otherwise
+   * Returns { version, arm: 'control' | 'candidate', systemPrompt, buildingTypePrompts }
+   */
+  async selectTemplate(userId) {
+    const { active, candidate } = await this.getLive();
+    const useCandidate = candidate && bucketOf(userId, candidate.version) < candidate.traffic_share;
+    const template = useCandidate ? candidate : active;
+
+    return {
+      version: template.version,
+      arm: useCandidate ? 'candidate' : 'control',
+      systemPrompt: template.system_prompt,
+      buildingTypePrompts: template.building_type_prompts,
+    };
+  }
+
+  async listTemplates() {
+    await this.getLive();
+    const templates = await PromptTemplate.findAll();
+    return templates.map((template) => this.formatTemplate(template));
+  }
+
+  async getTemplate(version) {
+    const template = await this.findTemplate(version);
+    return this.formatTemplate(template);
+  }
+
+  /**
+   * Save a new draft; building type prompts left out are copied from the active template
+   */
+  async createTemplate(userId, { systemPrompt, buildingTypePrompts, notes }) {
+    const { active } = await this.getLive();
+    const template = await PromptTemplate.create({
+      systemPrompt,
+      buildingTypePrompts: buildingTypePrompts || active.building_type_prompts,
+      notes,
+      createdBy: userId,
+    });
+
+    logger.info('Prompt template created', { userId, version: template.version });
+
+    return this.formatTemplate(template);
+  }
+
+  async activateTemplate(userId, version) {
+    const template = await this.findTemplate(version);
+    if (template.status === 'active') {
+      throw new AppError(`Version ${version} is already active`, 400);
+    }
+
+    const activated = await PromptTemplate.activate(version);
+    this.clearLive();
+
+    logger.info('Prompt template activated', { userId, version, previousStatus: template.status });
+
+    return this.formatTemplate(activated);
+  }
+
+  /**
+   * Send `trafficShare` of users to `version`; a share of 0 ends the experiment
+   */
+  async setExperiment(userId, version, trafficShare) {
+    const template = await this.findTemplate(version);
+
+    if (trafficShare === 0) {
+      if (template.status !== 'candidate') {
+        throw new AppError(`Version ${version} is not under test`, 400);
+      }
+
+      const stopped = await PromptTemplate.stopExperiment();
+      this.clearLive();
+      logger.info('Prompt experiment stopped', { userId, version });
+      return this.formatTemplate(stopped);
+    }
+
+    if (template.status === 'active') {
+      throw new AppError(`Version ${version} is already active`, 400);
+    }
+
+    const candidate = await PromptTemplate.startExperiment(version, trafficShare);
+    this.clearLive();
+
+    logger.info('Prompt experiment started', { userId, version, trafficShare });
+
+    return this.formatTemplate(candidate);
+  }
+
+  /**
+   * Generation outcomes per template version over the last `days` days
+   */
+  async getStats({ days }) {
+    const [rows, templates] = await Promise.all([PromptTemplate.getStats(days), PromptTemplate.findAll()]);
+    const byVersion = new Map(templates.map((template) => [template.version, template]));
+
+    return {
+      days,
+      versions: rows.map((row) => {
+        const template = byVersion.get(row.version);
+        return {
+          version: row.version,
+          status: template?.status || null,
+          trafficShare: template?.traffic_share ?? null,
+          requests: row.requests,
+          succeeded: row.succeeded,
+          fallbacks: row.fallbacks,
+          failed: row.failed,
+          cancelled: row.cancelled,
+          attempts: row.attempts,
+          retries: row.attempts - row.requests,
+          validationFailures: row.invalid_attempts,
+          // Share of model responses that could not be parsed or failed plan validation
+          validationFailureRate: rate(row.invalid_attempts, row.attempts),
+          firstAttemptSuccessRate: rate(row.first_attempt_successes, row.requests),
+          averageRetries: rate(row.attempts - row.requests, row.requests),
+          totalTokens: row.total_tokens,
+          averageTokens: row.requests > 0 ? Math.round(row.total_tokens / row.requests) : null,
+        };
+      }),
+    };
+  }
+
+  async findTemplate(version) {
+    const template = await PromptTemplate.findByVersion(version);
+    if (!template) {
+      throw new AppError(`Prompt template version ${version} not found`, 404);
+    }
+    return template;
+  }
+
+  formatTemplate(template) {
+    const formatted = {
+      version: template.version,
+      status: template.status,
+      trafficShare: template.traffic_share,
+      builtIn: template.built_in,
+      notes: template.notes,
+      createdBy: template.created_by,
+      createdAt: template.created_at,
+      updatedAt: template.updated_at,
+    };
+
+    if (template.system_prompt) {
+      formatted.systemPrompt = template.system_prompt;
+      formatted.buildingTypePrompts = template.building_type_prompts;
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = new PromptsService();
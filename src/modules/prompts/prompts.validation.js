@@ -0,0 +1,59 @@
+const { z } = require('zod');
+const { MAX_INTEGER } = require('../plans/plans.validation');
+
+// Long enough for the full system prompt with room to grow
+const MAX_PROMPT_LENGTH = 100000;
+
+const versionParamsSchema = z.object({
+  version: z.coerce
+    .number({
+      invalid_type_error: 'Version must be a number',
+    })
+    .int('Version must be an integer')
+    .positive('Version must be positive')
+    .max(MAX_INTEGER, 'Version is too large'),
+});
+
+const createTemplateSchema = z.object({
+  systemPrompt: z
+    .string({
+      required_error: 'System prompt is required',
+    })
+    .trim()
+    .min(1, 'System prompt is required')
+    .max(MAX_PROMPT_LENGTH, `System prompt must be at most ${MAX_PROMPT_LENGTH} characters`),
+  buildingTypePrompts: z
+    .record(z.string().trim().toLowerCase(), z.string().trim().min(1).max(5000))
+    .optional(),
+  notes: z.string().trim().max(1000).optional(),
+});
+
+const experimentSchema = z.object({
+  trafficShare: z
+    .number({
+      required_error: 'Traffic share is required',
+      invalid_type_error: 'Traffic share must be a number',
+    })
+    .min(0, 'Traffic share must be at least 0')
+    .lt(1, 'Traffic share must be below 1; activate the version to serve it to everyone'),
+});
+
+const statsQuerySchema = z.object({
+  days: z.coerce.number().int().min(1).max(365).default(30),
+});
+
+const validateVersionParams = (data) => versionParamsSchema.parse(data);
+const validateCreateTemplate = (data) => createTemplateSchema.parse(data);
+const validateExperiment = (data) => experimentSchema.parse(data);
+const validateStatsQuery = (data) => statsQuerySchema.parse(data);
+
+module.exports = {
+  versionParamsSchema,
+  createTemplateSchema,
+  experimentSchema,
+  statsQuerySchema,
+  validateVersionParams,
+  validateCreateTemplate,
+  validateExperiment,
+  validateStatsQuery,
+};
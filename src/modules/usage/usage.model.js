@@ -0,0 +1,96 @@
+const { getPool } = require('../../config/db');
+
+const TOTAL_COLUMNS = `COALESCE(SUM(prompt_tokens), 0)::INTEGER AS prompt_tokens,
+  COALESCE(SUM(completion_tokens), 0)::INTEGER AS completion_tokens,
+  COALESCE(SUM(total_tokens), 0)::INTEGER AS total_tokens,
+  COALESCE(SUM(estimated_cost), 0)::FLOAT AS estimated_cost,
+  COALESCE(SUM(attempts), 0)::INTEGER AS attempts,
+  COALESCE(SUM(failed_attempts), 0)::INTEGER AS failed_attempts,
+  COUNT(*)::INTEGER AS requests`;
+
+// Totals grouped by day or month, labelled 'YYYY-MM-DD' / 'YYYY-MM'
+const periodTotals = async (userId, unit, label, count) => {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT TO_CHAR(DATE_TRUNC('${unit}', created_at), '${label}') AS period, ${TOTAL_COLUMNS}
+     FROM usage_ledger
+     WHERE user_id = $1 AND created_at >= DATE_TRUNC('${unit}', CURRENT_DATE) - ($2 - 1) * INTERVAL '1 ${unit}'
+     GROUP BY period
+     ORDER BY period DESC`,
+    [userId, count]
+  );
+  return result.rows;
+};
+
+// Usage ledger model for PostgreSQL
+const UsageLedger = {
+  // Record one generation or refinement, with every model attempt it took
+  async create({
+    userId,
+    kind,
+    provider,
+    model,
+    promptTokens,
+    completionTokens,
+    totalTokens,
+    estimatedCost,
+    attempts,
+    failedAttempts,
+    invalidAttempts,
+    status,
+    promptTemplateVersion,
+  }) {
+    const pool = getPool();
+    const result = await pool.query(
+      `INSERT INTO usage_ledger
+         (user_id, kind, provider, model, prompt_tokens, completion_tokens, total_tokens, estimated_cost,
+          attempts, failed_attempts, invalid_attempts, status, prompt_template_version)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING id, created_at`,
+      [
+        userId,
+        kind,
+        provider || null,
+        model || null,
+        promptTokens,
+        completionTokens,
+        totalTokens,
+        estimatedCost ?? null,
+        attempts,
+        failedAttempts,
+        invalidAttempts || 0,
+        status,
+        promptTemplateVersion || null,
+      ]
+    );
+    return result.rows[0];
+  },
+
+  // Tokens and cost so far today and this calendar month
+  async getCurrentTotals(userId) {
+    const pool = getPool();
+    const result = await pool.query(
+      `SELECT
+         COALESCE(SUM(total_tokens) FILTER (WHERE created_at >= CURRENT_DATE), 0)::INTEGER AS day_tokens,
+         COALESCE(SUM(estimated_cost) FILTER (WHERE created_at >= CURRENT_DATE), 0)::FLOAT AS day_cost,
+         COALESCE(SUM(total_tokens), 0)::INTEGER AS month_tokens,
+         COALESCE(SUM(estimated_cost), 0)::FLOAT AS month_cost
+       FROM usage_ledger
+       WHERE user_id = $1 AND created_at >= DATE_TRUNC('month', CURRENT_DATE)`,
+      [userId]
+    );
+    return result.rows[0];
+  },
+
+  // Daily totals for the last `days` days, most recent first (days without usage are omitted)
+  async getDailyTotals(userId, days) {
+    return periodTotals(userId, 'day', 'YYYY-MM-DD', days);
+  },
+
+  // Monthly totals for the last `months` calendar months, most recent first
+  async getMonthlyTotals(userId, months) {
+    return periodTotals(userId, 'month', 'YYYY-MM', months);
+  },
+};
+
+module.exports = UsageLedger;
@@ -0,0 +1,183 @@
+const UsageLedger = require('./usage.model');
+const { env } = require('../../config/env');
+const { AppError } = require('../../middlewares/error.middleware');
+const logger = require('../../utils/logger');
+
+// USD per million tokens; a model matches the longest prefix, so dated snapshots share their family's price
+const MODEL_PRICING = {
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 },
+};
+
+// Models without a listed price are charged like the dearest one, so they still count against the cost quota
+const FALLBACK_PRICING = {
+  prompt: Math.max(...Object.values(MODEL_PRICING).map((price) => price.prompt)),
+  completion: Math.max(...Object.values(MODEL_PRICING).map((price) => price.completion)),
+};
+
+// Providers that run on the user's own hardware or not at all
+const FREE_PROVIDERS = ['local', 'mock'];
+
+const round6 = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Estimated cost in USD of one model call
+ */
+const estimateCost = (provider, model, usage) => {
+  if (FREE_PROVIDERS.includes(provider)) return 0;
+
+  const key = Object.keys(MODEL_PRICING)
+    .filter((prefix) => model?.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  const price = key ? MODEL_PRICING[key] : FALLBACK_PRICING;
+  return ((usage?.promptTokens || 0) * price.prompt + (usage?.completionTokens || 0) * price.completion) / 1e6;
+};
+
+/**
+ * Adds up the model attempts of one request as the planner reports them
+ */
+class UsageMeter {
+  constructor() {
+    this.provider = null;
+    this.model = null;
+    this.promptTokens = 0;
+    this.completionTokens = 0;
+    this.totalTokens = 0;
+    this.cost = 0;
+    this.attempts = 0;
+    this.failedAttempts = 0;
+    this.invalidAttempts = 0;
+    this.onUsage = this.onUsage.bind(this);
+  }
+
+  onUsage({ failed, invalid, provider, model, usage }) {
+    this.provider = provider;
+    this.model = model;
+    this.promptTokens += usage?.promptTokens || 0;
+    this.completionTokens += usage?.completionTokens || 0;
+    this.totalTokens += usage?.totalTokens || 0;
+    this.attempts++;
+    if (failed) this.failedAttempts++;
+    if (invalid) this.invalidAttempts++;
+    this.cost += estimateCost(provider, model, usage);
+  }
+}
+
+class UsageService {
+  /**
+   * Run a model-backed operation and record what it used in the ledger
+   * `run` receives the onUsage callback to pass to the planner. Attempts are
+   * recorded whether the operation succeeds, fails or is cancelled; a failure
+   * to record is logged and never fails the request itself.
+   * details.promptTemplateVersion: prompt template the operation ran with
+   */
+  async track(userId, kind, run, details = {}) {
+    const meter = new UsageMeter();
+
+    try {
+      const result = await run(meter.onUsage);
+      await this.record(userId, kind, meter, result?.fallback ? 'fallback' : 'succeeded', details);
+      return result;
+    } catch (error) {
+      await this.record(userId, kind, meter, error.statusCode === 499 ? 'cancelled' : 'failed', details);
+      throw error;
+    }
+  }
+
+  async record(userId, kind, meter, status, { promptTemplateVersion } = {}) {
+    // Cached and rule-based plans never reach a model
+    if (meter.attempts === 0) return;
+
+    try {
+      await UsageLedger.create({
+        userId,
+        kind,
+        provider: meter.provider,
+        model: meter.model,
+        promptTokens: meter.promptTokens,
+        completionTokens: meter.completionTokens,
+        totalTokens: meter.totalTokens,
+        estimatedCost: round6(meter.cost),
+        attempts: meter.attempts,
+        failedAttempts: meter.failedAttempts,
+        invalidAttempts: meter.invalidAttempts,
+        status,
+        promptTemplateVersion,
+      });
+    } catch (error) {
+      logger.error('Failed to record model usage', { userId, kind, message: error.message });
+    }
+  }
+
+  getQuotas() {
+    return {
+      dailyTokens: env.USAGE_DAILY_TOKEN_QUOTA || null,
+      monthlyTokens: env.USAGE_MONTHLY_TOKEN_QUOTA || null,
+      monthlyCost: env.USAGE_MONTHLY_COST_QUOTA || null,
+    };
+  }
+
+  /**
+   * Reject with 429 before calling the model once any quota is used up
+   */
+  async assertWithinQuota(userId) {
+    const quotas = this.getQuotas();
+    if (!quotas.dailyTokens && !quotas.monthlyTokens && !quotas.monthlyCost) return;
+
+    const totals = await UsageLedger.getCurrentTotals(userId);
+
+    if (quotas.dailyTokens && totals.day_tokens >= quotas.dailyTokens) {
+      throw new AppError(`Daily token quota reached (${totals.day_tokens} of ${quotas.dailyTokens} tokens used)`, 429);
+    }
+    if (quotas.monthlyTokens && totals.month_tokens >= quotas.monthlyTokens) {
+      throw new AppError(`Monthly token quota reached (${totals.month_tokens} of ${quotas.monthlyTokens} tokens used)`, 429);
+    }
+    if (quotas.monthlyCost && totals.month_cost >= quotas.monthlyCost) {
+      throw new AppError(`Monthly cost quota reached ($${totals.month_cost.toFixed(2)} of $${quotas.monthlyCost.toFixed(2)} used)`, 429);
+    }
+  }
+
+  /**
+   * Totals for today and this month, daily and monthly history, and what is left of each quota
+   */
+  async getUsageReport(userId, { days, months }) {
+    const [current, daily, monthly] = await Promise.all([
+      UsageLedger.getCurrentTotals(userId),
+      UsageLedger.getDailyTotals(userId, days),
+      UsageLedger.getMonthlyTotals(userId, months),
+    ]);
+    const quotas = this.getQuotas();
+
+    const quota = (limit, used) => (limit ? { limit, used, remaining: Math.max(limit - used, 0) } : null);
+
+    return {
+      today: { totalTokens: current.day_tokens, estimatedCost: round6(current.day_cost) },
+      month: { totalTokens: current.month_tokens, estimatedCost: round6(current.month_cost) },
+      quotas: {
+        dailyTokens: quota(quotas.dailyTokens, current.day_tokens),
+        monthlyTokens: quota(quotas.monthlyTokens, current.month_tokens),
+        monthlyCost: quota(quotas.monthlyCost, round6(current.month_cost)),
+      },
+      daily: daily.map((row) => this.formatTotals(row)),
+      monthly: monthly.map((row) => this.formatTotals(row)),
+    };
+  }
+
+  formatTotals(row) {
+    return {
+      period: row.period,
+      requests: row.requests,
+      attempts: row.attempts,
+      failedAttempts: row.failed_attempts,
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+      totalTokens: row.total_tokens,
+      estimatedCost: round6(row.estimated_cost),
+    };
+  }
+}
+
+module.exports = new UsageService();
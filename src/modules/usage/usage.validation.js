@@ -0,0 +1,13 @@
+const { z } = require('zod');
+
+const usageQuerySchema = z.object({
+  days: z.coerce.number().int().min(1).max(90).default(30),
+  months: z.coerce.number().int().min(1).max(24).default(12),
+});
+
+const validateUsageQuery = (data) => usageQuerySchema.parse(data);
+
+module.exports = {
+  usageQuerySchema,
+  validateUsageQuery,
+};
@@ -0,0 +1,147 @@
+/**
+ * Cache Interface
+ * A namespaced key-value cache with TTL and byte limits. Values are stored
+ * serialized, so every backend returns a fresh copy and sizes are measured
+ * the same way; Buffers survive the round trip. Cache failures are logged
+ * and treated as misses, never surfaced to the request.
+ */
+
+const logger = require('../../utils/logger');
+
+const serialize = (value) =>
+  JSON.stringify(value, function replacer(key, json) {
+    // Buffers have already been through toJSON here; the original is still on the holder
+    const raw = this[key];
+    return Buffer.isBuffer(raw) ? { $buffer: raw.toString('base64') } : json;
+  });
+
+const deserialize = (text) =>
+  JSON.parse(text, (key, value) => (value && typeof value.$buffer === 'string' ? Buffer.from(value.$buffer, 'base64') : value));
+
+class Cache {
+  /**
+   * @param {Object} options - { name, namespace, ttlMs, maxBytes, maxEntryBytes }
+   *   maxBytes bounds the namespace; a single value may use at most maxEntryBytes
+   */
+  constructor({ name, namespace, ttlMs, maxBytes, maxEntryBytes = maxBytes }) {
+    this.name = name;
+    this.namespace = namespace;
+    this.ttlMs = ttlMs;
+    this.maxBytes = maxBytes;
+    this.maxEntryBytes = Math.min(maxEntryBytes, maxBytes);
+    this.metrics = { hits: 0, misses: 0, sets: 0, oversized: 0, evictions: 0, errors: 0 };
+  }
+
+  /**
+   * Cached value or null
+   */
+  async get(key) {
+    try {
+      const text = await this.read(key);
+      if (text === null) {
+        this.metrics.misses++;
+        return null;
+      }
+
+      this.metrics.hits++;
+      return deserialize(text);
+    } catch (error) {
+      this.fail('get', error);
+      this.metrics.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store a value; values larger than maxEntryBytes are skipped
+   */
+  async set(key, value, { ttlMs = this.ttlMs } = {}) {
+    try {
+      const text = serialize(value);
+      const bytes = Buffer.byteLength(text);
+      if (bytes > this.maxEntryBytes) {
+        this.metrics.oversized++;
+        logger.debug('Value too large to cache', { namespace: this.namespace, bytes, maxEntryBytes: this.maxEntryBytes });
+        return false;
+      }
+
+      await this.write(key, text, bytes, ttlMs);
+      this.metrics.sets++;
+      return true;
+    } catch (error) {
+      this.fail('set', error);
+      return false;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.remove(key);
+    } catch (error) {
+      this.fail('delete', error);
+    }
+  }
+
+  async clear() {
+    try {
+      await this.removeAll();
+    } catch (error) {
+      this.fail('clear', error);
+    }
+  }
+
+  /**
+   * Hit/miss counters for this process plus what the backend reports about its contents
+   */
+  async stats() {
+    const lookups = this.metrics.hits + this.metrics.misses;
+    let usage = {};
+    try {
+      usage = await this.describe();
+    } catch (error) {
+      this.fail('stats', error);
+    }
+
+    return {
+      backend: this.name,
+      namespace: this.namespace,
+      ...this.metrics,
+      hitRate: lookups > 0 ? Math.round((this.metrics.hits / lookups) * 10000) / 10000 : null,
+      ttlMs: this.ttlMs,
+      maxBytes: this.maxBytes,
+      maxEntryBytes: this.maxEntryBytes,
+      ...usage,
+    };
+  }
+
+  fail(operation, error) {
+    this.metrics.errors++;
+    logger.warn(`Cache ${operation} failed`, { backend: this.name, namespace: this.namespace, message: error.message });
+  }
+
+  // Backends implement the storage operations below; values arrive serialized
+
+  async read(key) {
+    throw new Error(`${this.name} cache does not implement read()`);
+  }
+
+  async write(key, text, bytes, ttlMs) {
+    throw new Error(`${this.name} cache does not implement write()`);
+  }
+
+  async remove(key) {
+    throw new Error(`${this.name} cache does not implement remove()`);
+  }
+
+  async removeAll() {
+    throw new Error(`${this.name} cache does not implement removeAll()`);
+  }
+
+  async describe() {
+    return {};
+  }
+
+  async close() {}
+}
+
+module.exports = Cache;
@@ -0,0 +1,67 @@
+/**
+ * Cache Registry
+ * Creates namespaced caches on the backend chosen by CACHE_BACKEND: `memory`
+ * (per process) or `redis` (shared through REDIS_URL). Keys are content
+ * hashes of whatever identifies a result, so equal inputs share an entry
+ * regardless of property order.
+ */
+
+const crypto = require('crypto');
+const MemoryCache = require('./memory.cache');
+const RedisCache = require('./redis.cache');
+const { env } = require('../../config/env');
+
+const caches = new Map();
+
+/**
+ * JSON with object keys sorted, so { a, b } and { b, a } hash the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map((item) => stableStringify(item ?? null)).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * SHA-256 of the parts that identify a cached result
+ */
+const hashKey = (...parts) => crypto.createHash('sha256').update(stableStringify(parts)).digest('hex');
+
+/**
+ * Cache for one namespace; the same namespace always returns the same instance
+ * @param {string} namespace - e.g. 'planner', 'cad'
+ * @param {Object} options - { ttlMs, maxBytes, maxEntryBytes }
+ */
+const getCache = (namespace, options) => {
+  if (!caches.has(namespace)) {
+    const cache =
+      env.CACHE_BACKEND === 'redis'
+        ? new RedisCache({ ...options, namespace, url: env.REDIS_URL, keyPrefix: env.CACHE_KEY_PREFIX })
+        : new MemoryCache({ ...options, namespace });
+    caches.set(namespace, cache);
+  }
+
+  return caches.get(namespace);
+};
+
+/**
+ * Stats for every cache created so far
+ */
+const getCacheStats = async () => Promise.all([...caches.values()].map((cache) => cache.stats()));
+
+const closeCaches = async () => {
+  await Promise.all([...caches.values()].map((cache) => cache.close()));
+};
+
+module.exports = {
+  closeCaches,
+  getCache,
+  getCacheStats,
+  hashKey,
+};
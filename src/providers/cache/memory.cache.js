@@ -0,0 +1,78 @@
+/**
+ * Memory Cache
+ * Per-process LRU with TTL. The Map keeps entries in recency order (a hit
+ * moves its entry to the end), so the least recently used entry is always
+ * first. Expired entries are dropped when read or when room is needed.
+ */
+
+const Cache = require('./base.cache');
+
+class MemoryCache extends Cache {
+  constructor(options) {
+    super({ ...options, name: 'memory' });
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  async read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.drop(key, entry);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.text;
+  }
+
+  async write(key, text, bytes, ttlMs) {
+    const existing = this.entries.get(key);
+    if (existing) this.drop(key, existing);
+
+    this.entries.set(key, { text, bytes, expiresAt: Date.now() + ttlMs });
+    this.bytes += bytes;
+    this.makeRoom();
+  }
+
+  async remove(key) {
+    const entry = this.entries.get(key);
+    if (entry) this.drop(key, entry);
+  }
+
+  async removeAll() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  async describe() {
+    return { entries: this.entries.size, bytes: this.bytes };
+  }
+
+  drop(key, entry) {
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+  }
+
+  /**
+   * Expired entries go first, then the least recently used until the namespace fits
+   */
+  makeRoom() {
+    if (this.bytes <= this.maxBytes) return;
+
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.drop(key, entry);
+    }
+
+    for (const [key, entry] of this.entries) {
+      if (this.bytes <= this.maxBytes) break;
+      this.drop(key, entry);
+      this.metrics.evictions++;
+    }
+  }
+}
+
+module.exports = MemoryCache;
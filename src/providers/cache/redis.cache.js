@@ -0,0 +1,150 @@
+/**
+ * Redis Cache
+ * Shared by every replica pointed at the same Redis-protocol server. Each
+ * namespace keeps its values under their own keys (with a TTL), a sorted set
+ * of keys by last access for LRU, and a hash of value sizes so the namespace
+ * stays within maxBytes. Every operation is one Lua script, so replicas never
+ * see the bookkeeping half done. Scripts touch keys they derive themselves,
+ * so this targets a single Redis instance, not Redis Cluster.
+ */
+
+const Cache = require('./base.cache');
+const { RedisClient } = require('./redis.client');
+
+// KEYS: value, lru, sizes, meta  ARGV: member, now
+const GET_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if value then
+  redis.call('ZADD', KEYS[2], 'XX', ARGV[2], ARGV[1])
+  redis.call('HINCRBY', KEYS[4], 'hits', 1)
+  return value
+end
+local size = redis.call('HGET', KEYS[3], ARGV[1])
+if size then
+  redis.call('HDEL', KEYS[3], ARGV[1])
+  redis.call('ZREM', KEYS[2], ARGV[1])
+  redis.call('HINCRBY', KEYS[4], 'bytes', -tonumber(size))
+end
+redis.call('HINCRBY', KEYS[4], 'misses', 1)
+return false
+`;
+
+// KEYS: value, lru, sizes, meta  ARGV: member, text, bytes, ttlMs, now, maxBytes, value key prefix
+// Returns the number of entries evicted to make room
+const SET_SCRIPT = `
+local previous = tonumber(redis.call('HGET', KEYS[3], ARGV[1]) or '0')
+redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[4])
+redis.call('ZADD', KEYS[2], ARGV[5], ARGV[1])
+redis.call('HSET', KEYS[3], ARGV[1], ARGV[3])
+local total = redis.call('HINCRBY', KEYS[4], 'bytes', tonumber(ARGV[3]) - previous)
+local evicted = 0
+while total > tonumber(ARGV[6]) do
+  local oldest = redis.call('ZRANGE', KEYS[2], 0, 0)[1]
+  if not oldest or oldest == ARGV[1] then break end
+  local size = tonumber(redis.call('HGET', KEYS[3], oldest) or '0')
+  redis.call('ZREM', KEYS[2], oldest)
+  redis.call('HDEL', KEYS[3], oldest)
+  redis.call('DEL', ARGV[7] .. oldest)
+  total = redis.call('HINCRBY', KEYS[4], 'bytes', -size)
+  evicted = evicted + 1
+end
+return evicted
+`;
+
+// KEYS: value, lru, sizes, meta  ARGV: member
+const DELETE_SCRIPT = `
+redis.call('DEL', KEYS[1])
+local size = redis.call('HGET', KEYS[3], ARGV[1])
+if size then
+  redis.call('HDEL', KEYS[3], ARGV[1])
+  redis.call('ZREM', KEYS[2], ARGV[1])
+  redis.call('HINCRBY', KEYS[4], 'bytes', -tonumber(size))
+end
+return 1
+`;
+
+// KEYS: lru, sizes, meta  ARGV: value key prefix
+const CLEAR_SCRIPT = `
+for _, member in ipairs(redis.call('ZRANGE', KEYS[1], 0, -1)) do
+  redis.call('DEL', ARGV[1] .. member)
+end
+redis.call('DEL', KEYS[1], KEYS[2], KEYS[3])
+return 1
+`;
+
+// One connection per server, shared by every namespace
+const clients = new Map();
+
+const getClient = (url) => {
+  if (!clients.has(url)) clients.set(url, new RedisClient(url));
+  return clients.get(url);
+};
+
+class RedisCache extends Cache {
+  /**
+   * @param {Object} options - cache options plus { url, keyPrefix }
+   */
+  constructor({ url, keyPrefix = '', ...options }) {
+    super({ ...options, name: 'redis' });
+    this.client = getClient(url);
+    this.base = `${keyPrefix}${this.namespace}:`;
+    this.valuePrefix = `${this.base}v:`;
+    this.lruKey = `${this.base}lru`;
+    this.sizesKey = `${this.base}sizes`;
+    this.metaKey = `${this.base}meta`;
+  }
+
+  keys(key) {
+    return [`${this.valuePrefix}${key}`, this.lruKey, this.sizesKey, this.metaKey];
+  }
+
+  async read(key) {
+    return this.client.command('EVAL', GET_SCRIPT, 4, ...this.keys(key), key, Date.now());
+  }
+
+  async write(key, text, bytes, ttlMs) {
+    const evicted = await this.client.command(
+      'EVAL',
+      SET_SCRIPT,
+      4,
+      ...this.keys(key),
+      key,
+      text,
+      bytes,
+      ttlMs,
+      Date.now(),
+      this.maxBytes,
+      this.valuePrefix
+    );
+    this.metrics.evictions += evicted;
+  }
+
+  async remove(key) {
+    await this.client.command('EVAL', DELETE_SCRIPT, 4, ...this.keys(key), key);
+  }
+
+  async removeAll() {
+    await this.client.command('EVAL', CLEAR_SCRIPT, 3, this.lruKey, this.sizesKey, this.metaKey, this.valuePrefix);
+  }
+
+  /**
+   * Contents and hit/miss counts across all replicas
+   */
+  async describe() {
+    const [entries, meta] = await Promise.all([this.client.command('ZCARD', this.lruKey), this.client.command('HGETALL', this.metaKey)]);
+    const fields = {};
+    for (let i = 0; i < meta.length; i += 2) fields[meta[i]] = Number(meta[i + 1]);
+
+    return {
+      entries,
+      bytes: fields.bytes || 0,
+      shared: { hits: fields.hits || 0, misses: fields.misses || 0 },
+    };
+  }
+
+  async close() {
+    await this.client.close();
+  }
+}
+
+module.exports = RedisCache;
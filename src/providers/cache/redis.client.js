@@ -0,0 +1,223 @@
+/**
+ * Redis Client
+ * Minimal RESP2 client over one connection: commands are pipelined and
+ * replies matched in order. Connects lazily, reconnects on the next command
+ * after a short pause, and works with any Redis-protocol server (Redis,
+ * Valkey, KeyDB, Dragonfly). Supports redis:// and rediss:// URLs with
+ * optional username, password and database number.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const logger = require('../../utils/logger');
+
+const CONNECT_TIMEOUT_MS = 5000;
+const COMMAND_TIMEOUT_MS = 2000;
+const RECONNECT_DELAY_MS = 1000; // fail fast instead of reconnecting on every command
+
+class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+const encodeCommand = (args) => {
+  const parts = [`*${args.length}\r\n`];
+  args.forEach((arg) => {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  });
+  return parts.join('');
+};
+
+/**
+ * Parse one reply starting at `start`; null when the buffer doesn't hold all of it yet
+ */
+const parseReply = (buffer, start) => {
+  const lineEnd = buffer.indexOf('\r\n', start);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let offset = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, offset);
+        if (!item) return null;
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type "${type}"`);
+  }
+};
+
+class RedisClient {
+  constructor(url) {
+    const parsed = new URL(url);
+    this.options = {
+      host: parsed.hostname,
+      port: parseInt(parsed.port, 10) || 6379,
+      tls: parsed.protocol === 'rediss:',
+      username: decodeURIComponent(parsed.username),
+      password: decodeURIComponent(parsed.password),
+      db: parseInt(parsed.pathname.slice(1), 10) || 0,
+    };
+
+    this.socket = null;
+    this.ready = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    this.failedAt = 0;
+  }
+
+  /**
+   * Send a command and resolve with its reply; error replies reject
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  connect() {
+    if (this.ready) return this.ready;
+
+    if (Date.now() - this.failedAt < RECONNECT_DELAY_MS) {
+      return Promise.reject(new RedisError('Redis is unavailable'));
+    }
+
+    this.ready = new Promise((resolve, reject) => {
+      const { host, port } = this.options;
+      const socket = this.options.tls ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+      const connectEvent = this.options.tls ? 'secureConnect' : 'connect';
+
+      const timer = setTimeout(() => socket.destroy(new RedisError('Redis connection timed out')), CONNECT_TIMEOUT_MS);
+
+      socket.once(connectEvent, async () => {
+        clearTimeout(timer);
+        socket.setNoDelay(true);
+
+        try {
+          const { username, password, db } = this.options;
+          if (password) await this.send(username ? ['AUTH', username, password] : ['AUTH', password]);
+          if (db) await this.send(['SELECT', db]);
+          resolve();
+        } catch (error) {
+          socket.destroy(error);
+        }
+      });
+
+      socket.on('data', (chunk) => this.onData(chunk));
+
+      socket.on('error', (error) => {
+        clearTimeout(timer);
+        logger.warn('Redis connection error', { message: error.message });
+        reject(error);
+      });
+
+      socket.on('close', () => {
+        clearTimeout(timer);
+        this.reset(new RedisError('Redis connection closed'));
+        reject(new RedisError('Redis connection closed'));
+      });
+
+      this.socket = socket;
+    });
+
+    return this.ready;
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const request = {
+        resolve,
+        reject,
+        // Replies are matched by order, so a lost reply means the connection can't be trusted
+        timer: setTimeout(() => this.socket?.destroy(new RedisError(`Redis ${args[0]} timed out`)), COMMAND_TIMEOUT_MS),
+      };
+      this.pending.push(request);
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let offset = 0;
+    while (offset < this.buffer.length) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer, offset);
+      } catch (error) {
+        this.socket.destroy(error);
+        return;
+      }
+      if (!reply) break;
+
+      offset = reply.offset;
+      const request = this.pending.shift();
+      if (!request) continue;
+
+      clearTimeout(request.timer);
+      if (reply.value instanceof RedisError) request.reject(reply.value);
+      else request.resolve(reply.value);
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  /**
+   * Fail everything in flight and start over on the next command
+   */
+  reset(error) {
+    this.pending.forEach((request) => {
+      clearTimeout(request.timer);
+      request.reject(error);
+    });
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    this.socket = null;
+    this.ready = null;
+    this.failedAt = Date.now();
+  }
+
+  async close() {
+    if (!this.socket) return;
+
+    const socket = this.socket;
+    try {
+      await this.send(['QUIT']);
+    } catch (error) {
+      // Closing anyway
+    }
+    socket.destroy();
+  }
+}
+
+module.exports = {
+  RedisClient,
+  RedisError,
+  parseReply,
+};
@@ -0,0 +1,56 @@
+/**
+ * LLM Provider Interface
+ * Every provider turns chat messages into a completion and reports token usage
+ * in the same shape, so the planner never depends on a specific SDK.
+ */
+
+class LLMProvider {
+  constructor({ name, defaultModel }) {
+    this.name = name;
+    this.defaultModel = defaultModel;
+  }
+
+  /**
+   * Whether the provider can be used with the current configuration
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Blocking completion
+   * @param {Object} request - { messages, model, temperature, maxTokens, responseFormat }
+   *   responseFormat is { type: 'json_object' } or { type: 'json_schema', json_schema: { name, schema } }
+   * @param {Object} options - { signal }
+   * @returns {Promise<{ content: string, usage: Object, model: string }>}
+   */
+  async complete(request, options = {}) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Streaming completion
+   * @returns {AsyncIterable<{ delta?: string, usage?: Object }>}
+   */
+  async *stream(request, options = {}) {
+    // Fall back to a single chunk for providers without native streaming
+    const { content, usage } = await this.complete(request, options);
+    yield { delta: content };
+    yield { usage };
+  }
+
+  /**
+   * Normalize OpenAI-style usage to camelCase
+   */
+  normalizeUsage(usage) {
+    if (!usage) return null;
+
+    return {
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens,
+      totalTokens: usage.total_tokens,
+    };
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,58 @@
+/**
+ * LLM Provider Registry
+ * Resolves the provider used for a request (per-request override or LLM_PROVIDER)
+ */
+
+const OpenAIProvider = require('./openai.provider');
+const LocalProvider = require('./local.provider');
+const MockProvider = require('./mock.provider');
+const { env, LLM_PROVIDERS } = require('../../config/env');
+const { AppError } = require('../../middlewares/error.middleware');
+
+const factories = {
+  openai: () => new OpenAIProvider(),
+  local: () => new LocalProvider(),
+  mock: () => new MockProvider(),
+};
+
+const instances = new Map();
+
+/**
+ * Get a provider by name, defaulting to LLM_PROVIDER
+ */
+const getProvider = (name = env.LLM_PROVIDER) => {
+  if (!factories[name]) {
+    throw new AppError(`Unknown LLM provider "${name}". Use one of: ${LLM_PROVIDERS.join(', ')}`, 400);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+
+  const provider = instances.get(name);
+  if (!provider.isAvailable()) {
+    throw new AppError(`LLM provider "${name}" is not configured on this server`, 400);
+  }
+
+  return provider;
+};
+
+/**
+ * List providers and whether each is configured
+ */
+const listProviders = () => {
+  return LLM_PROVIDERS.map((name) => {
+    const provider = instances.get(name) || factories[name]();
+    return {
+      name,
+      defaultModel: provider.defaultModel,
+      available: provider.isAvailable(),
+      isDefault: name === env.LLM_PROVIDER,
+    };
+  });
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+};
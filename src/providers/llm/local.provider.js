@@ -0,0 +1,28 @@
+/**
+ * Local Provider
+ * Any server exposing the OpenAI chat completions API (Ollama, LM Studio, vLLM, llama.cpp)
+ */
+
+const OpenAIProvider = require('./openai.provider');
+const { env } = require('../../config/env');
+
+class LocalProvider extends OpenAIProvider {
+  constructor() {
+    super({
+      name: 'local',
+      defaultModel: env.LOCAL_LLM_MODEL,
+      apiKey: env.LOCAL_LLM_API_KEY,
+      baseURL: env.LOCAL_LLM_BASE_URL,
+      // Some local servers reject response_format; disable with LOCAL_LLM_JSON_MODE=false
+      jsonMode: env.LOCAL_LLM_JSON_MODE,
+      // JSON schema structured output is opt-in; not every server supports it
+      structuredOutput: env.LOCAL_LLM_STRUCTURED_OUTPUT,
+    });
+  }
+
+  isAvailable() {
+    return !!this.baseURL;
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,146 @@
+/**
+ * Mock Provider
+ * Deterministic, offline provider that answers from JSON fixtures.
+ * Generation requests get a fixture chosen from the prompt; fixtures are in
+ * feet and declare it, and the planner converts them to the requested units
+ * like any other response. Refinement requests echo the current plan back
+ * unchanged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LLMProvider = require('./base.provider');
+const { env } = require('../../config/env');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_FIXTURE = 'residential';
+const STREAM_CHUNK_SIZE = 200; // characters per streamed chunk
+
+// Prompt keywords that select a non-default fixture
+const FIXTURE_KEYWORDS = {
+  commercial: ['commercial', 'office', 'bank', 'clinic', 'hospital', 'school', 'restaurant', 'retail', 'warehouse'],
+};
+
+const CURRENT_PLAN_MARKER = 'CURRENT PLAN (JSON):\n';
+
+class MockProvider extends LLMProvider {
+  constructor() {
+    super({ name: 'mock', defaultModel: 'mock-fixture' });
+    this.fixtures = new Map();
+  }
+
+  async complete(request, options = {}) {
+    await this.simulateLatency(options.signal);
+
+    const content = this.buildContent(request.messages);
+
+    return {
+      content,
+      usage: this.estimateUsage(request.messages, content),
+      model: request.model || this.defaultModel,
+    };
+  }
+
+  async *stream(request, options = {}) {
+    await this.simulateLatency(options.signal);
+
+    const content = this.buildContent(request.messages);
+
+    for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+      if (options.signal?.aborted) {
+        throw new Error('Request was aborted.');
+      }
+      yield { delta: content.slice(i, i + STREAM_CHUNK_SIZE) };
+    }
+
+    yield { usage: this.estimateUsage(request.messages, content) };
+  }
+
+  buildContent(messages) {
+    const lastUserMessage = [...messages].reverse().find((message) => message.role === 'user')?.content || '';
+
+    const currentPlan = this.extractCurrentPlan(lastUserMessage);
+    if (currentPlan) {
+      return currentPlan;
+    }
+
+    return JSON.stringify(this.loadFixture(this.selectFixture(lastUserMessage)));
+  }
+
+  /**
+   * Refinement prompts embed the current plan on the line after the marker
+   */
+  extractCurrentPlan(message) {
+    const start = message.indexOf(CURRENT_PLAN_MARKER);
+    if (start === -1) return null;
+
+    const planLine = message.slice(start + CURRENT_PLAN_MARKER.length).split('\n')[0];
+    try {
+      return JSON.stringify(JSON.parse(planLine));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  selectFixture(prompt) {
+    if (env.MOCK_LLM_FIXTURE) {
+      return env.MOCK_LLM_FIXTURE;
+    }
+
+    // Code, units and strategy sections mention room types of their own; only the request itself picks the fixture
+    const promptLower = prompt.split(/\n\n(?:BUILDING CODE|UNITS:|LAYOUT STRATEGY)/)[0].toLowerCase();
+    for (const [fixture, keywords] of Object.entries(FIXTURE_KEYWORDS)) {
+      if (keywords.some((keyword) => promptLower.includes(keyword))) {
+        return fixture;
+      }
+    }
+
+    return DEFAULT_FIXTURE;
+  }
+
+  loadFixture(name) {
+    if (!this.fixtures.has(name)) {
+      const fixturePath = path.join(FIXTURES_DIR, `${path.basename(name)}.json`);
+      if (!fs.existsSync(fixturePath)) {
+        throw new Error(`Mock LLM fixture "${name}" not found`);
+      }
+      this.fixtures.set(name, JSON.parse(fs.readFileSync(fixturePath, 'utf8')));
+    }
+
+    return this.fixtures.get(name);
+  }
+
+  /**
+   * Rough token estimate (~4 characters per token) so usage accounting still works offline
+   */
+  estimateUsage(messages, content) {
+    const promptChars = messages.reduce((sum, message) => sum + (message.content?.length || 0), 0);
+    const promptTokens = Math.ceil(promptChars / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+    };
+  }
+
+  simulateLatency(signal) {
+    if (!env.MOCK_LLM_DELAY_MS) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Request was aborted.'));
+      };
+      // Drop the listener once the delay is over so long-lived signals don't collect one per call
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, env.MOCK_LLM_DELAY_MS);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,90 @@
+/**
+ * OpenAI Provider
+ * Chat completions through the official OpenAI SDK
+ */
+
+const LLMProvider = require('./base.provider');
+const { createOpenAIClient } = require('../../config/openai');
+const { env } = require('../../config/env');
+
+class OpenAIProvider extends LLMProvider {
+  constructor({
+    name = 'openai',
+    defaultModel = env.OPENAI_MODEL,
+    apiKey = env.OPENAI_API_KEY,
+    baseURL,
+    jsonMode = true,
+    structuredOutput = true,
+  } = {}) {
+    super({ name, defaultModel });
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.jsonMode = jsonMode;
+    this.structuredOutput = structuredOutput;
+    this.client = null;
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  // Created on first use so a missing key only matters when this provider is selected
+  getClient() {
+    if (!this.client) {
+      this.client = createOpenAIClient({ apiKey: this.apiKey, baseURL: this.baseURL });
+    }
+    return this.client;
+  }
+
+  buildParams({ messages, model, temperature, maxTokens, responseFormat }) {
+    const params = {
+      model: model || this.defaultModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+    };
+
+    if (responseFormat && this.jsonMode) {
+      // Servers without JSON schema support still get plain JSON mode
+      params.response_format =
+        responseFormat.type === 'json_schema' && !this.structuredOutput ? { type: 'json_object' } : responseFormat;
+    }
+
+    return params;
+  }
+
+  async complete(request, { signal } = {}) {
+    const params = this.buildParams(request);
+    const response = await this.getClient().chat.completions.create(params, { signal });
+
+    return {
+      content: response.choices[0]?.message?.content,
+      usage: this.normalizeUsage(response.usage),
+      model: response.model || params.model,
+    };
+  }
+
+  async *stream(request, { signal } = {}) {
+    const stream = await this.getClient().chat.completions.create(
+      {
+        ...this.buildParams(request),
+        stream: true,
+        stream_options: { include_usage: true },
+      },
+      { signal }
+    );
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        yield { delta };
+      }
+
+      if (chunk.usage) {
+        yield { usage: this.normalizeUsage(chunk.usage) };
+      }
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
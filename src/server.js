@@ -1,5 +1,6 @@
 const { env, validateEnv } = require('./config/env');
 const { connectDB, disconnectDB } = require('./config/db');
+const { closeCaches } = require('./providers/cache');
 const app = require('./app');
 const logger = require('./utils/logger');
 
@@ -23,6 +24,7 @@ const startServer = async () => {
         logger.info('HTTP server closed');
 
         await disconnectDB();
+        await closeCaches();
 
         logger.info('Graceful shutdown completed');
         process.exit(0);
@@ -0,0 +1,128 @@
+/**
+ * Convert a Zod schema to JSON Schema (draft-07 subset) for LLM structured output.
+ * Covers the Zod types used by the plan schema; anything else becomes an open schema.
+ *
+ * options.strict: emit the subset strict structured output accepts - every
+ * property required (optional ones become nullable), no additional properties
+ * and no length or range keywords. The Zod schema still enforces those limits
+ * when the response is validated.
+ */
+const toJsonSchema = (schema, options = {}) => {
+  const { strict = false } = options;
+  const { typeName } = schema._def;
+  const convert = (inner) => toJsonSchema(inner, options);
+  let result;
+
+  switch (typeName) {
+    case 'ZodObject': {
+      const properties = {};
+      const required = [];
+
+      Object.entries(schema.shape).forEach(([key, value]) => {
+        if (strict) {
+          properties[key] = value.isOptional() ? { anyOf: [convert(value), { type: 'null' }] } : convert(value);
+          required.push(key);
+          return;
+        }
+
+        properties[key] = convert(value);
+        if (!value.isOptional()) required.push(key);
+      });
+
+      result = { type: 'object', properties, additionalProperties: !strict && schema._def.unknownKeys === 'passthrough' };
+      if (required.length > 0) result.required = required;
+      break;
+    }
+
+    case 'ZodArray': {
+      result = { type: 'array', items: convert(schema.element) };
+      if (strict) break;
+      if (schema._def.minLength) result.minItems = schema._def.minLength.value;
+      if (schema._def.maxLength) result.maxItems = schema._def.maxLength.value;
+      break;
+    }
+
+    case 'ZodString': {
+      result = { type: 'string' };
+      schema._def.checks.forEach((check) => {
+        if (strict) return;
+        if (check.kind === 'min') result.minLength = check.value;
+        if (check.kind === 'max') result.maxLength = check.value;
+      });
+      break;
+    }
+
+    case 'ZodNumber': {
+      result = { type: 'number' };
+      schema._def.checks.forEach((check) => {
+        if (check.kind === 'int') result.type = 'integer';
+        if (strict) return;
+        if (check.kind === 'min') result[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+        if (check.kind === 'max') result[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+      });
+      break;
+    }
+
+    case 'ZodBoolean':
+      result = { type: 'boolean' };
+      break;
+
+    case 'ZodEnum':
+      result = { type: 'string', enum: [...schema.options] };
+      break;
+
+    case 'ZodLiteral':
+      result = { const: schema.value };
+      break;
+
+    case 'ZodUnion':
+      result = { anyOf: schema.options.map(convert) };
+      break;
+
+    case 'ZodRecord':
+      result = { type: 'object', additionalProperties: convert(schema._def.valueType) };
+      break;
+
+    case 'ZodOptional':
+      result = convert(schema.unwrap());
+      break;
+
+    case 'ZodNullable':
+      result = { anyOf: [convert(schema.unwrap()), { type: 'null' }] };
+      break;
+
+    case 'ZodDefault':
+      result = convert(schema._def.innerType);
+      break;
+
+    case 'ZodEffects':
+      result = convert(schema._def.schema);
+      break;
+
+    default:
+      result = {};
+  }
+
+  if (schema.description) {
+    result.description = schema.description;
+  }
+
+  return result;
+};
+
+/**
+ * Drop null object properties, recursively: strict structured output sends
+ * null for optional fields the model leaves out, where Zod expects them absent
+ */
+const withoutNulls = (value) => {
+  if (Array.isArray(value)) return value.map(withoutNulls);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, entry]) => entry !== null)
+      .map(([key, entry]) => [key, withoutNulls(entry)])
+  );
+};
+
+module.exports = { toJsonSchema, withoutNulls };
@@ -0,0 +1,47 @@
+const HEARTBEAT_INTERVAL = 15000; // ms - keeps proxies from closing idle streams
+
+/**
+ * Open a Server-Sent Events stream on an Express response
+ */
+const openEventStream = (res) => {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable response buffering on nginx-style proxies
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  let closed = false;
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      if (!closed) {
+        closed = true;
+        res.end();
+      }
+    },
+
+    get closed() {
+      return closed;
+    },
+  };
+};
+
+module.exports = { openEventStream };
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryCache = require('../../src/providers/cache/memory.cache');
+
+// Every value below serializes to 10 bytes: '"' + 8 characters + '"'
+const value = (name) => name.padEnd(8, '.');
+
+const cache = (options = {}) => new MemoryCache({ namespace: 'test', ttlMs: 60000, maxBytes: 30, ...options });
+
+// Date.now drives expiry; pin it so tests don't depend on the clock
+const clock = (t, start = 1000000) => {
+  let now = start;
+  t.mock.method(Date, 'now', () => now);
+  return { advance: (ms) => (now += ms) };
+};
+
+test('evicts the least recently used entries once the namespace is over maxBytes', async (t) => {
+  clock(t);
+  const lru = cache();
+  await lru.set('a', value('a'));
+  await lru.set('b', value('b'));
+  await lru.set('c', value('c'));
+
+  // Reading a makes b the least recently used
+  assert.equal(await lru.get('a'), value('a'));
+  await lru.set('d', value('d'));
+
+  assert.equal(await lru.get('b'), null);
+  assert.equal(await lru.get('a'), value('a'));
+  assert.deepEqual(await lru.describe(), { entries: 3, bytes: 30 });
+  assert.equal(lru.metrics.evictions, 1);
+});
+
+test('expires entries after their TTL', async (t) => {
+  const time = clock(t);
+  const lru = cache();
+  await lru.set('short', value('short'), { ttlMs: 100 });
+  await lru.set('long', value('long'));
+
+  time.advance(99);
+  assert.equal(await lru.get('short'), value('short'));
+
+  time.advance(1);
+  assert.equal(await lru.get('short'), null);
+  assert.equal(await lru.get('long'), value('long'));
+  assert.deepEqual(await lru.describe(), { entries: 1, bytes: 10 });
+});
+
+test('drops expired entries before evicting live ones', async (t) => {
+  const time = clock(t);
+  const lru = cache();
+  await lru.set('a', value('a'));
+  await lru.set('b', value('b'), { ttlMs: 100 });
+  await lru.set('c', value('c'));
+
+  time.advance(100);
+  await lru.set('d', value('d'));
+
+  assert.equal(await lru.get('a'), value('a'));
+  assert.equal(lru.metrics.evictions, 0);
+  assert.deepEqual(await lru.describe(), { entries: 3, bytes: 30 });
+});
+
+test('replaces an entry without counting its old size', async (t) => {
+  clock(t);
+  const lru = cache();
+  await lru.set('a', value('a'));
+  await lru.set('a', { longer: value('a') });
+
+  assert.deepEqual(await lru.get('a'), { longer: value('a') });
+  assert.deepEqual(await lru.describe(), { entries: 1, bytes: Buffer.byteLength(JSON.stringify({ longer: value('a') })) });
+});
+
+test('skips values larger than maxEntryBytes', async (t) => {
+  clock(t);
+  const lru = cache({ maxEntryBytes: 10 });
+
+  assert.equal(await lru.set('big', 'x'.repeat(20)), false);
+  assert.equal(await lru.set('small', value('small')), true);
+
+  const stats = await lru.stats();
+  assert.equal(stats.oversized, 1);
+  assert.equal(stats.entries, 1);
+});
+
+test('returns a fresh copy of each value, Buffers included', async (t) => {
+  clock(t);
+  const lru = cache({ maxBytes: 1000 });
+  const stored = { name: 'plan', content: Buffer.from('DXF') };
+  await lru.set('file', stored);
+
+  const first = await lru.get('file');
+  first.name = 'changed';
+
+  const second = await lru.get('file');
+  assert.equal(second.name, 'plan');
+  assert.ok(Buffer.isBuffer(second.content));
+  assert.equal(second.content.toString(), 'DXF');
+});
+
+test('counts hits and misses', async (t) => {
+  clock(t);
+  const lru = cache();
+  await lru.set('a', value('a'));
+  await lru.get('a');
+  await lru.get('missing');
+  await lru.get('missing');
+
+  const { hits, misses, hitRate } = await lru.stats();
+  assert.deepEqual({ hits, misses, hitRate }, { hits: 1, misses: 2, hitRate: 0.3333 });
+});
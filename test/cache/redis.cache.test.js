@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RedisCache = require('../../src/providers/cache/redis.cache');
+const { RedisError } = require('../../src/providers/cache/redis.client');
+
+// The Lua scripts need a real server; these tests check what the cache sends and how it reads the replies
+const cache = (t, reply) => {
+  const redis = new RedisCache({ namespace: 'plans', url: 'redis://127.0.0.1:6379', keyPrefix: 'afp:', ttlMs: 60000, maxBytes: 1000 });
+  const command = t.mock.fn(reply);
+  redis.client = { command };
+  return { redis, command };
+};
+
+const KEYS = ['afp:plans:v:key', 'afp:plans:lru', 'afp:plans:sizes', 'afp:plans:meta'];
+
+test('stores a value with its size, TTL and the namespace limit in one script call', async (t) => {
+  t.mock.method(Date, 'now', () => 1700000000000);
+  const { redis, command } = cache(t, async () => 2);
+
+  assert.equal(await redis.set('key', { rooms: 3 }, { ttlMs: 5000 }), true);
+
+  const [name, script, keyCount, ...args] = command.mock.calls[0].arguments;
+  assert.equal(name, 'EVAL');
+  assert.match(script, /ZADD/);
+  assert.equal(keyCount, 4);
+  assert.deepEqual(args, [...KEYS, 'key', '{"rooms":3}', 11, 5000, 1700000000000, 1000, 'afp:plans:v:']);
+  assert.equal(redis.metrics.evictions, 2);
+});
+
+test('reads a value back and counts a null reply as a miss', async (t) => {
+  const { redis, command } = cache(t, async () => '{"rooms":3}');
+
+  assert.deepEqual(await redis.get('key'), { rooms: 3 });
+  assert.deepEqual(command.mock.calls[0].arguments.slice(2, 7), [4, ...KEYS]);
+
+  command.mock.mockImplementation(async () => null);
+  assert.equal(await redis.get('key'), null);
+  assert.deepEqual([redis.metrics.hits, redis.metrics.misses], [1, 1]);
+});
+
+test('clears the namespace through its own keys', async (t) => {
+  const { redis, command } = cache(t, async () => 1);
+
+  await redis.delete('key');
+  await redis.clear();
+
+  assert.deepEqual(command.mock.calls[0].arguments.slice(2), [4, ...KEYS, 'key']);
+  assert.deepEqual(command.mock.calls[1].arguments.slice(2), [3, 'afp:plans:lru', 'afp:plans:sizes', 'afp:plans:meta', 'afp:plans:v:']);
+});
+
+test('reports shared contents and counters from the namespace keys', async (t) => {
+  const { redis } = cache(t, async (name) => (name === 'ZCARD' ? 4 : ['bytes', '512', 'hits', '10', 'misses', '3']));
+
+  const stats = await redis.stats();
+
+  assert.equal(stats.entries, 4);
+  assert.equal(stats.bytes, 512);
+  assert.deepEqual(stats.shared, { hits: 10, misses: 3 });
+});
+
+test('treats a server error as a miss instead of failing the request', async (t) => {
+  const { redis } = cache(t, async () => {
+    throw new RedisError('Redis is unavailable');
+  });
+
+  assert.equal(await redis.get('key'), null);
+  assert.equal(await redis.set('key', 'value'), false);
+  assert.equal(redis.metrics.errors, 2);
+});
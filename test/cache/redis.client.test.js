@@ -0,0 +1,184 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { RedisClient, RedisError, parseReply } = require('../../src/providers/cache/redis.client');
+
+const parse = (text) => parseReply(Buffer.from(text), 0);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Redis-protocol server on a free port; `handle(args, socket)` returns the raw reply, or
+ * nothing to stay silent. Requests are parsed with the client's own parser.
+ */
+const startServer = async (t, handle) => {
+  const commands = [];
+  const sockets = new Set();
+  let connections = 0;
+
+  const server = net.createServer((socket) => {
+    connections++;
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let request;
+      while ((request = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(request.offset);
+        commands.push(request.value);
+        const reply = handle(request.value, socket);
+        if (reply !== undefined) socket.write(reply);
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    sockets.forEach((socket) => socket.destroy());
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    commands,
+    connections: () => connections,
+  };
+};
+
+const replies = ([name, ...args], socket) => {
+  switch (name) {
+    case 'PING':
+      return '+PONG\r\n';
+    case 'ECHO':
+      return `$${Buffer.byteLength(args[0])}\r\n${args[0]}\r\n`;
+    case 'AUTH':
+    case 'SELECT':
+    case 'QUIT':
+      return '+OK\r\n';
+    case 'DROP':
+      socket.destroy();
+      return undefined;
+    case 'HANG':
+      return undefined;
+    default:
+      return `-ERR unknown command '${name}'\r\n`;
+  }
+};
+
+test('parses simple, error, integer and bulk replies', () => {
+  assert.deepEqual(parse('+OK\r\n'), { value: 'OK', offset: 5 });
+  assert.deepEqual(parse(':42\r\n'), { value: 42, offset: 5 });
+  assert.deepEqual(parse('$5\r\nhello\r\n'), { value: 'hello', offset: 11 });
+  assert.deepEqual(parse('$-1\r\n'), { value: null, offset: 5 });
+
+  const { value } = parse('-ERR wrong type\r\n');
+  assert.ok(value instanceof RedisError);
+  assert.equal(value.message, 'ERR wrong type');
+});
+
+test('measures bulk replies in bytes, not characters', () => {
+  const text = 'café ✓';
+  const reply = `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+
+  assert.deepEqual(parse(reply), { value: text, offset: Buffer.byteLength(reply) });
+});
+
+test('parses nested and null arrays', () => {
+  assert.deepEqual(parse('*3\r\n$3\r\nfoo\r\n:1\r\n*2\r\n+a\r\n$-1\r\n').value, ['foo', 1, ['a', null]]);
+  assert.deepEqual(parse('*0\r\n').value, []);
+  assert.equal(parse('*-1\r\n').value, null);
+});
+
+test('waits for the rest of a reply that is cut short', () => {
+  ['', '+OK', '$5\r\nhel', '$5\r\nhello', '*2\r\n$3\r\nfoo\r\n', '*2\r\n$3\r\nfoo\r\n:1'].forEach((partial) => {
+    assert.equal(parse(partial), null, JSON.stringify(partial));
+  });
+});
+
+test('rejects replies of an unknown type', () => {
+  assert.throws(() => parse('!oops\r\n'), RedisError);
+});
+
+test('matches replies split across chunks to the commands in order', () => {
+  const client = new RedisClient('redis://127.0.0.1');
+  const settled = [];
+  client.socket = { destroy: () => assert.fail('connection should stay open') };
+  client.pending = ['first', 'second', 'third'].map((name) => ({
+    timer: null,
+    resolve: (value) => settled.push([name, value]),
+    reject: (error) => settled.push([name, error.message]),
+  }));
+
+  const stream = Buffer.from('$11\r\nhello world\r\n-ERR nope\r\n*2\r\n:1\r\n:2\r\n');
+  for (let i = 0; i < stream.length; i += 3) client.onData(stream.subarray(i, i + 3));
+
+  assert.deepEqual(settled, [
+    ['first', 'hello world'],
+    ['second', 'ERR nope'],
+    ['third', [1, 2]],
+  ]);
+  assert.equal(client.buffer.length, 0);
+});
+
+test('pipelines commands over one connection and rejects error replies', async (t) => {
+  const server = await startServer(t, replies);
+  const client = new RedisClient(server.url);
+  t.after(() => client.close());
+
+  const results = await Promise.allSettled([client.command('PING'), client.command('ECHO', 'plan ✓'), client.command('NOPE')]);
+
+  assert.deepEqual(results.slice(0, 2).map((result) => result.value), ['PONG', 'plan ✓']);
+  assert.ok(results[2].reason instanceof RedisError);
+  assert.equal(results[2].reason.message, "ERR unknown command 'NOPE'");
+  assert.equal(await client.command('PING'), 'PONG');
+  assert.equal(server.connections(), 1);
+});
+
+test('authenticates and selects the database from the URL before the first command', async (t) => {
+  const server = await startServer(t, replies);
+  const client = new RedisClient(`${server.url.replace('//', '//cache:s%40cret@')}/3`);
+  t.after(() => client.close());
+
+  await client.command('PING');
+
+  assert.deepEqual(server.commands, [['AUTH', 'cache', 's@cret'], ['SELECT', '3'], ['PING']]);
+});
+
+test('sends script arguments as bulk strings', async (t) => {
+  const server = await startServer(t, () => ':0\r\n');
+  const client = new RedisClient(server.url);
+  t.after(() => client.close());
+
+  await client.command('EVAL', "return redis.call('GET', KEYS[1])", 1, 'plans:v:key', 12.5);
+
+  assert.deepEqual(server.commands, [['EVAL', "return redis.call('GET', KEYS[1])", '1', 'plans:v:key', '12.5']]);
+});
+
+test('fails commands in flight when the connection drops and reconnects after a pause', async (t) => {
+  const server = await startServer(t, replies);
+  const client = new RedisClient(server.url);
+  t.after(() => client.close());
+
+  await client.command('PING');
+  await assert.rejects(client.command('DROP'), { message: 'Redis connection closed' });
+
+  // Within the reconnect pause commands fail fast instead of dialling again
+  await assert.rejects(client.command('PING'), { message: 'Redis is unavailable' });
+  assert.equal(server.connections(), 1);
+
+  await sleep(1100);
+  assert.equal(await client.command('PING'), 'PONG');
+  assert.equal(server.connections(), 2);
+});
+
+test('drops the connection when a reply does not arrive in time', async (t) => {
+  const server = await startServer(t, replies);
+  const client = new RedisClient(server.url);
+  t.after(() => client.close());
+
+  await client.command('PING');
+  await assert.rejects(client.command('HANG'), { message: 'Redis connection closed' });
+  assert.equal(client.socket, null);
+});
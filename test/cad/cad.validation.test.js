@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCadDownload, validateCadDxf } = require('../../src/modules/cad/cad.validation');
+const residential = require('../../src/providers/llm/fixtures/residential.json');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64');
+
+const paths = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    assert.equal(error.name, 'ZodError');
+    return error.errors.map((issue) => issue.path.join('.'));
+  }
+  assert.fail('expected a validation error');
+};
+
+test('accepts a quick DXF request with a valid plan and fills in the defaults', () => {
+  const { floorIndex, scale, wallStyle } = validateCadDxf({ planData: residential });
+
+  assert.deepEqual({ floorIndex, scale, wallStyle }, { floorIndex: 0, scale: 1, wallStyle: 'double' });
+});
+
+test('rejects a quick DXF request whose plan does not match the plan schema', () => {
+  const { buildingType, ...planData } = residential;
+
+  assert.ok(paths(() => validateCadDxf({ planData })).includes('planData.buildingType'));
+});
+
+test('decodes the download plan and coerces the query options', () => {
+  const request = validateCadDownload({ format: 'dxf', plan: encode(residential), floor: '0', scale: '2' });
+
+  assert.equal(request.plan.buildingType, residential.buildingType);
+  assert.equal(request.floor, 0);
+  assert.equal(request.scale, 2);
+});
+
+test('rejects a download whose plan is not base64 JSON or fails the plan schema', () => {
+  assert.deepEqual(paths(() => validateCadDownload({ format: 'dxf', plan: 'not a plan' })), ['plan']);
+  assert.ok(paths(() => validateCadDownload({ format: 'dxf', plan: encode({ floors: [] }) })).includes('plan.buildingType'));
+  assert.deepEqual(paths(() => validateCadDownload({ format: 'pdf', plan: encode(residential) })), ['format']);
+});
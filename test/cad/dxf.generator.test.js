@@ -0,0 +1,246 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cadService = require('../../src/modules/cad/cad.service');
+const { generateDXF } = require('../../src/modules/cad/dxf.generator');
+const { parseDXF } = require('../../src/modules/cad/dxf.parser');
+const { convertPlan } = require('../../src/modules/planner/planner.units');
+const { door, plan, room } = require('../helpers/plans');
+const { entities } = require('../helpers/dxf');
+
+// A 10 x 8 bathroom with a basin and electrical and plumbing points, some under other names
+const bathroom = () =>
+  plan(
+    [
+      room('Bath', 'bathroom', 0, 0, 10, 8, {
+        furniture: [{ type: 'basin', position: { x: 0, y: 0 }, dimensions: { width: 2, length: 1.67 }, facing: 'south' }],
+        electricalPoints: [
+          { type: 'Socket', position: { x: 0, y: 4 }, wall: 'west' },
+          { type: 'light', position: { x: 5, y: 4 }, wall: 'ceiling' },
+          { type: 'doorbell', position: { x: 5, y: 0 }, wall: 'north' },
+        ],
+        plumbingPoints: [
+          { type: 'WC', position: { x: 2, y: 7 } },
+          { type: 'bidet', position: { x: 8, y: 7 } },
+        ],
+      }),
+    ],
+    { width: 10, depth: 8 }
+  );
+
+const inserts = (content) =>
+  entities(content, 'INSERT').map((insert) => ({ block: insert[2], layer: insert[8], x: insert[10], y: insert[20], size: insert[41], rotation: insert[50] }));
+
+const blocksOf = (content, prefix) => [...content.matchAll(/\nBLOCK\n8\n0\n2\n(.+)\n/g)].map(([, name]) => name).filter((name) => name.startsWith(prefix));
+
+const textsOf = (content) => entities(content, 'MTEXT').map((text) => text[1]);
+
+test('draws electrical and plumbing points as symbols on their MEP layers', () => {
+  const symbols = inserts(generateDXF(bathroom(), 0)).filter(({ block }) => block.startsWith('MEP-'));
+
+  assert.deepEqual(symbols, [
+    // Turned to lie along the west wall
+    { block: 'MEP-OUTLET', layer: 'E-POWR', x: 0, y: 4, size: 1, rotation: 90 },
+    { block: 'MEP-LIGHT', layer: 'E-LITE', x: 5, y: 4, size: 1, rotation: 0 },
+    // Types without a symbol of their own get the generic one of their kind
+    { block: 'MEP-ELECTRICAL', layer: 'E-POWR', x: 5, y: 0, size: 1, rotation: 0 },
+    { block: 'MEP-TOILET', layer: 'P-FIXT', x: 2, y: 7, size: 1, rotation: 0 },
+    { block: 'MEP-PLUMBING', layer: 'P-FIXT', x: 8, y: 7, size: 1, rotation: 0 },
+  ]);
+});
+
+test('defines a block for every MEP symbol', () => {
+  const blocks = blocksOf(generateDXF(bathroom(), 0), 'MEP-');
+
+  ['OUTLET', 'SWITCH', 'LIGHT', 'FAN', 'AC', 'SINK', 'TOILET', 'SHOWER', 'TUB', 'WASHER', 'DISHWASHER', 'ELECTRICAL', 'PLUMBING'].forEach((symbol) => {
+    assert.ok(blocks.includes(`MEP-${symbol}`), symbol);
+  });
+});
+
+test('sizes MEP symbols for the drawing units', () => {
+  const symbols = inserts(generateDXF(convertPlan(bathroom(), 'metric'), 0)).filter(({ block }) => block.startsWith('MEP-'));
+
+  assert.deepEqual(symbols[0], { block: 'MEP-OUTLET', layer: 'E-POWR', x: 0, y: 1.219, size: 0.3048, rotation: 90 });
+});
+
+test('splits the plan and its MEP points across the architectural and MEP sheets', () => {
+  const layersOf = (content) => [...new Set(inserts(content).map(({ layer }) => layer))];
+  const combined = generateDXF(bathroom(), 0);
+  const architectural = generateDXF(bathroom(), 0, { sheet: 'architectural' });
+  const mep = generateDXF(bathroom(), 0, { sheet: 'mep' });
+
+  assert.deepEqual(layersOf(combined), ['A-FURN', 'E-POWR', 'E-LITE', 'P-FIXT']);
+  assert.deepEqual(layersOf(architectural), ['A-FURN']);
+  assert.deepEqual(layersOf(mep), ['E-POWR', 'E-LITE', 'P-FIXT']);
+
+  // The MEP sheet keeps walls and room names as a background, without sizes, areas or dimensions
+  assert.ok(entities(mep, 'LWPOLYLINE').some((outline) => outline[8] === 'A-WALL'));
+  assert.deepEqual(textsOf(mep).slice(0, 2), ['BATH', 'RESIDENTIAL - MEP']);
+  assert.deepEqual(entities(mep, 'DIMENSION'), []);
+  assert.ok(entities(architectural, 'DIMENSION').length > 0);
+});
+
+test('returns a separate MEP sheet from CAD generation when asked', async () => {
+  const { files } = await cadService.generateCADFiles(bathroom(), { mepSheet: true });
+
+  assert.deepEqual(Object.keys(files), ['dxf', 'mep']);
+  assert.match(files.mep.filename, /^residential-ground-mep-\d+\.dxf$/);
+  assert.equal(inserts(files.dxf.content).some(({ block }) => block.startsWith('MEP-')), false);
+  assert.equal(inserts(files.mep.content).length, 5);
+});
+
+// A 30 x 15 floor of two rooms sharing the wall at x = 20, on a 10 x 7.5 grid
+const gridded = (columns) => {
+  const building = plan([room('Living', 'living', 0, 0, 20, 15), room('Bedroom', 'bedroom', 20, 0, 10, 15)], {
+    width: 30,
+    depth: 15,
+    structuralGrid: { xSpacing: 10, ySpacing: 7.5 },
+  });
+  if (columns) building.floors[0].columns = columns;
+  return building;
+};
+
+const column = (id, x, y, size) => ({ id, position: { x, y }, ...(size && { size }) });
+
+const onLayer = (content, layer, type) => parseDXF(content).entities.filter((entity) => entity.layer === layer && entity.type === type);
+
+test('draws grid lines at the grid spacing with numbered and lettered bubbles', () => {
+  const content = generateDXF(gridded(), 0);
+  const lines = onLayer(content, 'A-GRID', 'line');
+
+  // Numbered lines run north-south and lettered ones east-west, past the dimension strings
+  assert.deepEqual(
+    lines.map(({ start, end }) => [start.x, start.y, end.x, end.y]),
+    [
+      [0, -6, 0, 21],
+      [10, -6, 10, 21],
+      [20, -6, 20, 21],
+      [30, -6, 30, 21],
+      [-6, 0, 36, 0],
+      [-6, 7.5, 36, 7.5],
+      [-6, 15, 36, 15],
+    ]
+  );
+  assert.deepEqual(
+    onLayer(content, 'A-GRID', 'text').map(({ text }) => text),
+    ['1', '2', '3', '4', 'A', 'B', 'C']
+  );
+  assert.equal(entities(content, 'CIRCLE').filter((circle) => circle[8] === 'A-GRID').length, 7);
+});
+
+test('runs the grid through the columns, merging columns that nearly line up', () => {
+  const content = generateDXF(gridded([column('c1', 0, 0), column('c2', 20.2, 0), column('c3', 19.8, 15), column('c4', 30, 15)]), 0);
+  const lines = onLayer(content, 'A-GRID', 'line');
+
+  assert.deepEqual(
+    lines.filter(({ start, end }) => start.x === end.x).map(({ start }) => start.x),
+    [0, 19.8, 30]
+  );
+  assert.deepEqual(
+    lines.filter(({ start, end }) => start.y === end.y).map(({ start }) => start.y),
+    [0, 15]
+  );
+});
+
+test('draws each column as a crossed square of its size', () => {
+  const content = generateDXF(gridded([column('c1', 0, 0), column('c2', 30, 15, 24)]), 0);
+
+  assert.deepEqual(
+    onLayer(content, 'S-COLS', 'polyline').map(({ points }) => [points[0], points[2]]),
+    [
+      [{ x: -0.5, y: -0.5 }, { x: 0.5, y: 0.5 }],
+      [{ x: 29, y: 14 }, { x: 31, y: 16 }],
+    ]
+  );
+  assert.equal(onLayer(content, 'S-COLS', 'line').length, 4);
+});
+
+test('draws no grid without spacing or columns', () => {
+  const content = generateDXF(bathroom(), 0);
+
+  assert.deepEqual(onLayer(content, 'A-GRID', 'line'), []);
+});
+
+test('warns about columns inside rooms on the floor being drawn', async () => {
+  const building = gridded([column('c7', 10, 7.5)]);
+  building.floors.push({ level: 'First', rooms: building.floors[0].rooms, columns: [column('c8', 25, 7.5)] });
+
+  const { warnings } = await cadService.generateCADFiles(building);
+
+  assert.deepEqual(warnings, ['Column c7 on Ground at (10 ft, 7.5 ft) stands inside "Living", 7.5 ft from the nearest wall']);
+});
+
+// The gridded floor with a window in the living room's north wall and a door through the shared wall
+const dimensioned = () => {
+  const building = gridded();
+  const [living, bedroom] = building.floors[0].rooms;
+  living.windows = [{ wall: 'north', position: 4, width: 4 }];
+  living.doors = [door('d1', 'east', 5, 'Bedroom')];
+  bedroom.doors = [{ ...door('d1-mirror', 'west', 5, 'Living'), reciprocalOf: 'd1' }];
+  return building;
+};
+
+// Extension line origins, dimension line position and measured length of each DIMENSION
+const dimensionsOf = (content) =>
+  entities(content, 'DIMENSION').map((dimension) => ({
+    from: [dimension[13], dimension[23]],
+    to: [dimension[14], dimension[24]],
+    line: dimension[50] === 0 ? dimension[20] : dimension[10],
+    length: dimension[42],
+  }));
+
+// Text of each anonymous dimension block
+const dimensionLabels = (content) =>
+  Object.fromEntries([...content.matchAll(/\n2\n(\*D\d+)\n70\n1\n[\s\S]*?\nMTEXT\n[\s\S]*?\n1\n(.+)\n0\nENDBLK\n/g)].map(([, name, text]) => [name, text]));
+
+test('dimensions the building on all four sides, rooms along the walls and every opening once', () => {
+  const dimensions = dimensionsOf(generateDXF(dimensioned(), 0));
+
+  assert.deepEqual(dimensions, [
+    // Overall, 4.5 ft out
+    { from: [0, 0], to: [30, 0], line: -4.5, length: 30 },
+    { from: [0, 15], to: [30, 15], line: 19.5, length: 30 },
+    { from: [0, 0], to: [0, 15], line: -4.5, length: 15 },
+    { from: [30, 0], to: [30, 15], line: 34.5, length: 15 },
+    // Chained, 3 ft out, only on sides with more than one room
+    { from: [0, 0], to: [20, 0], line: -3, length: 20 },
+    { from: [20, 0], to: [30, 0], line: -3, length: 10 },
+    { from: [0, 15], to: [20, 15], line: 18, length: 20 },
+    { from: [20, 15], to: [30, 15], line: 18, length: 10 },
+    // Openings, 1.5 ft outside the wall of the room that owns them; the mirrored door is skipped
+    { from: [20, 5], to: [20, 8], line: 21.5, length: 3 },
+    { from: [4, 0], to: [8, 0], line: -1.5, length: 4 },
+  ]);
+});
+
+test('writes each dimension on the dimension layer in the PLAN style, with its own anonymous block', () => {
+  const content = generateDXF(dimensioned(), 0);
+  const dimensions = entities(content, 'DIMENSION');
+
+  dimensions.forEach((dimension, index) => {
+    assert.equal(dimension[8], 'A-ANNO-DIMS');
+    assert.equal(dimension[3], 'PLAN');
+    assert.equal(dimension[2], `*D${index + 1}`);
+    // Rotated linear dimension with the text at its default position
+    assert.equal(dimension[70], 32);
+    assert.match(content, new RegExp(`\\nBLOCK\\n8\\n0\\n2\\n\\*D${index + 1}\\n70\\n1\\n`));
+  });
+
+  const labels = dimensionLabels(content);
+  assert.deepEqual([labels['*D1'], labels['*D3'], labels['*D9']], [`30'-0"`, `15'-0"`, `3'-0"`]);
+});
+
+test('defines the PLAN dimension style to read real lengths at any scale', () => {
+  const style = (content) => content.match(/\n0\nDIMSTYLE\n[\s\S]*?\n2\nPLAN\n[\s\S]*?\n0\nENDTAB\n/)[0];
+  const value = (content, code) => Number(style(content).match(new RegExp(`\\n${code}\\n(.+)\\n`))[1]);
+
+  const imperial = generateDXF(dimensioned(), 0);
+  const metric = generateDXF(convertPlan(dimensioned(), 'metric'), 0, { scale: 2 });
+
+  // DIMLFAC: architectural units count inches; metric undoes the drawing scale
+  assert.deepEqual([value(imperial, 144), value(imperial, 277), value(imperial, 271)], [12, 4, 0]);
+  assert.deepEqual([value(metric, 144), value(metric, 277), value(metric, 271)], [0.5, 2, 2]);
+
+  const [overall] = dimensionsOf(metric);
+  assert.equal(overall.length, 18.288);
+  assert.equal(dimensionLabels(metric)['*D1'], '9.14');
+});
@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cadService = require('../../src/modules/cad/cad.service');
+const plannerService = require('../../src/modules/planner/planner.service');
+const { generateDXF } = require('../../src/modules/cad/dxf.generator');
+const { convertPlan } = require('../../src/modules/planner/planner.units');
+const { AppError } = require('../../src/middlewares/error.middleware');
+const { dxf, header, line, rect, section, text } = require('../helpers/dxf');
+
+// The layout engine is deterministic, so every run exports the same drawing
+const { plan: generated } = plannerService.generateAlgorithmicPlan('3 bedroom house with 2 bathrooms, kitchen, living room', {
+  buildingType: 'Residential',
+});
+
+/**
+ * Rooms, doors and windows by room name: imported rooms get new ids, so doors
+ * are compared by the name of the room they lead to
+ */
+const layout = (plan) => {
+  const [{ rooms }] = plan.floors;
+  const nameOf = (id) => rooms.find((room) => room.id === id)?.name || id;
+
+  return rooms
+    .map((room) => ({
+      name: room.name,
+      position: room.position,
+      dimensions: room.dimensions,
+      doors: room.doors
+        .filter((door) => !door.reciprocalOf)
+        .map(({ wall, position, width, connectsTo }) => ({ wall, position, width, connectsTo: nameOf(connectsTo) })),
+      windows: room.windows.map(({ wall, position, width }) => ({ wall, position, width })),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Two 4 x 4 rooms in an 8 x 4 outline, labelled the way the generator labels them
+const twoRooms = (variables = { $INSUNITS: 6 }) =>
+  dxf(
+    header(variables),
+    section(
+      'ENTITIES',
+      rect('A-WALL', 0, 0, 8, 4),
+      rect('A-WALL', 0, 0, 4, 4),
+      rect('A-WALL', 4, 0, 4, 4),
+      text('A-ANNO-TEXT', 2, 2, 'KITCHEN'),
+      text('A-ANNO-TEXT', 6, 2, 'LIVING ROOM')
+    )
+  );
+
+const invalid = (statusCode, message) => (error) => {
+  assert.ok(error instanceof AppError);
+  assert.equal(error.statusCode, statusCode);
+  assert.match(error.message, message);
+  return true;
+};
+
+test('reads an exported imperial plan back with its rooms, doors and windows', () => {
+  const { plan, summary, validation } = cadService.importDXF(generateDXF(generated, 0));
+
+  assert.equal(summary.drawingUnits, 'ft');
+  assert.equal(plan.units, 'imperial');
+  assert.deepEqual(plan.buildingDimensions, generated.buildingDimensions);
+  assert.deepEqual(layout(plan), layout(generated));
+  assert.deepEqual(validation, { valid: true, errors: [], warnings: [] });
+});
+
+test('reads an exported metric plan back in metres', () => {
+  const metric = convertPlan(generated, 'metric');
+
+  const { plan, summary, validation } = cadService.importDXF(generateDXF(metric, 0));
+
+  assert.deepEqual([summary.drawingUnits, plan.units], ['m', 'metric']);
+  assert.deepEqual(plan.buildingDimensions, metric.buildingDimensions);
+  assert.deepEqual(layout(plan), layout(metric));
+  assert.equal(validation.valid, true);
+});
+
+test('undoes the export scale when given the same scale', () => {
+  const { plan } = cadService.importDXF(generateDXF(generated, 0, { scale: 2 }), { scale: 2 });
+
+  assert.deepEqual(layout(plan), layout(generated));
+});
+
+test('names rooms from the text inside them and infers their types', () => {
+  const { plan, warnings } = cadService.importDXF(twoRooms());
+  const rooms = plan.floors[0].rooms.map(({ name, type, position, dimensions, areaSqm }) => ({ name, type, position, dimensions, areaSqm }));
+
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(plan.buildingDimensions, { width: 8, depth: 4 });
+  assert.deepEqual(rooms, [
+    { name: 'Kitchen', type: 'kitchen', position: { x: 0, y: 0 }, dimensions: { width: 4, length: 4 }, areaSqm: 16 },
+    { name: 'Living Room', type: 'living', position: { x: 4, y: 0 }, dimensions: { width: 4, length: 4 }, areaSqm: 16 },
+  ]);
+});
+
+test('lets the request override the drawing units and the plan units', () => {
+  const inFeet = cadService.importDXF(twoRooms(), { drawingUnits: 'ft' });
+  const inImperial = cadService.importDXF(twoRooms(), { units: 'imperial' });
+
+  assert.deepEqual([inFeet.plan.units, inFeet.plan.buildingDimensions.width], ['imperial', 8]);
+  assert.deepEqual([inImperial.plan.units, inImperial.plan.buildingDimensions.width], ['imperial', 26.25]);
+});
+
+test('assumes feet and says so when the drawing has no units', () => {
+  const { plan, warnings } = cadService.importDXF(twoRooms({}));
+
+  assert.equal(plan.units, 'imperial');
+  assert.deepEqual(warnings, ['Drawing has no $INSUNITS; assuming feet']);
+});
+
+test('rejects drawing units it cannot convert with a 422', () => {
+  // $INSUNITS 3 is miles
+  assert.throws(() => cadService.importDXF(twoRooms({ $INSUNITS: 3 })), invalid(422, /Unsupported drawing units \(\$INSUNITS 3\)/));
+});
+
+test('rejects a drawing without closed outlines with a 422', () => {
+  const lines = dxf(section('ENTITIES', line('A-WALL', { x: 0, y: 0 }, { x: 10, y: 0 }), line('A-WALL', { x: 10, y: 0 }, { x: 10, y: 10 })));
+
+  assert.throws(() => cadService.importDXF(lines), invalid(422, /No rooms found/));
+});
+
+test('passes malformed files through as 400s', () => {
+  assert.throws(() => cadService.importDXF('not a drawing\n'), invalid(400, /Invalid DXF/));
+  assert.throws(() => cadService.importDXF(dxf(header({ $INSUNITS: 2 }))), invalid(400, /no ENTITIES section/));
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanText, parseDXF } = require('../../src/modules/cad/dxf.parser');
+const { AppError } = require('../../src/middlewares/error.middleware');
+const { dxf, header, line, rect, section, text } = require('../helpers/dxf');
+
+const invalid = (statusCode, message) => (error) => {
+  assert.ok(error instanceof AppError);
+  assert.equal(error.statusCode, statusCode);
+  assert.match(error.message, message);
+  return true;
+};
+
+test('reads header variables and model space entities with their layers', () => {
+  const drawing = parseDXF(
+    dxf(
+      header({ $INSUNITS: 6 }),
+      section(
+        'ENTITIES',
+        rect('A-WALL', 0, 0, 4, 3),
+        line('A-GLAZ', { x: 1, y: 0 }, { x: 2, y: 0 }),
+        [[0, 'ARC'], [8, 'A-DOOR'], [10, 4], [20, 1], [40, 0.9], [50, 90], [51, 180]],
+        text('A-ANNO-TEXT', 2, 1.5, 'KITCHEN')
+      )
+    )
+  );
+
+  assert.deepEqual(drawing.header, { $INSUNITS: 6 });
+  assert.deepEqual(drawing.entities, [
+    {
+      type: 'polyline',
+      layer: 'A-WALL',
+      closed: true,
+      points: [
+        { x: 0, y: 0 },
+        { x: 4, y: 0 },
+        { x: 4, y: 3 },
+        { x: 0, y: 3 },
+      ],
+    },
+    { type: 'line', layer: 'A-GLAZ', start: { x: 1, y: 0 }, end: { x: 2, y: 0 } },
+    { type: 'arc', layer: 'A-DOOR', center: { x: 4, y: 1 }, radius: 0.9, startAngle: 90, endAngle: 180 },
+    { type: 'text', layer: 'A-ANNO-TEXT', position: { x: 2, y: 1.5 }, height: 0.3, text: 'KITCHEN' },
+  ]);
+  assert.deepEqual(drawing.skipped, {});
+});
+
+test('reads old-style polylines from their vertices', () => {
+  const vertex = (x, y) => [[0, 'VERTEX'], [8, 'A-WALL'], [10, x], [20, y]];
+  const { entities } = parseDXF(
+    dxf(section('ENTITIES', [[0, 'POLYLINE'], [8, 'A-WALL'], [70, 1]], vertex(0, 0), vertex(5, 0), vertex(5, 5), [[0, 'SEQEND']], text('0', 1, 1, 'HALL')))
+  );
+
+  assert.equal(entities.length, 2);
+  assert.deepEqual(entities[0].points, [
+    { x: 0, y: 0 },
+    { x: 5, y: 0 },
+    { x: 5, y: 5 },
+  ]);
+  assert.equal(entities[0].closed, true);
+  assert.equal(entities[1].text, 'HALL');
+});
+
+test('counts entity types it does not read and skips paper space', () => {
+  const { entities, skipped } = parseDXF(
+    dxf(
+      section(
+        'ENTITIES',
+        [[0, 'CIRCLE'], [8, 'S-COLS'], [10, 0], [20, 0], [40, 1]],
+        [[0, 'INSERT'], [8, 'A-FURN'], [2, 'BED']],
+        [[0, 'INSERT'], [8, 'A-FURN'], [2, 'SOFA']],
+        [...text('TITLE', 0, 0, 'SHEET 1'), [67, 1]]
+      )
+    )
+  );
+
+  assert.deepEqual(entities, []);
+  assert.deepEqual(skipped, { CIRCLE: 1, INSERT: 2 });
+});
+
+test('strips MTEXT formatting and decodes special characters', () => {
+  assert.equal(cleanText('{\\fArial|b1;MASTER}\\PBEDROOM'), 'MASTER BEDROOM');
+  assert.equal(cleanText('\\A1;12\\S1#2;\\U+00B2'), '121/2²');
+  assert.equal(cleanText('%%c300 %%p5'), '⌀300 ±5');
+});
+
+test('rejects binary DXF with a 400', () => {
+  assert.throws(() => parseDXF('AutoCAD Binary DXF\r\n\u001a\u0000'), invalid(400, /Binary DXF is not supported/));
+});
+
+test('rejects text that is not made of group code pairs with a 400', () => {
+  assert.throws(() => parseDXF('hello\nworld\n'), invalid(400, /expected a group code on line 1/));
+  assert.throws(() => parseDXF(dxf(section('ENTITIES', rect('0', 0, 0, 1, 1))).replace('\n90\n', '\nninety\n')), invalid(400, /line \d+/));
+});
+
+test('rejects a drawing without an ENTITIES section with a 400', () => {
+  assert.throws(() => parseDXF(dxf(header({ $INSUNITS: 2 }))), invalid(400, /no ENTITIES section/));
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkCompliance } = require('../../src/modules/compliance/compliance.checker');
+const { findEgressBand, findRulePack, findSetbackBand, getDefaultRulePack, getRulePack } = require('../../src/modules/compliance/compliance.rules');
+const { EXTERIOR } = require('../../src/modules/planner/planner.graph');
+const { door, plan, room } = require('../helpers/plans');
+
+const SETBACKS = { front: 20, rear: 10, sides: 8 };
+
+// A 32 x 15 bungalow entered through the living room, on a 1200 sqft plot
+const bungalow = ({ bedroomWidth = 12, floorHeight = 10, setbacks = SETBACKS } = {}) => {
+  const building = plan(
+    [
+      room('Living', 'living', 0, 0, 20, 15, { doors: [door('front', 'south', 8, EXTERIOR)] }),
+      room('Bedroom', 'bedroom', 20, 0, bedroomWidth, 15),
+    ],
+    { width: 32, depth: 15, compliance: { setbacks } }
+  );
+  building.floors[0].floorHeight = floorHeight;
+  return building;
+};
+
+const check = (report, ruleId) => report.checks.find((candidate) => candidate.ruleId === ruleId);
+
+test('passes a plan that meets every rule in the pack', () => {
+  const report = checkCompliance(bungalow(), getDefaultRulePack(), { plotArea: 1200 });
+
+  assert.equal(report.status, 'pass');
+  assert.equal(report.summary.failed, 0);
+  assert.equal(report.summary.notEvaluated, 0);
+  assert.deepEqual(check(report, 'far'), {
+    ruleId: 'far',
+    subject: 'Floor area ratio',
+    measured: 0.4,
+    limit: 2,
+    comparison: 'max',
+    unit: 'ratio',
+    status: 'pass',
+    message: 'Floor area ratio: 0.4 ratio (maximum 2 ratio)',
+  });
+});
+
+test('fails an undersized room with the measured value and the limit', () => {
+  const report = checkCompliance(bungalow({ bedroomWidth: 4 }), getDefaultRulePack(), { plotArea: 1200 });
+
+  assert.equal(report.status, 'fail');
+  assert.deepEqual(
+    report.checks.filter((candidate) => candidate.status === 'fail').map(({ ruleId, measured, limit }) => ({ ruleId, measured, limit })),
+    [
+      { ruleId: 'room-area.bedroom', measured: 60, limit: 70 },
+      { ruleId: 'room-side.bedroom', measured: 4, limit: 7 },
+    ]
+  );
+});
+
+test('reports rules it cannot measure as not evaluated and the report as incomplete', () => {
+  const building = bungalow({ setbacks: {} });
+  delete building.floors[0].floorHeight;
+
+  const report = checkCompliance(building, getDefaultRulePack());
+
+  assert.equal(report.status, 'incomplete');
+  assert.deepEqual(
+    report.checks.filter((candidate) => candidate.status === 'not_evaluated').map((candidate) => candidate.ruleId),
+    ['ceiling-height.habitable', 'setback.front', 'setback.rear', 'setback.sides', 'coverage', 'far']
+  );
+  assert.equal(check(report, 'setback.front').limit, 15);
+  assert.equal(check(report, 'coverage').measured, null);
+});
+
+test('picks the setback band for the plot area and needs the area when there are several', () => {
+  const pack = getRulePack('dha-lahore');
+
+  assert.equal(findSetbackBand(pack, 1000).front, 5);
+  assert.equal(findSetbackBand(pack, 2000).front, 10);
+  assert.equal(findSetbackBand(pack, 10000).front, 20);
+  assert.equal(findSetbackBand(pack), null);
+  assert.equal(findSetbackBand(getDefaultRulePack()).front, 15);
+
+  const report = checkCompliance(bungalow(), pack, { plotArea: 2000 });
+  assert.deepEqual([check(report, 'setback.front').limit, check(report, 'setback.sides').limit], [10, 0]);
+
+  const unknownPlot = checkCompliance(bungalow(), pack);
+  assert.equal(check(unknownPlot, 'setback.front').status, 'not_evaluated');
+});
+
+test('requires more exits once the largest floor reaches the next egress band', () => {
+  const pack = getDefaultRulePack();
+
+  assert.equal(findEgressBand(pack, 480).exits, 1);
+  assert.equal(findEgressBand(pack, 1000).exits, 2);
+
+  const building = plan([room('Hall', 'living', 0, 0, 40, 30, { doors: [door('front', 'south', 8, EXTERIOR)] })]);
+  const egress = check(checkCompliance(building, pack), 'egress.exits');
+
+  assert.deepEqual([egress.measured, egress.limit, egress.status], [1, 2, 'fail']);
+});
+
+test('inherits the parent pack rules and overrides the ones it lists', () => {
+  const pack = findRulePack({ authority: 'Defence Housing Authority', city: 'Lahore' });
+
+  assert.equal(pack.id, 'dha-lahore');
+  assert.deepEqual(pack.rules.minRoomSizes.bedroom, { area: 100, minSide: 9 });
+  assert.deepEqual(pack.rules.minRoomSizes.bathroom, getDefaultRulePack().rules.minRoomSizes.bathroom);
+  assert.equal(findRulePack({ authority: 'Nowhere' }), null);
+  assert.equal(findRulePack().id, 'default');
+});
+
+test('reports measurements in metric when asked', () => {
+  const report = checkCompliance(bungalow(), getDefaultRulePack(), { plotArea: 1200, units: 'metric' });
+  const side = check(report, 'room-side.bedroom');
+
+  assert.equal(report.units, 'metric');
+  assert.deepEqual([side.measured, side.limit, side.unit], [3.66, 2.13, 'm']);
+});
@@ -0,0 +1,84 @@
+/**
+ * ASCII DXF builders shared by the tests. Entities are lists of
+ * [group code, value] pairs; `dxf` joins sections into a file.
+ * `entities` reads generated files back for entity types the parser skips.
+ */
+
+const dxf = (...sections) => [...sections.flat(), [0, 'EOF']].flat().join('\n') + '\n';
+
+const section = (name, ...entities) => [[0, 'SECTION'], [2, name], ...entities.flat(), [0, 'ENDSEC']];
+
+const header = (variables) => section('HEADER', ...Object.entries(variables).map(([name, value]) => [[9, name], [70, value]]));
+
+const rect = (layer, x, y, width, length) => [
+  [0, 'LWPOLYLINE'],
+  [8, layer],
+  [90, 4],
+  [70, 1],
+  [10, x],
+  [20, y],
+  [10, x + width],
+  [20, y],
+  [10, x + width],
+  [20, y + length],
+  [10, x],
+  [20, y + length],
+];
+
+const line = (layer, start, end) => [
+  [0, 'LINE'],
+  [8, layer],
+  [10, start.x],
+  [20, start.y],
+  [11, end.x],
+  [21, end.y],
+];
+
+const text = (layer, x, y, value, type = 'TEXT') => [
+  [0, type],
+  [8, layer],
+  [10, x],
+  [20, y],
+  [40, 0.3],
+  [1, value],
+];
+
+/**
+ * Entities of `type` in the ENTITIES section, each a map of group code to
+ * value (the first value when a code repeats); numeric values are numbers
+ */
+const entities = (content, type) => {
+  const lines = content.split(/\r?\n/);
+  const found = [];
+  let section = null;
+  let current = null;
+
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = Number(lines[i].trim());
+    const raw = lines[i + 1].trim();
+    const value = raw !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : raw;
+
+    if (code === 0) {
+      current = null;
+      if (value === 'SECTION') section = '';
+      else if (value === 'ENDSEC') section = null;
+      else if (section === 'ENTITIES' && value === type) found.push((current = {}));
+    } else if (code === 2 && section === '') {
+      section = value;
+    } else if (current && !(code in current)) {
+      current[code] = value;
+    }
+  }
+
+  return found;
+};
+
+module.exports = {
+  dxf,
+  entities,
+  header,
+  line,
+  rect,
+  section,
+  text,
+};
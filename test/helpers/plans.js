@@ -0,0 +1,33 @@
+/**
+ * Plan fixture builders shared by the tests. Everything is in feet on a
+ * single Ground floor; pass `extra` to add outlines, windows or other fields.
+ */
+
+const room = (id, type, x, y, width, length, extra = {}) => ({
+  id,
+  name: id,
+  type,
+  position: { x, y },
+  dimensions: { width, length },
+  areaSqft: width * length,
+  doors: [],
+  windows: [],
+  ...extra,
+});
+
+const door = (id, wall, position, connectsTo, width = 3) => ({ id, wall, position, width, connectsTo });
+
+const plan = (rooms, { width = 40, depth = 30, ...extra } = {}) => ({
+  units: 'imperial',
+  buildingType: 'Residential',
+  totalArea: width * depth,
+  buildingDimensions: { width, depth },
+  floors: [{ level: 'Ground', totalArea: width * depth, rooms }],
+  ...extra,
+});
+
+module.exports = {
+  door,
+  plan,
+  room,
+};
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computePlanMetrics } = require('../../src/modules/planner/planner.analysis');
+const { normalizeDoors } = require('../../src/modules/planner/planner.doors');
+const { EXTERIOR } = require('../../src/modules/planner/planner.graph');
+const { door, plan, room } = require('../helpers/plans');
+
+// A 30 x 30 house: a hall across the north side with the front door, two rooms off it
+const house = ({ bedroomWidth = 15 } = {}) => {
+  const building = plan(
+    [
+      room('Hall', 'corridor', 0, 0, 30, 6, { doors: [door('front', 'north', 2, EXTERIOR)] }),
+      room('Living', 'living', 0, 6, 15, 24, {
+        doors: [door('d1', 'north', 4, 'Hall')],
+        windows: [{ wall: 'west', position: 4, width: 9, height: 4 }],
+      }),
+      room('Bedroom', 'bedroom', 15, 6, bedroomWidth, 24, {
+        doors: [door('d2', 'north', 4, 'Hall')],
+        windows: [{ wall: 'east', position: 4, width: 4 }],
+      }),
+    ],
+    { width: 30, depth: 30 }
+  );
+  normalizeDoors(building);
+  return building;
+};
+
+test('measures net area and circulation against the gross floor area', () => {
+  const { summary, floors } = computePlanMetrics(house());
+
+  assert.equal(floors[0].grossArea, 900);
+  assert.equal(floors[0].netArea, 720);
+  assert.equal(floors[0].circulationArea, 180);
+  assert.equal(summary.netToGross, 0.8);
+  assert.equal(summary.corridorShare, 0.2);
+});
+
+test('measures daylight and proportions of habitable rooms only', () => {
+  const { summary, rooms } = computePlanMetrics(house({ bedroomWidth: 10 }));
+  const bedroom = rooms.find((candidate) => candidate.roomId === 'Bedroom');
+
+  assert.equal(rooms.find((candidate) => candidate.roomId === 'Hall').habitable, false);
+  assert.deepEqual([bedroom.windowArea, bedroom.windowToFloor, bedroom.aspectRatio], [16, 0.07, 2.4]);
+  assert.deepEqual(summary.windowToFloor, { average: 0.09, minimum: 0.07, target: 0.1, roomsBelowTarget: 1 });
+  assert.deepEqual(summary.aspectRatio, { average: 2, maximum: 2.4, elongatedRooms: 1 });
+  assert.deepEqual(bedroom.exteriorWalls, ['south']);
+});
+
+test('measures walking distance between doors through the rooms they share', () => {
+  const { floors, summary } = computePlanMetrics(house());
+
+  // Front door at (3.5, 0), living door at (5.5, 6), bedroom door at (20.5, 6)
+  assert.equal(floors[0].doors, 3);
+  assert.equal(floors[0].maxDoorToDoor, 18.03);
+  assert.equal(summary.averageDoorToDoor, 13.12);
+});
+
+test('reports areas and lengths in metric when asked', () => {
+  const { units, floors } = computePlanMetrics(house(), { units: 'metric' });
+
+  assert.equal(units, 'metric');
+  assert.equal(floors[0].grossArea, 83.61);
+  assert.equal(floors[0].maxDoorToDoor, 5.5);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkDoors, normalizeDoors } = require('../../src/modules/planner/planner.doors');
+const { door, plan: buildPlan, room } = require('../helpers/plans');
+
+// Two 12 x 12 bedrooms side by side, sharing the wall at x = 12
+const bedroom = (id, x, doors = []) => room(id, 'bedroom', x, 0, 12, 12, { doors });
+
+const plan = (rooms) => buildPlan(rooms, { width: 24, depth: 12 });
+
+test('adds the mirrored door to the room on the other side', () => {
+  const west = bedroom('West', 0, [door('d1', 'east', 4, 'East')]);
+  const east = bedroom('East', 12);
+
+  const { changes, issues } = normalizeDoors(plan([west, east]));
+
+  assert.deepEqual(east.doors, [{ id: 'd1-r', wall: 'west', position: 4, width: 3, connectsTo: 'West', reciprocalOf: 'd1' }]);
+  assert.equal(changes.length, 1);
+  assert.deepEqual(issues, []);
+});
+
+test('merges a door drawn on both sides into one opening', () => {
+  const west = bedroom('West', 0, [door('d1', 'east', 4, 'East')]);
+  const east = bedroom('East', 12, [door('d2', 'west', 4.5, 'West', 2.5)]);
+
+  normalizeDoors(plan([west, east]));
+
+  assert.equal(east.doors.length, 1);
+  assert.deepEqual(east.doors[0], { id: 'd2', wall: 'west', position: 4, width: 3, connectsTo: 'West', reciprocalOf: 'd1' });
+});
+
+test('reports a missing mirror without changing the plan when only checking', () => {
+  const west = bedroom('West', 0, [door('d1', 'east', 4, 'East')]);
+  const east = bedroom('East', 12);
+
+  const issues = checkDoors(plan([west, east]));
+
+  assert.deepEqual(issues.map((issue) => issue.code), ['missing_reciprocal']);
+  assert.deepEqual(east.doors, []);
+});
+
+test('removes mirrors whose door no longer exists', () => {
+  const west = bedroom('West', 0);
+  const east = bedroom('East', 12, [{ id: 'd1-r', wall: 'west', position: 4, width: 3, connectsTo: 'West', reciprocalOf: 'd1' }]);
+
+  normalizeDoors(plan([west, east]));
+
+  assert.deepEqual(east.doors, []);
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { furnishPlan } = require('../../src/modules/planner/planner.furniture');
+const plannerService = require('../../src/modules/planner/planner.service');
+const { generateDXF } = require('../../src/modules/cad/dxf.generator');
+const { convertPlan } = require('../../src/modules/planner/planner.units');
+const { door, plan, room } = require('../helpers/plans');
+const { entities } = require('../helpers/dxf');
+
+const typesOf = (room) => (room.furniture || []).map((piece) => piece.type);
+
+const edges = ({ position, dimensions }) => ({
+  left: position.x,
+  right: position.x + dimensions.width,
+  top: position.y,
+  bottom: position.y + dimensions.length,
+});
+
+const overlaps = (a, b) => a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+
+test('furnishes rooms by type with their main piece first', () => {
+  const building = plan([
+    room('Bedroom', 'bedroom', 0, 0, 12, 12),
+    room('Bath', 'bathroom', 12, 0, 8, 6),
+    room('Kitchen', 'kitchen', 20, 0, 12, 10),
+    room('Dining', 'dining', 0, 12, 12, 12),
+    room('Lounge', 'living', 12, 12, 16, 14),
+  ]);
+
+  const { placed, issues } = furnishPlan(building);
+
+  assert.deepEqual(
+    building.floors[0].rooms.map(typesOf),
+    [['bed', 'wardrobe'], ['wc', 'basin', 'shower'], ['counter', 'fridge'], ['table'], ['sofa']]
+  );
+  assert.equal(placed, 9);
+  assert.deepEqual(issues, []);
+});
+
+test('keeps pieces inside the room, apart and out of the door swing', () => {
+  const bedroom = room('Bedroom', 'bedroom', 0, 0, 12, 12, { doors: [door('d1', 'south', 1, 'Hall')] });
+  furnishPlan(plan([bedroom]));
+
+  const [bed, wardrobe] = bedroom.furniture.map(edges);
+  const swing = { left: 1, right: 4, top: 9, bottom: 12 };
+
+  [bed, wardrobe].forEach((piece) => {
+    assert.ok(piece.left >= 0 && piece.right <= 12 && piece.top >= 0 && piece.bottom <= 12);
+    assert.equal(overlaps(piece, swing), false);
+  });
+  assert.equal(overlaps(bed, wardrobe), false);
+  assert.deepEqual(bedroom.furniture[0], { type: 'bed', position: { x: 3.5, y: 0 }, dimensions: { width: 5, length: 6.67 }, facing: 'south' });
+});
+
+test('keeps tall pieces off a wall of windows', () => {
+  const bedroom = room('Bedroom', 'bedroom', 0, 0, 12, 12, { windows: [{ wall: 'north', position: 0, width: 12 }] });
+  furnishPlan(plan([bedroom]));
+
+  const bed = bedroom.furniture.find((piece) => piece.type === 'bed');
+  assert.notEqual(bed.facing, 'south');
+  assert.notEqual(bed.position.y, 0);
+});
+
+test('matches rooms by name when the type says nothing and clears unknown rooms', () => {
+  const suite = room('Suite', 'room', 0, 0, 12, 12, { name: 'Master Suite' });
+  const hall = room('Hall', 'corridor', 12, 0, 4, 12, { furniture: [{ type: 'sofa' }] });
+
+  furnishPlan(plan([suite, hall]));
+
+  assert.deepEqual(typesOf(suite), ['bed', 'wardrobe']);
+  assert.equal('furniture' in hall, false);
+});
+
+test('adds pieces that need floor area only to rooms large enough', () => {
+  const small = room('Study', 'study', 0, 0, 10, 10);
+  const large = room('Office', 'office', 10, 0, 15, 12);
+
+  furnishPlan(plan([small, large]));
+
+  assert.deepEqual(typesOf(small), ['desk']);
+  assert.deepEqual(typesOf(large), ['desk', 'table']);
+});
+
+test('reports pieces that do not fit, marking the main piece as essential', () => {
+  const boxRoom = room('Box', 'bedroom', 0, 0, 5, 5);
+
+  const { issues } = furnishPlan(plan([boxRoom]));
+
+  assert.deepEqual(typesOf(boxRoom), ['wardrobe']);
+  assert.deepEqual(issues, [{ level: 'Ground', roomId: 'Box', type: 'bed', essential: true, message: 'No room for a bed in "Box" on Ground' }]);
+});
+
+test('leaves furnished rooms alone when asked not to replace them', () => {
+  const kept = [{ type: 'desk', position: { x: 0, y: 0 }, dimensions: { width: 4, length: 2 }, facing: 'south' }];
+  const bedroom = room('Bedroom', 'bedroom', 0, 0, 12, 12, { furniture: kept });
+
+  const { placed } = furnishPlan(plan([bedroom]), { replace: false });
+
+  assert.equal(placed, 0);
+  assert.equal(bedroom.furniture, kept);
+});
+
+test('furnishes a metric plan through the service and returns it in metres', () => {
+  const metric = convertPlan(plan([room('Bedroom', 'bedroom', 0, 0, 12, 12)], { width: 12, depth: 12 }), 'metric');
+
+  const { plan: furnished, issues } = plannerService.furnishPlan(metric);
+  const [bed] = furnished.floors[0].rooms[0].furniture;
+
+  assert.deepEqual(issues, []);
+  assert.equal(furnished.units, 'metric');
+  assert.deepEqual(bed.dimensions, { width: 1.524, length: 2.033 });
+});
+
+test('draws each piece as its block on the furniture layer, stretched over its footprint', () => {
+  const building = plan([room('Bedroom', 'bedroom', 0, 0, 12, 12)], { width: 12, depth: 12 });
+  furnishPlan(building);
+
+  const inserts = entities(generateDXF(building, 0), 'INSERT');
+
+  assert.deepEqual(
+    inserts.map((insert) => ({ block: insert[2], layer: insert[8], x: insert[10], y: insert[20], width: insert[41], depth: insert[42], rotation: insert[50] })),
+    [
+      { block: 'FURN-BED', layer: 'A-FURN', x: 3.5, y: 0, width: 5, depth: 6.67, rotation: 0 },
+      // Facing north: inserted from the far corner and turned round
+      { block: 'FURN-WARDROBE', layer: 'A-FURN', x: 6, y: 12, width: 6, depth: 2, rotation: 180 },
+    ]
+  );
+  assert.deepEqual(entities(generateDXF(building, 0, { sheet: 'mep' }), 'INSERT'), []);
+});
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildingArea,
+  containsPoint,
+  isSelfIntersecting,
+  labelPoint,
+  measureOutside,
+  measureOverlap,
+  polygonArea,
+  polygonWalls,
+  polygonsOverlap,
+  rectangle,
+  roomArea,
+  roomPolygon,
+  thickness,
+} = require('../../src/modules/planner/planner.geometry');
+const { room } = require('../helpers/plans');
+
+// 20 x 20 with the north-east 10 x 10 quarter missing
+const lShape = [
+  { x: 0, y: 0 },
+  { x: 10, y: 0 },
+  { x: 10, y: 10 },
+  { x: 20, y: 10 },
+  { x: 20, y: 20 },
+  { x: 0, y: 20 },
+];
+
+test('uses the outline for rooms that have one and the rectangle otherwise', () => {
+  const plain = room('Plain', 'bedroom', 2, 3, 10, 12);
+  const shaped = room('Shaped', 'living', 0, 0, 20, 20, { outline: lShape });
+
+  assert.deepEqual(roomPolygon(plain), rectangle(2, 3, 10, 12));
+  assert.deepEqual(roomPolygon(shaped), lShape);
+  assert.equal(polygonArea(lShape), 300);
+  assert.equal(roomArea(plain), 120);
+  assert.equal(roomArea(shaped), 300);
+});
+
+test('measures the overlap of rectangles by area and depth', () => {
+  const overlap = measureOverlap(rectangle(0, 0, 10, 10), rectangle(8, 0, 10, 10));
+
+  assert.equal(overlap.area, 20);
+  assert.equal(overlap.perimeter, 24);
+  assert.equal(thickness(overlap), 2);
+});
+
+test('does not count a room in the missing corner of an L as overlapping it', () => {
+  const corner = rectangle(10, 0, 10, 10);
+
+  assert.equal(measureOverlap(lShape, corner).area, 0);
+  assert.equal(polygonsOverlap(lShape, corner, 0.5), false);
+  assert.equal(polygonsOverlap(lShape, rectangle(5, 5, 10, 10), 0.5), true);
+});
+
+test('treats neighbours sharing a wall as not overlapping', () => {
+  assert.equal(polygonsOverlap(rectangle(0, 0, 10, 10), rectangle(10, 0, 10, 10), 0.5), false);
+  assert.equal(polygonsOverlap(rectangle(0, 0, 10, 10), rectangle(9.8, 0, 10, 10), 0.5), false);
+});
+
+test('measures the part of a room outside the building', () => {
+  const outside = measureOutside(rectangle(15, 5, 10, 10), lShape);
+
+  assert.equal(outside.area, 75);
+});
+
+test('subtracts courtyards from the building area', () => {
+  const building = { width: 30, depth: 30, courtyards: [rectangle(10, 10, 10, 10)] };
+
+  assert.equal(buildingArea(building), 800);
+});
+
+test('finds points inside concave shapes', () => {
+  assert.equal(containsPoint(lShape, { x: 5, y: 5 }), true);
+  assert.equal(containsPoint(lShape, { x: 15, y: 5 }), false);
+  assert.equal(containsPoint(lShape, { x: 15, y: 15 }), true);
+});
+
+test('names axis-aligned edges by the side of the shape they bound', () => {
+  const walls = polygonWalls(rectangle(0, 0, 10, 8));
+
+  assert.deepEqual(walls.map((wall) => wall.wall).sort(), ['east', 'north', 'south', 'west']);
+  assert.deepEqual(walls.find((wall) => wall.wall === 'south'), { wall: 'south', horizontal: true, line: 8, start: 0, end: 10 });
+});
+
+test('flags outlines whose edges cross', () => {
+  const bowtie = [
+    { x: 0, y: 0 },
+    { x: 10, y: 10 },
+    { x: 10, y: 0 },
+    { x: 0, y: 10 },
+  ];
+
+  assert.equal(isSelfIntersecting(bowtie), true);
+  assert.equal(isSelfIntersecting(lShape), false);
+});
+
+test('places labels inside concave shapes', () => {
+  const u = [
+    { x: 0, y: 0 },
+    { x: 4, y: 0 },
+    { x: 4, y: 16 },
+    { x: 16, y: 16 },
+    { x: 16, y: 0 },
+    { x: 20, y: 0 },
+    { x: 20, y: 20 },
+    { x: 0, y: 20 },
+  ];
+
+  assert.equal(containsPoint(u, labelPoint(u)), true);
+});
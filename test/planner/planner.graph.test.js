@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EXTERIOR, analyzePlanGraph, buildFloorGraph } = require('../../src/modules/planner/planner.graph');
+const { door, plan: buildPlan, room } = require('../helpers/plans');
+
+// A hall along the north side with its front door, and rooms off it to the south
+const plan = (rooms) => buildPlan(rooms, { width: 36, depth: 17 });
+
+const hall = () => room('Hall', 'corridor', 0, 0, 36, 5, { doors: [door('front', 'north', 2, EXTERIOR)] });
+
+test('links rooms through their doors and enters at the exterior door', () => {
+  const rooms = [
+    hall(),
+    room('Bedroom', 'bedroom', 0, 5, 12, 12, { doors: [door('d1', 'north', 4, 'Hall')] }),
+    room('Office', 'office', 12, 5, 12, 12, { doors: [door('d2', 'north', 4, 'Hall')] }),
+  ];
+  const building = plan(rooms);
+
+  const graph = buildFloorGraph(building.floors[0], building, true);
+  const bedroomDoor = graph.edges.find((edge) => edge.doors.includes('d1'));
+
+  assert.deepEqual(graph.entrances, ['Hall']);
+  assert.deepEqual(graph.unreachable, []);
+  assert.deepEqual([bedroomDoor.from, bedroomDoor.to].sort(), ['Bedroom', 'Hall']);
+  assert.equal(bedroomDoor.passable, true);
+});
+
+test('reports rooms with no way in as unreachable', () => {
+  const rooms = [
+    hall(),
+    room('Bedroom', 'bedroom', 0, 5, 12, 12, { doors: [door('d1', 'north', 4, 'Hall')] }),
+    room('Office', 'office', 12, 5, 12, 12, { doors: [door('d2', 'north', 4, 'Hall')] }),
+    room('Store', 'storage', 24, 5, 12, 12),
+  ];
+
+  const { floors, errors } = analyzePlanGraph(plan(rooms));
+
+  assert.deepEqual(floors[0].unreachable, ['Store']);
+  assert.ok(errors.includes('Room "Store" on Ground is not reachable from the main entrance'));
+});
+
+test('reports bedrooms only reachable through another bedroom', () => {
+  const rooms = [
+    hall(),
+    room('Bedroom 1', 'bedroom', 0, 5, 12, 12, { doors: [door('d1', 'north', 4, 'Hall')] }),
+    room('Bedroom 2', 'bedroom', 12, 5, 12, 12, { doors: [door('d2', 'west', 4, 'Bedroom 1')] }),
+    room('Office', 'office', 24, 5, 12, 12, { doors: [door('d3', 'north', 4, 'Hall')] }),
+  ];
+
+  const { errors } = analyzePlanGraph(plan(rooms));
+
+  assert.deepEqual(errors, ['Bedroom "Bedroom 2" on Ground is only reachable through another bedroom']);
+});
+
+test('treats a long wall between open-plan spaces as a way through', () => {
+  const rooms = [
+    hall(),
+    room('Living', 'living', 0, 5, 18, 12, { doors: [door('d1', 'north', 4, 'Hall')] }),
+    room('Kitchen', 'kitchen', 18, 5, 18, 12),
+  ];
+
+  const { floors, errors } = analyzePlanGraph(plan(rooms));
+  const edge = floors[0].edges.find((candidate) => candidate.from === 'Living' && candidate.to === 'Kitchen');
+
+  assert.equal(edge.open, true);
+  assert.equal(edge.sharedWall, 12);
+  assert.deepEqual(errors, []);
+});
+
+test('reports a floor with no entrance', () => {
+  const rooms = [room('Bedroom', 'bedroom', 0, 0, 12, 12)];
+
+  const { errors } = analyzePlanGraph(plan(rooms));
+
+  assert.deepEqual(errors, ['No room on Ground connects to the main entrance']);
+});
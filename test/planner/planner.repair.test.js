@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { repairPlan } = require('../../src/modules/planner/planner.repair');
+const { measureOverlap, roomPolygon } = require('../../src/modules/planner/planner.geometry');
+const { plan, room } = require('../helpers/plans');
+
+const overlapArea = (a, b) => measureOverlap(roomPolygon(a), roomPolygon(b)).area;
+
+test('trims overlapping rooms apart and logs the change', () => {
+  const living = room('living', 'living', 0, 0, 20, 15);
+  const kitchen = room('kitchen', 'kitchen', 18, 0, 12, 15);
+
+  const { changes } = repairPlan(plan([living, kitchen]));
+
+  assert.equal(overlapArea(living, kitchen), 0);
+  assert.ok(changes.some((change) => change.action === 'trim'));
+});
+
+test('moves rooms with negative positions back inside the building', () => {
+  const bedroom = room('bedroom', 'bedroom', -2, 10, 12, 12);
+
+  repairPlan(plan([bedroom]));
+
+  assert.equal(bedroom.position.x, 0);
+  assert.equal(bedroom.position.y, 10);
+});
+
+test('clamps rooms that run past the building edge', () => {
+  const office = room('office', 'office', 30, 20, 12, 14);
+
+  repairPlan(plan([office]));
+
+  assert.ok(office.position.x + office.dimensions.width <= 40);
+  assert.ok(office.position.y + office.dimensions.length <= 30);
+});
+
+test('recomputes room areas after repair', () => {
+  const living = room('living', 'living', 0, 0, 20, 15);
+  const kitchen = room('kitchen', 'kitchen', 18, 0, 12, 15);
+
+  repairPlan(plan([living, kitchen]));
+
+  [living, kitchen].forEach((repaired) => {
+    assert.equal(repaired.areaSqft, repaired.dimensions.width * repaired.dimensions.length);
+  });
+});
+
+test('leaves a valid plan unchanged', () => {
+  const rooms = [room('living', 'living', 0, 0, 20, 15), room('kitchen', 'kitchen', 20, 0, 20, 15)];
+  const before = JSON.parse(JSON.stringify(rooms));
+
+  const { changes } = repairPlan(plan(rooms, { depth: 15 }));
+
+  assert.deepEqual(changes, []);
+  assert.deepEqual(rooms, before);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkColumnPlacement } = require('../../src/modules/planner/planner.structure');
+const { plan, room } = require('../helpers/plans');
+
+const column = (id, x, y, size) => ({ id, position: { x, y }, ...(size && { size }) });
+
+// A 20 x 15 living room and a 10 x 15 bedroom sharing the wall at x = 20
+const withColumns = (...columns) => {
+  const building = plan([room('Living', 'living', 0, 0, 20, 15), room('Bedroom', 'bedroom', 20, 0, 10, 15)], { width: 30, depth: 15 });
+  building.floors[0].columns = columns;
+  return building;
+};
+
+test('leaves columns on exterior and shared walls alone', () => {
+  const building = withColumns(column('c1', 0, 0), column('c2', 20, 7.5), column('c3', 30.3, 15), column('c4', 19.6, 0));
+
+  assert.deepEqual(checkColumnPlacement(building), []);
+});
+
+test('flags a column standing inside a room', () => {
+  const issues = checkColumnPlacement(withColumns(column('c1', 0, 0), column('c7', 10, 7.5)));
+
+  assert.deepEqual(issues, [
+    {
+      level: 'Ground',
+      code: 'column_inside_room',
+      severity: 'warning',
+      message: 'Column c7 on Ground at (10 ft, 7.5 ft) stands inside "Living", 7.5 ft from the nearest wall',
+      columnId: 'c7',
+      roomId: 'Living',
+    },
+  ]);
+});
+
+test('lets a larger column reach further from the wall', () => {
+  // 1.4 ft from the west wall: beyond half a 12" column plus the tolerance, within half a 24" one
+  const issues = checkColumnPlacement(withColumns(column('small', 1.4, 7.5), column('large', 1.4, 7.5, 24)));
+
+  assert.deepEqual(
+    issues.map((issue) => issue.columnId),
+    ['small']
+  );
+});
+
+test('ignores columns outside every room and labels columns without an id by position', () => {
+  const issues = checkColumnPlacement(withColumns(column('porch', 35, 5), { position: { x: 25, y: 7.5 } }));
+
+  assert.equal(issues.length, 1);
+  assert.match(issues[0].message, /^Column #2 on Ground .* inside "Bedroom"/);
+});
+
+test('reports lengths in the requested units', () => {
+  const [issue] = checkColumnPlacement(withColumns(column('c7', 10, 7.5)), { units: 'metric' });
+
+  assert.equal(issue.message, 'Column c7 on Ground at (3.05 m, 2.29 m) stands inside "Living", 2.29 m from the nearest wall');
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  columnWidth,
+  convertPlan,
+  formatArea,
+  formatLength,
+  metaInUnits,
+  toImperial,
+  unitsOf,
+  wallThickness,
+} = require('../../src/modules/planner/planner.units');
+const { door, plan, room } = require('../helpers/plans');
+
+const house = () => {
+  const building = plan(
+    [
+      room('Living', 'living', 0, 0, 20, 15, {
+        doors: [door('front', 'south', 8, 'exterior')],
+        windows: [{ wall: 'north', position: 4, width: 5, sillHeight: 3 }],
+        ceilingHeight: 10,
+      }),
+      room('Bedroom', 'bedroom', 20, 0, 12, 15),
+    ],
+    { width: 32, depth: 15, wallThickness: { exterior: 9, interior: 4.5 }, compliance: { setbacks: { front: 20 } } }
+  );
+  building.floors[0].floorHeight = 10;
+  building.floors[0].columns = [{ id: 'C1', position: { x: 0, y: 0 }, size: 12 }];
+  return building;
+};
+
+// Every number in `actual` within `tolerance` of the same number in `expected`
+const assertClose = (actual, expected, tolerance = 1e-9, path = 'plan') => {
+  if (typeof expected === 'number') {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${path}: ${actual} is not close to ${expected}`);
+  } else if (expected && typeof expected === 'object') {
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), path);
+    Object.keys(expected).forEach((key) => assertClose(actual[key], expected[key], tolerance, `${path}.${key}`));
+  } else {
+    assert.equal(actual, expected, path);
+  }
+};
+
+test('converts every length, area and size in a plan to metric without touching the input', () => {
+  const imperial = house();
+  const before = structuredClone(imperial);
+
+  const metric = convertPlan(imperial, 'metric');
+  const [living] = metric.floors[0].rooms;
+
+  assert.deepEqual(imperial, before);
+  assert.equal(metric.units, 'metric');
+  assert.deepEqual(metric.buildingDimensions, { width: 9.754, depth: 4.572 });
+  assert.equal(metric.totalArea, 44.59);
+  assert.deepEqual(living.dimensions, { width: 6.096, length: 4.572 });
+  assert.equal(living.areaSqm, 27.87);
+  assert.equal(living.areaSqft, undefined);
+  assert.equal(living.ceilingHeight, 3.048);
+  assert.deepEqual(living.doors[0], { id: 'front', wall: 'south', position: 2.438, width: 0.914, connectsTo: 'exterior' });
+  assert.equal(living.windows[0].sillHeight, 0.914);
+  assert.deepEqual(metric.wallThickness, { exterior: 229, interior: 114 });
+  assert.equal(metric.floors[0].columns[0].size, 305);
+  assert.equal(metric.compliance.setbacks.front, 6.096);
+});
+
+test('round-trips a plan through metric exactly when asked to', () => {
+  const imperial = house();
+
+  assertClose(toImperial(convertPlan(imperial, 'metric', { exact: true })), imperial);
+});
+
+test('round-trips whole-foot dimensions through rounded metric', () => {
+  const imperial = house();
+
+  const back = convertPlan(convertPlan(imperial, 'metric'), 'imperial');
+
+  assert.deepEqual(back.buildingDimensions, imperial.buildingDimensions);
+  assert.deepEqual(back.floors[0].rooms.map((candidate) => candidate.dimensions), imperial.floors[0].rooms.map((candidate) => candidate.dimensions));
+  assert.deepEqual(back.floors[0].rooms.map((candidate) => candidate.position), imperial.floors[0].rooms.map((candidate) => candidate.position));
+});
+
+test('treats plans without a known unit system as imperial', () => {
+  assert.equal(unitsOf({}), 'imperial');
+  assert.equal(unitsOf({ units: 'cubits' }), 'imperial');
+  assert.equal(unitsOf({ units: 'metric' }), 'metric');
+  assert.deepEqual(convertPlan({ units: 'imperial', totalArea: 100 }, 'imperial'), { units: 'imperial', totalArea: 100 });
+});
+
+test('formats feet and square feet in the requested units', () => {
+  assert.equal(formatLength(12.5), '12.5 ft');
+  assert.equal(formatLength(12.5, 'metric'), '3.81 m');
+  assert.equal(formatArea(120, 'metric'), '11.15 sqm');
+});
+
+test('reads wall thickness and column size in the plan units', () => {
+  assert.deepEqual(wallThickness({}), { exterior: 0.75, interior: 0.375 });
+  assert.deepEqual(wallThickness({ wallThickness: { exterior: 300 } }, 'metric'), { exterior: 0.3, interior: 0.115 });
+  assert.equal(columnWidth({ size: 18 }), 1.5);
+  assert.equal(columnWidth({}, 'metric'), 0.3);
+});
+
+test('restates the plot area of request meta in the plan units', () => {
+  assert.deepEqual(metaInUnits({ plotArea: 1000, units: 'metric', city: 'Lahore' }, 'imperial'), { plotArea: 10763.91, city: 'Lahore' });
+  assert.deepEqual(metaInUnits({ plotArea: 1000 }), { plotArea: 1000 });
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const plannerService = require('../../src/modules/planner/planner.service');
+const { VARIANT_STRATEGIES, planFingerprint, rankVariants, scorePlan } = require('../../src/modules/planner/planner.variants');
+const { plan, room } = require('../helpers/plans');
+
+// A 30 x 30 square: a hall across the north side and two rooms below it
+const square = () =>
+  plan(
+    [
+      room('Hall', 'corridor', 0, 0, 30, 6),
+      room('Living', 'living', 0, 6, 15, 24),
+      room('Bedroom', 'bedroom', 15, 6, 15, 24),
+    ],
+    { width: 30, depth: 30 }
+  );
+
+// The same rooms in a long 60 x 15 footprint
+const strip = () =>
+  plan(
+    [
+      room('Hall', 'corridor', 0, 0, 60, 3),
+      room('Living', 'living', 0, 3, 30, 12),
+      room('Bedroom', 'bedroom', 30, 3, 30, 12),
+    ],
+    { width: 60, depth: 15 }
+  );
+
+const usage = { promptTokens: 100, completionTokens: 50, totalTokens: 150 };
+
+test('scores compact plans with little circulation higher', () => {
+  const compact = scorePlan(square());
+  const stretched = scorePlan(strip());
+
+  assert.equal(compact.metrics.compactness, 1);
+  assert.equal(compact.metrics.circulationRatio, 0.2);
+  assert.equal(compact.breakdown.plotFit, null);
+  assert.ok(compact.score > stretched.score);
+});
+
+test('takes validation errors and plot fit into the score', () => {
+  const clean = scorePlan(square(), { plotArea: 1500, maxCoverage: 0.7 });
+  const flawed = scorePlan(square(), { errors: 2, plotArea: 1500, maxCoverage: 0.7 });
+
+  assert.equal(clean.metrics.plotCoverage, 0.6);
+  assert.equal(clean.breakdown.plotFit, 1);
+  assert.equal(flawed.breakdown.validation, 0.6);
+  assert.equal(clean.score - flawed.score, 16);
+});
+
+test('fingerprints a layout regardless of room order or names', () => {
+  const reordered = square();
+  reordered.floors[0].rooms.reverse();
+  reordered.floors[0].rooms[0].name = 'Master Bedroom';
+
+  assert.equal(planFingerprint(reordered), planFingerprint(square()));
+  assert.notEqual(planFingerprint(strip()), planFingerprint(square()));
+});
+
+test('ranks variants by score and keeps generation order for ties', () => {
+  const ranked = rankVariants([
+    { strategy: 'balanced', score: 70 },
+    { strategy: 'central-hall', score: 90 },
+    { strategy: 'linear', score: 70 },
+  ]);
+
+  assert.deepEqual(
+    ranked.map(({ rank, strategy }) => [rank, strategy]),
+    [
+      [1, 'central-hall'],
+      [2, 'balanced'],
+      [3, 'linear'],
+    ]
+  );
+});
+
+test('drops duplicate variants, sums usage over every result and reports failures', async (t) => {
+  const plans = { balanced: strip(), 'central-hall': square(), linear: square() };
+  t.mock.method(plannerService, 'generatePlan', async (prompt, meta, { strategy }) => {
+    if (!plans[strategy.id]) throw new Error('Model unavailable');
+    return { plan: plans[strategy.id], usage };
+  });
+
+  const result = await plannerService.generateVariants('Two room house', {}, { variants: VARIANT_STRATEGIES.length });
+
+  assert.equal(result.variantsRequested, 4);
+  assert.deepEqual(
+    result.variants.map(({ rank, strategy }) => [rank, strategy]),
+    [
+      [1, 'central-hall'],
+      [2, 'balanced'],
+    ]
+  );
+  assert.equal(result.plan, plans['central-hall']);
+  assert.deepEqual(result.usage, { promptTokens: 300, completionTokens: 150, totalTokens: 450 });
+  assert.deepEqual(result.variantErrors, [{ strategy: 'zoned', message: 'Model unavailable' }]);
+});
+
+test('fails with the first error when every variant fails', async (t) => {
+  t.mock.method(plannerService, 'generatePlan', async (prompt, meta, { strategy }) => {
+    throw new Error(`${strategy.id} failed`);
+  });
+
+  await assert.rejects(plannerService.generateVariants('Two room house', {}, { variants: 2 }), { message: 'balanced failed' });
+});
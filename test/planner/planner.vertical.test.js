@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkVerticalConsistency } = require('../../src/modules/planner/planner.vertical');
+const { plan, room } = require('../helpers/plans');
+
+// Floors bottom to top, each { level, rooms, ...extra }, on a 30 x 20 footprint
+const building = (...floors) => ({ ...plan([], { width: 30, depth: 20 }), floors });
+
+const ground = (rooms, extra = {}) => ({ level: 'Ground', rooms, ...extra });
+const first = (rooms, extra = {}) => ({ level: 'First', rooms, ...extra });
+
+const full = (id, type = 'living') => room(id, type, 0, 0, 30, 20);
+
+const codes = (issues) => issues.map(({ code, severity }) => `${severity}:${code}`);
+
+test('passes a plan whose floors stack cleanly', () => {
+  const stack = (level) => ({
+    level,
+    floorHeight: 10,
+    rooms: [room('Stair', 'staircase', 0, 0, 10, 10), room('Bath', 'bathroom', 10, 0, 8, 10), room('Hall', 'living', 0, 10, 30, 10)],
+  });
+
+  assert.deepEqual(checkVerticalConsistency(building(stack('Ground'), stack('First'))), []);
+});
+
+test('reports a staircase that does not continue to the floor above and where it lands', () => {
+  const issues = checkVerticalConsistency(
+    building(
+      ground([room('Stair', 'staircase', 0, 0, 10, 10), room('Hall', 'living', 10, 0, 20, 20)]),
+      first([room('Upper Stair', 'staircase', 20, 10, 10, 10), room('Bedroom', 'bedroom', 0, 0, 20, 10)])
+    )
+  );
+
+  assert.deepEqual(issues, [
+    {
+      level: 'Ground',
+      code: 'staircase_misaligned',
+      severity: 'error',
+      message: 'Staircase "Stair" on Ground does not line up with the staircase on First; it lands in "Bedroom"',
+      roomId: 'Stair',
+    },
+  ]);
+});
+
+test('lets a lift end below the top floor but not shift sideways', () => {
+  const lift = (x) => room('Lift', 'lift', x, 0, 6, 6);
+  const stair = room('Stair', 'staircase', 10, 0, 10, 10);
+
+  const ends = checkVerticalConsistency(building(ground([lift(0), stair, full('Rest')]), first([stair])));
+  assert.deepEqual(codes(ends), []);
+
+  const shifted = checkVerticalConsistency(building(ground([lift(0), stair, full('Rest')]), first([lift(3), stair])));
+  assert.deepEqual(codes(shifted), ['error:lift_misaligned']);
+});
+
+test('reports a core that starts on an upper floor with no way up to it', () => {
+  const issues = checkVerticalConsistency(building(ground([full('Hall')]), first([room('Stair', 'staircase', 0, 0, 10, 10)])));
+
+  assert.deepEqual(codes(issues), ['error:staircase_unsupported']);
+  assert.equal(issues[0].level, 'First');
+});
+
+test('reports rooms that overhang the floor below unless marked as balconies', () => {
+  const issues = checkVerticalConsistency(
+    building(
+      ground([room('Hall', 'living', 0, 0, 20, 20)]),
+      first([
+        room('Bedroom', 'bedroom', 10, 0, 20, 10),
+        room('Balcony', 'balcony', 20, 10, 10, 10),
+        room('Deck', 'bedroom', 0, 10, 20, 10, { features: ['cantilever'] }),
+        // Within the wall tolerance of the edge below
+        room('Study', 'study', 0, 0, 10.4, 10),
+      ])
+    )
+  );
+
+  assert.deepEqual(codes(issues), ['error:overhang']);
+  assert.equal(issues[0].roomId, 'Bedroom');
+  assert.match(issues[0].message, /extends 95 sqft beyond Ground/);
+});
+
+test('reports overhangs in the requested units', () => {
+  const issues = checkVerticalConsistency(
+    building(ground([room('Hall', 'living', 0, 0, 20, 20)]), first([room('Bedroom', 'bedroom', 10, 0, 20, 10)])),
+    { units: 'metric' }
+  );
+
+  assert.match(issues[0].message, /extends 8\.83 sqm/);
+});
+
+test('reports columns with no column below them', () => {
+  const column = (id, x, y) => ({ id, position: { x, y } });
+  const issues = checkVerticalConsistency(
+    building(
+      ground([full('Hall')], { columns: [column('C1', 0, 0), column('C2', 15, 0)] }),
+      first([full('Bedroom')], { columns: [column('C1', 0.3, 0), column('C3', 15, 10)] })
+    )
+  );
+
+  assert.deepEqual(codes(issues), ['error:column_discontinuous']);
+  assert.equal(issues[0].columnId, 'C3');
+  assert.match(issues[0].message, /Column C3 on First at \(15 ft, 10 ft\) has no column below it on Ground/);
+});
+
+test('warns about wet areas that are not over a wet area', () => {
+  const issues = checkVerticalConsistency(
+    building(
+      ground([room('Kitchen', 'kitchen', 0, 0, 10, 10), room('Hall', 'living', 10, 0, 20, 20), room('Dining', 'dining', 0, 10, 10, 10)]),
+      first([room('Bath', 'bathroom', 0, 0, 8, 8), room('WC', 'toilet', 15, 5, 5, 5), full('Bedroom', 'bedroom')])
+    )
+  );
+
+  assert.deepEqual(codes(issues), ['warning:wet_area_not_stacked']);
+  assert.equal(issues[0].message, 'Wet area "WC" on First is not above a wet area on Ground; its drains would run through "Hall"');
+});
+
+test('warns about missing, uneven and exceeded floor heights', () => {
+  const issues = checkVerticalConsistency(
+    building(
+      ground([full('Hall')], { floorHeight: 10 }),
+      first([room('Loft', 'bedroom', 0, 0, 30, 20, { ceilingHeight: 12 })], { floorHeight: 11 }),
+      { level: 'Second', rooms: [full('Roof')] }
+    )
+  );
+
+  assert.deepEqual(codes(issues), ['warning:ceiling_above_floor_height', 'warning:floor_height_missing', 'warning:floor_height_inconsistent']);
+  assert.equal(issues[0].message, 'Room "Loft" on First has a ceiling of 12 ft, higher than its floor height of 11 ft');
+  assert.equal(issues[1].level, 'Second');
+  assert.equal(issues[2].message, 'Floor heights differ between floors: Ground 10 ft, First 11 ft');
+});
+
+test('has nothing to compare on a single floor', () => {
+  assert.deepEqual(checkVerticalConsistency(plan([room('Stair', 'staircase', 0, 0, 10, 10)])), []);
+});
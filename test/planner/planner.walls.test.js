@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWalls } = require('../../src/modules/planner/planner.walls');
+const { containsPoint } = require('../../src/modules/planner/planner.geometry');
+const { door, plan: buildPlan, room } = require('../helpers/plans');
+
+// Default imperial walls: 9" exterior, 4.5" interior
+const EXTERIOR = 0.75;
+const HALF_INTERIOR = 0.1875;
+
+// Two 12 x 12 rooms side by side, sharing the wall at x = 12
+const plan = (west = {}, east = {}) => {
+  const rooms = [room('West', 'bedroom', 0, 0, 12, 12, west), room('East', 'bedroom', 12, 0, 12, 12, east)];
+  const building = buildPlan(rooms, { width: 24, depth: 12 });
+  return { plan: building, floor: building.floors[0] };
+};
+
+// Wall material lies inside an odd number of outlines (holes are outlines too)
+const isWall = ({ outlines }, point) => outlines.filter((outline) => containsPoint(outline, point)).length % 2 === 1;
+
+const segmentsOf = ({ faces }) =>
+  faces.flatMap(({ kind, closed, points }) =>
+    points.slice(0, closed ? points.length : -1).map((point, index) => ({ kind, from: point, to: points[(index + 1) % points.length] }))
+  );
+
+const same = (a, b) => a.x === b.x && a.y === b.y;
+
+const hasFace = (walls, kind, a, b) =>
+  segmentsOf(walls).some(({ kind: faceKind, from, to }) => faceKind === kind && ((same(from, a) && same(to, b)) || (same(from, b) && same(to, a))));
+
+test('draws exterior walls inside the footprint', () => {
+  const { plan: building, floor } = plan();
+  const walls = buildWalls(building, floor);
+
+  assert.equal(isWall(walls, { x: EXTERIOR / 2, y: 6 }), true);
+  assert.equal(isWall(walls, { x: EXTERIOR + 0.1, y: 6 }), false);
+  assert.equal(isWall(walls, { x: -0.1, y: 6 }), false);
+});
+
+test('draws a shared wall once, centred on the shared edge', () => {
+  const { plan: building, floor } = plan();
+  const walls = buildWalls(building, floor);
+
+  // Outer face, and one hole per room
+  assert.equal(walls.outlines.length, 3);
+  assert.equal(isWall(walls, { x: 12, y: 6 }), true);
+  assert.equal(isWall(walls, { x: 12 - HALF_INTERIOR - 0.05, y: 6 }), false);
+  assert.equal(isWall(walls, { x: 12 + HALF_INTERIOR + 0.05, y: 6 }), false);
+  assert.ok(hasFace(walls, 'interior', { x: 12 - HALF_INTERIOR, y: EXTERIOR }, { x: 12 - HALF_INTERIOR, y: 12 - EXTERIOR }));
+  assert.ok(hasFace(walls, 'interior', { x: 12 + HALF_INTERIOR, y: EXTERIOR }, { x: 12 + HALF_INTERIOR, y: 12 - EXTERIOR }));
+});
+
+test('joins the interior wall to the exterior walls without a face across the join', () => {
+  const { plan: building, floor } = plan();
+  const walls = buildWalls(building, floor);
+
+  const crossesJoin = segmentsOf(walls).some(
+    ({ from, to }) => from.y === EXTERIOR && to.y === EXTERIOR && Math.min(from.x, to.x) < 12 && Math.max(from.x, to.x) > 12
+  );
+  assert.equal(crossesJoin, false);
+});
+
+test('cuts door openings out of the shared wall', () => {
+  const { plan: building, floor } = plan({ doors: [door('d1', 'east', 4, 'East')] });
+  const walls = buildWalls(building, floor);
+
+  // The two rooms now form one hole
+  assert.equal(walls.outlines.length, 2);
+  assert.equal(isWall(walls, { x: 12, y: 5.5 }), false);
+  assert.equal(isWall(walls, { x: 12, y: 3.5 }), true);
+  assert.equal(isWall(walls, { x: 12, y: 7.5 }), true);
+});
+
+test('cuts window openings out of the exterior wall', () => {
+  const opening = { wall: 'north', position: 4, width: 4 };
+  const { plan: building, floor } = plan({ windows: [opening] });
+  const walls = buildWalls(building, floor);
+
+  assert.equal(isWall(walls, { x: 6, y: EXTERIOR / 2 }), false);
+  assert.equal(isWall(walls, { x: 3, y: EXTERIOR / 2 }), true);
+  assert.equal(isWall(walls, { x: 9, y: EXTERIOR / 2 }), true);
+});
+
+test('reads wall thickness from the plan', () => {
+  const { plan: building, floor } = plan();
+  building.wallThickness = { exterior: 12, interior: 6 };
+  const walls = buildWalls(building, floor);
+
+  assert.equal(isWall(walls, { x: 0.9, y: 6 }), true);
+  assert.equal(isWall(walls, { x: 12.2, y: 6 }), true);
+});
@@ -0,0 +1,88 @@
+const { beforeEach, mock, test } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../../src/config/db');
+
+// The model reads the pool through getPool on every call; stub it before the model loads
+const queries = [];
+let templates = [];
+
+const client = {
+  async query(sql, params = []) {
+    queries.push(sql.replace(/\s+/g, ' ').trim());
+    if (/WHERE builtin_hash = \$1/.test(sql)) {
+      return { rows: templates.filter((template) => template.builtin_hash === params[0]) };
+    }
+    if (/SELECT builtin_hash FROM prompt_templates WHERE status = 'active'/.test(sql)) {
+      return { rows: templates.filter((template) => template.status === 'active') };
+    }
+    if (/^\s*INSERT/.test(sql)) {
+      return { rows: [{ version: templates.length + 1, status: params[2] }] };
+    }
+    if (/RETURNING/.test(sql)) {
+      return { rows: [{ version: params[0], status: 'active' }] };
+    }
+    return { rows: [] };
+  },
+  release() {},
+};
+
+mock.method(db, 'getPool', () => ({ connect: async () => client, query: client.query }));
+
+const PromptTemplate = require('../../src/modules/prompts/prompts.model');
+
+const BUILTIN = { systemPrompt: 'You are an architect.', buildingTypePrompts: {}, builtinHash: 'b'.repeat(64) };
+
+const ran = (pattern) => queries.some((sql) => pattern.test(sql));
+
+beforeEach(() => {
+  queries.length = 0;
+  templates = [];
+});
+
+test('leaves the templates alone when the built-in prompts are already active', async () => {
+  templates = [{ version: 1, status: 'active', builtin_hash: BUILTIN.builtinHash }];
+
+  assert.equal(await PromptTemplate.seed(BUILTIN), null);
+  assert.equal(ran(/^UPDATE|^INSERT/), false);
+  assert.equal(ran(/^COMMIT/), true);
+});
+
+test('seeds the built-in prompts as the active version of an empty table', async () => {
+  const seeded = await PromptTemplate.seed(BUILTIN);
+
+  assert.deepEqual(seeded, { version: 1, status: 'active' });
+  assert.equal(ran(/^LOCK TABLE prompt_templates/), true);
+});
+
+test('replaces an older built-in version when the prompts in code change', async () => {
+  templates = [{ version: 1, status: 'active', builtin_hash: 'a'.repeat(64) }];
+
+  const seeded = await PromptTemplate.seed(BUILTIN);
+
+  assert.deepEqual(seeded, { version: 2, status: 'active' });
+  assert.equal(ran(/^UPDATE prompt_templates SET status = 'retired'.* WHERE status = 'active'$/), true);
+});
+
+test('keeps a version an admin activated and saves changed built-in prompts as a draft', async () => {
+  templates = [
+    { version: 1, status: 'retired', builtin_hash: 'a'.repeat(64) },
+    { version: 2, status: 'active', builtin_hash: null },
+  ];
+
+  const seeded = await PromptTemplate.seed(BUILTIN);
+
+  assert.deepEqual(seeded, { version: 3, status: 'draft' });
+  assert.equal(ran(/^UPDATE/), false);
+});
+
+test('brings back an earlier built-in version when the prompts in code are reverted to it', async () => {
+  templates = [
+    { version: 1, status: 'retired', builtin_hash: BUILTIN.builtinHash },
+    { version: 2, status: 'active', builtin_hash: 'a'.repeat(64) },
+  ];
+
+  const seeded = await PromptTemplate.seed(BUILTIN);
+
+  assert.deepEqual(seeded, { version: 1, status: 'active' });
+  assert.equal(ran(/^INSERT/), false);
+});
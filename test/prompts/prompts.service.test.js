@@ -0,0 +1,61 @@
+const { beforeEach, test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const promptsService = require('../../src/modules/prompts/prompts.service');
+const PromptTemplate = require('../../src/modules/prompts/prompts.model');
+const { SYSTEM_PROMPT, BUILDING_TYPE_PROMPTS } = require('../../src/modules/planner/planner.prompt');
+
+const template = (version, status, trafficShare = 0) => ({
+  version,
+  status,
+  traffic_share: trafficShare,
+  system_prompt: `Prompt ${version}`,
+  building_type_prompts: {},
+});
+
+beforeEach(() => {
+  promptsService.seeded = false;
+  promptsService.clearLive();
+});
+
+test('seeds the prompts from code once, keyed by their hash', async (t) => {
+  const seed = t.mock.method(PromptTemplate, 'seed', async () => null);
+  t.mock.method(PromptTemplate, 'findLive', async () => ({ active: template(1, 'active'), candidate: null }));
+
+  await promptsService.getLive();
+  promptsService.clearLive();
+  await promptsService.getLive();
+
+  const expectedHash = crypto.createHash('sha256').update(JSON.stringify([SYSTEM_PROMPT, BUILDING_TYPE_PROMPTS])).digest('hex');
+  assert.equal(seed.mock.callCount(), 1);
+  assert.deepEqual(seed.mock.calls[0].arguments[0], {
+    systemPrompt: SYSTEM_PROMPT,
+    buildingTypePrompts: BUILDING_TYPE_PROMPTS,
+    builtinHash: expectedHash,
+  });
+});
+
+test('tries the seed again on the next read when it fails', async (t) => {
+  const seed = t.mock.method(PromptTemplate, 'seed', async () => {
+    throw new Error('connection refused');
+  });
+  t.mock.method(PromptTemplate, 'findLive', async () => ({ active: template(1, 'active'), candidate: null }));
+
+  await assert.rejects(promptsService.getLive(), { message: 'connection refused' });
+  seed.mock.mockImplementation(async () => ({ version: 2, status: 'active' }));
+  await promptsService.getLive();
+
+  assert.equal(seed.mock.callCount(), 2);
+});
+
+test('serves the candidate to its share of users and the active template to the rest', async (t) => {
+  t.mock.method(PromptTemplate, 'seed', async () => null);
+  t.mock.method(PromptTemplate, 'findLive', async () => ({ active: template(1, 'active'), candidate: template(2, 'candidate', 0.5) }));
+
+  const selected = await Promise.all(Array.from({ length: 200 }, (_, userId) => promptsService.selectTemplate(userId)));
+  const candidates = selected.filter((choice) => choice.arm === 'candidate');
+
+  assert.ok(candidates.length > 70 && candidates.length < 130, `${candidates.length} of 200 users got the candidate`);
+  assert.ok(candidates.every((choice) => choice.version === 2 && choice.systemPrompt === 'Prompt 2'));
+  assert.deepEqual(await promptsService.selectTemplate(5), selected[5]);
+});
@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const usageService = require('../../src/modules/usage/usage.service');
+const UsageLedger = require('../../src/modules/usage/usage.model');
+const { env } = require('../../src/config/env');
+
+const QUOTAS = ['USAGE_DAILY_TOKEN_QUOTA', 'USAGE_MONTHLY_TOKEN_QUOTA', 'USAGE_MONTHLY_COST_QUOTA'];
+
+// Quotas are read from env on every check; restore them when the test ends
+const setQuotas = (t, quotas) => {
+  const saved = Object.fromEntries(QUOTAS.map((key) => [key, env[key]]));
+  t.after(() => Object.assign(env, saved));
+  Object.assign(env, Object.fromEntries(QUOTAS.map((key) => [key, 0])), quotas);
+};
+
+const totals = (overrides = {}) => ({ day_tokens: 0, day_cost: 0, month_tokens: 0, month_cost: 0, ...overrides });
+
+const attempt = (overrides = {}) => ({
+  provider: 'openai',
+  model: 'gpt-4o-2024-08-06',
+  usage: { promptTokens: 1000, completionTokens: 500, totalTokens: 1500 },
+  ...overrides,
+});
+
+test('records one ledger row per request with its attempts summed', async (t) => {
+  const create = t.mock.method(UsageLedger, 'create', async () => ({}));
+
+  const result = await usageService.track(
+    7,
+    'generate',
+    async (onUsage) => {
+      onUsage(attempt({ failed: true, usage: { promptTokens: 1000, completionTokens: 0, totalTokens: 1000 } }));
+      onUsage(attempt());
+      return { plan: {} };
+    },
+    { promptTemplateVersion: 3 }
+  );
+
+  assert.deepEqual(result, { plan: {} });
+  assert.equal(create.mock.callCount(), 1);
+  assert.deepEqual(create.mock.calls[0].arguments[0], {
+    userId: 7,
+    kind: 'generate',
+    provider: 'openai',
+    model: 'gpt-4o-2024-08-06',
+    promptTokens: 2000,
+    completionTokens: 500,
+    totalTokens: 2500,
+    // gpt-4o: $2.50 per million prompt tokens, $10 per million completion tokens
+    estimatedCost: 0.01,
+    attempts: 2,
+    failedAttempts: 1,
+    invalidAttempts: 0,
+    status: 'succeeded',
+    promptTemplateVersion: 3,
+  });
+});
+
+test('records failed and cancelled requests and rethrows their error', async (t) => {
+  const create = t.mock.method(UsageLedger, 'create', async () => ({}));
+  const fail = (statusCode) => async (onUsage) => {
+    onUsage(attempt({ failed: true }));
+    throw Object.assign(new Error('Model unavailable'), { statusCode });
+  };
+
+  await assert.rejects(usageService.track(7, 'generate', fail(500)), { message: 'Model unavailable' });
+  await assert.rejects(usageService.track(7, 'refine', fail(499)), { message: 'Model unavailable' });
+
+  assert.deepEqual(
+    create.mock.calls.map((call) => [call.arguments[0].kind, call.arguments[0].status]),
+    [
+      ['generate', 'failed'],
+      ['refine', 'cancelled'],
+    ]
+  );
+});
+
+test('prices unlisted models like the dearest listed one and local models at nothing', async (t) => {
+  const create = t.mock.method(UsageLedger, 'create', async () => ({}));
+  const usage = { promptTokens: 1000000, completionTokens: 1000000, totalTokens: 2000000 };
+
+  await usageService.track(7, 'generate', async (onUsage) => onUsage(attempt({ model: 'gpt-5-preview', usage })));
+  await usageService.track(7, 'generate', async (onUsage) => onUsage(attempt({ provider: 'local', model: 'llama3', usage })));
+
+  assert.deepEqual(
+    create.mock.calls.map((call) => call.arguments[0].estimatedCost),
+    [12.5, 0]
+  );
+});
+
+test('records nothing for requests that never reached a model, and never fails on a ledger error', async (t) => {
+  const create = t.mock.method(UsageLedger, 'create', async () => {
+    throw new Error('connection refused');
+  });
+
+  assert.deepEqual(await usageService.track(7, 'generate', async () => ({ cached: true })), { cached: true });
+  assert.equal(create.mock.callCount(), 0);
+
+  const result = await usageService.track(7, 'generate', async (onUsage) => {
+    onUsage(attempt());
+    return 'done';
+  });
+  assert.equal(result, 'done');
+  assert.equal(create.mock.callCount(), 1);
+});
+
+test('rejects with 429 once a quota is used up', async (t) => {
+  setQuotas(t, { USAGE_DAILY_TOKEN_QUOTA: 10000, USAGE_MONTHLY_COST_QUOTA: 5 });
+  const current = t.mock.method(UsageLedger, 'getCurrentTotals', async () => totals({ day_tokens: 9999, month_cost: 4.99 }));
+
+  await usageService.assertWithinQuota(7);
+  assert.deepEqual(current.mock.calls[0].arguments, [7]);
+
+  current.mock.mockImplementation(async () => totals({ day_tokens: 10000 }));
+  await assert.rejects(usageService.assertWithinQuota(7), {
+    statusCode: 429,
+    message: 'Daily token quota reached (10000 of 10000 tokens used)',
+  });
+
+  current.mock.mockImplementation(async () => totals({ month_cost: 5.2 }));
+  await assert.rejects(usageService.assertWithinQuota(7), { statusCode: 429, message: 'Monthly cost quota reached ($5.20 of $5.00 used)' });
+});
+
+test('skips the ledger lookup when no quota is set', async (t) => {
+  setQuotas(t, {});
+  const current = t.mock.method(UsageLedger, 'getCurrentTotals', async () => totals());
+
+  await usageService.assertWithinQuota(7);
+
+  assert.equal(current.mock.callCount(), 0);
+});
+
+test('reports what is left of each quota', async (t) => {
+  setQuotas(t, { USAGE_MONTHLY_TOKEN_QUOTA: 100000 });
+  t.mock.method(UsageLedger, 'getCurrentTotals', async () => totals({ day_tokens: 1500, month_tokens: 120000, month_cost: 0.5 }));
+  t.mock.method(UsageLedger, 'getDailyTotals', async () => []);
+  t.mock.method(UsageLedger, 'getMonthlyTotals', async () => []);
+
+  const { quotas, month } = await usageService.getUsageReport(7, { days: 7, months: 3 });
+
+  assert.deepEqual(quotas, { dailyTokens: null, monthlyTokens: { limit: 100000, used: 120000, remaining: 0 }, monthlyCost: null });
+  assert.deepEqual(month, { totalTokens: 120000, estimatedCost: 0.5 });
+});